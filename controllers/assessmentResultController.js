@@ -0,0 +1,78 @@
+// travel-tour-backend/controllers/assessmentResultController.js
+const assessmentResults = require('../services/assessmentResultService');
+const { sendError } = require('../services/apiError');
+
+// page/limit query params as skip/limit (50 a page by default)
+const pagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), 200);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const assessmentResultController = {
+  // The signed-in student's results. Filters: kind (quiz|course), assessmentType, questionSetId
+  listMyResults: async (req, res) => {
+    try {
+      const { page, limit, skip } = pagination(req.query);
+      const { results, total } = await assessmentResults.listResults({
+        kind: req.query.kind,
+        assessmentType: req.query.assessmentType,
+        questionSetId: req.query.questionSetId,
+        userId: req.user._id.toString(),
+        limit,
+        skip
+      });
+      res.json({ success: true, results, total, page, limit });
+    } catch (error) {
+      sendError(res, error, 'Error fetching your results');
+    }
+  },
+
+  // Every result. Filters: kind, assessmentType, userId, userName, questionSetId, unread
+  listResults: async (req, res) => {
+    try {
+      const { page, limit, skip } = pagination(req.query);
+      const { results, total } = await assessmentResults.listResults({
+        kind: req.query.kind,
+        assessmentType: req.query.assessmentType,
+        userId: req.query.userId,
+        userName: req.query.userName,
+        questionSetId: req.query.questionSetId,
+        unread: req.query.unread === 'true',
+        limit,
+        skip,
+        populateUser: true
+      });
+      res.json({ success: true, results, total, page, limit });
+    } catch (error) {
+      sendError(res, error, 'Error fetching results');
+    }
+  },
+
+  // One result with its graded answers (students only see their own)
+  getResult: async (req, res) => {
+    try {
+      const result = await assessmentResults.getResultForUser(req.params.resultId, req.user);
+      res.json({ success: true, result });
+    } catch (error) {
+      sendError(res, error, 'Error fetching result');
+    }
+  },
+
+  // { kind, resultIds } - without resultIds every unread result of the kind is marked
+  markRead: async (req, res) => {
+    try {
+      const { kind, resultIds } = req.body;
+      const outcome = await assessmentResults.markRead(kind, resultIds);
+      res.json({
+        success: true,
+        message: `Marked ${outcome.modifiedCount} results as read`,
+        modifiedCount: outcome.modifiedCount
+      });
+    } catch (error) {
+      sendError(res, error, 'Error marking results as read');
+    }
+  }
+};
+
+module.exports = assessmentResultController;
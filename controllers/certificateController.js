@@ -0,0 +1,101 @@
+// travel-tour-backend/controllers/certificateController.js
+const certificates = require('../services/certificateService');
+const { sendError } = require('../services/apiError');
+
+const { CertificateError } = certificates;
+
+// Public verify URL printed on the PDF and encoded in its QR code
+const verifyUrlFor = (req, certificateId) => {
+  const base = (process.env.CERTIFICATE_VERIFY_BASE_URL || `${req.protocol}://${req.get('host')}/api/certificates`)
+    .replace(/\/$/, '');
+  return `${base}/${encodeURIComponent(certificateId)}/verify`;
+};
+
+const certificateController = {
+  // Public: is this certificate genuine and still valid?
+  verifyCertificate: async (req, res) => {
+    try {
+      const certificate = await certificates.verifyCertificate(req.params.certificateId);
+      res.json({ success: true, certificate });
+    } catch (error) {
+      sendError(res, error, 'Error verifying certificate');
+    }
+  },
+
+  // The signed-in student's certificates
+  listMyCertificates: async (req, res) => {
+    try {
+      const list = await certificates.listMyCertificates(req.user);
+      res.json({ success: true, certificates: list, total: list.length });
+    } catch (error) {
+      sendError(res, error, 'Error fetching certificates');
+    }
+  },
+
+  getCertificate: async (req, res) => {
+    try {
+      const certificate = await certificates.getCertificateForUser(req.params.certificateId, req.user);
+      res.json({ success: true, certificate, verifyUrl: verifyUrlFor(req, certificate.certificateId) });
+    } catch (error) {
+      sendError(res, error, 'Error fetching certificate');
+    }
+  },
+
+  // PDF download; students can only download certificates that are still active
+  downloadCertificate: async (req, res) => {
+    try {
+      const certificate = await certificates.getCertificateForUser(req.params.certificateId, req.user);
+      if (certificate.status !== 'active' && req.user.role !== 'admin') {
+        throw new CertificateError(`This certificate has been ${certificate.status}`, 'CERTIFICATE_NOT_ACTIVE', 410);
+      }
+
+      const pdf = await certificates.renderPdf(certificate, {
+        verifyUrl: verifyUrlFor(req, certificate.certificateId)
+      });
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="certificate-${certificate.certificateId}.pdf"`);
+      res.send(pdf);
+    } catch (error) {
+      sendError(res, error, 'Error generating certificate');
+    }
+  },
+
+  // ---- ADMIN ----
+
+  // Filters: userId, courseId, status, page, limit
+  listCertificates: async (req, res) => {
+    try {
+      const result = await certificates.listCertificates(req.query);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendError(res, error, 'Error fetching certificates');
+    }
+  },
+
+  // { reason }
+  revokeCertificate: async (req, res) => {
+    try {
+      const certificate = await certificates.revokeCertificate(req.user, req.params.certificateId, req.body);
+      res.json({ success: true, message: 'Certificate revoked', certificate });
+    } catch (error) {
+      sendError(res, error, 'Error revoking certificate');
+    }
+  },
+
+  // { recipientName } - defaults to the student's current name
+  reissueCertificate: async (req, res) => {
+    try {
+      const { certificate, original } = await certificates.reissueCertificate(req.user, req.params.certificateId, req.body);
+      res.status(201).json({
+        success: true,
+        message: `Certificate reissued as ${certificate.certificateId}`,
+        certificate,
+        original
+      });
+    } catch (error) {
+      sendError(res, error, 'Error reissuing certificate');
+    }
+  }
+};
+
+module.exports = certificateController;
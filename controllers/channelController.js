@@ -0,0 +1,227 @@
+// travel-tour-backend/controllers/channelController.js
+const mongoose = require('mongoose');
+const CommunityChannel = require('../models/CommunityChannel');
+const ChannelMembership = require('../models/ChannelMembership');
+const {
+  ChannelError,
+  slugify,
+  getChannel,
+  getAccessibleChannel,
+  joinChannel,
+  leaveChannel,
+  markChannelRead,
+  getUnreadCounts,
+  formatChannel,
+  listChannelsForUser
+} = require('../services/channelService');
+const { assertCanRead } = require('../services/moderationService');
+const { removeUserFromChannel, closeChannel, emitToUser } = require('../socket');
+const { sendError } = require('../services/apiError');
+
+const CHANNEL_ACCESS_TYPES = ['open', 'invite_only', 'masterclass'];
+
+const toObjectIds = (ids = []) => {
+  return ids.filter(id => mongoose.Types.ObjectId.isValid(id)).map(id => new mongoose.Types.ObjectId(id));
+};
+
+// Validate and pick the editable channel fields from a request body
+const buildChannelUpdate = (body) => {
+  const update = {};
+
+  if (body.name !== undefined) {
+    if (!body.name || !body.name.trim()) {
+      throw new ChannelError('Channel name is required', 'INVALID_CHANNEL_NAME');
+    }
+    update.name = body.name.trim();
+  }
+  if (body.description !== undefined) {
+    update.description = body.description;
+  }
+  if (body.access !== undefined) {
+    if (!CHANNEL_ACCESS_TYPES.includes(body.access)) {
+      throw new ChannelError(`Access must be one of: ${CHANNEL_ACCESS_TYPES.join(', ')}`, 'INVALID_CHANNEL_ACCESS');
+    }
+    update.access = body.access;
+  }
+  if (body.masterclassCourseIds !== undefined) {
+    update.masterclassCourseIds = toObjectIds(body.masterclassCourseIds);
+  }
+  if (body.invitedUsers !== undefined) {
+    update.invitedUsers = toObjectIds(body.invitedUsers);
+  }
+
+  return update;
+};
+
+const channelController = {
+  // List channels visible to the current user, with unread counts
+  listChannels: async (req, res) => {
+    try {
+      const channels = await listChannelsForUser(req.user);
+      res.json({ success: true, channels });
+    } catch (error) {
+      sendError(res, error, 'Error fetching channels');
+    }
+  },
+
+  // Unread count per joined channel
+  getUnreadCounts: async (req, res) => {
+    try {
+      const channels = await getUnreadCounts(req.user._id);
+      res.json({
+        success: true,
+        channels,
+        total: channels.reduce((sum, channel) => sum + channel.unreadCount, 0)
+      });
+    } catch (error) {
+      sendError(res, error, 'Error fetching unread counts');
+    }
+  },
+
+  joinChannel: async (req, res) => {
+    try {
+      await assertCanRead(req.user._id, req.params.channelId);
+      const { channel } = await joinChannel(req.params.channelId, req.user);
+      console.log(`💬 ${req.user.username} joined channel ${channel.name}`);
+      res.json({ success: true, message: `Joined ${channel.name}`, channel: formatChannel(channel, { isMember: true }) });
+    } catch (error) {
+      sendError(res, error, 'Error joining channel');
+    }
+  },
+
+  // Move the read marker: { messageId } (omitted = newest message)
+  markRead: async (req, res) => {
+    try {
+      const channel = await getAccessibleChannel(req.params.channelId, req.user);
+      const marker = await markChannelRead(channel, req.user._id, req.body.messageId);
+      if (!marker) {
+        throw new ChannelError('Join the channel first, or the message was not found', 'READ_MARKER_NOT_UPDATED', 404);
+      }
+
+      emitToUser(req.user._id, 'read_marker_updated', marker);
+      res.json({ success: true, ...marker });
+    } catch (error) {
+      sendError(res, error, 'Error updating read marker');
+    }
+  },
+
+  leaveChannel: async (req, res) => {
+    try {
+      const channel = await getChannel(req.params.channelId);
+      await leaveChannel(channel._id, req.user._id);
+      removeUserFromChannel(req.user._id.toString(), channel, 'left');
+      res.json({ success: true, message: `Left ${channel.name}` });
+    } catch (error) {
+      sendError(res, error, 'Error leaving channel');
+    }
+  },
+
+  // ADMIN - Create a channel
+  createChannel: async (req, res) => {
+    try {
+      const update = buildChannelUpdate({ access: 'open', ...req.body });
+      if (!update.name) {
+        throw new ChannelError('Channel name is required', 'INVALID_CHANNEL_NAME');
+      }
+
+      const slug = slugify(req.body.slug || update.name);
+      if (!slug) {
+        throw new ChannelError('Channel name must contain letters or numbers', 'INVALID_CHANNEL_NAME');
+      }
+      if (await CommunityChannel.exists({ slug })) {
+        throw new ChannelError('A channel with this name already exists', 'CHANNEL_EXISTS', 409);
+      }
+
+      const channel = await CommunityChannel.create({
+        ...update,
+        slug,
+        createdBy: req.user._id
+      });
+
+      console.log(`✅ Channel created: ${channel.name} (${channel.access})`);
+      res.status(201).json({ success: true, message: 'Channel created successfully', channel: formatChannel(channel) });
+    } catch (error) {
+      sendError(res, error, 'Error creating channel');
+    }
+  },
+
+  // ADMIN - Update name, description, access rules or invite list
+  updateChannel: async (req, res) => {
+    try {
+      const channel = await getChannel(req.params.channelId);
+      const update = buildChannelUpdate(req.body);
+
+      if (channel.isDefault && update.access && update.access !== 'open') {
+        throw new ChannelError('The General channel must stay open', 'DEFAULT_CHANNEL_LOCKED');
+      }
+
+      Object.assign(channel, update);
+      await channel.save();
+
+      console.log(`✅ Channel updated: ${channel.name}`);
+      res.json({ success: true, message: 'Channel updated successfully', channel: formatChannel(channel) });
+    } catch (error) {
+      sendError(res, error, 'Error updating channel');
+    }
+  },
+
+  // ADMIN - Archive a channel. History is kept; nobody but admins can open it.
+  archiveChannel: async (req, res) => {
+    try {
+      const channel = await getChannel(req.params.channelId);
+      if (channel.isDefault) {
+        throw new ChannelError('The General channel cannot be archived', 'DEFAULT_CHANNEL_LOCKED');
+      }
+
+      channel.isArchived = true;
+      await channel.save();
+      await ChannelMembership.deleteMany({ channelId: channel._id });
+      closeChannel(channel);
+
+      console.log(`🗄️ Channel archived: ${channel.name}`);
+      res.json({ success: true, message: 'Channel archived successfully' });
+    } catch (error) {
+      sendError(res, error, 'Error archiving channel');
+    }
+  },
+
+  // ADMIN - Invite users to a channel
+  inviteUsers: async (req, res) => {
+    try {
+      const channel = await getChannel(req.params.channelId);
+      const userIds = toObjectIds(req.body.userIds);
+      if (userIds.length === 0) {
+        throw new ChannelError('At least one valid user ID is required', 'INVALID_USER_IDS');
+      }
+
+      await CommunityChannel.updateOne({ _id: channel._id }, { $addToSet: { invitedUsers: { $each: userIds } } });
+
+      console.log(`✉️ Invited ${userIds.length} users to channel ${channel.name}`);
+      res.json({ success: true, message: `Invited ${userIds.length} users`, invitedCount: userIds.length });
+    } catch (error) {
+      sendError(res, error, 'Error inviting users');
+    }
+  },
+
+  // ADMIN - Remove a user's invitation and membership
+  removeMember: async (req, res) => {
+    try {
+      const channel = await getChannel(req.params.channelId);
+      const { userId } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        throw new ChannelError('Invalid user ID', 'INVALID_USER_IDS');
+      }
+
+      await CommunityChannel.updateOne({ _id: channel._id }, { $pull: { invitedUsers: userId } });
+      await leaveChannel(channel._id, userId);
+      removeUserFromChannel(userId, channel, 'removed');
+
+      console.log(`🚪 Removed user ${userId} from channel ${channel.name}`);
+      res.json({ success: true, message: 'User removed from channel' });
+    } catch (error) {
+      sendError(res, error, 'Error removing user from channel');
+    }
+  }
+};
+
+module.exports = channelController;
@@ -1,54 +1,81 @@
 // travel-tour-backend/controllers/communityController.js
 const CommunityMessage = require('../models/CommunityMessage');
+const { saveMessage, getMessagePage } = require('../services/communityMessageService');
+const { resolveMessageTarget } = require('../services/channelService');
+const { assertCanPost, assertCanRead } = require('../services/moderationService');
+const { listPresence } = require('../services/presenceService');
+const { listActiveCalls } = require('../services/callRegistry');
+const { broadcastMessage } = require('../socket');
+const { sendError } = require('../services/apiError');
 
 const communityController = {
-  // Get message history for community
+  // Get message history for community - same pages the socket sends
+  // Query: channelId or callId, before (message id), after (message id), limit
   getMessageHistory: async (req, res) => {
     try {
-      const messages = await CommunityMessage.find()
-        .sort({ timestamp: -1 })
-        .limit(100)
-        .exec();
+      const { channelId, callId, before, after, limit } = req.query;
+      const target = await resolveMessageTarget({ channelId, callId }, req.user);
+      await assertCanRead(req.user._id, target.channel?._id);
+      const page = await getMessagePage({ ...target, before, after, limit });
       
       res.json({
         success: true,
-        messages: messages.reverse(), // Return in chronological order
-        total: messages.length
+        messages: page.messages, // Chronological order
+        total: page.messages.length,
+        hasMore: page.hasMore,
+        cursors: page.cursors
       });
     } catch (error) {
-      console.error('Error fetching message history:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error fetching message history'
-      });
+      sendError(res, error, 'Error fetching message history');
     }
   },
 
-  // Save a community message
+  // Save a community message - sender details come from the authenticated user
   saveMessage: async (req, res) => {
     try {
-      const { sender, senderId, text, isAdmin } = req.body;
-      
-      const message = new CommunityMessage({
-        sender,
-        senderId,
-        text,
-        isAdmin,
-        timestamp: new Date()
-      });
+      const { text, callId, channelId } = req.body;
+
+      if (!text || !text.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Message text is required'
+        });
+      }
       
-      await message.save();
+      const target = await resolveMessageTarget({ channelId, callId }, req.user, { forWrite: true });
+      await assertCanPost(req.user._id, target.channel?._id);
+      const message = await saveMessage({
+        userId: req.user._id.toString(),
+        userName: req.user.username || req.user.email.split('@')[0],
+        role: req.user.role
+      }, { text, callId: target.callId, channelId: target.channel?._id });
+
+      // Deliver to connected chat clients as well
+      broadcastMessage(message);
       
       res.json({
         success: true,
         message: 'Message saved successfully',
-        messageId: message._id
+        messageId: message.id,
+        data: message
       });
     } catch (error) {
-      console.error('Error saving message:', error);
+      sendError(res, error, 'Error saving message');
+    }
+  },
+
+  // Users currently online or away in community chat
+  getPresence: async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        users: await listPresence()
+      });
+    } catch (error) {
+      console.error('Error loading presence:', error);
       res.status(500).json({
         success: false,
-        message: 'Error saving message'
+        message: 'Error loading presence'
       });
     }
   },
@@ -56,12 +83,14 @@ const communityController = {
   // Get active call information
   getActiveCall: async (req, res) => {
     try {
-      // This would typically check a database for active calls
-      // For now, we'll return a simple response
+      // Admin-started calls from the shared registry (the default room is not a call)
+      const calls = (await listActiveCalls()).filter(call => call.adminId);
+      const activeCall = calls.sort((a, b) => new Date(b.startTime) - new Date(a.startTime))[0] || null;
+
       res.json({
         success: true,
-        activeCall: null, // Would be call object if active
-        message: 'No active calls'
+        activeCall,
+        message: activeCall ? `${activeCall.adminName} has an active community call` : 'No active calls'
       });
     } catch (error) {
       console.error('Error checking active call:', error);
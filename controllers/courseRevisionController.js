@@ -0,0 +1,52 @@
+// travel-tour-backend/controllers/courseRevisionController.js
+const courseRevisions = require('../services/courseRevisionService');
+const { sendError } = require('../services/apiError');
+
+const courseRevisionController = {
+  // Newest first; filters: page, limit
+  listRevisions: async (req, res) => {
+    try {
+      const result = await courseRevisions.listRevisions(req.params.contentType, req.params.courseId, req.query);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendError(res, error, 'Error fetching revisions');
+    }
+  },
+
+  // ?from=&to=&format=lines|text|html
+  diffRevisions: async (req, res) => {
+    try {
+      const diff = await courseRevisions.diffRevisions(req.params.contentType, req.params.courseId, req.query);
+      res.json({ success: true, ...diff });
+    } catch (error) {
+      sendError(res, error, 'Error comparing revisions');
+    }
+  },
+
+  getRevision: async (req, res) => {
+    try {
+      const revision = await courseRevisions.getRevision(req.params.contentType, req.params.courseId, req.params.revision);
+      res.json({ success: true, revision });
+    } catch (error) {
+      sendError(res, error, 'Error fetching revision');
+    }
+  },
+
+  // { changeNote } - optional, defaults to "Restored revision N"
+  restoreRevision: async (req, res) => {
+    try {
+      const { course, revision } = await courseRevisions.restoreRevision(
+        req.user,
+        req.params.contentType,
+        req.params.courseId,
+        req.params.revision,
+        req.body
+      );
+      res.json({ success: true, message: `Restored revision ${req.params.revision}`, course, revision });
+    } catch (error) {
+      sendError(res, error, 'Error restoring revision');
+    }
+  }
+};
+
+module.exports = courseRevisionController;
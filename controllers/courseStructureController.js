@@ -0,0 +1,150 @@
+// travel-tour-backend/controllers/courseStructureController.js
+const courseStructure = require('../services/courseStructureService');
+const { sendError } = require('../services/apiError');
+
+const isTrue = (value) => value === 'true' || value === true;
+
+const courseStructureController = {
+  // Modules and lessons, drafts included
+  getStructure: async (req, res) => {
+    try {
+      const structure = await courseStructure.getStructure(req.params.courseId);
+      res.json({ success: true, ...structure });
+    } catch (error) {
+      sendError(res, error, 'Error fetching course structure');
+    }
+  },
+
+  // Published lessons only, for students
+  getPublishedStructure: async (req, res) => {
+    try {
+      const structure = await courseStructure.getPublishedStructure(req.params.id);
+      res.json({ success: true, ...structure });
+    } catch (error) {
+      sendError(res, error, 'Error fetching course lessons');
+    }
+  },
+
+  // ---- MODULES ----
+
+  // { title, description, position }
+  createModule: async (req, res) => {
+    try {
+      const module = await courseStructure.addModule(req.user, req.params.courseId, req.body);
+      console.log(`📦 Module "${module.title}" added to course ${req.params.courseId}`);
+      res.status(201).json({ success: true, module });
+    } catch (error) {
+      sendError(res, error, 'Error creating module');
+    }
+  },
+
+  updateModule: async (req, res) => {
+    try {
+      const module = await courseStructure.updateModule(req.user, req.params.courseId, req.params.moduleId, req.body);
+      res.json({ success: true, module });
+    } catch (error) {
+      sendError(res, error, 'Error updating module');
+    }
+  },
+
+  deleteModule: async (req, res) => {
+    try {
+      await courseStructure.deleteModule(req.user, req.params.courseId, req.params.moduleId);
+      res.json({ success: true, message: 'Module deleted' });
+    } catch (error) {
+      sendError(res, error, 'Error deleting module');
+    }
+  },
+
+  // { moduleIds: [...] } in the new order
+  reorderModules: async (req, res) => {
+    try {
+      const modules = await courseStructure.reorderModules(req.user, req.params.courseId, req.body.moduleIds);
+      res.json({ success: true, modules });
+    } catch (error) {
+      sendError(res, error, 'Error reordering modules');
+    }
+  },
+
+  // ---- LESSONS ----
+
+  // { title, blocks, position } - lessons start as drafts
+  createLesson: async (req, res) => {
+    try {
+      const lesson = await courseStructure.addLesson(req.user, req.params.courseId, req.params.moduleId, req.body);
+      console.log(`📝 Lesson "${lesson.title}" added to module ${req.params.moduleId}`);
+      res.status(201).json({ success: true, lesson });
+    } catch (error) {
+      sendError(res, error, 'Error creating lesson');
+    }
+  },
+
+  // { title, blocks, moduleId }
+  updateLesson: async (req, res) => {
+    try {
+      const { moduleId, lesson } = await courseStructure.updateLesson(req.user, req.params.courseId, req.params.lessonId, req.body);
+      res.json({ success: true, moduleId, lesson });
+    } catch (error) {
+      sendError(res, error, 'Error updating lesson');
+    }
+  },
+
+  deleteLesson: async (req, res) => {
+    try {
+      await courseStructure.deleteLesson(req.user, req.params.courseId, req.params.lessonId);
+      res.json({ success: true, message: 'Lesson deleted' });
+    } catch (error) {
+      sendError(res, error, 'Error deleting lesson');
+    }
+  },
+
+  // { lessonIds: [...] } in the new order
+  reorderLessons: async (req, res) => {
+    try {
+      const lessons = await courseStructure.reorderLessons(req.user, req.params.courseId, req.params.moduleId, req.body.lessonIds);
+      res.json({ success: true, lessons });
+    } catch (error) {
+      sendError(res, error, 'Error reordering lessons');
+    }
+  },
+
+  publishLesson: async (req, res) => {
+    try {
+      const lesson = await courseStructure.setLessonPublished(req.user, req.params.courseId, req.params.lessonId, true);
+      console.log(`✅ Lesson "${lesson.title}" published`);
+      res.json({ success: true, message: 'Lesson published', lesson });
+    } catch (error) {
+      sendError(res, error, 'Error publishing lesson');
+    }
+  },
+
+  unpublishLesson: async (req, res) => {
+    try {
+      const lesson = await courseStructure.setLessonPublished(req.user, req.params.courseId, req.params.lessonId, false);
+      res.json({ success: true, message: 'Lesson moved back to draft', lesson });
+    } catch (error) {
+      sendError(res, error, 'Error unpublishing lesson');
+    }
+  },
+
+  // Multipart: file (.docx), commit, replace
+  importDocx: async (req, res) => {
+    try {
+      const report = await courseStructure.importDocx(req.user, req.params.courseId, req.file, {
+        commit: isTrue(req.body.commit),
+        replace: isTrue(req.body.replace)
+      });
+      res.status(report.committed ? 201 : 200).json({
+        success: true,
+        message: report.committed
+          ? `Imported ${report.moduleCount} modules and ${report.lessonCount} lessons as drafts`
+          : `Dry run: found ${report.moduleCount} modules and ${report.lessonCount} lessons`,
+        report
+      });
+    } catch (error) {
+      sendError(res, error, 'Error importing course document');
+    }
+  }
+};
+
+module.exports = courseStructureController;
@@ -0,0 +1,120 @@
+// travel-tour-backend/controllers/moderationController.js
+const moderation = require('../services/moderationService');
+const { getAccessibleChannel } = require('../services/channelService');
+const { emitToMessageRooms, notifyAdmins, applyRestriction, emitToUser } = require('../socket');
+const { sendError } = require('../services/apiError');
+
+const moderationController = {
+  // Author edits their own message within the edit window
+  editMessage: async (req, res) => {
+    try {
+      const message = await moderation.editMessage(req.params.messageId, req.user, req.body.text);
+      emitToMessageRooms(message, 'message_updated', message);
+      res.json({ success: true, message: 'Message updated', data: message });
+    } catch (error) {
+      sendError(res, error, 'Error editing message');
+    }
+  },
+
+  // Author deletes their own message, or an admin deletes any message
+  deleteMessage: async (req, res) => {
+    try {
+      const message = await moderation.deleteMessage(req.params.messageId, req.user);
+      emitToMessageRooms(message, 'message_deleted', { messageId: message.id, channelId: message.channelId, callId: message.callId });
+      res.json({ success: true, message: 'Message deleted' });
+    } catch (error) {
+      sendError(res, error, 'Error deleting message');
+    }
+  },
+
+  // ADMIN - Pin or unpin a message in its channel
+  pinMessage: async (req, res) => {
+    try {
+      const pinned = req.method !== 'DELETE';
+      const message = await moderation.setPinned(req.params.messageId, req.user, pinned);
+      emitToMessageRooms(message, pinned ? 'message_pinned' : 'message_unpinned', message);
+      res.json({ success: true, message: pinned ? 'Message pinned' : 'Message unpinned', data: message });
+    } catch (error) {
+      sendError(res, error, 'Error pinning message');
+    }
+  },
+
+  getPinnedMessages: async (req, res) => {
+    try {
+      const channel = await getAccessibleChannel(req.params.channelId, req.user);
+      await moderation.assertCanRead(req.user._id, channel._id);
+      const messages = await moderation.getPinnedMessages(channel);
+      res.json({ success: true, messages });
+    } catch (error) {
+      sendError(res, error, 'Error fetching pinned messages');
+    }
+  },
+
+  // Report a message to the admin moderation queue
+  reportMessage: async (req, res) => {
+    try {
+      const report = await moderation.reportMessage(req.params.messageId, req.user, req.body.reason);
+      notifyAdmins('message_reported', report);
+      res.status(201).json({ success: true, message: 'Thanks - an admin will review this message.' });
+    } catch (error) {
+      sendError(res, error, 'Error reporting message');
+    }
+  },
+
+  // ADMIN - Reported messages awaiting review
+  getModerationQueue: async (req, res) => {
+    try {
+      const messages = await moderation.getModerationQueue();
+      res.json({ success: true, messages, total: messages.length });
+    } catch (error) {
+      sendError(res, error, 'Error fetching moderation queue');
+    }
+  },
+
+  // ADMIN - Dismiss reports, or delete the reported message: { action: 'dismiss' | 'delete' }
+  resolveReports: async (req, res) => {
+    try {
+      const message = await moderation.resolveReports(req.params.messageId, req.user, req.body.action);
+      if (message.isDeleted) {
+        emitToMessageRooms(message, 'message_deleted', { messageId: message.id, channelId: message.channelId, callId: message.callId });
+      }
+      res.json({ success: true, message: 'Reports resolved', data: message });
+    } catch (error) {
+      sendError(res, error, 'Error resolving reports');
+    }
+  },
+
+  // ADMIN - Mute or ban a user: { userId, type, durationMinutes, channelId, reason }
+  restrictUser: async (req, res) => {
+    try {
+      const restriction = await moderation.restrictUser(req.user, req.body);
+      await applyRestriction(restriction);
+      res.status(201).json({ success: true, message: `User ${restriction.type === 'ban' ? 'banned' : 'muted'}`, restriction });
+    } catch (error) {
+      sendError(res, error, 'Error restricting user');
+    }
+  },
+
+  // ADMIN - Active mutes and bans
+  listRestrictions: async (req, res) => {
+    try {
+      const restrictions = await moderation.listActiveRestrictions();
+      res.json({ success: true, restrictions });
+    } catch (error) {
+      sendError(res, error, 'Error fetching restrictions');
+    }
+  },
+
+  // ADMIN - Lift a mute or ban early
+  liftRestriction: async (req, res) => {
+    try {
+      const restriction = await moderation.liftRestriction(req.params.restrictionId, req.user);
+      emitToUser(restriction.userId, 'chat_restriction_lifted', restriction);
+      res.json({ success: true, message: 'Restriction lifted', restriction });
+    } catch (error) {
+      sendError(res, error, 'Error lifting restriction');
+    }
+  }
+};
+
+module.exports = moderationController;
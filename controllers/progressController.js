@@ -0,0 +1,61 @@
+// travel-tour-backend/controllers/progressController.js
+const progressService = require('../services/progressService');
+const { sendError } = require('../services/apiError');
+
+const progressController = {
+  // Courses the signed-in student has started: ?status=in_progress|completed
+  listMyProgress: async (req, res) => {
+    try {
+      const progress = await progressService.listMyProgress(req.user, req.query);
+      res.json({ success: true, progress, total: progress.length });
+    } catch (error) {
+      sendError(res, error, 'Error fetching course progress');
+    }
+  },
+
+  // Progress on one course and where to resume
+  getProgress: async (req, res) => {
+    try {
+      const progress = await progressService.getProgress(req.user, req.params.courseId);
+      res.json({ success: true, progress });
+    } catch (error) {
+      sendError(res, error, 'Error fetching course progress');
+    }
+  },
+
+  // { lessonId, blockIndex, scrollPercent, timeSpent } (timeSpent: seconds since the last update)
+  updatePosition: async (req, res) => {
+    try {
+      const progress = await progressService.updatePosition(req.user, req.params.courseId, req.body);
+      res.json({ success: true, progress });
+    } catch (error) {
+      sendError(res, error, 'Error saving course position');
+    }
+  },
+
+  // { timeSpent }
+  completeLesson: async (req, res) => {
+    try {
+      const progress = await progressService.completeLesson(req.user, req.params.courseId, req.params.lessonId, req.body);
+      res.json({
+        success: true,
+        message: progress.status === 'completed' ? 'Course completed' : 'Lesson completed',
+        progress
+      });
+    } catch (error) {
+      sendError(res, error, 'Error completing lesson');
+    }
+  },
+
+  // Every student on a course: ?status=in_progress|completed
+  listCourseProgress: async (req, res) => {
+    try {
+      const result = await progressService.listCourseProgress(req.params.courseId, req.query);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendError(res, error, 'Error fetching course progress');
+    }
+  }
+};
+
+module.exports = progressController;
@@ -0,0 +1,37 @@
+// travel-tour-backend/controllers/publishingController.js
+const publishing = require('../services/publishingService');
+const { sendError } = require('../services/apiError');
+
+const publishingController = {
+  // Filters: status (e.g. in_review,scheduled), page, limit
+  listItems: async (req, res) => {
+    try {
+      const result = await publishing.listItems(req.params.contentType, req.query);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendError(res, error, 'Error fetching content');
+    }
+  },
+
+  // The item as students will see it, whatever its status
+  getPreview: async (req, res) => {
+    try {
+      const preview = await publishing.getPreview(req.params.contentType, req.params.id);
+      res.json({ success: true, preview: true, ...preview });
+    } catch (error) {
+      sendError(res, error, 'Error loading preview');
+    }
+  },
+
+  // { status: draft|in_review|scheduled|published|archived, publishAt }
+  setStatus: async (req, res) => {
+    try {
+      const item = await publishing.setStatus(req.user, req.params.contentType, req.params.id, req.body);
+      res.json({ success: true, message: `Status set to ${item.status}`, item });
+    } catch (error) {
+      sendError(res, error, 'Error changing status');
+    }
+  }
+};
+
+module.exports = publishingController;
@@ -0,0 +1,237 @@
+// travel-tour-backend/controllers/questionBankController.js
+const questionBank = require('../services/questionBankService');
+const questionImport = require('../services/questionImportService');
+const retake = require('../services/retakeService');
+const itemAnalytics = require('../services/itemAnalyticsService');
+const { sendError } = require('../services/apiError');
+
+const questionBankController = {
+  // ---- QUESTIONS ----
+
+  // Filters: destinationId, courseRef, difficulty, topic, search, includeArchived, page, limit
+  listQuestions: async (req, res) => {
+    try {
+      const result = await questionBank.listQuestions({
+        ...req.query,
+        includeArchived: req.query.includeArchived === 'true'
+      });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendError(res, error, 'Error fetching questions');
+    }
+  },
+
+  getQuestion: async (req, res) => {
+    try {
+      const question = await questionBank.getQuestion(req.params.questionId);
+      res.json({ success: true, question });
+    } catch (error) {
+      sendError(res, error, 'Error fetching question');
+    }
+  },
+
+  createQuestion: async (req, res) => {
+    try {
+      const question = await questionBank.createQuestion(req.user, req.body);
+      console.log(`📝 Question ${question._id} created by ${req.user.username || req.user.email}`);
+      res.status(201).json({ success: true, message: 'Question created', question });
+    } catch (error) {
+      sendError(res, error, 'Error creating question');
+    }
+  },
+
+  // Body: changed fields, optional expectedVersion and changeNote
+  updateQuestion: async (req, res) => {
+    try {
+      const question = await questionBank.updateQuestion(req.user, req.params.questionId, req.body);
+      res.json({ success: true, message: `Question saved (version ${question.version})`, question });
+    } catch (error) {
+      sendError(res, error, 'Error updating question');
+    }
+  },
+
+  // Archived questions are no longer served but stay readable for past results
+  archiveQuestion: async (req, res) => {
+    try {
+      const question = await questionBank.setQuestionArchived(req.user, req.params.questionId, true);
+      res.json({ success: true, message: 'Question archived', question });
+    } catch (error) {
+      sendError(res, error, 'Error archiving question');
+    }
+  },
+
+  restoreQuestion: async (req, res) => {
+    try {
+      const question = await questionBank.setQuestionArchived(req.user, req.params.questionId, false);
+      res.json({ success: true, message: 'Question restored', question });
+    } catch (error) {
+      sendError(res, error, 'Error restoring question');
+    }
+  },
+
+  getQuestionHistory: async (req, res) => {
+    try {
+      const { question, versions } = await questionBank.getQuestionHistory(req.params.questionId);
+      res.json({ success: true, questionId: question._id, currentVersion: question.version, versions });
+    } catch (error) {
+      sendError(res, error, 'Error fetching question history');
+    }
+  },
+
+  // ---- QUESTION SETS ----
+
+  listQuestionSets: async (req, res) => {
+    try {
+      const questionSets = await questionBank.listQuestionSets({
+        courseType: req.query.courseType,
+        includeArchived: req.query.includeArchived === 'true'
+      });
+      res.json({ success: true, questionSets, total: questionSets.length });
+    } catch (error) {
+      sendError(res, error, 'Error fetching question sets');
+    }
+  },
+
+  // Set with its questions and answer keys
+  getQuestionSet: async (req, res) => {
+    try {
+      const questionSet = await questionBank.getQuestionSet(req.params.questionSetId);
+      const questions = await questionBank.getSetQuestions(questionSet);
+      res.json({ success: true, questionSet, questions });
+    } catch (error) {
+      sendError(res, error, 'Error fetching question set');
+    }
+  },
+
+  // Body: { title, description, courseType, courseId, settings, questions: [...], questionIds: [...] }
+  createQuestionSet: async (req, res) => {
+    try {
+      const questionSet = await questionBank.createQuestionSet(req.user, req.body);
+      res.status(201).json({ success: true, message: 'Question set created', questionSet });
+    } catch (error) {
+      sendError(res, error, 'Error creating question set');
+    }
+  },
+
+  updateQuestionSet: async (req, res) => {
+    try {
+      const questionSet = await questionBank.updateQuestionSet(req.user, req.params.questionSetId, req.body);
+      res.json({ success: true, message: 'Question set updated', questionSet });
+    } catch (error) {
+      sendError(res, error, 'Error updating question set');
+    }
+  },
+
+  archiveQuestionSet: async (req, res) => {
+    try {
+      const questionSet = await questionBank.setQuestionSetArchived(req.user, req.params.questionSetId, true);
+      res.json({ success: true, message: 'Question set archived', questionSet });
+    } catch (error) {
+      sendError(res, error, 'Error archiving question set');
+    }
+  },
+
+  // Per-question difficulty, discrimination, distractors and time. Query: from, to
+  getQuestionSetAnalytics: async (req, res) => {
+    try {
+      const { from, to } = req.query;
+      const analytics = await itemAnalytics.analyzeQuestionSet(req.params.questionSetId, { from, to });
+      console.log(`📈 Item analysis for ${analytics.title}: ${analytics.resultsAnalysed} results, ${analytics.questionsFlagged} questions flagged`);
+      res.json({ success: true, analytics });
+    } catch (error) {
+      sendError(res, error, 'Error analysing question set');
+    }
+  },
+
+  // ---- RETAKE GRANTS ----
+
+  // Body: { userId, attempts = 1, reason }
+  grantAttempts: async (req, res) => {
+    try {
+      const { grant, status } = await retake.grantAttempts(req.user, req.params.questionSetId, req.body);
+      console.log(`🎟️ ${req.user.username} granted ${grant.attempts} extra attempt(s) on ${grant.questionSetId} to ${grant.userId}`);
+      res.status(201).json({
+        success: true,
+        message: `Granted ${grant.attempts} extra attempt${grant.attempts === 1 ? '' : 's'}`,
+        grant,
+        retake: status
+      });
+    } catch (error) {
+      sendError(res, error, 'Error granting extra attempts');
+    }
+  },
+
+  // Query: userId
+  listAttemptGrants: async (req, res) => {
+    try {
+      const grants = await retake.listGrants(req.params.questionSetId, req.query);
+      res.json({ success: true, grants, total: grants.length });
+    } catch (error) {
+      sendError(res, error, 'Error fetching attempt grants');
+    }
+  },
+
+  // ---- FILE IMPORT / EXPORT ----
+
+  // Multipart: file (.csv/.xlsx/.docx), commit, skipInvalid, destinationId, courseRef,
+  // difficulty, and questionSetId (append) or title/description/courseType/courseId (new set).
+  // Without commit=true this is a dry run that only returns the report.
+  importQuestions: async (req, res) => {
+    try {
+      const { commit, skipInvalid, format, destinationId, courseRef, difficulty,
+        questionSetId, title, description, courseType, courseId } = req.body;
+      const report = await questionImport.importQuestions(req.user, req.file, {
+        commit: commit === 'true' || commit === true,
+        skipInvalid: skipInvalid === 'true' || skipInvalid === true,
+        format,
+        defaults: { destinationId, courseRef, difficulty },
+        questionSetId,
+        questionSet: title ? { title, description, courseType, courseId } : null
+      });
+      res.status(report.committed ? 201 : 200).json({
+        success: true,
+        message: report.committed
+          ? `Imported ${report.questionsCreated} questions`
+          : `Dry run: ${report.validRows} of ${report.totalRows} rows are valid`,
+        report
+      });
+    } catch (error) {
+      sendError(res, error, 'Error importing questions');
+    }
+  },
+
+  // Query: format=csv|xlsx|docx
+  exportQuestionSet: async (req, res) => {
+    try {
+      const file = await questionImport.exportQuestionSet(req.params.questionSetId, req.query.format || 'csv');
+      res.setHeader('Content-Type', file.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+      res.send(file.buffer);
+    } catch (error) {
+      sendError(res, error, 'Error exporting question set');
+    }
+  },
+
+  getImportTemplate: async (req, res) => {
+    try {
+      const file = await questionImport.exportTemplate(req.query.format || 'csv');
+      res.setHeader('Content-Type', file.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+      res.send(file.buffer);
+    } catch (error) {
+      sendError(res, error, 'Error creating import template');
+    }
+  },
+
+  // Copy anything still only in the legacy collections into the bank
+  importLegacyQuestions: async (req, res) => {
+    try {
+      const report = await questionBank.importLegacyQuestions();
+      res.json({ success: true, message: 'Legacy questions imported', ...report });
+    } catch (error) {
+      sendError(res, error, 'Error importing legacy questions');
+    }
+  }
+};
+
+module.exports = questionBankController;
@@ -0,0 +1,128 @@
+// travel-tour-backend/controllers/quizController.js
+const {
+  formatAttemptState,
+  startAttempt,
+  saveAnswers,
+  submitAttempt,
+  getAttempt,
+  getRetakeStatus,
+  submitLegacyQuiz
+} = require('../services/quizService');
+const assessmentResults = require('../services/assessmentResultService');
+const { sendError } = require('../services/apiError');
+
+const quizController = {
+  // Start (or resume) an attempt: { quizType, courseId | destinationId | questionSetId }
+  startAttempt: async (req, res) => {
+    try {
+      const { attempt, questions, resumed, retake } = await startAttempt(req.user, req.body);
+      console.log(`📝 ${attempt.userName} ${resumed ? 'resumed' : 'started'} ${attempt.quizType} quiz attempt ${attempt._id}`);
+
+      res.status(resumed ? 200 : 201).json({
+        success: true,
+        resumed,
+        ...formatAttemptState(attempt),
+        questions,
+        totalQuestions: questions.length,
+        retake
+      });
+    } catch (error) {
+      sendError(res, error, 'Error starting quiz attempt');
+    }
+  },
+
+  // Autosave selections: { answers: [{ questionId, selectedAnswer, timeSpent }] } (timeSpent: seconds so far)
+  saveAnswers: async (req, res) => {
+    try {
+      const state = await saveAnswers(req.params.attemptId, req.user, req.body.answers);
+      res.json({ success: true, ...state });
+    } catch (error) {
+      sendError(res, error, 'Error saving quiz answers');
+    }
+  },
+
+  // Submit selected options: { answers: [{ questionId, selectedAnswer, timeSpent }] }
+  submitAttempt: async (req, res) => {
+    try {
+      const result = await submitAttempt(req.params.attemptId, req.user, req.body.answers);
+      res.json({
+        success: true,
+        message: result.lateSubmission
+          ? 'Time was up - your saved answers were submitted'
+          : 'Quiz submitted successfully',
+        ...result
+      });
+    } catch (error) {
+      sendError(res, error, 'Error submitting quiz attempt');
+    }
+  },
+
+  // Attempts used and remaining on a question set: ?questionSetId=
+  getRetakeStatus: async (req, res) => {
+    try {
+      const retake = await getRetakeStatus(req.user, req.query);
+      res.json({ success: true, retake });
+    } catch (error) {
+      sendError(res, error, 'Error fetching retake status');
+    }
+  },
+
+  // Questions of an attempt in progress, or the review once submitted
+  getAttempt: async (req, res) => {
+    try {
+      const attempt = await getAttempt(req.params.attemptId, req.user);
+      res.json({ success: true, ...attempt });
+    } catch (error) {
+      sendError(res, error, 'Error fetching quiz attempt');
+    }
+  },
+
+  // ---- OLDER CLIENTS ----
+
+  // POST /api/quiz/submit and /api/quiz/results:
+  // { answers: [{ questionId, selectedAnswer }], courseId | destinationId | destination, timeTaken }
+  submitLegacyDestinationQuiz: async (req, res) => {
+    try {
+      const { result, review } = await submitLegacyQuiz(req.user, { ...req.body, quizType: 'destination', questionSetId: null });
+      res.json({
+        success: true,
+        message: 'Quiz results saved successfully',
+        score: result.score,
+        maxScore: result.maxScore,
+        totalQuestions: result.totalQuestions,
+        percentage: result.percentage,
+        remark: result.remark,
+        timeTaken: result.timeTaken,
+        resultId: result._id,
+        answers: review,
+        collection: 'quiz_results'
+      });
+    } catch (error) {
+      sendError(res, error, 'Error submitting quiz');
+    }
+  },
+
+  // POST /api/course-results: { questionSetId, courseType, answers: [{ questionId, selectedAnswer }], timeTaken }
+  submitLegacyCourseQuiz: async (req, res) => {
+    try {
+      const { result, review, retake } = await submitLegacyQuiz(req.user, {
+        ...req.body,
+        quizType: req.body.courseType || 'general'
+      });
+      res.json({
+        success: true,
+        message: 'Course quiz results saved successfully',
+        resultId: result._id,
+        // Answer keys and explanations only as far as the set's settings allow
+        result: { ...assessmentResults.toCourseResultShape(result), answers: review },
+        review,
+        collection: 'course_results',
+        retake
+      });
+    } catch (error) {
+      sendError(res, error, 'Error saving course results');
+    }
+  }
+};
+
+module.exports = quizController;
@@ -0,0 +1,18 @@
+// travel-tour-backend/controllers/searchController.js
+const searchService = require('../services/searchService');
+const { sendError } = require('../services/apiError');
+
+const searchController = {
+  // ?q=&type=document-courses,destination-courses,videos,resources&continent=&courseType=&page=&limit=
+  search: async (req, res) => {
+    try {
+      const result = await searchService.search(req.user, req.query);
+      console.log(`🔍 Search "${result.query}" by ${req.user.username}: ${result.total} results`);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendError(res, error, 'Error searching');
+    }
+  }
+};
+
+module.exports = searchController;
@@ -102,9 +102,6 @@ const Resource = require('./models/Resource');
 const Meeting = mongoose.model('Meeting', MeetingSchema);
 
 
-// In-memory storage for active meetings (for quick access)
-let activeMeetings = [];
-
 // 🆕 FUNCTION TO GENERATE REAL MEETING IDS
 const generateMeetingId = () => {
   const timestamp = Date.now().toString(36);
@@ -257,19 +254,7 @@ router.get('/health', async (req, res) => {
   }
 });
 
-// 🆕 SYNC ACTIVE MEETINGS FROM DATABASE
-const syncActiveMeetings = async () => {
-  try {
-    const dbMeetings = await Meeting.find({ isActive: true });
-    activeMeetings = dbMeetings;
-    console.log(`✅ Synced ${activeMeetings.length} active meetings from database`);
-  } catch (error) {
-    console.error('❌ Error syncing active meetings:', error);
-  }
-};
-
-// Initialize active meetings on startup
-syncActiveMeetings();
+// Active meetings are always read from the database so every instance agrees
 
 // 🆕 CREATE GOOGLE MEET MEETING
 router.post('/create', async (req, res) => {
@@ -335,9 +320,6 @@ router.post('/create', async (req, res) => {
 
     await newMeeting.save();
     
-    // 🆕 UPDATE ACTIVE MEETINGS CACHE
-    await syncActiveMeetings();
-    
     console.log('✅ Google Meet meeting created successfully:', newMeeting.id);
     console.log('🔗 Google Meet Link:', meetResult.meetingLink);
     console.log('👤 Admin Name:', adminName);
@@ -1531,9 +1513,6 @@ router.post('/:meetingId/join', async (req, res) => {
 
     // 🆕 SAVE UPDATED MEETING TO DATABASE
     await meeting.save();
-    
-    // 🆕 UPDATE ACTIVE MEETINGS CACHE
-    await syncActiveMeetings();
 
     res.json({
       success: true,
@@ -1590,7 +1569,6 @@ router.post('/:meetingId/extend', async (req, res) => {
     
     // 🆕 SAVE TO DATABASE
     await meeting.save();
-    await syncActiveMeetings();
     
     console.log('✅ Meeting extended:', meetingId, 'Extensions:', meeting.extensions);
 
@@ -1640,7 +1618,6 @@ router.post('/:meetingId/end', async (req, res) => {
     
     // 🆕 SAVE TO DATABASE
     await meeting.save();
-    await syncActiveMeetings();
     
     console.log('✅ Meeting ended:', meetingId);
 
@@ -1709,9 +1686,6 @@ router.delete('/clear-all', async (req, res) => {
     // 🆕 ACTUALLY DELETE ALL RESOURCES
     const deleteResult = await Resource.deleteMany({});
     
-    // Clear active meetings cache
-    activeMeetings = [];
-    
     const meetingCount = await Meeting.countDocuments();
     const resourceCount = await Resource.countDocuments();
     
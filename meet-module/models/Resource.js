@@ -151,5 +151,6 @@ resourceSchema.index({ resourceId: 1 });
 resourceSchema.index({ sharedBy: 1 });
 resourceSchema.index({ sharedAt: -1 });
 resourceSchema.index({ isActive: 1 }); // 🆕 ADDED FOR BETTER QUERIES
+resourceSchema.index({ title: 'text' }, { name: 'search_text' }); // Title search from the main app (/api/search)
 
 module.exports = mongoose.model('Resource', resourceSchema);
\ No newline at end of file
@@ -0,0 +1,34 @@
+// server/migrateAssessmentResults.js
+// Copies quiz_results and course_results into assessment_results.
+// Safe to run more than once: results already copied are skipped.
+const mongoose = require('mongoose');
+const { migrateLegacyResults } = require('./services/assessmentResultService');
+require('dotenv').config();
+
+async function migrateAssessmentResults() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/travel_tour_training');
+    console.log('✅ Connected to MongoDB');
+
+    const report = await migrateLegacyResults();
+
+    ['quiz_results', 'course_results'].forEach(collectionName => {
+      const counts = report[collectionName];
+      console.log(`📊 ${collectionName}: ${counts.migrated} migrated, ${counts.alreadyMigrated} already migrated, ${counts.failed.length} failed`);
+      counts.failed.forEach(failure => {
+        console.log(`- ${failure.id}: ${failure.message}`);
+      });
+    });
+    console.log(`🔗 Attempts relinked to assessment results: ${report.attemptsRelinked}`);
+
+    console.log('\n🎉 Results migration completed!');
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating results:', error);
+    process.exit(1);
+  }
+}
+
+migrateAssessmentResults();
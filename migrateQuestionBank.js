@@ -0,0 +1,30 @@
+// server/migrateQuestionBank.js
+// Copies quiz_questions and the *_course_questions sets into the question bank.
+// Safe to run more than once: anything already imported is skipped.
+const mongoose = require('mongoose');
+const { importLegacyQuestions } = require('./services/questionBankService');
+require('dotenv').config();
+
+async function migrateQuestionBank() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/travel_tour_training');
+    console.log('✅ Connected to MongoDB');
+
+    const report = await importLegacyQuestions();
+
+    console.log(`📊 ${report.questionsCreated} questions, ${report.setsCreated} sets created, ${report.skipped.length} skipped`);
+    report.skipped.forEach(skipped => {
+      console.log(`- ${skipped.collection} ${skipped.id}: ${skipped.error}`);
+    });
+
+    console.log('\n🎉 Question bank migration completed!');
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating questions:', error);
+    process.exit(1);
+  }
+}
+
+migrateQuestionBank();
@@ -0,0 +1,213 @@
+// travel-tour-backend/models/AssessmentResult.js
+const mongoose = require('mongoose');
+
+// One graded row. Positions (response, correctAnswer) refer to the options in the order
+// the student saw them; responseText/correctAnswerText are the readable versions.
+const answerSchema = new mongoose.Schema({
+  questionId: {
+    type: String,
+    required: true
+  },
+  // Question bank version the student saw (absent on results from before the bank)
+  questionVersion: {
+    type: Number,
+    default: undefined
+  },
+  questionType: {
+    type: String,
+    default: 'single_choice'
+  },
+  // Bank option index shown at each position when options were shuffled
+  optionOrder: {
+    type: [Number],
+    default: undefined
+  },
+  // Bank match index shown at each position (matching questions)
+  matchOrder: {
+    type: [Number],
+    default: undefined
+  },
+  questionText: {
+    type: String,
+    default: ''
+  },
+  options: {
+    type: [String],
+    default: []
+  },
+  matches: {
+    type: [String],
+    default: undefined
+  },
+  // The student's response in the shape of its question type (see services/questionTypes.js)
+  response: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  responseText: {
+    type: String,
+    default: ''
+  },
+  correctAnswer: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  correctAnswerText: {
+    type: String,
+    default: ''
+  },
+  isCorrect: {
+    type: Boolean,
+    required: true
+  },
+  // Share of the question's points earned, 0 to 1
+  credit: {
+    type: Number,
+    default: undefined
+  },
+  points: {
+    type: Number,
+    default: undefined
+  },
+  // What the question was worth under the quiz's scoring scheme
+  maxPoints: {
+    type: Number,
+    default: undefined
+  },
+  explanation: {
+    type: String,
+    default: ''
+  },
+  // Seconds spent on the question, when the client reported it
+  timeSpent: {
+    type: Number,
+    default: undefined
+  }
+}, { _id: false });
+
+// Every graded quiz, whatever wrote it: destination quizzes, general/masterclass course
+// quizzes, server-graded attempts and the older client-side submission routes.
+// Replaces quiz_results and course_results (see services/assessmentResultService.js).
+const assessmentResultSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Identifier sent by older clients when it was not a user id ('anonymous', a name, ...)
+  externalUserId: {
+    type: String,
+    default: null
+  },
+  userName: {
+    type: String,
+    required: true
+  },
+  assessmentType: {
+    type: String,
+    enum: ['destination', 'general', 'masterclass'],
+    required: true
+  },
+  // attempt -> graded on the server from a QuizAttempt, submission -> posted by the client
+  source: {
+    type: String,
+    enum: ['attempt', 'submission'],
+    default: 'submission'
+  },
+  attemptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuizAttempt',
+    default: null
+  },
+  courseId: {
+    type: String,
+    default: null
+  },
+  courseName: {
+    type: String,
+    default: ''
+  },
+  destinationId: {
+    type: String,
+    default: null
+  },
+  questionSetId: {
+    type: String,
+    default: null
+  },
+  questionSetTitle: {
+    type: String,
+    default: ''
+  },
+  score: {
+    type: Number,
+    required: true
+  },
+  maxScore: {
+    type: Number,
+    required: true
+  },
+  totalQuestions: {
+    type: Number,
+    required: true
+  },
+  percentage: {
+    type: Number,
+    required: true
+  },
+  // Seconds
+  timeTaken: {
+    type: Number,
+    default: 0
+  },
+  remark: {
+    type: String,
+    default: ''
+  },
+  // Pass mark of the quiz's scoring scheme; null when the quiz has none
+  passPercentage: {
+    type: Number,
+    default: null
+  },
+  passed: {
+    type: Boolean,
+    default: null
+  },
+  scoringSystem: {
+    type: String,
+    default: '1_point_per_question'
+  },
+  answers: [answerSchema],
+  status: {
+    type: String,
+    default: 'completed'
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  readByAdmin: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  // Results migrated from quiz_results / course_results keep their _id; this records where from
+  legacySource: {
+    collectionName: String,
+    migratedAt: Date
+  }
+}, {
+  timestamps: true,
+  collection: 'assessment_results'
+});
+
+assessmentResultSchema.index({ userId: 1, submittedAt: -1 });
+assessmentResultSchema.index({ userName: 1, submittedAt: -1 });
+assessmentResultSchema.index({ assessmentType: 1, submittedAt: -1 });
+assessmentResultSchema.index({ questionSetId: 1, userId: 1 });
+assessmentResultSchema.index({ readByAdmin: 1, assessmentType: 1 });
+
+module.exports = mongoose.model('AssessmentResult', assessmentResultSchema);
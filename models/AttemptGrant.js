@@ -0,0 +1,38 @@
+// travel-tour-backend/models/AttemptGrant.js
+const mongoose = require('mongoose');
+
+// Extra attempts an admin has given one student on a question set, on top of its retake policy
+const attemptGrantSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  questionSetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuestionSet',
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 1,
+    min: [1, 'At least one attempt must be granted'],
+    max: [10, 'No more than 10 attempts can be granted at once']
+  },
+  reason: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+attemptGrantSchema.index({ questionSetId: 1, userId: 1 });
+
+module.exports = mongoose.model('AttemptGrant', attemptGrantSchema);
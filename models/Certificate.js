@@ -0,0 +1,95 @@
+// travel-tour-backend/models/Certificate.js
+const mongoose = require('mongoose');
+
+// Issued when a student completes a document course. certificateId is the public
+// identifier printed on the PDF and used for verification.
+const certificateSchema = new mongoose.Schema({
+  certificateId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Name printed on the certificate, fixed at issue time
+  recipientName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DocumentCourse',
+    required: true
+  },
+  courseTitle: {
+    type: String,
+    required: true
+  },
+  courseType: {
+    type: String,
+    enum: ['general', 'masterclass'],
+    required: true
+  },
+  // Average of the student's best percentage on each of the course's quizzes; null without quizzes
+  score: {
+    type: Number,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // null when issued automatically on completion
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // superseded -> replaced by a reissue (see replacedBy)
+  status: {
+    type: String,
+    enum: ['active', 'revoked', 'superseded'],
+    default: 'active'
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokeReason: {
+    type: String,
+    default: ''
+  },
+  reissuedFrom: {
+    type: String,
+    default: null
+  },
+  replacedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+certificateSchema.index({ userId: 1, issuedAt: -1 });
+certificateSchema.index({ courseId: 1, userId: 1, status: 1 });
+// At most one active certificate per student and course, however many completions race
+certificateSchema.index(
+  { userId: 1, courseId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+module.exports = mongoose.model('Certificate', certificateSchema);
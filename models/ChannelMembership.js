@@ -0,0 +1,37 @@
+// travel-tour-backend/models/ChannelMembership.js
+const mongoose = require('mongoose');
+
+const channelMembershipSchema = new mongoose.Schema({
+  channelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CommunityChannel',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Messages newer than this count as unread
+  lastReadAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Last message the user has seen; takes precedence over lastReadAt once set
+  lastReadMessageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CommunityMessage',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+channelMembershipSchema.index({ channelId: 1, userId: 1 }, { unique: true });
+channelMembershipSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('ChannelMembership', channelMembershipSchema);
@@ -0,0 +1,66 @@
+// travel-tour-backend/models/ChatRestriction.js
+const mongoose = require('mongoose');
+
+// A mute (cannot post) or ban (cannot read or post) placed on a user by an admin
+const chatRestrictionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['mute', 'ban'],
+    required: true
+  },
+  // null applies to all community chat
+  channelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CommunityChannel',
+    default: null
+  },
+  reason: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  // null means until lifted
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  liftedAt: {
+    type: Date,
+    default: null
+  },
+  liftedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Check whether the restriction is currently in force
+chatRestrictionSchema.methods.isActive = function() {
+  return !this.liftedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Static method to build the query for restrictions in force
+chatRestrictionSchema.statics.activeQuery = function(extra = {}) {
+  return {
+    ...extra,
+    liftedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  };
+};
+
+chatRestrictionSchema.index({ userId: 1, liftedAt: 1 });
+
+module.exports = mongoose.model('ChatRestriction', chatRestrictionSchema);
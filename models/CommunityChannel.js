@@ -0,0 +1,70 @@
+// travel-tour-backend/models/CommunityChannel.js
+const mongoose = require('mongoose');
+
+const communityChannelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  // MEMBERSHIP RULES
+  // open: any student can join
+  // invite_only: only users an admin invited
+  // masterclass: users with active masterclass access (optionally for specific courses)
+  access: {
+    type: String,
+    enum: ['open', 'invite_only', 'masterclass'],
+    default: 'open'
+  },
+  // Empty means any active masterclass access qualifies
+  masterclassCourseIds: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  invitedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // The General channel; also holds chat history from before channels existed
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Socket.io room name for a channel
+communityChannelSchema.statics.getRoomName = function(channelId) {
+  return `channel_${channelId}`;
+};
+
+// Check whether a user was invited to this channel
+communityChannelSchema.methods.isInvited = function(userId) {
+  return this.invitedUsers.some(id => id.toString() === userId.toString());
+};
+
+communityChannelSchema.index({ isArchived: 1, access: 1 });
+
+module.exports = mongoose.model('CommunityChannel', communityChannelSchema);
@@ -1,6 +1,37 @@
 // travel-tour-backend/models/CommunityMessage.js
 const mongoose = require('mongoose');
 
+const reportSchema = new mongoose.Schema({
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['open', 'dismissed', 'actioned'],
+    default: 'open'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+});
+
 const communityMessageSchema = new mongoose.Schema({
   sender: {
     type: String,
@@ -10,6 +41,10 @@ const communityMessageSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  senderRole: {
+    type: String,
+    default: 'student'
+  },
   text: {
     type: String,
     required: true,
@@ -26,6 +61,45 @@ const communityMessageSchema = new mongoose.Schema({
   callId: {
     type: String,
     default: null
+  },
+  // Chat channel the message belongs to (null for call-only and pre-channel messages)
+  channelId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CommunityChannel',
+    default: null
+  },
+  // MODERATION
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Soft delete - the text is kept for the moderation record but never sent to clients
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedAt: {
+    type: Date,
+    default: null
+  },
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reports: [reportSchema],
+  openReportCount: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -34,5 +108,11 @@ const communityMessageSchema = new mongoose.Schema({
 // Index for efficient querying
 communityMessageSchema.index({ timestamp: -1 });
 communityMessageSchema.index({ callId: 1 });
+// Cursor paging walks a room's history by _id
+communityMessageSchema.index({ callId: 1, _id: -1 });
+communityMessageSchema.index({ channelId: 1, _id: -1 });
+// Pinned messages per channel and the admin moderation queue
+communityMessageSchema.index({ channelId: 1, isPinned: 1 });
+communityMessageSchema.index({ openReportCount: -1 });
 
 module.exports = mongoose.model('CommunityMessage', communityMessageSchema);
\ No newline at end of file
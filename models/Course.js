@@ -1,5 +1,7 @@
 // server/models/Course.js - UPDATED VERSION
 const mongoose = require('mongoose');
+const publishable = require('./publishable');
+const revisioned = require('./revisioned');
 
 const faqSchema = new mongoose.Schema({
   question: {
@@ -92,6 +94,37 @@ const courseSchema = new mongoose.Schema({
 // Add indexes for new fields
 courseSchema.index({ courseType: 1, uploadedAt: -1 });
 courseSchema.index({ isActive: 1 });
+// Ranked search (services/searchService.js)
+courseSchema.index(
+  {
+    name: 'text',
+    about: 'text',
+    'faqs.question': 'text',
+    'faqs.answer': 'text',
+    'fullCourseDetails.sections.heading': 'text',
+    'fullCourseDetails.sections.content': 'text'
+  },
+  {
+    name: 'search_text',
+    weights: {
+      name: 10,
+      about: 5,
+      'faqs.question': 3,
+      'faqs.answer': 2,
+      'fullCourseDetails.sections.heading': 3,
+      'fullCourseDetails.sections.content': 1
+    }
+  }
+);
+
+// Draft/review/scheduled/published workflow
+courseSchema.plugin(publishable);
+
+// Every content change is kept as a CourseRevision
+courseSchema.plugin(revisioned, {
+  contentType: 'destination-courses',
+  exclude: ['enrollmentCount']
+});
 
 const Course = mongoose.model('Course', courseSchema);
 
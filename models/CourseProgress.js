@@ -0,0 +1,90 @@
+// travel-tour-backend/models/CourseProgress.js
+const mongoose = require('mongoose');
+
+// How far one student has got through one document course
+const courseProgressSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DocumentCourse',
+    required: true
+  },
+  completedLessons: [{
+    _id: false,
+    lessonId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    completedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Where the student was last, so the frontend can resume there
+  lastPosition: {
+    moduleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    lessonId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    blockIndex: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    scrollPercent: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    },
+    updatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Courses without lessons: set once the student has scrolled to the end of the document
+  documentRead: {
+    type: Boolean,
+    default: false
+  },
+  // Seconds, summed from what the frontend reports
+  timeSpent: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAccessedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set once every lesson is done and the linked quizzes are passed; never cleared
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+courseProgressSchema.index({ userId: 1, courseId: 1 }, { unique: true });
+courseProgressSchema.index({ userId: 1, lastAccessedAt: -1 });
+courseProgressSchema.index({ courseId: 1, status: 1 });
+
+module.exports = mongoose.model('CourseProgress', courseProgressSchema);
@@ -1,3 +1,4 @@
+// Legacy: new results go to AssessmentResult; kept to read course_results during migration
 const mongoose = require('mongoose');
 
 const answerSchema = new mongoose.Schema({
@@ -5,6 +6,25 @@ const answerSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Question bank version the student saw (absent on results from before the bank)
+  questionVersion: {
+    type: Number,
+    required: false
+  },
+  questionType: {
+    type: String,
+    default: 'single_choice'
+  },
+  // Bank option index shown at each position when options were shuffled
+  optionOrder: {
+    type: [Number],
+    default: undefined
+  },
+  // Bank match index shown at each position (matching questions)
+  matchOrder: {
+    type: [Number],
+    default: undefined
+  },
   questionText: {
     type: String,
     required: true
@@ -17,8 +37,14 @@ const answerSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // The student's response in the shape of its question type (see services/questionTypes.js)
+  response: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Option index for single-answer questions, the answer key's shape for the other types
   correctAnswer: {
-    type: Number,
+    type: mongoose.Schema.Types.Mixed,
     required: true
   },
   correctAnswerText: {
@@ -29,6 +55,11 @@ const answerSchema = new mongoose.Schema({
     type: Boolean,
     required: true
   },
+  // Share of the question's points earned, 0 to 1
+  credit: {
+    type: Number,
+    default: undefined
+  },
   explanation: {
     type: String,
     default: ''
@@ -37,9 +68,23 @@ const answerSchema = new mongoose.Schema({
     type: [String],
     default: []
   },
+  matches: {
+    type: [String],
+    default: undefined
+  },
   points: {
     type: Number,
     default: 0
+  },
+  // What the question was worth under the quiz's scoring scheme
+  maxPoints: {
+    type: Number,
+    default: undefined
+  },
+  // Seconds spent on the question, when the client reported it
+  timeSpent: {
+    type: Number,
+    default: undefined
   }
 });
 
@@ -89,6 +134,15 @@ const courseResultSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Pass mark of the quiz's scoring scheme; null when the quiz has none
+  passPercentage: {
+    type: Number,
+    default: null
+  },
+  passed: {
+    type: Boolean,
+    default: null
+  },
   answers: [answerSchema],
   status: {
     type: String,
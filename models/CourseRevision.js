@@ -0,0 +1,66 @@
+// travel-tour-backend/models/CourseRevision.js
+const mongoose = require('mongoose');
+
+const REVISION_CONTENT_TYPES = ['document-courses', 'destination-courses'];
+
+// Immutable snapshot of a DocumentCourse or destination Course after one save (see
+// models/revisioned.js). snapshot holds the course's content fields only; workflow fields
+// such as status, isActive and views are not versioned.
+const courseRevisionSchema = new mongoose.Schema({
+  contentType: {
+    type: String,
+    enum: REVISION_CONTENT_TYPES,
+    required: true
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Top-level fields that differ from the previous revision
+  changedFields: [String],
+  // null for changes made by the system (e.g. regenerated HTML)
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changeNote: {
+    type: String,
+    default: '',
+    maxlength: 500
+  },
+  // Set when this revision was written by restoring an older one
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+courseRevisionSchema.index({ contentType: 1, courseId: 1, revision: -1 }, { unique: true });
+
+// Revisions are never edited once written
+const rejectUpdate = function (next) {
+  next(new Error('Course revisions are immutable'));
+};
+
+courseRevisionSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectUpdate(next);
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach(operation => {
+  courseRevisionSchema.pre(operation, rejectUpdate);
+});
+
+module.exports = mongoose.model('CourseRevision', courseRevisionSchema);
+module.exports.REVISION_CONTENT_TYPES = REVISION_CONTENT_TYPES;
@@ -1,5 +1,77 @@
 // travel-tour-backend/models/DocumentCourse.js
 const mongoose = require('mongoose');
+const publishable = require('./publishable');
+const revisioned = require('./revisioned');
+
+// One piece of a lesson. Which fields are used depends on the type:
+// rich_text -> html, image -> imageUrl/caption/altText, video -> videoId, quiz -> questionSetId
+const contentBlockSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['rich_text', 'image', 'video', 'quiz'],
+    required: true
+  },
+  html: {
+    type: String,
+    default: undefined
+  },
+  imageUrl: {
+    type: String,
+    default: undefined
+  },
+  caption: {
+    type: String,
+    default: undefined
+  },
+  altText: {
+    type: String,
+    default: undefined
+  },
+  videoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    default: undefined
+  },
+  questionSetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuestionSet',
+    default: undefined
+  }
+});
+
+// Lessons are drafts until published; students only ever see published ones
+const lessonSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  blocks: [contentBlockSchema],
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Modules and their lessons are shown in array order
+const moduleSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  lessons: [lessonSchema]
+});
 
 const documentCourseSchema = new mongoose.Schema({
   title: {
@@ -73,13 +145,29 @@ const documentCourseSchema = new mongoose.Schema({
   htmlContent: {
     type: String,
     required: false
-  }
+  },
+  // Structured version of the course (see services/courseStructureService.js)
+  modules: [moduleSchema]
 }, {
   timestamps: true
 });
 
 documentCourseSchema.index({ courseType: 1, uploadedAt: -1 });
 documentCourseSchema.index({ isActive: 1 });
+// Ranked search (services/searchService.js)
+documentCourseSchema.index(
+  { title: 'text', description: 'text', content: 'text' },
+  { name: 'search_text', weights: { title: 10, description: 5, content: 1 } }
+);
+
+// Draft/review/scheduled/published workflow
+documentCourseSchema.plugin(publishable);
+
+// Every content change is kept as a CourseRevision
+documentCourseSchema.plugin(revisioned, {
+  contentType: 'document-courses',
+  exclude: ['filePath', 'storedFileName']
+});
 
 const DocumentCourse = mongoose.model('DocumentCourse', documentCourseSchema);
 
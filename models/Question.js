@@ -0,0 +1,186 @@
+// travel-tour-backend/models/Question.js
+const mongoose = require('mongoose');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const QUESTION_TYPES = ['single_choice', 'multiple_choice', 'true_false', 'short_text', 'numeric', 'ordering', 'matching'];
+// Types answered by picking from `options`
+const OPTION_TYPES = ['single_choice', 'multiple_choice', 'true_false', 'ordering', 'matching'];
+const TRUE_FALSE_OPTIONS = ['True', 'False'];
+
+const isOptionIndex = (value, options) => Number.isInteger(value) && value >= 0 && value < options.length;
+
+// One bank question. Every edit bumps `version` and is recorded in QuestionVersion,
+// so attempts and results can point at exactly the wording a student saw.
+//
+// Answer key by type:
+//   single_choice, true_false  correctAnswer (option index)
+//   multiple_choice            correctAnswers (option indexes)
+//   short_text                 acceptedAnswers, caseSensitive
+//   numeric                    numericAnswer, tolerance
+//   ordering                   options listed in the correct order
+//   matching                   options are the prompts, matches[i] belongs to options[i]
+const questionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    default: 'single_choice'
+  },
+  questionText: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true,
+    maxlength: 2000
+  },
+  options: {
+    type: [{ type: String, trim: true }],
+    default: []
+  },
+  // Index into options
+  correctAnswer: {
+    type: Number,
+    default: null
+  },
+  correctAnswers: {
+    type: [Number],
+    default: []
+  },
+  // Multiple choice, ordering and matching: score each part instead of all-or-nothing
+  partialCredit: {
+    type: Boolean,
+    default: true
+  },
+  acceptedAnswers: [{
+    type: String,
+    trim: true
+  }],
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  numericAnswer: {
+    type: Number,
+    default: null
+  },
+  // Largest accepted distance from numericAnswer
+  tolerance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  matches: [{
+    type: String,
+    trim: true
+  }],
+  explanation: {
+    type: String,
+    default: '',
+    maxlength: 4000
+  },
+  tags: {
+    destinationId: {
+      type: String,
+      default: null
+    },
+    // Destination course the question belongs to
+    courseRef: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course',
+      default: null
+    },
+    difficulty: {
+      type: String,
+      enum: DIFFICULTIES,
+      default: 'medium'
+    },
+    topics: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }]
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  // Archived questions stay readable for old results but are never served again
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Where an imported question came from (quiz_questions, *_course_questions)
+  legacySource: {
+    collectionName: String,
+    id: String
+  }
+}, {
+  timestamps: true
+});
+
+// Each type checks the parts of the answer key it uses
+questionSchema.pre('validate', function (next) {
+  if (this.type === 'true_false') {
+    this.options = TRUE_FALSE_OPTIONS;
+  }
+
+  const options = this.options || [];
+  if (OPTION_TYPES.includes(this.type) && (options.length < 2 || options.some(option => !option))) {
+    this.invalidate('options', 'A question needs at least two non-empty options');
+  }
+
+  switch (this.type) {
+    case 'single_choice':
+    case 'true_false':
+      if (!isOptionIndex(this.correctAnswer, options)) {
+        this.invalidate('correctAnswer', 'Correct answer must be the index of one of the options');
+      }
+      break;
+    case 'multiple_choice': {
+      const answers = this.correctAnswers || [];
+      if (answers.length === 0 || new Set(answers).size !== answers.length ||
+          !answers.every(index => isOptionIndex(index, options))) {
+        this.invalidate('correctAnswers', 'Correct answers must be distinct indexes of the options');
+      }
+      break;
+    }
+    case 'short_text':
+      if (!(this.acceptedAnswers || []).some(answer => answer)) {
+        this.invalidate('acceptedAnswers', 'At least one accepted answer is required');
+      }
+      break;
+    case 'numeric':
+      if (typeof this.numericAnswer !== 'number' || !Number.isFinite(this.numericAnswer)) {
+        this.invalidate('numericAnswer', 'A numeric answer is required');
+      }
+      break;
+    case 'matching': {
+      const matches = this.matches || [];
+      if (matches.length !== options.length || matches.some(match => !match)) {
+        this.invalidate('matches', 'Each option needs exactly one non-empty match');
+      }
+      break;
+    }
+  }
+  next();
+});
+
+questionSchema.index({ type: 1 });
+questionSchema.index({ 'tags.destinationId': 1, isArchived: 1 });
+questionSchema.index({ 'tags.courseRef': 1, isArchived: 1 });
+questionSchema.index({ 'tags.topics': 1 });
+questionSchema.index({ 'tags.difficulty': 1 });
+questionSchema.index({ 'legacySource.collectionName': 1, 'legacySource.id': 1 }, { unique: true, sparse: true });
+
+questionSchema.statics.DIFFICULTIES = DIFFICULTIES;
+questionSchema.statics.QUESTION_TYPES = QUESTION_TYPES;
+
+module.exports = mongoose.model('Question', questionSchema);
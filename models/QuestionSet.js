@@ -0,0 +1,210 @@
+// travel-tour-backend/models/QuestionSet.js
+const mongoose = require('mongoose');
+
+const DIFFICULTY_QUOTA = {
+  type: Number,
+  default: 0,
+  min: 0
+};
+
+// An ordered list of bank questions served as one quiz, with its quiz settings.
+// With a pool, each attempt draws its own questions from the set or from tagged bank questions.
+const questionSetSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  courseType: {
+    type: String,
+    enum: ['general', 'masterclass', 'destination'],
+    required: true
+  },
+  // Course the set belongs to, when there is one
+  courseId: {
+    type: String,
+    default: null
+  },
+  questionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question'
+  }],
+  // How questions are picked for each attempt
+  pool: {
+    // set -> questionIds above, tags -> every live bank question matching pool.tags
+    source: {
+      type: String,
+      enum: ['set', 'tags'],
+      default: 'set'
+    },
+    // Questions per attempt; null serves the whole pool
+    size: {
+      type: Number,
+      default: null,
+      min: 1
+    },
+    tags: {
+      destinationId: {
+        type: String,
+        default: null
+      },
+      courseRef: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        default: null
+      },
+      topics: [{
+        type: String,
+        trim: true,
+        lowercase: true
+      }]
+    },
+    // Questions drawn per difficulty; any shortfall is topped up from the rest of the pool
+    difficultyMix: {
+      easy: DIFFICULTY_QUOTA,
+      medium: DIFFICULTY_QUOTA,
+      hard: DIFFICULTY_QUOTA
+    }
+  },
+  // How attempts are scored; anything left unset uses the defaults for the course type
+  // (see services/scoringService.js)
+  scoring: {
+    // null = 1 for destination quizzes, 5 for general/masterclass
+    pointsPerQuestion: {
+      type: Number,
+      default: null,
+      min: 0
+    },
+    // Overrides pointsPerQuestion for individual questions
+    questionWeights: [{
+      _id: false,
+      questionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Question',
+        required: true
+      },
+      points: {
+        type: Number,
+        required: true,
+        min: 0
+      }
+    }],
+    // Share of a question's points taken off for a wrong answer (skipped questions cost nothing)
+    negativeMarking: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 1
+    },
+    // null = no pass/fail
+    passPercentage: {
+      type: Number,
+      default: null,
+      min: 0,
+      max: 100
+    },
+    // Highest band whose minPercentage the result reaches; empty = default ladder
+    remarkBands: [{
+      _id: false,
+      minPercentage: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+      },
+      remark: {
+        type: String,
+        required: true,
+        trim: true
+      }
+    }]
+  },
+  // How often a student may take the quiz and which result counts
+  // (see services/retakeService.js)
+  retakePolicy: {
+    // null = unlimited
+    maxAttempts: {
+      type: Number,
+      default: null,
+      min: 1
+    },
+    // Wait after an attempt ends before the next one can start
+    cooldownMinutes: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Result that counts when there are several
+    scorePolicy: {
+      type: String,
+      enum: ['best', 'latest', 'average'],
+      default: 'best'
+    }
+  },
+  settings: {
+    // Per-attempt order of questions and of each question's options
+    shuffleQuestions: {
+      type: Boolean,
+      default: false
+    },
+    shuffleOptions: {
+      type: Boolean,
+      default: false
+    },
+    showCorrectAnswers: {
+      type: Boolean,
+      default: true
+    },
+    showExplanations: {
+      type: Boolean,
+      default: true
+    },
+    timeLimitMinutes: {
+      type: Number,
+      default: null,
+      min: 1
+    },
+    lateSubmission: {
+      type: String,
+      enum: ['auto_submit', 'reject'],
+      default: 'auto_submit'
+    }
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Imported sets keep the _id of their legacy document
+  legacySource: {
+    collectionName: String,
+    id: String
+  }
+}, {
+  timestamps: true
+});
+
+// A tag pool with no tags would serve the whole bank
+questionSetSchema.path('pool.source').validate(function (source) {
+  if (source !== 'tags') return true;
+  const tags = this.pool.tags || {};
+  return Boolean(tags.destinationId || tags.courseRef || (tags.topics && tags.topics.length > 0));
+}, 'A tag pool needs a destinationId, courseRef or at least one topic');
+
+questionSetSchema.index({ courseType: 1, isArchived: 1, createdAt: -1 });
+
+module.exports = mongoose.model('QuestionSet', questionSetSchema);
@@ -0,0 +1,63 @@
+// travel-tour-backend/models/QuestionVersion.js
+const mongoose = require('mongoose');
+
+// Immutable snapshot of a question as it was at one version
+const questionVersionSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  snapshot: {
+    type: {
+      type: String,
+      required: true
+    },
+    questionText: {
+      type: String,
+      required: true
+    },
+    options: [String],
+    correctAnswer: {
+      type: Number,
+      default: null
+    },
+    correctAnswers: [Number],
+    partialCredit: Boolean,
+    acceptedAnswers: [String],
+    caseSensitive: Boolean,
+    numericAnswer: Number,
+    tolerance: Number,
+    matches: [String],
+    explanation: {
+      type: String,
+      default: ''
+    },
+    tags: {
+      destinationId: String,
+      courseRef: mongoose.Schema.Types.ObjectId,
+      difficulty: String,
+      topics: [String]
+    }
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changeNote: {
+    type: String,
+    default: '',
+    maxlength: 500
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+questionVersionSchema.index({ questionId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('QuestionVersion', questionVersionSchema);
@@ -0,0 +1,190 @@
+// travel-tour-backend/models/QuizAttempt.js
+const mongoose = require('mongoose');
+
+// One sitting of a quiz. The attempt records which questions were served so the
+// submission can be graded on the server; answer keys never leave the database.
+const quizAttemptSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userName: {
+    type: String,
+    required: true
+  },
+  // destination -> quiz_questions, general/masterclass -> *_course_questions sets
+  quizType: {
+    type: String,
+    enum: ['destination', 'general', 'masterclass'],
+    required: true
+  },
+  courseId: {
+    type: String,
+    default: null
+  },
+  destinationId: {
+    type: String,
+    default: null
+  },
+  questionSetId: {
+    type: String,
+    default: null
+  },
+  title: {
+    type: String,
+    default: ''
+  },
+  // Seed behind this attempt's draw and shuffles
+  seed: {
+    type: String,
+    default: null
+  },
+  // Questions in the order they were served, pinned to the version the student saw
+  questions: [{
+    _id: false,
+    questionId: {
+      type: String,
+      required: true
+    },
+    version: {
+      type: Number,
+      required: true
+    },
+    type: {
+      type: String,
+      default: 'single_choice'
+    },
+    // Bank option index shown at each position; empty when options were not shuffled
+    optionOrder: [Number],
+    // Bank match index shown at each position (matching questions)
+    matchOrder: [Number]
+  }],
+  // Quiz settings copied when the attempt starts, so later edits don't move the goalposts
+  settings: {
+    shuffleQuestions: {
+      type: Boolean,
+      default: false
+    },
+    shuffleOptions: {
+      type: Boolean,
+      default: false
+    },
+    showCorrectAnswers: {
+      type: Boolean,
+      default: true
+    },
+    showExplanations: {
+      type: Boolean,
+      default: true
+    },
+    // null = untimed
+    timeLimitMinutes: {
+      type: Number,
+      default: null
+    },
+    // What happens once the deadline passes without a submission
+    lateSubmission: {
+      type: String,
+      enum: ['auto_submit', 'reject'],
+      default: 'auto_submit'
+    }
+  },
+  // Scoring scheme resolved when the attempt starts (see services/scoringService.js)
+  scoring: {
+    pointsPerQuestion: Number,
+    questionWeights: [{
+      _id: false,
+      questionId: String,
+      points: Number
+    }],
+    negativeMarking: Number,
+    passPercentage: {
+      type: Number,
+      default: null
+    },
+    remarkBands: [{
+      _id: false,
+      minPercentage: Number,
+      remark: String
+    }]
+  },
+  // Autosaved selections (positions in the served option order); graded on submit (or at the deadline)
+  answers: [{
+    _id: false,
+    questionId: {
+      type: String,
+      required: true
+    },
+    // Response in the shape of the question's type (see services/questionTypes.js)
+    selectedAnswer: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    // Seconds the client reports the student spent on the question so far
+    timeSpent: {
+      type: Number,
+      default: null
+    },
+    savedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted', 'abandoned'],
+    default: 'in_progress'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // startedAt + time limit; null for untimed attempts
+  deadlineAt: {
+    type: Date,
+    default: null
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  // student, or auto when the deadline submitted the saved answers
+  submittedBy: {
+    type: String,
+    enum: ['student', 'auto', null],
+    default: null
+  },
+  abandonedAt: {
+    type: Date,
+    default: null
+  },
+  resultId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  resultModel: {
+    type: String,
+    // QuizResult/CourseResult on attempts from before the shared results (until migrated)
+    enum: ['AssessmentResult', 'QuizResult', 'CourseResult', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+quizAttemptSchema.index({ userId: 1, createdAt: -1 });
+quizAttemptSchema.index({ status: 1, deadlineAt: 1 });
+quizAttemptSchema.index({ status: 1, lastActivityAt: 1 });
+// At most one unfinished attempt per student per quiz. Two starts racing past the retake
+// check cannot both create an attempt; the loser resumes the winner's.
+quizAttemptSchema.index(
+  { userId: 1, quizType: 1, courseId: 1, destinationId: 1, questionSetId: 1 },
+  { unique: true, partialFilterExpression: { status: 'in_progress' } }
+);
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
@@ -1,4 +1,5 @@
 // models/QuizResult.js - COMPLETE INTEGRATED VERSION
+// Legacy: new results go to AssessmentResult; kept to read quiz_results during migration
 const mongoose = require('mongoose');
 
 const quizResultSchema = new mongoose.Schema({
@@ -28,6 +29,11 @@ const quizResultSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Highest possible score under the scoring scheme (older results: totalQuestions)
+  maxScore: {
+    type: Number,
+    required: false
+  },
   totalQuestions: {
     type: Number,
     required: true
@@ -44,11 +50,43 @@ const quizResultSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Pass mark of the quiz's scoring scheme; null when the quiz has none
+  passPercentage: {
+    type: Number,
+    default: null
+  },
+  passed: {
+    type: Boolean,
+    default: null
+  },
+  scoringSystem: {
+    type: String,
+    default: '1_point_per_question'
+  },
   answers: [{
     questionId: {
       type: mongoose.Schema.Types.ObjectId,
       required: true
     },
+    // Question bank version the student saw (absent on results from before the bank)
+    questionVersion: {
+      type: Number,
+      required: false
+    },
+    questionType: {
+      type: String,
+      default: 'single_choice'
+    },
+    // Bank option index shown at each position when options were shuffled
+    optionOrder: {
+      type: [Number],
+      default: undefined
+    },
+    // Bank match index shown at each position (matching questions)
+    matchOrder: {
+      type: [Number],
+      default: undefined
+    },
     question: {
       type: String,
       required: true
@@ -77,12 +115,34 @@ const quizResultSchema = new mongoose.Schema({
       type: Boolean,
       required: true
     },
+    // Share of the question's points earned, 0 to 1
+    credit: {
+      type: Number,
+      default: undefined
+    },
+    points: {
+      type: Number,
+      default: undefined
+    },
+    maxPoints: {
+      type: Number,
+      default: undefined
+    },
     options: [{
       type: String
     }],
+    matches: {
+      type: [String],
+      default: undefined
+    },
     explanation: {
       type: String,
       required: false
+    },
+    // Seconds spent on the question, when the client reported it
+    timeSpent: {
+      type: Number,
+      default: undefined
     }
   }],
   status: {
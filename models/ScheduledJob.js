@@ -0,0 +1,57 @@
+// travel-tour-backend/models/ScheduledJob.js
+const mongoose = require('mongoose');
+
+// A timer that survives restarts and runs on exactly one server instance.
+// Used by services/state/mongoStateStore.js.
+const scheduledJobSchema = new mongoose.Schema({
+  // Caller-chosen id so a job can be replaced or cancelled (e.g. quiz_deadline:<attemptId>)
+  jobId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed'],
+    default: 'pending'
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -0,0 +1,99 @@
+// travel-tour-backend/models/Session.js
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token - the raw token is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hash of the token this one replaced, used to detect refresh token reuse
+  previousRefreshTokenHash: {
+    type: String,
+    default: null
+  },
+  authProvider: {
+    type: String,
+    enum: ['email', 'google'],
+    default: 'email'
+  },
+  // DEVICE / CLIENT METADATA
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  deviceName: {
+    type: String,
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: [null, 'logout', 'logout_all', 'admin', 'password_reset', 'password_change', 'role_change', 'token_reuse', 'deactivated'],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke this session
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId = null) {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+// Static method to list a user's active sessions
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ previousRefreshTokenHash: 1 }, { sparse: true });
+// Let MongoDB drop sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
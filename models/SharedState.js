@@ -0,0 +1,38 @@
+// travel-tour-backend/models/SharedState.js
+const mongoose = require('mongoose');
+
+// Key/value entries shared by every server instance (presence, active calls).
+// Used by services/state/mongoStateStore.js.
+const sharedStateSchema = new mongoose.Schema({
+  namespace: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Instance that last wrote the entry, for debugging
+  instanceId: {
+    type: String,
+    default: null
+  },
+  // null keeps the entry until it is deleted
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+sharedStateSchema.index({ namespace: 1, key: 1 }, { unique: true });
+// Let MongoDB drop entries whose owner stopped refreshing them
+sharedStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SharedState', sharedStateSchema);
@@ -1,6 +1,8 @@
 // server/models/User.js (UPDATED WITH GOOGLE OAUTH INTEGRATION)
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const Session = require('./Session');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -147,6 +149,12 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerificationSentAt: {
+    type: Date
+  },
   googleProfile: {
     locale: String,
     verifiedEmail: Boolean,
@@ -155,6 +163,19 @@ const userSchema = new mongoose.Schema({
   },
   lastOAuthLogin: {
     type: Date
+  },
+
+  // PASSWORD RESET FIELDS
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date
   }
 }, {
   timestamps: true
@@ -172,6 +193,40 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+// Record when the password changed so older JWTs stop working
+userSchema.pre('save', function(next) {
+  if (!this.isModified('password') || this.isNew) return next();
+  
+  // Back-date by a second so a token issued right after the change is still valid
+  this.passwordChangedAt = new Date(Date.now() - 1000);
+  next();
+});
+
+// Password and role changes end every session (see post-save hook below)
+userSchema.pre('save', function(next) {
+  if (this.isNew) return next();
+  
+  if (this.isModified('password')) {
+    this.$locals.sessionRevokeReason = this.$locals.sessionRevokeReason || 'password_change';
+  } else if (this.isModified('role')) {
+    this.$locals.sessionRevokeReason = 'role_change';
+  }
+  next();
+});
+
+userSchema.post('save', async function(doc) {
+  const reason = doc.$locals.sessionRevokeReason;
+  if (!reason) return;
+  
+  delete doc.$locals.sessionRevokeReason;
+  try {
+    const result = await Session.revokeAllForUser(doc._id, reason);
+    console.log(`🔒 Revoked ${result.modifiedCount} sessions for user ${doc._id} (${reason})`);
+  } catch (error) {
+    console.error('Error revoking sessions after save:', error);
+  }
+});
+
 // Role validation safeguard
 userSchema.pre('save', function(next) {
   if (!['student', 'admin'].includes(this.role)) {
@@ -204,6 +259,30 @@ userSchema.methods.correctPassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to check if the password changed after a JWT was issued
+userSchema.methods.changedPasswordAfter = function(jwtIssuedAt) {
+  if (!this.passwordChangedAt || !jwtIssuedAt) {
+    return false;
+  }
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > jwtIssuedAt;
+};
+
+// Method to create a single-use password reset token (only the hash is stored)
+userSchema.methods.createPasswordResetToken = function(expiresInMinutes = 30) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  
+  return resetToken;
+};
+
+// Method to clear a pending password reset
+userSchema.methods.clearPasswordResetToken = function() {
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+};
+
 // Method to increment unread messages
 userSchema.methods.incrementUnreadMessages = async function() {
   this.unreadMessages += 1;
@@ -371,6 +450,11 @@ userSchema.statics.findOrCreateGoogleUser = async function(googleProfile) {
       user.profilePicture = picture;
     }
     
+    // Google has verified this address
+    if (email_verified && !user.emailVerified) {
+      user.markEmailVerified();
+    }
+    
     await user.save();
     return user;
   }
@@ -389,6 +473,10 @@ userSchema.statics.findOrCreateGoogleUser = async function(googleProfile) {
     user.stats.loginCount += 1;
     user.stats.lastLogin = new Date();
     
+    if (email_verified && !user.emailVerified) {
+      user.markEmailVerified();
+    }
+    
     // Update profile info from Google
     if (!user.profile?.firstName && given_name) {
       user.profile = user.profile || {};
@@ -410,6 +498,7 @@ userSchema.statics.findOrCreateGoogleUser = async function(googleProfile) {
     authProvider: 'google',
     profilePicture: picture || '',
     emailVerified: email_verified || false,
+    emailVerifiedAt: email_verified ? new Date() : undefined,
     
     // Set username from Google profile
     username: name ? name.replace(/\s+/g, '').toLowerCase() : email.split('@')[0],
@@ -466,6 +555,12 @@ userSchema.methods.convertToGoogleAuth = async function(googleProfile) {
   return this;
 };
 
+// Method to mark the email address as verified
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+};
+
 // Method to check if user can reset password
 userSchema.methods.canResetPassword = function() {
   return this.authProvider === 'email';
@@ -571,6 +666,8 @@ userSchema.methods.toJSON = function() {
   
   // Remove sensitive information
   delete user.password;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
   delete user.masterclassAccess;
   
   // Add virtuals to JSON output
@@ -583,6 +680,17 @@ userSchema.methods.toJSON = function() {
   return user;
 };
 
+// Static method to claim a raw (unhashed) password reset token: finds the user and clears
+// the pending reset in one step, so a link works once even when two requests race
+userSchema.statics.consumePasswordResetToken = function(resetToken) {
+  const hashedToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  return this.findOneAndUpdate(
+    { passwordResetToken: hashedToken, passwordResetExpires: { $gt: new Date() } },
+    { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+    { new: true }
+  );
+};
+
 // Static method to find users by role
 userSchema.statics.findByRole = function(role) {
   return this.find({ role, active: true });
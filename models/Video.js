@@ -1,6 +1,7 @@
 // travel-tour-backend/models/Video.js
 
 const mongoose = require('mongoose');
+const publishable = require('./publishable');
 
 const videoSchema = new mongoose.Schema({
   title: {
@@ -67,5 +68,13 @@ const videoSchema = new mongoose.Schema({
 videoSchema.index({ videoType: 1, isActive: 1 });
 videoSchema.index({ uploadedAt: -1 });
 videoSchema.index({ accessCode: 1 }); // Added index for code lookups
+// Ranked search (services/searchService.js)
+videoSchema.index(
+  { title: 'text', description: 'text', category: 'text' },
+  { name: 'search_text', weights: { title: 10, description: 5, category: 3 } }
+);
+
+// Draft/review/scheduled/published workflow
+videoSchema.plugin(publishable);
 
 module.exports = mongoose.model('Video', videoSchema);
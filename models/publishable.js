@@ -0,0 +1,71 @@
+// travel-tour-backend/models/publishable.js
+const mongoose = require('mongoose');
+
+const PUBLISH_STATUSES = ['draft', 'in_review', 'scheduled', 'published', 'archived'];
+
+// Schema plugin for content that goes through draft -> in review -> scheduled -> published
+// -> archived (see services/publishingService.js). isActive is still the flag student
+// queries filter on; it follows status, true only while published.
+const publishable = (schema) => {
+  schema.add({
+    // No default: documents from before the workflow are given one by the startup backfill
+    status: {
+      type: String,
+      enum: PUBLISH_STATUSES
+    },
+    // When a scheduled item goes live
+    publishAt: {
+      type: Date,
+      default: null
+    },
+    publishedAt: {
+      type: Date,
+      default: null
+    },
+    publishedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewRequestedAt: {
+      type: Date,
+      default: null
+    },
+    reviewRequestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    archivedAt: {
+      type: Date,
+      default: null
+    },
+    // First publish, when students were notified; republishing does not notify again
+    announcedAt: {
+      type: Date,
+      default: null
+    }
+  });
+
+  schema.pre('validate', function (next) {
+    if (this.isNew && !this.status) {
+      this.status = 'draft';
+    }
+    if (this.isModified('status')) {
+      this.isActive = this.status === 'published';
+    }
+    next();
+  });
+
+  schema.index({ status: 1, publishAt: 1 });
+};
+
+// Fields the plugin adds, for code that needs to tell workflow state from content
+const PUBLISH_FIELDS = [
+  'status', 'publishAt', 'publishedAt', 'publishedBy',
+  'reviewRequestedAt', 'reviewRequestedBy', 'archivedAt', 'announcedAt'
+];
+
+module.exports = publishable;
+module.exports.PUBLISH_STATUSES = PUBLISH_STATUSES;
+module.exports.PUBLISH_FIELDS = PUBLISH_FIELDS;
@@ -0,0 +1,119 @@
+// travel-tour-backend/models/revisioned.js
+const CourseRevision = require('./CourseRevision');
+const { PUBLISH_FIELDS } = require('./publishable');
+
+// Never versioned: bookkeeping, counters and the publishing workflow state
+const UNVERSIONED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'isActive', 'views', ...PUBLISH_FIELDS];
+
+// Plain JSON copy of the versioned fields (ObjectIds and dates become strings)
+const snapshotOf = (doc, excluded) => {
+  const object = doc.toObject({ depopulate: true, virtuals: false });
+  const snapshot = {};
+  Object.keys(object).forEach(field => {
+    if (!excluded.has(field)) snapshot[field] = object[field];
+  });
+  return JSON.parse(JSON.stringify(snapshot));
+};
+
+// Top-level fields that differ between two snapshots; every field when there is no previous one
+const changedFieldsBetween = (previous, snapshot) => {
+  if (!previous) return Object.keys(snapshot);
+  const fields = new Set([...Object.keys(previous), ...Object.keys(snapshot)]);
+  return [...fields].filter(field => JSON.stringify(previous[field]) !== JSON.stringify(snapshot[field]));
+};
+
+// Write the next revision if the content changed since the last one. Revision numbers are
+// per course; a clash with a concurrent save is retried with the next number.
+const recordRevision = async (contentType, doc, excluded, { editedBy = null, changeNote = '', restoredFrom = null } = {}) => {
+  const snapshot = snapshotOf(doc, excluded);
+  for (let tries = 0; tries < 5; tries++) {
+    const previous = await CourseRevision.findOne({ contentType, courseId: doc._id })
+      .sort({ revision: -1 })
+      .select('revision snapshot')
+      .lean();
+    const changedFields = changedFieldsBetween(previous?.snapshot, snapshot);
+    if (previous && changedFields.length === 0) return null;
+
+    try {
+      return await CourseRevision.create({
+        contentType,
+        courseId: doc._id,
+        revision: (previous?.revision || 0) + 1,
+        snapshot,
+        changedFields,
+        editedBy,
+        changeNote,
+        restoredFrom
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error(`Could not record a revision for ${contentType} ${doc._id}`);
+};
+
+// Courses from before revision history get their stored state recorded before the first
+// change, so that change can be diffed and undone
+const ensureBaseline = async (model, contentType, courseId, excluded) => {
+  if (!courseId || await CourseRevision.exists({ contentType, courseId })) return;
+  const stored = await model.findById(courseId);
+  if (stored) {
+    await recordRevision(contentType, stored, excluded, { changeNote: 'State before revision history' });
+  }
+};
+
+// Schema plugin: every save() or findOneAndUpdate() that changes a versioned field writes
+// a CourseRevision. Say who made the change with setRevisionAuthor before saving; query
+// updates are recorded without an author.
+const revisioned = (schema, { contentType, exclude = [] }) => {
+  const excluded = new Set([...UNVERSIONED_FIELDS, ...exclude]);
+
+  // The versioned fields as a revision would store them
+  schema.methods.toRevisionSnapshot = function () {
+    return snapshotOf(this, excluded);
+  };
+
+  schema.pre('save', async function () {
+    this.$locals.revisionCreated = this.isNew;
+    const changesContent = this.modifiedPaths().some(path => !path.includes('.') && !excluded.has(path));
+    if (!this.isNew && changesContent) {
+      await ensureBaseline(this.constructor, contentType, this._id, excluded);
+    }
+  });
+
+  schema.post('save', async function (doc) {
+    const info = doc.$locals.revision || {};
+    const created = doc.$locals.revisionCreated;
+    delete doc.$locals.revision;
+    delete doc.$locals.revisionCreated;
+    await recordRevision(contentType, doc, excluded, {
+      ...info,
+      changeNote: info.changeNote || (created ? 'Created' : '')
+    });
+  });
+
+  schema.pre('findOneAndUpdate', async function () {
+    const target = await this.model.findOne(this.getFilter()).select('_id').lean();
+    if (target) {
+      await ensureBaseline(this.model, contentType, target._id, excluded);
+    }
+  });
+
+  schema.post('findOneAndUpdate', async function (result) {
+    if (!result) return;
+    const doc = await this.model.findById(result._id);
+    if (doc) {
+      await recordRevision(contentType, doc, excluded);
+    }
+  });
+};
+
+// Attach the author (and an optional note) to the revision the next save() writes
+const setRevisionAuthor = (doc, user, changeNote = '', extra = {}) => {
+  doc.$locals.revision = { editedBy: user?._id || null, changeNote, ...extra };
+  return doc;
+};
+
+module.exports = revisioned;
+module.exports.setRevisionAuthor = setRevisionAuthor;
+module.exports.changedFieldsBetween = changedFieldsBetween;
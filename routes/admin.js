@@ -1,55 +1,26 @@
 // travel-tour-backend/routes/admin.js - COMPLETE FIXED VERSION
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Message = require('../models/Message');
 const Course = require('../models/Course');
 const DocumentCourse = require('../models/DocumentCourse');
 const AccessCodeModel = require('../models/AccessCode'); // FIXED: Changed variable name
-const nodemailer = require('nodemailer');
+const Session = require('../models/Session');
+const { revokeSession, revokeAllSessions, formatSession } = require('../services/sessionService');
+const { createTransporter } = require('../services/emailService');
+const publishing = require('../services/publishingService');
+const { setRevisionAuthor } = require('../models/revisioned');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const mammoth = require('mammoth');
-const jwt = require('jsonwebtoken');
-
-// --- MIDDLEWARE ---
-
-const authMiddleware = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    if (!token) return res.status(401).json({ success: false, message: 'No token provided' });
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id);
-    if (!user || !user.active) return res.status(401).json({ success: false, message: 'User not found or inactive' });
-    
-    req.user = user;
-    next();
-  } catch (error) {
-    return res.status(401).json({ success: false, message: 'Invalid token' });
-  }
-};
-
-const adminMiddleware = (req, res, next) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ success: false, message: 'Access denied. Admin only.' });
-  }
-  next();
-};
+// Same token, session and account checks as every other authenticated route
+const { authMiddleware, adminMiddleware } = require('./auth');
 
 // --- CONFIGURATIONS ---
 
-const createTransporter = () => {
-  return nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
-    }
-  });
-};
-
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     const uploadDir = 'uploads/courses/';
@@ -223,7 +194,7 @@ router.put('/admin/courses/:id', authMiddleware, adminMiddleware, async (req, re
     console.log(`✏️ Updating course ID: ${req.params.id}`);
     console.log('Update data:', req.body);
     
-    const { title, description, isActive } = req.body;
+    const { title, description, isActive, changeNote } = req.body;
     
     if (!title || !description) {
       return res.status(400).json({ 
@@ -232,23 +203,25 @@ router.put('/admin/courses/:id', authMiddleware, adminMiddleware, async (req, re
       });
     }
     
-    const course = await DocumentCourse.findByIdAndUpdate(
-      req.params.id,
-      { 
-        title, 
-        description, 
-        isActive: isActive !== undefined ? isActive : true 
-      },
-      { new: true, runValidators: true }
-    ).select('-content -htmlContent -filePath');
+    // Saved through the document so the edit is kept as a revision (see /api/admin/revisions)
+    const updated = await DocumentCourse.findById(req.params.id);
     
-    if (!course) {
+    if (!updated) {
       console.log(`❌ Course not found for update: ${req.params.id}`);
       return res.status(404).json({ 
         success: false, 
         message: 'Course not found' 
       });
     }
+
+    updated.title = title;
+    updated.description = description;
+    setRevisionAuthor(updated, req.user, changeNote);
+    await updated.save({ validateModifiedOnly: true });
+
+    // isActive goes through the publishing workflow (true publishes, false back to draft)
+    await publishing.applyActiveFlag(req.user, 'document-courses', updated._id, isActive);
+    const course = await DocumentCourse.findById(updated._id).select('-content -htmlContent -filePath');
     
     console.log(`✅ Course updated: ${course.title}`);
     res.json({ 
@@ -301,9 +274,11 @@ router.delete('/admin/courses/:id', authMiddleware, adminMiddleware, async (req,
     await DocumentCourse.findByIdAndDelete(req.params.id);
     console.log(`✅ Deleted course from database: ${course.title}`);
 
-    // Update notification counts (decrement)
-    await updateCourseNotificationCounts(course.courseType, true);
-    console.log(`✅ Updated notification counts for ${course.courseType} courses`);
+    // Update notification counts (decrement) - only courses students were told about
+    if (course.announcedAt) {
+      await updateCourseNotificationCounts(course.courseType, true);
+      console.log(`✅ Updated notification counts for ${course.courseType} courses`);
+    }
 
     res.json({ 
       success: true, 
@@ -397,6 +372,14 @@ router.post(['/admin/upload-document-course', '/admin/upload-course'], authMiddl
       }
     }
 
+    // Draft unless status/publishAt asks for more; students are notified when it is published
+    let initialStatus;
+    try {
+      initialStatus = publishing.parseInitialStatus(req.body);
+    } catch (statusError) {
+      return res.status(400).json({ success: false, message: statusError.message, code: statusError.code });
+    }
+
     console.log('✅ All validations passed');
 
     // Process Whitelist
@@ -475,6 +458,7 @@ router.post(['/admin/upload-document-course', '/admin/upload-course'], authMiddl
       isActive: true
     });
 
+    setRevisionAuthor(course, req.user, `Uploaded ${req.file.originalname}`);
     await course.save();
     console.log(`✅ Course saved to database with ID: ${course._id}`);
 
@@ -499,9 +483,9 @@ router.post(['/admin/upload-document-course', '/admin/upload-course'], authMiddl
       console.log(`✅ Access code created: ${newCode.code} for ${parsedWhitelist.length} emails`);
     }
 
-    // Update user notification counts
-    await updateCourseNotificationCounts(courseType);
-    console.log(`✅ Updated notification counts for ${courseType} courses`);
+    // Publishing (now or on schedule) is what notifies students
+    const publishState = await publishing.applyInitialStatus(req.user, 'document-courses', course._id, initialStatus);
+    console.log(`✅ Course status: ${publishState ? publishState.status : 'draft'}`);
 
     res.json({ 
       success: true, 
@@ -509,7 +493,9 @@ router.post(['/admin/upload-document-course', '/admin/upload-course'], authMiddl
         ? 'Masterclass course uploaded with access code' 
         : 'General course uploaded successfully',
       courseId: course._id,
-      accessCode: courseType === 'masterclass' ? accessCode : null
+      accessCode: courseType === 'masterclass' ? accessCode : null,
+      status: publishState ? publishState.status : 'draft',
+      publishAt: publishState ? publishState.publishAt : null
     });
 
   } catch (error) {
@@ -550,6 +536,7 @@ router.post('/admin/convert-to-masterclass/:courseId', authMiddleware, adminMidd
 
     course.courseType = 'masterclass';
     course.accessCode = accessCode;
+    setRevisionAuthor(course, req.user, 'Converted to masterclass');
     await course.save();
 
     // FIXED: Changed from AccessCode to AccessCodeModel
@@ -769,6 +756,61 @@ router.get('/admin/students', authMiddleware, adminMiddleware, async (req, res)
   }
 });
 
+// --- STUDENT SESSION MANAGEMENT ---
+
+// A malformed :id is a bad request, not a CastError
+const validateStudentId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ success: false, message: 'Invalid student ID' });
+  }
+  next();
+};
+
+// List a student's active sessions (devices)
+router.get('/admin/students/:id/sessions', authMiddleware, adminMiddleware, validateStudentId, async (req, res) => {
+  try {
+    const student = await User.findById(req.params.id).select('username email');
+    if (!student) return res.status(404).json({ success: false, message: 'Student not found' });
+
+    const sessions = await Session.findActiveForUser(student._id);
+    res.json({
+      success: true,
+      student: { id: student._id, username: student.username, email: student.email },
+      sessions: sessions.map(session => formatSession(session))
+    });
+  } catch (err) {
+    console.error('Error fetching student sessions:', err);
+    res.status(500).json({ success: false, message: 'Error fetching sessions' });
+  }
+});
+
+// Kill every session of a student
+router.delete('/admin/students/:id/sessions', authMiddleware, adminMiddleware, validateStudentId, async (req, res) => {
+  try {
+    const student = await User.findById(req.params.id).select('_id');
+    if (!student) return res.status(404).json({ success: false, message: 'Student not found' });
+
+    const revokedCount = await revokeAllSessions(student._id, 'admin');
+    res.json({ success: true, message: `Revoked ${revokedCount} sessions`, revokedCount });
+  } catch (err) {
+    console.error('Error revoking student sessions:', err);
+    res.status(500).json({ success: false, message: 'Error revoking sessions' });
+  }
+});
+
+// Kill a single session
+router.delete('/admin/sessions/:sessionId', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const session = await revokeSession(req.params.sessionId, 'admin');
+    if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (err) {
+    console.error('Error revoking session:', err);
+    res.status(500).json({ success: false, message: 'Error revoking session' });
+  }
+});
+
 router.post('/admin/send-message', authMiddleware, adminMiddleware, async (req, res) => {
   try {
     const { studentId, subject, message, important = false } = req.body;
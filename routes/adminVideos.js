@@ -3,6 +3,7 @@
 const express = require('express');
 const router = express.Router();
 const Video = require('../models/Video');
+const publishing = require('../services/publishingService');
 const cloudinary = require('cloudinary').v2;
 const { authMiddleware, adminMiddleware } = require('./auth');
 
@@ -34,6 +35,14 @@ router.post('/admin/upload-video', authMiddleware, adminMiddleware, async (req,
       });
     }
 
+    // Draft unless status/publishAt asks for more
+    let initialStatus;
+    try {
+      initialStatus = publishing.parseInitialStatus(req.body);
+    } catch (statusError) {
+      return res.status(400).json({ success: false, message: statusError.message, code: statusError.code });
+    }
+
     // Validate masterclass requirements
     if (videoType === 'masterclass' && !accessCode) {
       return res.status(400).json({
@@ -106,6 +115,8 @@ router.post('/admin/upload-video', authMiddleware, adminMiddleware, async (req,
       }
     }
 
+    const publishState = await publishing.applyInitialStatus(req.user, 'videos', video._id, initialStatus);
+
     // Update notification counts (you'll need to implement this)
     await updateVideoNotificationCounts();
 
@@ -116,7 +127,9 @@ router.post('/admin/upload-video', authMiddleware, adminMiddleware, async (req,
         _id: video._id,
         title: video.title,
         videoType: video.videoType,
-        videoUrl: video.videoUrl
+        videoUrl: video.videoUrl,
+        status: publishState ? publishState.status : 'draft',
+        publishAt: publishState ? publishState.publishAt : null
       }
     });
 
@@ -188,25 +201,28 @@ router.put('/admin/videos/:id', authMiddleware, adminMiddleware, async (req, res
   try {
     const { title, description, category, isActive } = req.body;
     
-    const video = await Video.findByIdAndUpdate(
+    const updated = await Video.findByIdAndUpdate(
       req.params.id,
       {
         title,
         description,
         category,
-        isActive,
         updatedAt: new Date()
       },
       { new: true }
     );
 
-    if (!video) {
+    if (!updated) {
       return res.status(404).json({
         success: false,
         message: 'Video not found'
       });
     }
 
+    // isActive goes through the publishing workflow (true publishes, false back to draft)
+    await publishing.applyActiveFlag(req.user, 'videos', updated._id, isActive);
+    const video = await Video.findById(updated._id);
+
     res.json({
       success: true,
       message: 'Video updated successfully',
@@ -0,0 +1,20 @@
+// travel-tour-backend/routes/assessmentResultRoutes.js
+const express = require('express');
+const router = express.Router();
+const assessmentResultController = require('../controllers/assessmentResultController');
+const { authMiddleware, adminMiddleware } = require('../routes/auth');
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// The signed-in student's results, newest first
+router.get('/me', assessmentResultController.listMyResults);
+
+// Every result, for the admin dashboard
+router.get('/', adminMiddleware, assessmentResultController.listResults);
+router.put('/mark-read', adminMiddleware, assessmentResultController.markRead);
+
+// One result with its graded answers
+router.get('/:resultId', assessmentResultController.getResult);
+
+module.exports = router;
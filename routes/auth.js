@@ -5,23 +5,29 @@ const router = express.Router();
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { sendPasswordResetEmail } = require('../services/emailService');
+const {
+  SessionError,
+  createSession,
+  rotateSession,
+  revokeByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+  formatSession
+} = require('../services/sessionService');
+const Session = require('../models/Session');
+const { listMyCertificates } = require('../services/certificateService');
+const { sendError } = require('../services/apiError');
+const {
+  assertEmailVerified,
+  decodeVerificationToken,
+  getResendWaitSeconds,
+  sendVerification
+} = require('../services/emailVerificationService');
 
 require('dotenv').config();
 
-// Helper function to generate a JWT token
-const generateToken = (user) => {
-  return jwt.sign(
-    {
-      id: user._id,
-      email: user.email,
-      role: user.role,
-      username: user.username,
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: '1d' }
-  );
-};
-
 // Add password validation function
 const validatePassword = (password) => {
   if (password.length < 6) {
@@ -30,6 +36,39 @@ const validatePassword = (password) => {
   return null;
 };
 
+// Error for a token that verifies but can no longer be used
+class AuthError extends Error {
+  constructor(message, code = 'INVALID_TOKEN') {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+  }
+}
+
+// Verify a JWT and load its user - shared by authMiddleware and the socket.io handshake.
+// Throws jsonwebtoken errors for bad/expired tokens and AuthError for revoked ones.
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  
+  // Verify user exists and is active
+  const user = await User.findById(decoded.id);
+  if (!user || !user.active) {
+    throw new AuthError('User not found or inactive', 'USER_INACTIVE');
+  }
+
+  // Reject tokens issued before the last password change
+  if (user.changedPasswordAfter(decoded.iat)) {
+    throw new AuthError('Password was changed. Please log in again.', 'PASSWORD_CHANGED');
+  }
+
+  // Every token is bound to a session and dies with it (logout, admin revoke, role change)
+  if (!(await isSessionActive(decoded.sid))) {
+    throw new AuthError('Session has ended. Please log in again.', 'SESSION_REVOKED');
+  }
+
+  return { user, decoded };
+};
+
 // Middleware to check if user is authenticated
 const authMiddleware = async (req, res, next) => {
   try {
@@ -39,17 +78,15 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ success: false, message: 'No token provided' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Verify user exists and is active
-    const user = await User.findById(decoded.id);
-    if (!user || !user.active) {
-      return res.status(401).json({ success: false, message: 'User not found or inactive' });
-    }
+    const { user, decoded } = await authenticateToken(token);
     
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(401).json({ success: false, message: error.message, code: error.code });
+    }
     return res.status(401).json({ success: false, message: 'Invalid token' });
   }
 };
@@ -82,6 +119,36 @@ const adminMiddleware = (req, res, next) => {
   }
 };
 
+// Middleware factory: block a feature until the user's email is verified.
+// Always authenticates (unless an earlier middleware has); the verified-email check only
+// applies to features listed in EMAIL_VERIFICATION_REQUIRED_FOR. Admins are exempt.
+const requireVerifiedEmail = (feature) => (req, res, next) => {
+  const checkVerified = () => {
+    if (req.user.role === 'admin') return next();
+
+    try {
+      assertEmailVerified(req.user, feature);
+    } catch (error) {
+      return sendError(res, error, 'Error checking email verification');
+    }
+
+    // Email-keyed whitelists must be redeemed by the owner of that address
+    const claimedEmail = req.body?.userEmail;
+    if (claimedEmail && claimedEmail.trim().toLowerCase() !== req.user.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only use your own verified email address.',
+        code: 'EMAIL_MISMATCH'
+      });
+    }
+
+    next();
+  };
+
+  if (req.user) return checkVerified();
+  return authMiddleware(req, res, checkVerified);
+};
+
 // Route to handle user registration
 router.post('/register', async (req, res) => {
   try {
@@ -126,22 +193,30 @@ router.post('/register', async (req, res) => {
     });
 
     const savedUser = await newUser.save();
-    const token = generateToken(savedUser);
+    const tokens = await createSession(savedUser, req);
 
     // Update last login stats
     savedUser.stats.lastLogin = new Date();
     savedUser.stats.loginCount += 1;
     await savedUser.save();
 
+    // Send the verification link - registration still succeeds if the email fails
+    try {
+      await sendVerification(savedUser);
+    } catch (mailError) {
+      console.error('❌ Failed to send verification email:', mailError);
+    }
+
     res.status(201).json({
       success: true,
       message: 'Registration successful!',
-      token,
+      ...tokens,
       user: {
         id: savedUser._id,
         username: savedUser.username,
         email: savedUser.email,
         role: savedUser.role,
+        emailVerified: savedUser.emailVerified,
         profile: savedUser.profile,
         stats: savedUser.stats,
         preferences: savedUser.preferences,
@@ -187,17 +262,18 @@ router.post('/login', async (req, res) => {
     user.stats.loginCount += 1;
     await user.save();
 
-    const token = generateToken(user);
+    const tokens = await createSession(user, req);
 
     res.status(200).json({
       success: true,
       message: 'Login successful!',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified,
         profile: user.profile,
         stats: user.stats,
         preferences: user.preferences,
@@ -215,13 +291,61 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Change password reset to POST to match frontend
-router.post('/reset-password', async (req, res) => {
+// Minutes a password reset link stays valid
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+
+// Step 1 of password reset: email a single-use reset link
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ success: false, message: 'Email is required.' });
+    }
+
+    // Same response whether or not the email exists, so addresses can't be probed
+    const genericResponse = {
+      success: true,
+      message: 'If this email exists, a reset link has been sent.'
+    };
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (!user || !user.active || !user.canResetPassword()) {
+      console.log('🔐 Password reset requested for an unknown or ineligible account');
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken(PASSWORD_RESET_EXPIRES_MINUTES);
+    await user.save({ validateBeforeSave: false });
+
+    // A mail failure is logged, not reported: answering differently would reveal the account
+    try {
+      await sendPasswordResetEmail(user, resetToken, PASSWORD_RESET_EXPIRES_MINUTES);
+      console.log(`✅ Password reset email sent to: ${user.email}`);
+    } catch (mailError) {
+      console.error('❌ Failed to send password reset email:', mailError);
+      user.clearPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error. Please try again later.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Step 2 of password reset: confirm with the emailed token and set a new password
+router.post(['/reset-password', '/reset-password/confirm'], async (req, res) => {
   try {
-    const { email, newPassword } = req.body;
+    const { token, newPassword } = req.body;
 
-    if (!email || !newPassword) {
-      return res.status(400).json({ success: false, message: 'Email and new password are required.' });
+    if (typeof token !== 'string' || !token || !newPassword) {
+      return res.status(400).json({ success: false, message: 'Reset token and new password are required.' });
     }
 
     // Validate new password
@@ -230,37 +354,27 @@ router.post('/reset-password', async (req, res) => {
       return res.status(400).json({ success: false, message: passwordError });
     }
 
-    const user = await User.findOne({ email });
+    // Claims the token atomically: of two requests with the same link, only one gets a user
+    const user = await User.consumePasswordResetToken(token);
     if (!user) {
-      // Don't reveal whether email exists for security
-      return res.status(200).json({ 
-        success: true, 
-        message: 'If this email exists, a reset link has been sent.' 
-      });
+      return res.status(400).json({ success: false, message: 'Reset link is invalid or has expired.' });
     }
 
     if (!user.active) {
       return res.status(400).json({ success: false, message: 'Account is deactivated. Please contact administrator.' });
     }
 
-    // Update password - let the model handle hashing
+    // Update password - the model hashes it, stamps passwordChangedAt and
+    // revokes every session, so all existing tokens stop working
     user.password = newPassword;
+    user.$locals.sessionRevokeReason = 'password_reset';
     await user.save();
 
-    const token = generateToken(user);
+    console.log(`✅ Password reset completed for: ${user.email}`);
 
     res.status(200).json({
       success: true,
-      message: 'Password reset successfully!',
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role,
-        profile: user.profile,
-        stats: user.stats
-      },
+      message: 'Password reset successfully! Please log in with your new password.'
     });
   } catch (error) {
     console.error('Password reset error:', error);
@@ -272,9 +386,166 @@ router.post('/reset-password', async (req, res) => {
   }
 });
 
+// Confirm an email address from the signed link (POST from the frontend, or GET if the link hits the API)
+const verifyEmailHandler = async (req, res) => {
+  try {
+    const token = req.body?.token || req.query.token;
+
+    if (!token) {
+      return res.status(400).json({ success: false, message: 'Verification token is required.', code: 'MISSING_TOKEN' });
+    }
+
+    const decoded = decodeVerificationToken(token);
+    if (!decoded) {
+      return res.status(400).json({ success: false, message: 'Verification link is invalid or has expired.', code: 'INVALID_VERIFICATION_TOKEN' });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    // The link only counts for the address it was sent to
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ success: false, message: 'Verification link is invalid or has expired.', code: 'INVALID_VERIFICATION_TOKEN' });
+    }
+
+    if (!user.emailVerified) {
+      user.markEmailVerified();
+      await user.save({ validateBeforeSave: false });
+      console.log(`✅ Email verified for: ${user.email}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Email address verified successfully!',
+      emailVerified: true
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ success: false, message: 'Server error. Please try again later.' });
+  }
+};
+
+router.get('/verify-email', verifyEmailHandler);
+router.post('/verify-email', verifyEmailHandler);
+
+// Send a fresh verification email to the logged-in user
+router.post('/resend-verification', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.json({ success: true, message: 'Email address is already verified.', emailVerified: true });
+    }
+
+    const waitSeconds = getResendWaitSeconds(req.user);
+    if (waitSeconds > 0) {
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${waitSeconds} seconds before requesting another email.`,
+        code: 'RESEND_COOLDOWN',
+        retryAfter: waitSeconds
+      });
+    }
+
+    await sendVerification(req.user);
+
+    res.json({ success: true, message: 'Verification email sent.' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ success: false, message: 'Could not send the verification email. Please try again later.' });
+  }
+});
+
+// Exchange a refresh token for a new access token (the refresh token rotates)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, message: 'Refresh token is required.', code: 'MISSING_REFRESH_TOKEN' });
+    }
+
+    const { user, ...tokens } = await rotateSession(refreshToken, req);
+
+    res.json({
+      success: true,
+      ...tokens,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({ success: false, message: 'Server error. Please try again later.' });
+  }
+});
+
+// Log out of the current device - accepts the refresh token, the access token, or both
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      await revokeByRefreshToken(refreshToken, 'logout');
+    }
+
+    const accessToken = req.header('Authorization')?.replace('Bearer ', '');
+    if (accessToken) {
+      try {
+        const decoded = jwt.verify(accessToken, process.env.JWT_SECRET);
+        if (decoded.sid) {
+          await revokeSession(decoded.sid, 'logout');
+        }
+      } catch (tokenError) {
+        // An expired access token is fine here - the refresh token already identified the session
+      }
+    }
+
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false, message: 'Error logging out' });
+  }
+});
+
+// Log out of every device
+router.post('/logout-all', authMiddleware, async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user._id, 'logout_all');
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      revokedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ success: false, message: 'Error logging out of all devices' });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => formatSession(session, req.sessionId))
+    });
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    res.status(500).json({ success: false, message: 'Error fetching sessions' });
+  }
+});
+
 // Get current user profile
 router.get('/profile', authMiddleware, async (req, res) => {
   try {
+    const certificates = await listMyCertificates(req.user);
     res.json({
       success: true,
       user: {
@@ -282,13 +553,24 @@ router.get('/profile', authMiddleware, async (req, res) => {
         username: req.user.username,
         email: req.user.email,
         role: req.user.role,
+        emailVerified: req.user.emailVerified,
         profile: req.user.profile,
         stats: req.user.stats,
         preferences: req.user.preferences,
         unreadMessages: req.user.unreadMessages,
         active: req.user.active,
         createdAt: req.user.createdAt
-      }
+      },
+      // Download links for the profile page (PDF at /api/certificates/:certificateId/pdf)
+      certificates: certificates.map(certificate => ({
+        certificateId: certificate.certificateId,
+        courseId: certificate.courseId,
+        courseTitle: certificate.courseTitle,
+        score: certificate.score,
+        status: certificate.status,
+        issuedAt: certificate.issuedAt,
+        downloadUrl: `/api/certificates/${certificate.certificateId}/pdf`
+      }))
     });
   } catch (error) {
     console.error('Profile fetch error:', error);
@@ -358,6 +640,7 @@ router.get('/verify', authMiddleware, async (req, res) => {
         username: req.user.username,
         email: req.user.email,
         role: req.user.role,
+        emailVerified: req.user.emailVerified,
         profile: req.user.profile,
         stats: req.user.stats,
         preferences: req.user.preferences,
@@ -374,5 +657,8 @@ router.get('/verify', authMiddleware, async (req, res) => {
 module.exports = {
   router,
   authMiddleware, // Critical export used by messages.js and other routes
-  adminMiddleware  // 🚨 ADDED: Now adminMiddleware is exported for admin routes
+  adminMiddleware,  // 🚨 ADDED: Now adminMiddleware is exported for admin routes
+  requireVerifiedEmail,
+  authenticateToken, // Used by the socket.io handshake in socket.js
+  AuthError
 };
\ No newline at end of file
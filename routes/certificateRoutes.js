@@ -0,0 +1,26 @@
+// travel-tour-backend/routes/certificateRoutes.js
+const express = require('express');
+const router = express.Router();
+const certificateController = require('../controllers/certificateController');
+const { authMiddleware, adminMiddleware } = require('../routes/auth');
+
+// Public: anyone holding a certificate ID can verify it
+router.get('/:certificateId/verify', certificateController.verifyCertificate);
+
+// Everything else needs a signed-in user
+router.use(authMiddleware);
+
+// The student's own certificates (before /:certificateId)
+router.get('/me', certificateController.listMyCertificates);
+
+// Every certificate, for admins
+router.get('/', adminMiddleware, certificateController.listCertificates);
+
+router.get('/:certificateId', certificateController.getCertificate);
+router.get('/:certificateId/pdf', certificateController.downloadCertificate);
+
+// Admin: withdraw a certificate, or replace it with a new one
+router.post('/:certificateId/revoke', adminMiddleware, certificateController.revokeCertificate);
+router.post('/:certificateId/reissue', adminMiddleware, certificateController.reissueCertificate);
+
+module.exports = router;
@@ -2,7 +2,9 @@
 const express = require('express');
 const router = express.Router();
 const communityController = require('../controllers/communityController');
-const { authMiddleware } = require('../routes/auth');
+const channelController = require('../controllers/channelController');
+const moderationController = require('../controllers/moderationController');
+const { authMiddleware, adminMiddleware, requireVerifiedEmail } = require('../routes/auth');
 
 // Apply auth middleware to all routes
 router.use(authMiddleware);
@@ -10,8 +12,11 @@ router.use(authMiddleware);
 // Get community message history
 router.get('/messages', communityController.getMessageHistory);
 
-// Save a community message
-router.post('/messages', communityController.saveMessage);
+// Save a community message (unverified users can't post while messaging is gated)
+router.post('/messages', requireVerifiedEmail('messaging'), communityController.saveMessage);
+
+// Users online / away in community chat
+router.get('/presence', communityController.getPresence);
 
 // Check for active calls
 router.get('/active-call', communityController.getActiveCall);
@@ -19,4 +24,41 @@ router.get('/active-call', communityController.getActiveCall);
 // Clear all messages (admin only)
 router.delete('/messages', communityController.clearMessages);
 
+// Edit / delete a message (author within the edit window, admins any message)
+router.put('/messages/:messageId', moderationController.editMessage);
+router.delete('/messages/:messageId', moderationController.deleteMessage);
+
+// Report a message to the moderation queue
+router.post('/messages/:messageId/report', moderationController.reportMessage);
+
+// Pin / unpin a message (admin only)
+router.post('/messages/:messageId/pin', adminMiddleware, moderationController.pinMessage);
+router.delete('/messages/:messageId/pin', adminMiddleware, moderationController.pinMessage);
+
+// Moderation queue, mutes and bans (admin only)
+router.get('/moderation/reports', adminMiddleware, moderationController.getModerationQueue);
+router.post('/moderation/reports/:messageId/resolve', adminMiddleware, moderationController.resolveReports);
+router.get('/moderation/restrictions', adminMiddleware, moderationController.listRestrictions);
+router.post('/moderation/restrictions', adminMiddleware, moderationController.restrictUser);
+router.delete('/moderation/restrictions/:restrictionId', adminMiddleware, moderationController.liftRestriction);
+
+// Channels visible to the current user, with unread counts
+router.get('/channels', channelController.listChannels);
+router.get('/channels/unread', channelController.getUnreadCounts);
+router.get('/channels/:channelId/pins', moderationController.getPinnedMessages);
+
+// Join / leave a channel
+router.post('/channels/:channelId/join', channelController.joinChannel);
+router.post('/channels/:channelId/leave', channelController.leaveChannel);
+
+// Per-user read marker for a channel
+router.post('/channels/:channelId/read', channelController.markRead);
+
+// Channel management (admin only)
+router.post('/channels', adminMiddleware, channelController.createChannel);
+router.put('/channels/:channelId', adminMiddleware, channelController.updateChannel);
+router.delete('/channels/:channelId', adminMiddleware, channelController.archiveChannel);
+router.post('/channels/:channelId/invite', adminMiddleware, channelController.inviteUsers);
+router.delete('/channels/:channelId/members/:userId', adminMiddleware, channelController.removeMember);
+
 module.exports = router;
\ No newline at end of file
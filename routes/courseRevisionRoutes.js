@@ -0,0 +1,18 @@
+// travel-tour-backend/routes/courseRevisionRoutes.js
+const express = require('express');
+const router = express.Router();
+const courseRevisionController = require('../controllers/courseRevisionController');
+const { authMiddleware, adminMiddleware } = require('../routes/auth');
+
+// Revision history is admin only
+router.use(authMiddleware, adminMiddleware);
+
+// :contentType is document-courses or destination-courses
+router.get('/:contentType/:courseId', courseRevisionController.listRevisions);
+router.get('/:contentType/:courseId/diff', courseRevisionController.diffRevisions);
+router.get('/:contentType/:courseId/:revision', courseRevisionController.getRevision);
+
+// Saves the old content as a new revision
+router.post('/:contentType/:courseId/:revision/restore', courseRevisionController.restoreRevision);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+// travel-tour-backend/routes/courseStructureRoutes.js
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const courseStructureController = require('../controllers/courseStructureController');
+const { authMiddleware, adminMiddleware } = require('../routes/auth');
+
+// Documents are split in memory; the course keeps its original upload
+const docxUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }
+}).single('file');
+
+// Upload errors (too large, wrong field) as 400s instead of server errors
+const handleDocxUpload = (req, res, next) => {
+  docxUpload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ success: false, message: error.message, code: 'INVALID_UPLOAD' });
+    }
+    next();
+  });
+};
+
+// Course authoring is admin only
+router.use(authMiddleware, adminMiddleware);
+
+// Whole structure, drafts included
+router.get('/:courseId/structure', courseStructureController.getStructure);
+
+// Modules (order routes before /:moduleId)
+router.post('/:courseId/modules', courseStructureController.createModule);
+router.put('/:courseId/modules/order', courseStructureController.reorderModules);
+router.put('/:courseId/modules/:moduleId', courseStructureController.updateModule);
+router.delete('/:courseId/modules/:moduleId', courseStructureController.deleteModule);
+
+// Lessons within a module
+router.post('/:courseId/modules/:moduleId/lessons', courseStructureController.createLesson);
+router.put('/:courseId/modules/:moduleId/lessons/order', courseStructureController.reorderLessons);
+router.put('/:courseId/lessons/:lessonId', courseStructureController.updateLesson);
+router.delete('/:courseId/lessons/:lessonId', courseStructureController.deleteLesson);
+router.post('/:courseId/lessons/:lessonId/publish', courseStructureController.publishLesson);
+router.post('/:courseId/lessons/:lessonId/unpublish', courseStructureController.unpublishLesson);
+
+// Split a DOCX into modules (Heading 1) and lessons (Heading 2): dry run unless commit=true
+router.post('/:courseId/import', handleDocxUpload, courseStructureController.importDocx);
+
+module.exports = router;
@@ -5,26 +5,10 @@ const DocumentCourse = require('../models/DocumentCourse');
 const Course = require('../models/Course');
 const User = require('../models/User');
 const AccessCode = require('../models/AccessCode');
+const { authMiddleware, requireVerifiedEmail } = require('./auth');
 
 const router = express.Router();
 
-// Simple auth middleware
-const authMiddleware = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    if (!token) return res.status(401).json({ success: false, message: 'No token provided' });
-    
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id);
-    if (!user) return res.status(401).json({ success: false, message: 'User not found' });
-    req.user = user;
-    next();
-  } catch (error) {
-    return res.status(401).json({ success: false, message: 'Invalid token' });
-  }
-};
-
 // --- DEBUG ENDPOINT (Add this first) ---
 router.get('/courses/debug-access-codes', async (req, res) => {
   try {
@@ -93,9 +77,11 @@ router.get('/courses/notification-counts', authMiddleware, async (req, res) => {
 });
 
 // 2. PRIMARY VALIDATION ROUTE (Whitelisted Only) - COMPLETELY FIXED
-router.post('/courses/validate-masterclass-access', async (req, res) => {
+router.post('/courses/validate-masterclass-access', requireVerifiedEmail('masterclass'), async (req, res) => {
   try {
-    const { accessCode, userEmail } = req.body;
+    const { accessCode } = req.body;
+    // Codes are redeemed for the signed-in user's own address
+    const userEmail = req.user.email;
 
     console.log('='.repeat(60));
     console.log('🔐 VALIDATING MASTERCLASS ACCESS');
@@ -105,11 +91,9 @@ router.post('/courses/validate-masterclass-access', async (req, res) => {
       userEmail: userEmail || 'undefined' 
     });
 
-    if (!accessCode || !userEmail) {
-      console.log('❌ MISSING REQUIRED FIELDS');
-      console.log('  - Access Code:', accessCode ? 'Provided' : 'Missing');
-      console.log('  - User Email:', userEmail ? 'Provided' : 'Missing');
-      return res.status(400).json({ success: false, message: 'Access code and email address are required' });
+    if (!accessCode || typeof accessCode !== 'string') {
+      console.log('❌ MISSING ACCESS CODE');
+      return res.status(400).json({ success: false, message: 'Access code is required' });
     }
 
     const cleanCode = accessCode.trim();
@@ -312,54 +296,7 @@ router.post('/courses/validate-masterclass-access', async (req, res) => {
   }
 });
 
-// 3. Video Specific Validation (Whitelisted Only)
-router.post('/videos/validate-masterclass-access', async (req, res) => {
-  try {
-    const { accessCode, userEmail } = req.body;
-    const cleanCode = accessCode.trim();
-    const cleanEmail = userEmail.trim().toLowerCase();
-
-    console.log('🎥 Validating video access code:', cleanCode, 'for email:', cleanEmail);
-
-    const record = await AccessCode.findOne({ 
-      $or: [
-        { code: cleanCode },
-        { code: { $regex: new RegExp(`^${cleanCode}$`, 'i') } }
-      ]
-    });
-
-    if (!record) {
-      console.log('❌ Video access code not found:', cleanCode);
-      return res.status(400).json({ success: false, message: 'Invalid access code' });
-    }
-
-    // Check BOTH assignedEmail AND allowedEmails
-    const isAuthorized = (
-      (record.assignedEmail && record.assignedEmail.toLowerCase() === cleanEmail) ||
-      (record.allowedEmails && 
-       Array.isArray(record.allowedEmails) &&
-       record.allowedEmails.some(email => email && email.toLowerCase() === cleanEmail))
-    );
-
-    if (!isAuthorized) {
-      console.log('❌ Email not authorized for video access:', cleanEmail);
-      return res.status(400).json({ success: false, message: 'Access denied: Email not authorized for this code.' });
-    }
-
-    if (record.expiresAt < new Date()) {
-      console.log('❌ Video code expired:', record.expiresAt);
-      return res.status(400).json({ success: false, message: 'Code expired.' });
-    }
-
-    console.log('✅ Video access granted for:', cleanEmail);
-    res.json({ success: true, message: 'Video access granted' });
-  } catch (error) {
-    console.error('❌ Video validation error:', error);
-    res.status(500).json({ success: false, message: 'Server error' });
-  }
-});
-
-// 4. Fetch General Courses
+// 3. Fetch General Courses
 router.get('/courses', authMiddleware, async (req, res) => {
   try {
     const { type } = req.query;
@@ -379,11 +316,12 @@ router.get('/courses', authMiddleware, async (req, res) => {
   }
 });
 
-// 5. Get Single Course by ID or Slug
+// 4. Get Single Course by ID or Slug
 router.get('/courses/:id', authMiddleware, async (req, res) => {
   try {
     const id = req.params.id;
     let course = await Course.findOne({ 
+        isActive: true,
         $or: [
             { destinationId: id },
             { _id: mongoose.Types.ObjectId.isValid(id) ? id : new mongoose.Types.ObjectId() }
@@ -1,167 +1,36 @@
 // travel-tour-backend/routes/googleAuth.js - FIXED VERSION
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
-const axios = require('axios'); // Added for Google API calls
 const User = require('../models/User');
-const { OAuth2Client } = require('google-auth-library');
+const { GoogleAuthError, getGoogleVerifier } = require('../services/googleTokenVerifier');
+const { createSession } = require('../services/sessionService');
 
-const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
-
-// Helper function to verify access token with Google API
-async function verifyAccessToken(accessToken) {
-  try {
-    const response = await axios.get('https://www.googleapis.com/oauth2/v3/userinfo', {
-      headers: { 
-        Authorization: `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 10000
-    });
-    
-    return {
-      success: true,
-      userInfo: response.data
-    };
-  } catch (error) {
-    console.error('❌ Google API verification failed:', error.message);
-    return {
-      success: false,
-      error: error.response?.data || error.message
-    };
-  }
-}
-
-// Google authentication endpoint - UPDATED TO HANDLE BOTH TOKEN TYPES
+// Google authentication endpoint - only accepts tokens the server verifies itself
 router.post('/google', async (req, res) => {
   try {
-    const { token, access_token, googleId, email, name, picture, given_name, family_name, email_verified } = req.body;
+    const { token, access_token, googleId, email } = req.body;
     
+    // Access tokens start with ya29. and may arrive in either field
+    const accessToken = access_token || (token?.startsWith('ya29.') ? token : null);
+    const idToken = token && !token.startsWith('ya29.') ? token : null;
+
     console.log('🔄 Processing Google sign-in request:', {
-      hasToken: !!token,
-      hasAccessToken: !!access_token,
-      hasUserInfo: !!(email || googleId),
-      tokenType: token?.startsWith('ya29.') ? 'ACCESS_TOKEN' : 'ID_TOKEN'
+      hasIdToken: !!idToken,
+      hasAccessToken: !!accessToken,
+      hasUserInfo: !!(email || googleId)
     });
-    
-    let googleIdToUse, emailToUse, nameToUse, pictureToUse, givenName, familyName, isEmailVerified;
-    
-    // SCENARIO 1: We have an access_token (starts with ya29.)
-    if (access_token && access_token.startsWith('ya29.')) {
-      console.log('🔑 Detected access_token, verifying with Google API...');
-      
-      const verificationResult = await verifyAccessToken(access_token);
-      
-      if (!verificationResult.success) {
-        return res.status(401).json({
-          success: false,
-          message: 'Failed to verify Google access token',
-          code: 'INVALID_ACCESS_TOKEN'
-        });
-      }
-      
-      const userInfo = verificationResult.userInfo;
-      googleIdToUse = userInfo.sub;
-      emailToUse = userInfo.email;
-      nameToUse = userInfo.name;
-      pictureToUse = userInfo.picture;
-      givenName = userInfo.given_name;
-      familyName = userInfo.family_name;
-      isEmailVerified = userInfo.email_verified;
-      
-      console.log('✅ Access token verified, user info:', {
-        email: emailToUse,
-        googleId: googleIdToUse,
-        name: nameToUse
-      });
-    }
-    // SCENARIO 2: We have direct user info from frontend
-    else if (googleId && email) {
-      console.log('📝 Using direct user info from frontend');
-      googleIdToUse = googleId;
-      emailToUse = email;
-      nameToUse = name;
-      pictureToUse = picture;
-      givenName = given_name;
-      familyName = family_name;
-      isEmailVerified = email_verified;
-    }
-    // SCENARIO 3: We have an ID token (traditional JWT)
-    else if (token && !token.startsWith('ya29.')) {
-      try {
-        console.log('🔐 Verifying ID token...');
-        const ticket = await client.verifyIdToken({
-          idToken: token,
-          audience: process.env.GOOGLE_CLIENT_ID
-        });
-        
-        const payload = ticket.getPayload();
-        googleIdToUse = payload.sub;
-        emailToUse = payload.email;
-        nameToUse = payload.name;
-        pictureToUse = payload.picture;
-        givenName = payload.given_name;
-        familyName = payload.family_name;
-        isEmailVerified = payload.email_verified;
-        
-        console.log('✅ ID token verified successfully');
-      } catch (idTokenError) {
-        console.error('❌ ID token verification failed:', idTokenError.message);
-        return res.status(401).json({
+
+    if (!idToken && !accessToken) {
+      // Raw profile data from the browser can't be trusted to identify an account
+      if (googleId || email) {
+        console.log('❌ Rejected unverified Google profile payload');
+        return res.status(400).json({
           success: false,
-          message: 'Invalid Google ID token',
-          code: 'INVALID_ID_TOKEN'
+          message: 'Google sign-in requires an ID token or access token. Unverified profile data is not accepted.',
+          code: 'UNVERIFIED_GOOGLE_PAYLOAD'
         });
       }
-    }
-    // SCENARIO 4: We have a token but can't determine type
-    else if (token) {
-      console.log('⚠️ Ambiguous token type, trying both methods...');
-      
-      // Try as access token first
-      if (token.startsWith('ya29.')) {
-        const verificationResult = await verifyAccessToken(token);
-        if (verificationResult.success) {
-          const userInfo = verificationResult.userInfo;
-          googleIdToUse = userInfo.sub;
-          emailToUse = userInfo.email;
-          nameToUse = userInfo.name;
-          pictureToUse = userInfo.picture;
-          givenName = userInfo.given_name;
-          familyName = userInfo.family_name;
-          isEmailVerified = userInfo.email_verified;
-        } else {
-          return res.status(401).json({
-            success: false,
-            message: 'Invalid Google token format',
-            code: 'INVALID_TOKEN_FORMAT'
-          });
-        }
-      } else {
-        // Try as ID token
-        try {
-          const ticket = await client.verifyIdToken({
-            idToken: token,
-            audience: process.env.GOOGLE_CLIENT_ID
-          });
-          const payload = ticket.getPayload();
-          googleIdToUse = payload.sub;
-          emailToUse = payload.email;
-          nameToUse = payload.name;
-          pictureToUse = payload.picture;
-          givenName = payload.given_name;
-          familyName = payload.family_name;
-          isEmailVerified = payload.email_verified;
-        } catch (error) {
-          return res.status(401).json({
-            success: false,
-            message: 'Invalid Google token',
-            code: 'INVALID_TOKEN'
-          });
-        }
-      }
-    }
-    else {
+
       return res.status(400).json({
         success: false,
         message: 'No authentication data provided',
@@ -169,101 +38,54 @@ router.post('/google', async (req, res) => {
       });
     }
     
+    const verifier = getGoogleVerifier();
+    const googleProfile = idToken
+      ? await verifier.verifyIdToken(idToken)
+      : await verifier.verifyAccessToken(accessToken);
+
+    console.log('✅ Google token verified, user info:', {
+      email: googleProfile.email,
+      googleId: googleProfile.sub,
+      name: googleProfile.name
+    });
+    
     // Validate we have required data
-    if (!googleIdToUse || !emailToUse) {
+    if (!googleProfile.sub || !googleProfile.email) {
       return res.status(400).json({
         success: false,
         message: 'Missing required user information',
         code: 'MISSING_USER_INFO'
       });
     }
-    
-    console.log('🔍 Looking for existing user:', { email: emailToUse, googleId: googleIdToUse });
-    
-    // Check if user exists
-    let user = await User.findOne({ 
-      $or: [
-        { email: emailToUse },
-        { googleId: googleIdToUse }
-      ] 
-    });
 
-    if (user) {
-      console.log('✅ Found existing user:', user.username);
-      
-      // Update existing user with Google info if needed
-      if (!user.googleId || user.authProvider !== 'google') {
-        console.log('🔄 Updating user with Google info...');
-        user.googleId = googleIdToUse;
-        user.authProvider = 'google';
-        user.profilePicture = pictureToUse || user.profilePicture;
-        
-        // Update profile info if available
-        if (givenName && !user.profile?.firstName) {
-          user.profile = user.profile || {};
-          user.profile.firstName = givenName;
-        }
-        if (familyName && !user.profile?.lastName) {
-          user.profile = user.profile || {};
-          user.profile.lastName = familyName;
-        }
-        
-        await user.save();
-        console.log('✅ User updated with Google info');
-      }
-    } else {
-      // Create new user for Google sign-up
-      console.log('🆕 Creating new Google user...');
-      
-      user = new User({
-        username: nameToUse || emailToUse.split('@')[0],
-        email: emailToUse,
-        googleId: googleIdToUse,
-        authProvider: 'google',
-        profilePicture: pictureToUse || '',
-        password: null, // No password for Google users
-        profile: {
-          firstName: givenName || '',
-          lastName: familyName || ''
-        },
-        emailVerified: isEmailVerified || false,
-        stats: {
-          loginCount: 1,
-          lastLogin: new Date(),
-          googleSignInCount: 1,
-          lastGoogleSignIn: new Date()
-        }
+    // An unverified Google email must never be linked to an existing account
+    if (!googleProfile.email_verified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your Google account email address is not verified.',
+        code: 'GOOGLE_EMAIL_NOT_VERIFIED'
       });
-      
-      await user.save();
-      console.log('✅ New Google user created:', user.username);
     }
+    
+    const user = await User.findOrCreateGoogleUser(googleProfile);
 
-    // Update login stats
-    user.stats.loginCount = (user.stats.loginCount || 0) + 1;
-    user.stats.lastLogin = new Date();
-    user.stats.googleSignInCount = (user.stats.googleSignInCount || 0) + 1;
-    user.stats.lastGoogleSignIn = new Date();
-    await user.save();
+    if (!user.active) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account is deactivated. Please contact administrator.',
+        code: 'ACCOUNT_DEACTIVATED'
+      });
+    }
 
-    // Generate JWT token for your app
-    const jwtToken = jwt.sign(
-      { 
-        id: user._id, 
-        email: user.email, 
-        role: user.role,
-        authProvider: user.authProvider 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Start a session - short-lived access token plus rotating refresh token
+    const tokens = await createSession(user, req);
 
     console.log('✅ Authentication successful for:', user.email);
-    console.log('✅ JWT token generated, user role:', user.role);
+    console.log('✅ Session started, user role:', user.role);
 
     res.json({
       success: true,
-      token: jwtToken,
+      ...tokens,
       user: {
         id: user._id,
         username: user.username,
@@ -277,6 +99,15 @@ router.post('/google', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof GoogleAuthError) {
+      console.error(`❌ Google token verification failed (${error.code}):`, error.message);
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
     console.error('❌ Google auth error details:', {
       message: error.message,
       stack: error.stack,
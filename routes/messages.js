@@ -3,7 +3,7 @@ const express = require('express');
 const router = express.Router();
 const Message = require('../models/Message');
 const User = require('../models/User'); 
-const { authMiddleware } = require('./auth');
+const { authMiddleware, requireVerifiedEmail } = require('./auth');
 
 // SECURED - Get messages FROM admin for the current user
 router.get('/from-admin', authMiddleware, async (req, res) => {
@@ -68,7 +68,7 @@ router.get('/sent', authMiddleware, async (req, res) => {
 });
 
 // SECURED - Send message to admin (UPDATED WITH PHONE SUPPORT)
-router.post('/send-to-admin', authMiddleware, async (req, res) => {
+router.post('/send-to-admin', authMiddleware, requireVerifiedEmail('messaging'), async (req, res) => {
   try {
     const { subject, message, phone } = req.body; // ADDED: phone
     const fromUserId = req.user._id;
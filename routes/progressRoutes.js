@@ -0,0 +1,25 @@
+// travel-tour-backend/routes/progressRoutes.js
+const express = require('express');
+const router = express.Router();
+const progressController = require('../controllers/progressController');
+const { authMiddleware, adminMiddleware } = require('../routes/auth');
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Courses the student has started, most recent first
+router.get('/', progressController.listMyProgress);
+
+// Every student's progress on a course (before /:courseId)
+router.get('/admin/courses/:courseId', adminMiddleware, progressController.listCourseProgress);
+
+// Progress on one course, with where to resume
+router.get('/:courseId', progressController.getProgress);
+
+// Last position and time spent, reported while the student reads
+router.put('/:courseId/position', progressController.updatePosition);
+
+// Mark a lesson done
+router.post('/:courseId/lessons/:lessonId/complete', progressController.completeLesson);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+// travel-tour-backend/routes/publishingRoutes.js
+const express = require('express');
+const router = express.Router();
+const publishingController = require('../controllers/publishingController');
+const { authMiddleware, adminMiddleware } = require('../routes/auth');
+
+// Publishing is admin only - previews included
+router.use(authMiddleware, adminMiddleware);
+
+// :contentType is document-courses, destination-courses or videos
+router.get('/:contentType', publishingController.listItems);
+router.get('/:contentType/:id/preview', publishingController.getPreview);
+
+// Move through draft -> in review -> scheduled -> published -> archived
+router.put('/:contentType/:id/status', publishingController.setStatus);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+// travel-tour-backend/routes/questionBankRoutes.js
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const questionBankController = require('../controllers/questionBankController');
+const { authMiddleware, adminMiddleware } = require('../routes/auth');
+
+// Import files are parsed in memory and never stored
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+}).single('file');
+
+// Upload errors (too large, wrong field) as 400s instead of server errors
+const handleImportUpload = (req, res, next) => {
+  importUpload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ success: false, message: error.message, code: 'INVALID_UPLOAD' });
+    }
+    next();
+  });
+};
+
+// Question bank management is admin only
+router.use(authMiddleware, adminMiddleware);
+
+// Questions, with tag filters
+router.get('/questions', questionBankController.listQuestions);
+router.post('/questions', questionBankController.createQuestion);
+router.get('/questions/:questionId', questionBankController.getQuestion);
+router.put('/questions/:questionId', questionBankController.updateQuestion);
+router.delete('/questions/:questionId', questionBankController.archiveQuestion);
+router.post('/questions/:questionId/restore', questionBankController.restoreQuestion);
+
+// Every saved version of a question
+router.get('/questions/:questionId/history', questionBankController.getQuestionHistory);
+
+// Question sets
+router.get('/question-sets', questionBankController.listQuestionSets);
+router.post('/question-sets', questionBankController.createQuestionSet);
+router.get('/question-sets/:questionSetId', questionBankController.getQuestionSet);
+router.put('/question-sets/:questionSetId', questionBankController.updateQuestionSet);
+router.delete('/question-sets/:questionSetId', questionBankController.archiveQuestionSet);
+router.get('/question-sets/:questionSetId/export', questionBankController.exportQuestionSet);
+
+// Item analysis over the set's results, with broken-looking questions flagged
+router.get('/question-sets/:questionSetId/analytics', questionBankController.getQuestionSetAnalytics);
+
+// Extra attempts for one student beyond the set's retake policy
+router.get('/question-sets/:questionSetId/attempt-grants', questionBankController.listAttemptGrants);
+router.post('/question-sets/:questionSetId/attempt-grants', questionBankController.grantAttempts);
+
+// Bulk import from CSV/XLSX/DOCX: dry run by default, commit=true to write
+router.get('/import/template', questionBankController.getImportTemplate);
+router.post('/import', handleImportUpload, questionBankController.importQuestions);
+
+// One-off import from quiz_questions / *_course_questions
+router.post('/import-legacy', questionBankController.importLegacyQuestions);
+
+module.exports = router;
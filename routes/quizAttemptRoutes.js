@@ -0,0 +1,25 @@
+// travel-tour-backend/routes/quizAttemptRoutes.js
+const express = require('express');
+const router = express.Router();
+const quizController = require('../controllers/quizController');
+const { authMiddleware } = require('../routes/auth');
+
+// Apply auth middleware to all routes
+router.use(authMiddleware);
+
+// Start an attempt, or resume the unfinished one - questions come back without answers
+router.post('/', quizController.startAttempt);
+
+// Attempts used and left on a question set, and when the next one unlocks
+router.get('/status', quizController.getRetakeStatus);
+
+// Attempt questions, or its graded review after submission
+router.get('/:attemptId', quizController.getAttempt);
+
+// Autosave selections while the attempt is in progress
+router.put('/:attemptId/answers', quizController.saveAnswers);
+
+// Submit selected options for server-side grading
+router.post('/:attemptId/submit', quizController.submitAttempt);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+// travel-tour-backend/routes/searchRoutes.js
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const { authMiddleware } = require('../routes/auth');
+
+// Masterclass results depend on who is asking, so search needs a login
+router.get('/', authMiddleware, searchController.search);
+
+module.exports = router;
@@ -2,7 +2,13 @@ const express = require('express');
 const router = express.Router();
 const Video = require('../models/Video');
 const AccessCode = require('../models/AccessCode');
-const { authMiddleware } = require('./auth');
+const DocumentCourse = require('../models/DocumentCourse');
+const Course = require('../models/Course');
+const publishing = require('../services/publishingService');
+const { authMiddleware, requireVerifiedEmail } = require('./auth');
+
+// AccessCode.courseModel -> model with an isActive flag
+const ACCESS_CODE_COURSE_MODELS = { DocumentCourse, Course };
 // Assume you have a configured cloudinary/multer utility
 // const upload = require('../utils/multer'); 
 
@@ -34,19 +40,22 @@ router.post('/upload', authMiddleware, async (req, res) => {
         .filter(email => email !== ""); // remove empties
     }
 
+    // isActive asks for the video to be published straight away; otherwise it starts as a draft
+    const initialStatus = publishing.parseInitialStatus({ ...req.body, isActive });
+
     // Create the Video Metadata entry for MongoDB
     const newVideo = new Video({
       title,
       description,
       category,
       videoType,
-      isActive: isActive === 'true' || isActive === true,
       // videoUrl: req.file.path, // This comes from your Cloudinary upload middleware
       accessCode: videoType === 'masterclass' ? accessCode : null,
       uploadedAt: new Date()
     });
 
     await newVideo.save();
+    await publishing.applyInitialStatus(req.user, 'videos', newVideo._id, initialStatus);
 
     // If it's a Masterclass, we also create the AccessCode record
     if (videoType === 'masterclass' && accessCode) {
@@ -61,6 +70,9 @@ router.post('/upload', authMiddleware, async (req, res) => {
 
     res.json({ success: true, message: 'Video and metadata saved successfully' });
   } catch (error) {
+    if (error instanceof publishing.PublishingError) {
+      return res.status(error.status).json({ success: false, message: error.message, code: error.code });
+    }
     console.error('Upload Error:', error);
     res.status(500).json({ success: false, message: 'Server error during upload' });
   }
@@ -97,33 +109,42 @@ router.get('/videos', authMiddleware, async (req, res) => {
   }
 });
 
-// 4. POST /api/videos/validate-masterclass-access
-router.post('/validate-masterclass-access', authMiddleware, async (req, res) => {
+// 4. POST /api/validate-masterclass-access - redeems a code for the signed-in, verified
+// user's own email; a userEmail in the body must match it (see requireVerifiedEmail)
+router.post('/validate-masterclass-access', requireVerifiedEmail('masterclass'), async (req, res) => {
   try {
-    const { accessCode, userEmail } = req.body;
-    const cleanEmail = userEmail.toLowerCase().trim();
-    
-    if (!accessCode || !userEmail) {
-      return res.status(400).json({ success: false, message: 'Access code and email are required' });
+    const { accessCode } = req.body;
+
+    if (!accessCode || typeof accessCode !== 'string') {
+      return res.status(400).json({ success: false, message: 'Access code is required' });
     }
+    const cleanEmail = req.user.email.toLowerCase().trim();
 
-    // Updated validation logic: Check assignedEmail OR the allowedEmails array
+    // Updated validation logic: Check assignedEmail OR the allowedEmails array, unexpired codes only
     const validCode = await AccessCode.findOne({
-      code: accessCode,
+      code: accessCode.trim().toUpperCase(),
+      expiresAt: { $gt: new Date() },
       $or: [
         { assignedEmail: cleanEmail },
         { allowedEmails: cleanEmail } // Checks if email exists in the team array
       ]
     });
 
-    if (validCode) {
+    // The code's course must still be published
+    const courseModel = validCode && ACCESS_CODE_COURSE_MODELS[validCode.courseModel];
+    const courseIsActive = courseModel
+      ? await courseModel.exists({ _id: validCode.courseId, isActive: true })
+      : Boolean(validCode);
+
+    if (courseIsActive) {
       await grantMasterclassAccess(req.user._id);
       res.json({ success: true, message: 'Access granted', access: true });
     } else {
       res.status(400).json({ success: false, message: 'Invalid code or unauthorized email' });
     }
   } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+    console.error('❌ Masterclass access validation error:', error);
+    res.status(500).json({ success: false, message: 'Error validating access code' });
   }
 });
 
@@ -0,0 +1,40 @@
+// travel-tour-backend/services/apiError.js
+//
+// Errors a service throws for the client to see: a message, an API error code and an
+// HTTP status. Each service subclasses ApiError (QuizError, ChannelError, ...) so callers
+// can still tell where an error came from; sendError turns any of them into the usual
+// { success: false, message, code } response.
+
+class ApiError extends Error {
+  // details: extra fields for the response body, e.g. { retake } when a quiz start is refused
+  constructor(message, code, status = 400, details = null) {
+    super(message);
+    this.name = new.target.name;
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// ApiErrors go out with their status and code. Anything else is logged and answered with
+// the fallback message only - internal error text never reaches the client.
+const sendError = (res, error, fallbackMessage) => {
+  if (error instanceof ApiError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+      ...error.details
+    });
+  }
+  console.error(`❌ ${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+module.exports = {
+  ApiError,
+  sendError
+};
@@ -0,0 +1,431 @@
+// travel-tour-backend/services/assessmentResultService.js
+//
+// One results pipeline for every quiz. Destination quizzes, general/masterclass course
+// quizzes, server-graded attempts and the older client-side submission routes all write
+// AssessmentResults (assessment_results). The old quiz_results / course_results endpoints
+// still answer in their familiar document shapes through toQuizResultShape and
+// toCourseResultShape.
+//
+// migrateLegacyResults copies quiz_results and course_results across, keeping each
+// document's _id so result ids held by clients and attempts keep working. It can be run
+// any number of times with `npm run migrate:results`.
+const mongoose = require('mongoose');
+const AssessmentResult = require('../models/AssessmentResult');
+const QuizAttempt = require('../models/QuizAttempt');
+const { NO_ANSWER } = require('./questionTypes');
+const progress = require('./progressService');
+const { ApiError } = require('./apiError');
+
+class AssessmentResultError extends ApiError {}
+
+const COURSE_TYPES = ['general', 'masterclass'];
+const ASSESSMENT_TYPES = ['destination', ...COURSE_TYPES];
+const LEGACY_COLLECTIONS = ['quiz_results', 'course_results'];
+
+const isObjectIdLike = (value) => {
+  return Boolean(value) && mongoose.Types.ObjectId.isValid(value) && String(value).length === 24;
+};
+
+// A real user id goes in userId; anything else older clients sent is kept in externalUserId
+const splitUserId = (value) => {
+  if (isObjectIdLike(value)) {
+    return { userId: new mongoose.Types.ObjectId(String(value)), externalUserId: null };
+  }
+  return { userId: null, externalUserId: value ? String(value) : null };
+};
+
+// Query for the results of whatever user identifier a client sent
+const userQuery = (value) => {
+  const { userId, externalUserId } = splitUserId(value);
+  return userId ? { userId } : { externalUserId };
+};
+
+// quiz -> destination quizzes (the old quiz_results), course -> general/masterclass (course_results)
+const kindQuery = (kind) => {
+  if (kind === 'quiz') return { assessmentType: 'destination' };
+  if (kind === 'course') return { assessmentType: { $in: COURSE_TYPES } };
+  return {};
+};
+
+const optionText = (options, value) => {
+  return typeof value === 'number' && options[value] !== undefined ? options[value] : null;
+};
+
+// ---- WRITING ----
+
+// Answer row from a graded row (see gradeAnswers in services/quizService.js)
+const toAnswerRow = (item) => ({
+  questionId: String(item.questionId),
+  questionVersion: item.questionVersion,
+  questionType: item.type || 'single_choice',
+  optionOrder: item.optionOrder?.length > 0 ? item.optionOrder : undefined,
+  matchOrder: item.matchOrder?.length > 0 ? item.matchOrder : undefined,
+  questionText: item.questionText || '',
+  options: item.options || [],
+  matches: item.matches?.length > 0 ? item.matches : undefined,
+  response: item.response ?? null,
+  responseText: item.responseText ?? optionText(item.options || [], item.response) ??
+    (item.response === null || item.response === undefined ? NO_ANSWER : String(item.response)),
+  correctAnswer: item.correctAnswer ?? null,
+  correctAnswerText: item.correctAnswerText ?? optionText(item.options || [], item.correctAnswer) ?? '',
+  isCorrect: Boolean(item.isCorrect),
+  credit: item.credit ?? (item.isCorrect ? 1 : 0),
+  points: item.points,
+  maxPoints: item.maxPoints,
+  explanation: item.explanation || '',
+  timeSpent: item.timeSpent ?? undefined
+});
+
+// Rows as the older submission routes and collections wrote them, in graded-row shape.
+// quiz_results: selectedAnswer is the response, selectedOption the picked option's text.
+// course_results: selectedOption is the option index (-1 unanswered), selectedAnswer its text.
+const fromLegacyAnswers = (answers, collectionName) => {
+  return (Array.isArray(answers) ? answers : [])
+    .filter(row => row && row.questionId !== undefined && row.questionId !== null)
+    .map(row => (collectionName === 'quiz_results'
+      ? {
+        ...row,
+        type: row.questionType,
+        questionText: row.questionText || row.question,
+        response: row.selectedAnswer,
+        responseText: typeof row.selectedOption === 'string' ? row.selectedOption : undefined
+      }
+      : {
+        ...row,
+        type: row.questionType,
+        response: row.response !== undefined ? row.response : (row.selectedOption >= 0 ? row.selectedOption : null),
+        responseText: row.selectedAnswer
+      }));
+};
+
+// Save a graded result. `userId` may be a user id or any identifier an older client sent.
+const recordResult = async ({ userId, answers = [], ...fields }) => {
+  const result = await AssessmentResult.create({
+    ...fields,
+    ...splitUserId(userId),
+    answers: answers.map(toAnswerRow)
+  });
+
+  // Course completion and User.stats follow from results; the result is saved either way
+  try {
+    await progress.onResultRecorded(result);
+  } catch (error) {
+    console.error('❌ Error updating progress after result:', error);
+  }
+  return result;
+};
+
+// ---- READING ----
+
+// Newest first. Filters: kind (quiz|course), assessmentType, userId, userName, questionSetId, unread
+const listResults = async ({
+  kind, assessmentType, userId, userName, questionSetId, unread, limit, skip = 0, populateUser = false
+} = {}) => {
+  const query = kindQuery(kind);
+  if (assessmentType) {
+    if (!ASSESSMENT_TYPES.includes(assessmentType)) {
+      throw new AssessmentResultError(`assessmentType must be one of: ${ASSESSMENT_TYPES.join(', ')}`, 'INVALID_ASSESSMENT_TYPE');
+    }
+    query.assessmentType = assessmentType;
+  }
+  if (userId) Object.assign(query, userQuery(userId));
+  if (userName) query.userName = userName;
+  if (questionSetId) query.questionSetId = String(questionSetId);
+  if (unread) query.readByAdmin = { $ne: true };
+
+  let find = AssessmentResult.find(query).sort({ submittedAt: -1 }).skip(Number(skip) || 0);
+  if (limit) find = find.limit(Math.min(Number(limit) || 50, 500));
+  if (populateUser) find = find.populate('userId', 'username email');
+
+  const [results, total] = await Promise.all([find, AssessmentResult.countDocuments(query)]);
+  return { results, total };
+};
+
+const getResult = async (resultId) => {
+  if (!isObjectIdLike(resultId)) {
+    throw new AssessmentResultError('Invalid result id', 'INVALID_RESULT');
+  }
+  const result = await AssessmentResult.findById(resultId);
+  if (!result) {
+    throw new AssessmentResultError('Result not found', 'RESULT_NOT_FOUND', 404);
+  }
+  return result;
+};
+
+// Students may only read their own results
+const getResultForUser = async (resultId, user) => {
+  const result = await getResult(resultId);
+  if (user.role !== 'admin' && (!result.userId || result.userId.toString() !== user._id.toString())) {
+    throw new AssessmentResultError('This result belongs to another user', 'RESULT_FORBIDDEN', 403);
+  }
+  return result;
+};
+
+const countUnread = (kind) => {
+  return AssessmentResult.countDocuments({ ...kindQuery(kind), readByAdmin: { $ne: true } });
+};
+
+// Mark the given results (or every unread one of the kind) as read by admin
+const markRead = (kind, resultIds) => {
+  const query = Array.isArray(resultIds) && resultIds.length > 0
+    ? { ...kindQuery(kind), _id: { $in: resultIds.filter(isObjectIdLike) } }
+    : { ...kindQuery(kind), readByAdmin: { $ne: true } };
+  return AssessmentResult.updateMany(query, { $set: { readByAdmin: true, readAt: new Date() } });
+};
+
+// ---- COMPATIBILITY SHAPES ----
+
+const plain = (result) => (typeof result.toObject === 'function' ? result.toObject() : result);
+
+// The quiz_results document older clients read (selectedOption is the picked option's text)
+const toQuizResultShape = (result) => {
+  const doc = plain(result);
+  return {
+    _id: doc._id,
+    userId: doc.userId || doc.externalUserId,
+    userName: doc.userName,
+    courseId: doc.courseId,
+    courseName: doc.courseName,
+    destination: doc.destinationId,
+    score: doc.score,
+    maxScore: doc.maxScore,
+    totalQuestions: doc.totalQuestions,
+    percentage: doc.percentage,
+    timeTaken: doc.timeTaken,
+    remark: doc.remark,
+    passPercentage: doc.passPercentage,
+    passed: doc.passed,
+    scoringSystem: doc.scoringSystem,
+    answers: (doc.answers || []).map(row => ({
+      questionId: row.questionId,
+      questionVersion: row.questionVersion,
+      questionType: row.questionType,
+      optionOrder: row.optionOrder,
+      matchOrder: row.matchOrder,
+      question: row.questionText,
+      questionText: row.questionText,
+      selectedOption: row.responseText,
+      selectedAnswer: row.response,
+      correctAnswer: row.correctAnswer,
+      correctAnswerText: row.correctAnswerText,
+      isCorrect: row.isCorrect,
+      credit: row.credit,
+      points: row.points,
+      maxPoints: row.maxPoints,
+      options: row.options,
+      matches: row.matches,
+      explanation: row.explanation,
+      timeSpent: row.timeSpent
+    })),
+    status: doc.status,
+    date: doc.submittedAt,
+    submittedAt: doc.submittedAt,
+    readByAdmin: doc.readByAdmin,
+    readAt: doc.readAt,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+};
+
+// The course_results document older clients read (string userId, numeric selectedOption)
+const toCourseResultShape = (result) => {
+  const doc = plain(result);
+  return {
+    _id: doc._id,
+    userId: doc.userId ? doc.userId.toString() : doc.externalUserId || 'anonymous',
+    userName: doc.userName,
+    courseId: doc.courseId,
+    courseName: doc.courseName,
+    courseType: doc.assessmentType,
+    score: doc.score,
+    maxScore: doc.maxScore,
+    totalQuestions: doc.totalQuestions,
+    percentage: doc.percentage,
+    timeTaken: doc.timeTaken,
+    remark: doc.remark,
+    passPercentage: doc.passPercentage,
+    passed: doc.passed,
+    answers: (doc.answers || []).map(row => ({
+      questionId: row.questionId,
+      questionVersion: row.questionVersion,
+      questionType: row.questionType,
+      optionOrder: row.optionOrder,
+      matchOrder: row.matchOrder,
+      questionText: row.questionText,
+      // Option index for single-answer questions, -1 otherwise (or when unanswered)
+      selectedOption: typeof row.response === 'number' && row.options.length > 0 ? row.response : -1,
+      selectedAnswer: row.responseText,
+      response: row.response,
+      correctAnswer: row.correctAnswer,
+      correctAnswerText: row.correctAnswerText,
+      isCorrect: row.isCorrect,
+      credit: row.credit,
+      explanation: row.explanation,
+      options: row.options,
+      matches: row.matches,
+      points: row.points,
+      maxPoints: row.maxPoints,
+      timeSpent: row.timeSpent
+    })),
+    status: doc.status,
+    questionSetId: doc.questionSetId,
+    questionSetTitle: doc.questionSetTitle,
+    questionSetType: doc.assessmentType,
+    scoringSystem: doc.scoringSystem,
+    readByAdmin: doc.readByAdmin,
+    readAt: doc.readAt,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+};
+
+// Each result in the shape of the collection it used to live in
+const toLegacyShape = (result) => {
+  return result.assessmentType === 'destination' ? toQuizResultShape(result) : toCourseResultShape(result);
+};
+
+// ---- MIGRATION ----
+
+// quiz_results document -> AssessmentResult fields
+const fromQuizResultDocument = (doc) => ({
+  _id: doc._id,
+  ...splitUserId(doc.userId),
+  userName: doc.userName || 'unknown',
+  assessmentType: 'destination',
+  courseId: doc.courseId ? String(doc.courseId) : null,
+  courseName: doc.courseName || doc.destination || '',
+  destinationId: doc.destination || null,
+  score: doc.score,
+  // Quiz results before scoring schemes were 1 point per question
+  maxScore: doc.maxScore ?? doc.totalQuestions,
+  totalQuestions: doc.totalQuestions,
+  percentage: doc.percentage,
+  timeTaken: doc.timeTaken || 0,
+  remark: doc.remark || '',
+  passPercentage: doc.passPercentage ?? null,
+  passed: doc.passed ?? null,
+  scoringSystem: doc.scoringSystem || '1_point_per_question',
+  answers: fromLegacyAnswers(doc.answers, 'quiz_results').map(toAnswerRow),
+  status: doc.status || 'completed',
+  submittedAt: doc.submittedAt || doc.date || doc.createdAt,
+  readByAdmin: Boolean(doc.readByAdmin),
+  readAt: doc.readAt || null,
+  createdAt: doc.createdAt || doc.submittedAt,
+  updatedAt: doc.updatedAt || doc.createdAt
+});
+
+// course_results document -> AssessmentResult fields
+const fromCourseResultDocument = (doc) => ({
+  _id: doc._id,
+  ...splitUserId(doc.userId),
+  userName: doc.userName || 'unknown',
+  assessmentType: COURSE_TYPES.includes(doc.courseType) ? doc.courseType : 'general',
+  courseId: doc.courseId && doc.courseId !== 'unknown-course' ? doc.courseId : null,
+  courseName: doc.courseName || '',
+  questionSetId: doc.questionSetId && doc.questionSetId !== 'unknown-set' ? doc.questionSetId : null,
+  questionSetTitle: doc.questionSetTitle || '',
+  score: doc.score,
+  maxScore: doc.maxScore ?? doc.totalQuestions * 5,
+  totalQuestions: doc.totalQuestions,
+  percentage: doc.percentage,
+  timeTaken: doc.timeTaken || 0,
+  remark: doc.remark || '',
+  passPercentage: doc.passPercentage ?? null,
+  passed: doc.passed ?? null,
+  scoringSystem: doc.scoringSystem || '5_points_per_question',
+  answers: fromLegacyAnswers(doc.answers, 'course_results').map(toAnswerRow),
+  status: doc.status || 'completed',
+  submittedAt: doc.createdAt,
+  readByAdmin: Boolean(doc.readByAdmin),
+  readAt: doc.readAt || null,
+  createdAt: doc.createdAt,
+  updatedAt: doc.updatedAt || doc.createdAt
+});
+
+const CONVERTERS = {
+  quiz_results: fromQuizResultDocument,
+  course_results: fromCourseResultDocument
+};
+
+// Insert the documents that are not in assessment_results yet
+const migrateBatch = async (collectionName, docs, counts) => {
+  const attempts = await QuizAttempt.find({ resultId: { $in: docs.map(doc => doc._id) } })
+    .select('_id resultId')
+    .lean();
+  const attemptByResult = new Map(attempts.map(attempt => [attempt.resultId.toString(), attempt._id]));
+
+  const operations = [];
+  for (const doc of docs) {
+    const attemptId = attemptByResult.get(doc._id.toString()) || null;
+    const result = new AssessmentResult({
+      ...CONVERTERS[collectionName](doc),
+      source: attemptId ? 'attempt' : 'submission',
+      attemptId,
+      legacySource: { collectionName, migratedAt: new Date() }
+    });
+    try {
+      await result.validate();
+    } catch (error) {
+      counts.failed.push({ id: doc._id, message: error.message });
+      continue;
+    }
+    const { _id, ...fields } = result.toObject({ depopulate: true });
+    operations.push({ updateOne: { filter: { _id }, update: { $setOnInsert: fields }, upsert: true } });
+  }
+  if (operations.length === 0) return;
+
+  // Straight to the driver: the documents are already cast and keep their own timestamps
+  const outcome = await AssessmentResult.collection.bulkWrite(operations, { ordered: false });
+  counts.migrated += outcome.upsertedCount;
+  counts.alreadyMigrated += outcome.matchedCount;
+};
+
+// Copy quiz_results and course_results into assessment_results and point attempts at it.
+// The old collections are left as they are.
+const migrateLegacyResults = async ({ batchSize = 500 } = {}) => {
+  const db = mongoose.connection.db;
+  const report = {};
+
+  for (const collectionName of LEGACY_COLLECTIONS) {
+    const counts = { migrated: 0, alreadyMigrated: 0, failed: [] };
+    report[collectionName] = counts;
+    if (!(await db.listCollections({ name: collectionName }).hasNext())) continue;
+
+    let batch = [];
+    for await (const doc of db.collection(collectionName).find({})) {
+      batch.push(doc);
+      if (batch.length >= batchSize) {
+        await migrateBatch(collectionName, batch, counts);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await migrateBatch(collectionName, batch, counts);
+    }
+  }
+
+  const relinked = await QuizAttempt.updateMany(
+    { resultModel: { $in: ['QuizResult', 'CourseResult'] } },
+    { $set: { resultModel: 'AssessmentResult' } }
+  );
+  report.attemptsRelinked = relinked.modifiedCount;
+  return report;
+};
+
+module.exports = {
+  AssessmentResultError,
+  ASSESSMENT_TYPES,
+  COURSE_TYPES,
+  userQuery,
+  fromLegacyAnswers,
+  recordResult,
+  listResults,
+  getResult,
+  getResultForUser,
+  countUnread,
+  markRead,
+  toQuizResultShape,
+  toCourseResultShape,
+  toLegacyShape,
+  migrateLegacyResults
+};
@@ -0,0 +1,58 @@
+// travel-tour-backend/services/callRegistry.js
+//
+// Community calls and their participants, kept in the shared state store so every
+// server instance sees the same calls. Participants are stored one entry per socket
+// so instances never overwrite each other's joins and leaves; entries expire unless
+// the socket's instance keeps refreshing them, so a crashed instance leaves no ghosts.
+const { getStateStore } = require('./state');
+
+const CALLS = 'calls';
+const PARTICIPANTS = 'call_participants';
+const PARTICIPANT_TTL_MS = 90 * 1000;
+
+const participantKey = (callId, socketId) => `${callId}:${socketId}`;
+
+const getCall = (callId) => getStateStore().get(CALLS, callId);
+
+// call: { id, adminId, adminName, startTime, isActive, createdAt, withAudio }
+const saveCall = (call) => getStateStore().set(CALLS, call.id, call);
+
+const deleteCall = async (callId) => {
+  const store = getStateStore();
+  await store.delete(CALLS, callId);
+  await store.deleteMany(PARTICIPANTS, { prefix: `${callId}:` });
+};
+
+const listActiveCalls = async () => {
+  const entries = await getStateStore().entries(CALLS);
+  return entries.map(entry => entry.value).filter(call => call.isActive);
+};
+
+// Also used to refresh an existing participant before it expires
+const addParticipant = (callId, socketId, participant) => {
+  return getStateStore().set(
+    PARTICIPANTS,
+    participantKey(callId, socketId),
+    { ...participant, callId, socketId },
+    { ttlMs: PARTICIPANT_TTL_MS }
+  );
+};
+
+const removeParticipant = (callId, socketId) => {
+  return getStateStore().delete(PARTICIPANTS, participantKey(callId, socketId));
+};
+
+const getParticipants = async (callId) => {
+  const entries = await getStateStore().entries(PARTICIPANTS, { prefix: `${callId}:` });
+  return entries.map(entry => entry.value);
+};
+
+module.exports = {
+  getCall,
+  saveCall,
+  deleteCall,
+  listActiveCalls,
+  addParticipant,
+  removeParticipant,
+  getParticipants
+};
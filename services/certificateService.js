@@ -0,0 +1,326 @@
+// travel-tour-backend/services/certificateService.js
+//
+// Completion certificates for document courses. One is issued automatically when a
+// student's progress first meets the course's completion criteria (see progressService).
+// PDFs are rendered on request, so a reissued name or a revocation never leaves a stale
+// file behind. Anyone holding a certificate ID can check it through the public verify route.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Certificate = require('../models/Certificate');
+const AssessmentResult = require('../models/AssessmentResult');
+const User = require('../models/User');
+const { ApiError } = require('./apiError');
+
+class CertificateError extends ApiError {}
+
+const ACADEMY_NAME = 'The Conclave Academy';
+
+// No 0/O or 1/I, so IDs read back over the phone survive
+const ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// CA-XXXX-XXXX-XXXX
+const generateCertificateId = () => {
+  const groups = [0, 1, 2].map(() => Array.from(
+    { length: 4 },
+    () => ID_ALPHABET[crypto.randomInt(ID_ALPHABET.length)]
+  ).join(''));
+  return `CA-${groups.join('-')}`;
+};
+
+const normalizeCertificateId = (value) => String(value || '').trim().toUpperCase();
+
+const recipientNameFor = (user) => {
+  const fullName = [user.profile?.firstName, user.profile?.lastName].filter(Boolean).join(' ').trim();
+  return fullName || user.username;
+};
+
+// Average of the student's best percentage on each quiz; null when the course has none
+const courseScore = async (userId, questionSetIds) => {
+  if (questionSetIds.length === 0) return null;
+  const best = await AssessmentResult.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(String(userId)),
+        questionSetId: { $in: questionSetIds.map(String) }
+      }
+    },
+    { $group: { _id: '$questionSetId', best: { $max: '$percentage' } } }
+  ]);
+  if (best.length === 0) return null;
+  return Math.round(best.reduce((sum, row) => sum + row.best, 0) / best.length);
+};
+
+// Duplicate key on the one-active-certificate-per-course index
+const isActiveCertificateClash = (error) => error.code === 11000 && !error.keyPattern?.certificateId;
+
+// Save with a fresh ID, retrying the (unlikely) clash with an existing one
+const createWithId = async (fields) => {
+  for (let tries = 0; tries < 5; tries++) {
+    try {
+      return await Certificate.create({ ...fields, certificateId: generateCertificateId() });
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyPattern?.certificateId) throw error;
+    }
+  }
+  throw new CertificateError('Could not allocate a certificate ID', 'CERTIFICATE_ID_EXHAUSTED', 500);
+};
+
+const getCertificate = async (certificateId) => {
+  const certificate = await Certificate.findOne({ certificateId: normalizeCertificateId(certificateId) });
+  if (!certificate) {
+    throw new CertificateError('Certificate not found', 'CERTIFICATE_NOT_FOUND', 404);
+  }
+  return certificate;
+};
+
+// ---- ISSUING ----
+
+// Called when a student completes a course. Does nothing if they already hold an active one;
+// when two completions race, the unique index lets one create it and the other returns it.
+const issueForCompletion = async ({ userId, course, completedAt, questionSetIds = [] }) => {
+  const findActive = () => Certificate.findOne({ userId, courseId: course._id, status: 'active' });
+  const existing = await findActive();
+  if (existing) return existing;
+
+  const user = await User.findById(userId).select('username profile').lean();
+  if (!user) return null;
+
+  let certificate;
+  try {
+    certificate = await createWithId({
+      userId,
+      recipientName: recipientNameFor(user),
+      courseId: course._id,
+      courseTitle: course.title,
+      courseType: course.courseType,
+      score: await courseScore(userId, questionSetIds),
+      completedAt: completedAt || new Date()
+    });
+  } catch (error) {
+    if (isActiveCertificateClash(error)) return findActive();
+    throw error;
+  }
+  console.log(`📜 Certificate ${certificate.certificateId} issued to ${certificate.recipientName} for "${course.title}"`);
+  return certificate;
+};
+
+// ---- READING ----
+
+// The student's certificates; superseded ones are hidden behind their reissue
+const listMyCertificates = (user) => {
+  return Certificate.find({ userId: user._id, status: { $ne: 'superseded' } }).sort({ issuedAt: -1 });
+};
+
+// Students may only read their own certificates
+const getCertificateForUser = async (certificateId, user) => {
+  const certificate = await getCertificate(certificateId);
+  if (user.role !== 'admin' && certificate.userId.toString() !== user._id.toString()) {
+    throw new CertificateError('This certificate belongs to another user', 'CERTIFICATE_FORBIDDEN', 403);
+  }
+  return certificate;
+};
+
+// Public check: only what is printed on the certificate, plus its status
+const verifyCertificate = async (certificateId) => {
+  const certificate = await getCertificate(certificateId);
+  return {
+    valid: certificate.status === 'active',
+    status: certificate.status,
+    certificateId: certificate.certificateId,
+    recipientName: certificate.recipientName,
+    courseTitle: certificate.courseTitle,
+    score: certificate.score,
+    completedAt: certificate.completedAt,
+    issuedAt: certificate.issuedAt,
+    revokedAt: certificate.revokedAt,
+    replacedBy: certificate.replacedBy
+  };
+};
+
+// Filters: userId, courseId, status, page, limit
+const listCertificates = async (filters = {}) => {
+  const query = {};
+  if (filters.userId) {
+    if (!isValidId(filters.userId)) throw new CertificateError('Invalid user id', 'INVALID_USER');
+    query.userId = filters.userId;
+  }
+  if (filters.courseId) {
+    if (!isValidId(filters.courseId)) throw new CertificateError('Invalid course id', 'INVALID_COURSE');
+    query.courseId = filters.courseId;
+  }
+  if (filters.status) query.status = filters.status;
+
+  const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), 200);
+  const page = Math.max(parseInt(filters.page) || 1, 1);
+  const [certificates, total] = await Promise.all([
+    Certificate.find(query)
+      .populate('userId', 'username email')
+      .sort({ issuedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Certificate.countDocuments(query)
+  ]);
+  return { certificates, total, page, limit };
+};
+
+// ---- ADMIN ----
+
+const revokeCertificate = async (admin, certificateId, { reason } = {}) => {
+  const certificate = await getCertificate(certificateId);
+  if (certificate.status !== 'active') {
+    throw new CertificateError(`Certificate is already ${certificate.status}`, 'CERTIFICATE_NOT_ACTIVE', 409);
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new CertificateError('A reason is required to revoke a certificate', 'REASON_REQUIRED');
+  }
+
+  certificate.status = 'revoked';
+  certificate.revokedAt = new Date();
+  certificate.revokedBy = admin._id;
+  certificate.revokeReason = String(reason).trim();
+  await certificate.save();
+  console.log(`🚫 Certificate ${certificate.certificateId} revoked by ${admin.username}`);
+  return certificate;
+};
+
+// New certificate with a new ID for the same completion, e.g. after a name correction or
+// to restore a revoked one. An active original is marked superseded.
+const reissueCertificate = async (admin, certificateId, { recipientName } = {}) => {
+  const original = await getCertificate(certificateId);
+  if (original.status === 'superseded') {
+    throw new CertificateError(`Certificate was already reissued as ${original.replacedBy}`, 'CERTIFICATE_SUPERSEDED', 409);
+  }
+  const otherActive = await Certificate.exists({
+    userId: original.userId,
+    courseId: original.courseId,
+    status: 'active',
+    _id: { $ne: original._id }
+  });
+  if (otherActive) {
+    throw new CertificateError('The student already holds an active certificate for this course', 'CERTIFICATE_ACTIVE_EXISTS', 409);
+  }
+
+  const user = await User.findById(original.userId).select('username profile').lean();
+  const name = String(recipientName || '').trim() || (user ? recipientNameFor(user) : original.recipientName);
+
+  // Only one certificate per course can be active, so an active original steps aside first
+  const wasActive = original.status === 'active';
+  if (wasActive) {
+    const claimed = await Certificate.updateOne({ _id: original._id, status: 'active' }, { $set: { status: 'superseded' } });
+    if (claimed.modifiedCount !== 1) {
+      throw new CertificateError('Certificate changed while being reissued. Please try again.', 'CERTIFICATE_CHANGED', 409);
+    }
+  }
+
+  let certificate;
+  try {
+    certificate = await createWithId({
+      userId: original.userId,
+      recipientName: name,
+      courseId: original.courseId,
+      courseTitle: original.courseTitle,
+      courseType: original.courseType,
+      score: original.score,
+      completedAt: original.completedAt,
+      issuedBy: admin._id,
+      reissuedFrom: original.certificateId
+    });
+  } catch (error) {
+    if (wasActive) {
+      await Certificate.updateOne({ _id: original._id, status: 'superseded' }, { $set: { status: 'active' } });
+    }
+    if (isActiveCertificateClash(error)) {
+      throw new CertificateError('The student already holds an active certificate for this course', 'CERTIFICATE_ACTIVE_EXISTS', 409);
+    }
+    throw error;
+  }
+
+  if (wasActive) original.status = 'superseded';
+  original.replacedBy = certificate.certificateId;
+  await original.save();
+
+  console.log(`📜 Certificate ${original.certificateId} reissued as ${certificate.certificateId} by ${admin.username}`);
+  return { certificate, original };
+};
+
+// ---- PDF ----
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric'
+});
+
+// A4 landscape certificate with a QR code pointing at the verify URL
+const renderPdf = async (certificate, { verifyUrl }) => {
+  const qrCode = await QRCode.toBuffer(verifyUrl, { margin: 1, width: 240 });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout: 'landscape',
+      margin: 0,
+      info: {
+        Title: `Certificate ${certificate.certificateId}`,
+        Author: ACADEMY_NAME,
+        Subject: certificate.courseTitle
+      }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { width, height } = doc.page;
+    const textWidth = width - 160;
+
+    doc.lineWidth(3).strokeColor('#1f3a5f').rect(30, 30, width - 60, height - 60).stroke();
+    doc.lineWidth(1).strokeColor('#c9a227').rect(42, 42, width - 84, height - 84).stroke();
+
+    doc.fillColor('#1f3a5f').font('Helvetica-Bold').fontSize(16)
+      .text(ACADEMY_NAME.toUpperCase(), 80, 80, { width: textWidth, align: 'center', characterSpacing: 2 });
+    doc.font('Helvetica-Bold').fontSize(34)
+      .text('Certificate of Completion', 80, 120, { width: textWidth, align: 'center' });
+
+    doc.fillColor('#333333').font('Helvetica').fontSize(14)
+      .text('This certifies that', 80, 195, { width: textWidth, align: 'center' });
+    doc.fillColor('#000000').font('Helvetica-Bold').fontSize(28)
+      .text(certificate.recipientName, 80, 222, { width: textWidth, align: 'center' });
+    doc.fillColor('#333333').font('Helvetica').fontSize(14)
+      .text('has successfully completed', 80, 268, { width: textWidth, align: 'center' });
+    doc.fillColor('#1f3a5f').font('Helvetica-Bold').fontSize(22)
+      .text(certificate.courseTitle, 80, 292, { width: textWidth, align: 'center' });
+
+    const details = [`Completed on ${formatDate(certificate.completedAt)}`];
+    if (certificate.score !== null && certificate.score !== undefined) {
+      details.push(`Score: ${certificate.score}%`);
+    }
+    doc.fillColor('#333333').font('Helvetica').fontSize(13)
+      .text(details.join('   |   '), 80, 350, { width: textWidth, align: 'center' });
+
+    doc.image(qrCode, width - 170, height - 175, { width: 105 });
+    doc.fillColor('#555555').font('Helvetica').fontSize(10)
+      .text(`Certificate ID: ${certificate.certificateId}`, 70, height - 110)
+      .text(`Issued ${formatDate(certificate.issuedAt)}`, 70, height - 95)
+      .text(`Verify at ${verifyUrl}`, 70, height - 80, { width: width - 270 });
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  CertificateError,
+  generateCertificateId,
+  issueForCompletion,
+  listMyCertificates,
+  getCertificateForUser,
+  verifyCertificate,
+  listCertificates,
+  revokeCertificate,
+  reissueCertificate,
+  renderPdf
+};
@@ -0,0 +1,253 @@
+// travel-tour-backend/services/channelService.js
+const mongoose = require('mongoose');
+const CommunityChannel = require('../models/CommunityChannel');
+const ChannelMembership = require('../models/ChannelMembership');
+const CommunityMessage = require('../models/CommunityMessage');
+const { DEFAULT_CALL_ID, buildChannelFilter } = require('./communityMessageService');
+const { ApiError } = require('./apiError');
+
+class ChannelError extends ApiError {}
+
+const slugify = (name) => {
+  return name
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+// The General channel always exists; create it the first time it is needed
+const ensureDefaultChannel = async () => {
+  const existing = await CommunityChannel.findOne({ isDefault: true });
+  if (existing) return existing;
+
+  try {
+    const channel = await CommunityChannel.create({
+      name: 'General',
+      slug: 'general',
+      description: 'Community chat for everyone',
+      access: 'open',
+      isDefault: true
+    });
+    console.log('💬 Created default General channel');
+    return channel;
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) {
+      return CommunityChannel.findOne({ slug: 'general' });
+    }
+    throw error;
+  }
+};
+
+const getChannel = async (channelId) => {
+  if (!mongoose.Types.ObjectId.isValid(channelId)) {
+    throw new ChannelError('Invalid channel ID', 'INVALID_CHANNEL_ID');
+  }
+
+  const channel = await CommunityChannel.findById(channelId);
+  if (!channel) {
+    throw new ChannelError('Channel not found', 'CHANNEL_NOT_FOUND', 404);
+  }
+  return channel;
+};
+
+// Masterclass channels accept any active access, or access to one of the listed courses
+const hasMasterclassAccess = (channel, user) => {
+  const activeAccesses = user.getActiveMasterclassAccesses();
+  if (channel.masterclassCourseIds.length === 0) {
+    return activeAccesses.length > 0;
+  }
+  return activeAccesses.some(access =>
+    channel.masterclassCourseIds.some(courseId => courseId.equals(access.courseId))
+  );
+};
+
+// Whether a user (User document) may read and join a channel
+const canAccessChannel = (channel, user) => {
+  if (user.role === 'admin') return true;
+  if (channel.isArchived) return false;
+
+  switch (channel.access) {
+    case 'open':
+      return true;
+    case 'invite_only':
+      return channel.isInvited(user._id);
+    case 'masterclass':
+      return channel.isInvited(user._id) || hasMasterclassAccess(channel, user);
+    default:
+      return false;
+  }
+};
+
+// Load a channel and make sure the user may use it
+const getAccessibleChannel = async (channelId, user) => {
+  const channel = await getChannel(channelId);
+  if (!canAccessChannel(channel, user)) {
+    throw new ChannelError('You do not have access to this channel', 'CHANNEL_ACCESS_DENIED', 403);
+  }
+  return channel;
+};
+
+const isMember = async (channelId, userId) => {
+  return !!(await ChannelMembership.exists({ channelId, userId }));
+};
+
+const joinChannel = async (channelId, user) => {
+  const channel = await getAccessibleChannel(channelId, user);
+
+  const membership = await ChannelMembership.findOneAndUpdate(
+    { channelId: channel._id, userId: user._id },
+    { $setOnInsert: { joinedAt: new Date(), lastReadAt: new Date() } },
+    { upsert: true, new: true }
+  );
+
+  return { channel, membership };
+};
+
+const leaveChannel = async (channelId, userId) => {
+  const result = await ChannelMembership.deleteOne({ channelId, userId });
+  return result.deletedCount > 0;
+};
+
+// Move the member's read marker forward to a message (or the newest message when none is given).
+// Markers never move backwards, so an older tab cannot undo what a newer one has read.
+// Returns the marker, or null when the user is not a member or the message is not in the channel.
+const markChannelRead = async (channel, userId, messageId = null) => {
+  if (messageId && !mongoose.Types.ObjectId.isValid(messageId)) {
+    throw new ChannelError('Invalid message ID', 'INVALID_MESSAGE_ID');
+  }
+
+  const messageFilter = buildChannelFilter(channel);
+  if (messageId) messageFilter._id = messageId;
+
+  const message = await CommunityMessage.findOne(messageFilter).sort({ _id: -1 }).select('_id timestamp').lean();
+  if (!message) return null;
+
+  const membership = await ChannelMembership.findOneAndUpdate(
+    {
+      channelId: channel._id,
+      userId,
+      $or: [{ lastReadMessageId: null }, { lastReadMessageId: { $lt: message._id } }]
+    },
+    { $set: { lastReadMessageId: message._id, lastReadAt: message.timestamp } },
+    { new: true }
+  );
+
+  // Already read up to (or past) this message
+  const current = membership || await ChannelMembership.findOne({ channelId: channel._id, userId }).lean();
+  if (!current) return null;
+
+  return {
+    channelId: channel._id.toString(),
+    lastReadMessageId: current.lastReadMessageId ? current.lastReadMessageId.toString() : null,
+    lastReadAt: current.lastReadAt
+  };
+};
+
+// Work out where a message is read from or posted to:
+// - channelId given      -> that channel (posting requires membership, except General)
+// - a call's own callId  -> the call room, no channel
+// - nothing              -> the General channel
+const resolveMessageTarget = async ({ channelId, callId }, user, { forWrite = false } = {}) => {
+  if (channelId) {
+    const channel = await getAccessibleChannel(channelId, user);
+    if (channel.isArchived) {
+      throw new ChannelError('This channel is archived', 'CHANNEL_ARCHIVED', 403);
+    }
+    if (forWrite && !channel.isDefault && user.role !== 'admin' && !(await isMember(channel._id, user._id))) {
+      throw new ChannelError('Join the channel before posting', 'NOT_CHANNEL_MEMBER', 403);
+    }
+    return { channel, callId: channel.isDefault ? DEFAULT_CALL_ID : null };
+  }
+
+  if (callId && callId !== DEFAULT_CALL_ID) {
+    return { channel: null, callId };
+  }
+
+  return { channel: await ensureDefaultChannel(), callId: DEFAULT_CALL_ID };
+};
+
+// Messages from others after the member's read marker
+const countUnread = (channel, membership) => {
+  const readFilter = membership.lastReadMessageId
+    ? { _id: { $gt: membership.lastReadMessageId } }
+    : { timestamp: { $gt: membership.lastReadAt } };
+
+  return CommunityMessage.countDocuments({
+    ...buildChannelFilter(channel),
+    ...readFilter,
+    senderId: { $ne: membership.userId.toString() },
+    deletedAt: null
+  });
+};
+
+// Unread counts for every channel the user has joined
+const getUnreadCounts = async (userId) => {
+  const memberships = await ChannelMembership.find({ userId }).lean();
+  if (memberships.length === 0) return [];
+
+  const channels = await CommunityChannel.find({
+    _id: { $in: memberships.map(membership => membership.channelId) },
+    isArchived: false
+  });
+
+  return Promise.all(channels.map(async (channel) => {
+    const membership = memberships.find(m => m.channelId.equals(channel._id));
+    return {
+      channelId: channel._id.toString(),
+      name: channel.name,
+      unreadCount: await countUnread(channel, membership),
+      lastReadMessageId: membership.lastReadMessageId ? membership.lastReadMessageId.toString() : null
+    };
+  }));
+};
+
+// Public shape of a channel for API responses
+const formatChannel = (channel, extras = {}) => ({
+  id: channel._id.toString(),
+  name: channel.name,
+  slug: channel.slug,
+  description: channel.description,
+  access: channel.access,
+  isDefault: channel.isDefault,
+  isArchived: channel.isArchived,
+  createdAt: channel.createdAt,
+  ...extras
+});
+
+// Channels the user can see, with membership and unread count
+const listChannelsForUser = async (user) => {
+  await ensureDefaultChannel();
+
+  const channels = await CommunityChannel.find({ isArchived: false }).sort({ isDefault: -1, name: 1 });
+  const memberships = await ChannelMembership.find({ userId: user._id }).lean();
+
+  const visible = channels.filter(channel => canAccessChannel(channel, user));
+
+  return Promise.all(visible.map(async (channel) => {
+    const membership = memberships.find(m => m.channelId.equals(channel._id));
+    return formatChannel(channel, {
+      isMember: !!membership,
+      unreadCount: membership ? await countUnread(channel, membership) : 0,
+      lastReadMessageId: membership?.lastReadMessageId ? membership.lastReadMessageId.toString() : null
+    });
+  }));
+};
+
+module.exports = {
+  ChannelError,
+  slugify,
+  ensureDefaultChannel,
+  getChannel,
+  canAccessChannel,
+  getAccessibleChannel,
+  isMember,
+  joinChannel,
+  leaveChannel,
+  markChannelRead,
+  resolveMessageTarget,
+  getUnreadCounts,
+  formatChannel,
+  listChannelsForUser
+};
@@ -0,0 +1,124 @@
+// travel-tour-backend/services/communityMessageService.js
+const mongoose = require('mongoose');
+const CommunityMessage = require('../models/CommunityMessage');
+const { ApiError } = require('./apiError');
+
+class CommunityMessageError extends ApiError {}
+
+const DEFAULT_CALL_ID = 'community_call_default';
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Messages saved before callId was always set belong to the default room
+const buildRoomFilter = (callId) => {
+  if (!callId || callId === DEFAULT_CALL_ID) {
+    return { channelId: null, callId: { $in: [DEFAULT_CALL_ID, null] } };
+  }
+  return { channelId: null, callId };
+};
+
+// The default (General) channel also owns the chat from before channels existed
+const buildChannelFilter = (channel) => {
+  if (channel.isDefault) {
+    return {
+      $or: [
+        { channelId: channel._id },
+        { channelId: null, callId: { $in: [DEFAULT_CALL_ID, null] } }
+      ]
+    };
+  }
+  return { channelId: channel._id };
+};
+
+const parsePageSize = (limit) => {
+  const parsed = parseInt(limit);
+  if (!parsed || parsed < 1) return DEFAULT_PAGE_SIZE;
+  return Math.min(parsed, MAX_PAGE_SIZE);
+};
+
+// Shape sent to clients over both socket.io and REST
+const formatMessage = (message) => ({
+  id: message._id.toString(),
+  sender: message.sender,
+  senderId: message.senderId,
+  text: message.deletedAt ? '' : message.text,
+  timestamp: message.timestamp,
+  isAdmin: message.isAdmin,
+  callId: message.callId || (message.channelId ? null : DEFAULT_CALL_ID),
+  channelId: message.channelId ? message.channelId.toString() : null,
+  userId: message.senderId,
+  userName: message.sender,
+  userRole: message.senderRole || (message.isAdmin ? 'admin' : 'student'),
+  editedAt: message.editedAt || null,
+  isEdited: !!message.editedAt,
+  isDeleted: !!message.deletedAt,
+  isPinned: !!message.isPinned,
+  pinnedAt: message.pinnedAt || null
+});
+
+// Persist a message from an authenticated user ({ userId, userName, role })
+const saveMessage = async (user, { text, callId, channelId }) => {
+  const message = new CommunityMessage({
+    sender: user.userName,
+    senderId: user.userId,
+    senderRole: user.role,
+    text: text.trim(),
+    isAdmin: user.role === 'admin',
+    timestamp: new Date(),
+    callId: callId || (channelId ? null : DEFAULT_CALL_ID),
+    channelId: channelId || null
+  });
+
+  await message.save();
+  return formatMessage(message);
+};
+
+// Cursor paging by message id. `before` walks back through older messages,
+// `after` fetches anything newer (e.g. what a reconnecting client missed).
+// Pass a channel document to page a channel, otherwise the call room is used.
+// Messages are always returned oldest first.
+const getMessagePage = async ({ callId, channel, before, after, limit } = {}) => {
+  const pageSize = parsePageSize(limit);
+  const filter = channel ? buildChannelFilter(channel) : buildRoomFilter(callId);
+
+  for (const cursor of [before, after]) {
+    if (cursor && !mongoose.Types.ObjectId.isValid(cursor)) {
+      throw new CommunityMessageError('Invalid message cursor', 'INVALID_CURSOR');
+    }
+  }
+
+  if (before) filter._id = { $lt: before };
+  if (after) filter._id = { ...filter._id, $gt: after };
+
+  // Newer-than queries read forwards; everything else reads backwards from the newest
+  const sortDirection = after && !before ? 1 : -1;
+
+  const results = await CommunityMessage.find(filter)
+    .sort({ _id: sortDirection })
+    .limit(pageSize + 1)
+    .lean();
+
+  const hasMore = results.length > pageSize;
+  const page = results.slice(0, pageSize);
+  if (sortDirection === -1) page.reverse();
+
+  const messages = page.map(formatMessage);
+
+  return {
+    messages,
+    hasMore,
+    cursors: {
+      before: messages.length > 0 ? messages[0].id : before || null,
+      after: messages.length > 0 ? messages[messages.length - 1].id : after || null
+    }
+  };
+};
+
+module.exports = {
+  CommunityMessageError,
+  DEFAULT_CALL_ID,
+  buildChannelFilter,
+  formatMessage,
+  saveMessage,
+  getMessagePage
+};
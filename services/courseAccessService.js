@@ -0,0 +1,44 @@
+// travel-tour-backend/services/courseAccessService.js
+//
+// Who may open masterclass content. Admins open everything. Students open masterclass
+// document courses they redeemed a code for (accessibleMasterclassCourses) or hold an
+// active, unexpired grant to (masterclassAccess); everything else is open to them.
+const { ApiError } = require('./apiError');
+
+class CourseAccessError extends ApiError {}
+
+// What masterclass content the caller may open
+const accessFor = (user) => {
+  if (user.role === 'admin') return { everything: true };
+  const now = new Date();
+  const grants = (user.masterclassAccess || []).filter(access => access.isActive && access.expiresAt > now);
+  return {
+    everything: false,
+    documentCourseIds: [
+      ...(user.accessibleMasterclassCourses || []),
+      ...grants.filter(access => access.courseType === 'document').map(access => access.courseId)
+    ],
+    destinationCourseIds: grants.filter(access => access.courseType === 'destination').map(access => access.courseId),
+    allVideos: user.masterclassVideoAccess === true,
+    email: String(user.email || '').toLowerCase()
+  };
+};
+
+const canOpenDocumentCourse = (user, course) => {
+  if (course.courseType !== 'masterclass') return true;
+  const access = accessFor(user);
+  return access.everything || access.documentCourseIds.some(id => String(id) === course._id.toString());
+};
+
+const assertCanOpenDocumentCourse = (user, course) => {
+  if (!canOpenDocumentCourse(user, course)) {
+    throw new CourseAccessError('You do not have access to this masterclass course', 'MASTERCLASS_ACCESS_REQUIRED', 403);
+  }
+};
+
+module.exports = {
+  CourseAccessError,
+  accessFor,
+  canOpenDocumentCourse,
+  assertCanOpenDocumentCourse
+};
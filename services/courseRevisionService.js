@@ -0,0 +1,323 @@
+// travel-tour-backend/services/courseRevisionService.js
+//
+// Revision history for document and destination courses. Revisions are written by the
+// models themselves on every save (see models/revisioned.js); this service lists them,
+// diffs two of them field by field and restores an old one. A restore never rewrites
+// history: it saves the old content as a new revision.
+const mongoose = require('mongoose');
+const CourseRevision = require('../models/CourseRevision');
+const DocumentCourse = require('../models/DocumentCourse');
+const Course = require('../models/Course');
+const { setRevisionAuthor, changedFieldsBetween } = require('../models/revisioned');
+const { ApiError } = require('./apiError');
+
+class RevisionError extends ApiError {}
+
+// URL segment -> model
+const REVISION_MODELS = {
+  'document-courses': DocumentCourse,
+  'destination-courses': Course
+};
+
+const DIFF_FORMATS = ['lines', 'text', 'html'];
+
+// Unchanged lines kept around each change
+const DIFF_CONTEXT = 3;
+
+// Above this many line pairs a changed field is shown as replaced outright rather than
+// matched line by line
+const MAX_DIFF_CELLS = 4000000;
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const getModel = (contentType) => {
+  const model = REVISION_MODELS[contentType];
+  if (!model) {
+    throw new RevisionError(`Content type must be one of: ${Object.keys(REVISION_MODELS).join(', ')}`, 'INVALID_CONTENT_TYPE');
+  }
+  return model;
+};
+
+const getCourse = async (contentType, courseId) => {
+  const model = getModel(contentType);
+  if (!isValidId(courseId)) {
+    throw new RevisionError('Invalid course id', 'INVALID_COURSE');
+  }
+  const course = await model.findById(courseId);
+  if (!course) {
+    throw new RevisionError('Course not found', 'COURSE_NOT_FOUND', 404);
+  }
+  return course;
+};
+
+const parseRevisionNumber = (value) => {
+  const revision = Number(value);
+  if (!Number.isInteger(revision) || revision < 1) {
+    throw new RevisionError('Revision must be a positive whole number', 'INVALID_REVISION');
+  }
+  return revision;
+};
+
+const findRevision = async (contentType, courseId, revision) => {
+  getModel(contentType);
+  if (!isValidId(courseId)) {
+    throw new RevisionError('Invalid course id', 'INVALID_COURSE');
+  }
+  const found = await CourseRevision.findOne({ contentType, courseId, revision: parseRevisionNumber(revision) })
+    .populate('editedBy', 'username email');
+  if (!found) {
+    throw new RevisionError(`Revision ${revision} not found`, 'REVISION_NOT_FOUND', 404);
+  }
+  return found;
+};
+
+// ---- READING ----
+
+// Newest first, without the snapshots. Filters: page, limit
+const listRevisions = async (contentType, courseId, { page, limit } = {}) => {
+  getModel(contentType);
+  if (!isValidId(courseId)) {
+    throw new RevisionError('Invalid course id', 'INVALID_COURSE');
+  }
+  const query = { contentType, courseId };
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+  const [revisions, total] = await Promise.all([
+    CourseRevision.find(query)
+      .select('-snapshot')
+      .populate('editedBy', 'username email')
+      .sort({ revision: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    CourseRevision.countDocuments(query)
+  ]);
+  return { revisions, total, page: pageNum, limit: limitNum };
+};
+
+// One revision with its full snapshot
+const getRevision = (contentType, courseId, revision) => findRevision(contentType, courseId, revision);
+
+// ---- DIFF ----
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Strings are compared line by line (HTML one tag per line); anything else as indented JSON
+const toLines = (value) => {
+  if (value === undefined || value === null) return [];
+  if (typeof value !== 'string') return JSON.stringify(value, null, 2).split('\n');
+  const text = /<[a-z][^>]*>/i.test(value) ? value.replace(/>\s*</g, '>\n<') : value;
+  return text.split(/\r?\n/);
+};
+
+// Line diff as [{ op: 'equal' | 'delete' | 'insert', text }], by longest common subsequence
+// over whatever is left once the common start and end are set aside
+const diffLines = (before, after) => {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const head = before.slice(0, start).map(text => ({ op: 'equal', text }));
+  const tail = before.slice(endBefore).map(text => ({ op: 'equal', text }));
+  const a = before.slice(start, endBefore);
+  const b = after.slice(start, endAfter);
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...head,
+      ...a.map(text => ({ op: 'delete', text })),
+      ...b.map(text => ({ op: 'insert', text })),
+      ...tail
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..], flattened
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      middle.push({ op: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      middle.push({ op: 'delete', text: a[i++] });
+    } else {
+      middle.push({ op: 'insert', text: b[j++] });
+    }
+  }
+  while (i < a.length) middle.push({ op: 'delete', text: a[i++] });
+  while (j < b.length) middle.push({ op: 'insert', text: b[j++] });
+
+  return [...head, ...middle, ...tail];
+};
+
+// Keep DIFF_CONTEXT unchanged lines either side of each change; longer unchanged runs
+// become { op: 'skip', count }
+const collapseUnchanged = (lines) => {
+  const keep = lines.map(() => false);
+  lines.forEach((line, index) => {
+    if (line.op === 'equal') return;
+    const from = Math.max(index - DIFF_CONTEXT, 0);
+    const to = Math.min(index + DIFF_CONTEXT, lines.length - 1);
+    for (let k = from; k <= to; k++) keep[k] = true;
+  });
+
+  const collapsed = [];
+  lines.forEach((line, index) => {
+    if (keep[index]) {
+      collapsed.push(line);
+      return;
+    }
+    const last = collapsed[collapsed.length - 1];
+    if (last && last.op === 'skip') {
+      last.count++;
+    } else {
+      collapsed.push({ op: 'skip', count: 1 });
+    }
+  });
+  return collapsed;
+};
+
+const PREFIX = { equal: ' ', delete: '-', insert: '+' };
+
+const renderText = (lines) => lines
+  .map(line => (line.op === 'skip' ? `@@ ${line.count} unchanged lines @@` : `${PREFIX[line.op]} ${line.text}`))
+  .join('\n');
+
+const renderHtml = (lines) => lines
+  .map(line => {
+    if (line.op === 'skip') {
+      return `<div class="diff-skip">${line.count} unchanged lines</div>`;
+    }
+    const text = escapeHtml(line.text);
+    if (line.op === 'delete') return `<div class="diff-delete"><del>${text}</del></div>`;
+    if (line.op === 'insert') return `<div class="diff-insert"><ins>${text}</ins></div>`;
+    return `<div class="diff-equal">${text}</div>`;
+  })
+  .join('\n');
+
+const describeRevision = (revision) => ({
+  revision: revision.revision,
+  createdAt: revision.createdAt,
+  editedBy: revision.editedBy,
+  changeNote: revision.changeNote
+});
+
+// Field-by-field diff between two revisions. to defaults to the latest revision and from
+// to the one before it. format: lines (default), text (unified-style) or html.
+const diffRevisions = async (contentType, courseId, { from, to, format = 'lines' } = {}) => {
+  if (!DIFF_FORMATS.includes(format)) {
+    throw new RevisionError(`format must be one of: ${DIFF_FORMATS.join(', ')}`, 'INVALID_FORMAT');
+  }
+
+  let toRevision;
+  if (to) {
+    toRevision = await findRevision(contentType, courseId, to);
+  } else {
+    const latest = await CourseRevision.findOne({ contentType, courseId }).sort({ revision: -1 }).select('revision');
+    if (!latest) {
+      throw new RevisionError('This course has no revisions yet', 'REVISION_NOT_FOUND', 404);
+    }
+    toRevision = await findRevision(contentType, courseId, latest.revision);
+  }
+  const fromNumber = from ? parseRevisionNumber(from) : toRevision.revision - 1;
+  if (fromNumber < 1) {
+    throw new RevisionError('Revision 1 has nothing before it to compare with', 'INVALID_REVISION');
+  }
+  const fromRevision = await findRevision(contentType, courseId, fromNumber);
+
+  const fields = changedFieldsBetween(fromRevision.snapshot, toRevision.snapshot).map(field => {
+    const lines = diffLines(toLines(fromRevision.snapshot[field]), toLines(toRevision.snapshot[field]));
+    const collapsed = collapseUnchanged(lines);
+    const entry = {
+      field,
+      added: lines.filter(line => line.op === 'insert').length,
+      removed: lines.filter(line => line.op === 'delete').length
+    };
+    if (format === 'text') entry.diff = renderText(collapsed);
+    else if (format === 'html') entry.diff = renderHtml(collapsed);
+    else entry.lines = collapsed;
+    return entry;
+  });
+
+  return {
+    from: describeRevision(fromRevision),
+    to: describeRevision(toRevision),
+    format,
+    fields
+  };
+};
+
+// ---- RESTORE ----
+
+// Put the course back to an old revision's content. Recorded as a new revision.
+const restoreRevision = async (admin, contentType, courseId, revision, { changeNote } = {}) => {
+  const course = await getCourse(contentType, courseId);
+  const target = await findRevision(contentType, courseId, revision);
+
+  const current = course.toRevisionSnapshot();
+  if (changedFieldsBetween(current, target.snapshot).length === 0) {
+    throw new RevisionError(`The course already matches revision ${target.revision}`, 'NOTHING_TO_RESTORE', 409);
+  }
+
+  // Fields added since the revision was taken are cleared
+  Object.keys(current).forEach(field => {
+    if (!(field in target.snapshot)) course.set(field, undefined);
+  });
+  Object.entries(target.snapshot).forEach(([field, value]) => course.set(field, value));
+
+  setRevisionAuthor(
+    course,
+    admin,
+    String(changeNote || '').trim() || `Restored revision ${target.revision}`,
+    { restoredFrom: target.revision }
+  );
+  try {
+    await course.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      const messages = Object.values(error.errors).map(err => err.message);
+      throw new RevisionError(`Revision ${target.revision} cannot be restored: ${messages.join('; ')}`, 'VALIDATION_FAILED');
+    }
+    if (error.code === 11000) {
+      throw new RevisionError(`Revision ${target.revision} clashes with another course: ${Object.keys(error.keyValue || {}).join(', ')}`, 'DUPLICATE_VALUE', 409);
+    }
+    throw error;
+  }
+
+  const latest = await CourseRevision.findOne({ contentType, courseId: course._id })
+    .sort({ revision: -1 })
+    .select('-snapshot')
+    .populate('editedBy', 'username email');
+  console.log(`⏪ ${contentType} ${course._id} restored to revision ${target.revision} by ${admin.username}`);
+  return { course, revision: latest };
+};
+
+module.exports = {
+  RevisionError,
+  REVISION_MODELS,
+  listRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+  diffLines
+};
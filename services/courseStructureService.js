@@ -0,0 +1,394 @@
+// travel-tour-backend/services/courseStructureService.js
+//
+// Modules -> lessons -> content blocks for DocumentCourses. Admins build the structure
+// by hand or import it from a DOCX, where every Heading 1 starts a module and every
+// Heading 2 a lesson. Lessons stay drafts until an admin publishes them.
+const mongoose = require('mongoose');
+const mammoth = require('mammoth');
+const DocumentCourse = require('../models/DocumentCourse');
+const Video = require('../models/Video');
+const QuestionSet = require('../models/QuestionSet');
+const { setRevisionAuthor } = require('../models/revisioned');
+const { ApiError } = require('./apiError');
+
+class CourseStructureError extends ApiError {}
+
+const BLOCK_TYPES = ['rich_text', 'image', 'video', 'quiz'];
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Turn mongoose validation failures into a 400 with every message
+const rethrowValidation = (error) => {
+  if (error instanceof mongoose.Error.ValidationError) {
+    const messages = Object.values(error.errors).map(err => err.message);
+    throw new CourseStructureError(messages.join('; '), 'VALIDATION_FAILED');
+  }
+  throw error;
+};
+
+// Saved with the admin and a note for the revision history (see models/revisioned.js)
+const saveCourse = async (course, admin, changeNote) => {
+  setRevisionAuthor(course, admin, changeNote);
+  try {
+    return await course.save();
+  } catch (error) {
+    return rethrowValidation(error);
+  }
+};
+
+const getCourse = async (courseId) => {
+  if (!isValidId(courseId)) {
+    throw new CourseStructureError('Invalid course id', 'INVALID_COURSE');
+  }
+  const course = await DocumentCourse.findById(courseId);
+  if (!course) {
+    throw new CourseStructureError('Course not found', 'COURSE_NOT_FOUND', 404);
+  }
+  return course;
+};
+
+const findModule = (course, moduleId) => {
+  const module = isValidId(moduleId) ? course.modules.id(moduleId) : null;
+  if (!module) {
+    throw new CourseStructureError('Module not found', 'MODULE_NOT_FOUND', 404);
+  }
+  return module;
+};
+
+// The lesson and the module holding it
+const findLesson = (course, lessonId) => {
+  if (isValidId(lessonId)) {
+    for (const module of course.modules) {
+      const lesson = module.lessons.id(lessonId);
+      if (lesson) return { module, lesson };
+    }
+  }
+  throw new CourseStructureError('Lesson not found', 'LESSON_NOT_FOUND', 404);
+};
+
+// Put an item at a 0-based position (the end when none is given)
+const insertAt = (array, item, position) => {
+  const given = position !== undefined && position !== null && position !== '' && Number.isInteger(Number(position));
+  const index = given ? Math.min(Math.max(Number(position), 0), array.length) : array.length;
+  array.splice(index, 0, item);
+};
+
+// Reorder a subdocument array to match the given ids, which must name every item once
+const applyOrder = (array, ids, label) => {
+  const current = array.map(item => item._id.toString());
+  const wanted = Array.isArray(ids) ? ids.map(String) : [];
+  if (wanted.length !== current.length || new Set(wanted).size !== wanted.length ||
+    !wanted.every(id => current.includes(id))) {
+    throw new CourseStructureError(`Order must list every ${label} id exactly once`, 'INVALID_ORDER');
+  }
+  const byId = new Map(array.map(item => [item._id.toString(), item.toObject()]));
+  array.splice(0, array.length, ...wanted.map(id => byId.get(id)));
+};
+
+// Check a block's fields for its type and keep only those
+const toBlock = async (block, index) => {
+  const label = `Block ${index + 1}`;
+  if (!block || !BLOCK_TYPES.includes(block.type)) {
+    throw new CourseStructureError(`${label}: type must be one of: ${BLOCK_TYPES.join(', ')}`, 'INVALID_BLOCK');
+  }
+
+  switch (block.type) {
+    case 'rich_text':
+      if (typeof block.html !== 'string' || block.html.trim() === '') {
+        throw new CourseStructureError(`${label}: rich text needs html`, 'INVALID_BLOCK');
+      }
+      return { type: 'rich_text', html: block.html };
+    case 'image':
+      if (typeof block.imageUrl !== 'string' || block.imageUrl.trim() === '') {
+        throw new CourseStructureError(`${label}: image needs an imageUrl`, 'INVALID_BLOCK');
+      }
+      return {
+        type: 'image',
+        imageUrl: block.imageUrl.trim(),
+        caption: block.caption || '',
+        altText: block.altText || ''
+      };
+    case 'video':
+      if (!isValidId(block.videoId) || !(await Video.exists({ _id: block.videoId }))) {
+        throw new CourseStructureError(`${label}: video not found`, 'VIDEO_NOT_FOUND', 404);
+      }
+      return { type: 'video', videoId: block.videoId };
+    default:
+      if (!isValidId(block.questionSetId) ||
+        !(await QuestionSet.exists({ _id: block.questionSetId, isArchived: { $ne: true } }))) {
+        throw new CourseStructureError(`${label}: question set not found`, 'QUESTION_SET_NOT_FOUND', 404);
+      }
+      return { type: 'quiz', questionSetId: block.questionSetId };
+  }
+};
+
+const toBlocks = async (blocks) => {
+  if (blocks === undefined) return [];
+  if (!Array.isArray(blocks)) {
+    throw new CourseStructureError('blocks must be an array', 'INVALID_BLOCK');
+  }
+  const result = [];
+  for (const [index, block] of blocks.entries()) {
+    result.push(await toBlock(block, index));
+  }
+  return result;
+};
+
+// ---- READING ----
+
+// Everything, drafts included, for the course editor
+const getStructure = async (courseId) => {
+  const course = await getCourse(courseId);
+  return { courseId: course._id, title: course.title, modules: course.modules };
+};
+
+// Published lessons only; modules without any are left out
+const publishedModules = (course) => {
+  return (course.modules || [])
+    .map(module => {
+      const doc = typeof module.toObject === 'function' ? module.toObject() : module;
+      return { ...doc, lessons: doc.lessons.filter(lesson => lesson.isPublished) };
+    })
+    .filter(module => module.lessons.length > 0);
+};
+
+// What students see, with titles for video and quiz blocks. Video URLs are left out:
+// masterclass videos are still fetched through their own access checks.
+const getPublishedStructure = async (courseId) => {
+  const course = await getCourse(courseId);
+  if (!course.isActive) {
+    throw new CourseStructureError('Course not found', 'COURSE_NOT_FOUND', 404);
+  }
+  const modules = publishedModules(course);
+  const blocks = modules.flatMap(module => module.lessons.flatMap(lesson => lesson.blocks));
+
+  const [videos, questionSets] = await Promise.all([
+    Video.find({ _id: { $in: blocks.filter(b => b.type === 'video').map(b => b.videoId) } })
+      .select('title description videoType duration')
+      .lean(),
+    QuestionSet.find({ _id: { $in: blocks.filter(b => b.type === 'quiz').map(b => b.questionSetId) } })
+      .select('title description')
+      .lean()
+  ]);
+  const videoById = new Map(videos.map(video => [video._id.toString(), video]));
+  const setById = new Map(questionSets.map(set => [set._id.toString(), set]));
+
+  blocks.forEach(block => {
+    if (block.type === 'video') block.video = videoById.get(block.videoId.toString()) || null;
+    if (block.type === 'quiz') block.questionSet = setById.get(block.questionSetId.toString()) || null;
+  });
+
+  return { courseId: course._id, title: course.title, modules };
+};
+
+// ---- MODULES ----
+
+const addModule = async (admin, courseId, { title, description = '', position } = {}) => {
+  const course = await getCourse(courseId);
+  const module = course.modules.create({ title, description, lessons: [] });
+  insertAt(course.modules, module, position);
+  await saveCourse(course, admin, `Added module "${module.title}"`);
+  return course.modules.id(module._id);
+};
+
+const updateModule = async (admin, courseId, moduleId, { title, description } = {}) => {
+  const course = await getCourse(courseId);
+  const module = findModule(course, moduleId);
+  if (title !== undefined) module.title = title;
+  if (description !== undefined) module.description = description;
+  await saveCourse(course, admin, `Edited module "${module.title}"`);
+  return module;
+};
+
+// Deleting a module deletes its lessons
+const deleteModule = async (admin, courseId, moduleId) => {
+  const course = await getCourse(courseId);
+  const module = findModule(course, moduleId);
+  module.deleteOne();
+  await saveCourse(course, admin, `Deleted module "${module.title}"`);
+};
+
+const reorderModules = async (admin, courseId, moduleIds) => {
+  const course = await getCourse(courseId);
+  applyOrder(course.modules, moduleIds, 'module');
+  await saveCourse(course, admin, 'Reordered modules');
+  return course.modules;
+};
+
+// ---- LESSONS ----
+
+const addLesson = async (admin, courseId, moduleId, { title, blocks, position } = {}) => {
+  const course = await getCourse(courseId);
+  const module = findModule(course, moduleId);
+  const lesson = module.lessons.create({ title, blocks: await toBlocks(blocks) });
+  insertAt(module.lessons, lesson, position);
+  await saveCourse(course, admin, `Added lesson "${lesson.title}"`);
+  return module.lessons.id(lesson._id);
+};
+
+// Title, blocks (replaced as a whole) and moduleId to move the lesson to the end of another module
+const updateLesson = async (admin, courseId, lessonId, { title, blocks, moduleId } = {}) => {
+  const course = await getCourse(courseId);
+  let { module, lesson } = findLesson(course, lessonId);
+  if (title !== undefined) lesson.title = title;
+  if (blocks !== undefined) lesson.blocks = await toBlocks(blocks);
+
+  if (moduleId && moduleId.toString() !== module._id.toString()) {
+    const target = findModule(course, moduleId);
+    const moved = lesson.toObject();
+    lesson.deleteOne();
+    target.lessons.push(moved);
+    module = target;
+    lesson = target.lessons.id(moved._id);
+  }
+
+  await saveCourse(course, admin, `Edited lesson "${lesson.title}"`);
+  return { moduleId: module._id, lesson };
+};
+
+const deleteLesson = async (admin, courseId, lessonId) => {
+  const course = await getCourse(courseId);
+  const { lesson } = findLesson(course, lessonId);
+  lesson.deleteOne();
+  await saveCourse(course, admin, `Deleted lesson "${lesson.title}"`);
+};
+
+const reorderLessons = async (admin, courseId, moduleId, lessonIds) => {
+  const course = await getCourse(courseId);
+  const module = findModule(course, moduleId);
+  applyOrder(module.lessons, lessonIds, 'lesson');
+  await saveCourse(course, admin, `Reordered lessons in "${module.title}"`);
+  return module.lessons;
+};
+
+// Publishing needs something to show; unpublishing turns the lesson back into a draft
+const setLessonPublished = async (admin, courseId, lessonId, published) => {
+  const course = await getCourse(courseId);
+  const { lesson } = findLesson(course, lessonId);
+  if (published && lesson.blocks.length === 0) {
+    throw new CourseStructureError('A lesson needs at least one block before it can be published', 'EMPTY_LESSON');
+  }
+  lesson.isPublished = published;
+  lesson.publishedAt = published ? (lesson.publishedAt || new Date()) : null;
+  await saveCourse(course, admin, `${published ? 'Published' : 'Unpublished'} lesson "${lesson.title}"`);
+  return lesson;
+};
+
+// ---- DOCX IMPORT ----
+
+const HEADING = /<h([12])(?:\s[^>]*)?>([\s\S]*?)<\/h\1>/gi;
+
+const headingText = (html) => {
+  return html
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Split mammoth's HTML on its <h1>/<h2> elements. Text before the first Heading 2 of a
+// module becomes a lesson named after the module; text before any heading at all goes in
+// an "Introduction" module.
+const splitHtml = (html, fallbackTitle = 'Introduction') => {
+  const modules = [];
+  let module = null;
+  let lesson = null;
+
+  const addContent = (content) => {
+    if (headingText(content) === '' && !/<img\s/i.test(content)) return;
+    if (!module) {
+      module = { title: fallbackTitle, description: '', lessons: [] };
+      modules.push(module);
+    }
+    if (!lesson) {
+      lesson = { title: module.title, blocks: [] };
+      module.lessons.push(lesson);
+    }
+    lesson.blocks.push({ type: 'rich_text', html: content.trim() });
+  };
+
+  let cursor = 0;
+  for (const match of html.matchAll(HEADING)) {
+    addContent(html.slice(cursor, match.index));
+    cursor = match.index + match[0].length;
+    const title = headingText(match[2]) || 'Untitled';
+
+    if (match[1] === '1') {
+      module = { title, description: '', lessons: [] };
+      modules.push(module);
+      lesson = null;
+    } else {
+      if (!module) {
+        module = { title: fallbackTitle, description: '', lessons: [] };
+        modules.push(module);
+      }
+      lesson = { title, blocks: [] };
+      module.lessons.push(lesson);
+    }
+  }
+  addContent(html.slice(cursor));
+
+  return modules;
+};
+
+// Lessons per module and blocks per lesson, for the import preview
+const summarize = (modules) => ({
+  moduleCount: modules.length,
+  lessonCount: modules.reduce((sum, module) => sum + module.lessons.length, 0),
+  outline: modules.map(module => ({
+    title: module.title,
+    lessons: module.lessons.map(lesson => ({ title: lesson.title, blocks: lesson.blocks.length }))
+  }))
+});
+
+// Dry run unless commit is set. Imported lessons are drafts; replace drops the existing modules.
+const importDocx = async (admin, courseId, file, { commit = false, replace = false } = {}) => {
+  const course = await getCourse(courseId);
+  if (!file || !/\.docx$/i.test(file.originalname || '')) {
+    throw new CourseStructureError('Upload a .docx file', 'INVALID_FILE');
+  }
+
+  let html;
+  try {
+    ({ value: html } = await mammoth.convertToHtml({ buffer: file.buffer }));
+  } catch (error) {
+    throw new CourseStructureError(`Could not read the document: ${error.message}`, 'INVALID_FILE');
+  }
+
+  const modules = splitHtml(html);
+  const report = { ...summarize(modules), committed: false, replaced: false };
+  if (modules.length === 0) {
+    throw new CourseStructureError('The document has no content to import', 'EMPTY_DOCUMENT');
+  }
+  if (!commit) return report;
+
+  if (replace) course.modules.splice(0, course.modules.length);
+  modules.forEach(module => course.modules.push(module));
+  await saveCourse(course, admin, `Imported ${file.originalname}${replace ? ' (replacing existing modules)' : ''}`);
+
+  return { ...report, committed: true, replaced: Boolean(replace), modules: course.modules };
+};
+
+module.exports = {
+  CourseStructureError,
+  BLOCK_TYPES,
+  getStructure,
+  getPublishedStructure,
+  publishedModules,
+  addModule,
+  updateModule,
+  deleteModule,
+  reorderModules,
+  addLesson,
+  updateLesson,
+  deleteLesson,
+  reorderLessons,
+  setLessonPublished,
+  splitHtml,
+  importDocx
+};
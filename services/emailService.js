@@ -0,0 +1,116 @@
+// travel-tour-backend/services/emailService.js
+const nodemailer = require('nodemailer');
+
+require('dotenv').config();
+
+// Pick the transport from the environment:
+// - EMAIL_TRANSPORT=json  -> nodemailer JSON transport (nothing is sent; the message is returned to the caller)
+// - SMTP_HOST set         -> plain SMTP (works with local stubs like MailHog / smtp4dev)
+// - otherwise             -> Gmail with EMAIL_USER / EMAIL_PASS
+const createTransporter = () => {
+  if (process.env.EMAIL_TRANSPORT === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  return nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    }
+  });
+};
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = createTransporter();
+  }
+  return transporter;
+};
+
+// Allow tests and scripts to swap in their own transport
+const setTransporter = (customTransporter) => {
+  transporter = customTransporter;
+};
+
+const getFrontendUrl = () => {
+  return (process.env.FRONTEND_URL || 'https://the-conclave-academy.netlify.app').replace(/\/$/, '');
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'no-reply@conclave-academy.local',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  // Bodies carry live reset and verification links, so only the envelope is logged
+  console.log(`📧 Email sent to ${to}: ${info.messageId}`);
+
+  return info;
+};
+
+// User-supplied text (names) goes into the HTML bodies escaped
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Password reset email with a single-use link
+const sendPasswordResetEmail = async (user, resetToken, expiresInMinutes) => {
+  const resetUrl = `${getFrontendUrl()}/reset-password?token=${resetToken}`;
+  const name = user.profile?.firstName || user.username || 'there';
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Conclave Academy password',
+    text: `Hi ${name},\n\nWe received a request to reset your password. Use the link below to choose a new one:\n\n${resetUrl}\n\nThis link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(name)},</p>
+<p>We received a request to reset your password. Use the link below to choose a new one:</p>
+<p><a href="${escapeHtml(resetUrl)}">Reset my password</a></p>
+<p>This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.</p>`
+  });
+};
+
+// Email address verification with a signed link
+const sendVerificationEmail = async (user, verificationToken, expiresInHours) => {
+  const verifyUrl = `${getFrontendUrl()}/verify-email?token=${verificationToken}`;
+  const name = user.profile?.firstName || user.username || 'there';
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your Conclave Academy email address',
+    text: `Hi ${name},\n\nPlease confirm your email address by opening the link below:\n\n${verifyUrl}\n\nThis link expires in ${expiresInHours} hours. Masterclass access codes and messaging unlock once your address is verified.`,
+    html: `<p>Hi ${escapeHtml(name)},</p>
+<p>Please confirm your email address by opening the link below:</p>
+<p><a href="${escapeHtml(verifyUrl)}">Verify my email</a></p>
+<p>This link expires in ${expiresInHours} hours. Masterclass access codes and messaging unlock once your address is verified.</p>`
+  });
+};
+
+module.exports = {
+  createTransporter,
+  getTransporter,
+  setTransporter,
+  getFrontendUrl,
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
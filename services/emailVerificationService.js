@@ -0,0 +1,83 @@
+// travel-tour-backend/services/emailVerificationService.js
+const jwt = require('jsonwebtoken');
+const { sendVerificationEmail } = require('./emailService');
+const { ApiError } = require('./apiError');
+
+require('dotenv').config();
+
+const EMAIL_VERIFICATION_EXPIRES_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN) || 60;
+const TOKEN_PURPOSE = 'email_verification';
+
+class EmailVerificationError extends ApiError {}
+
+// Features that stay locked until the user's email is verified.
+// EMAIL_VERIFICATION_REQUIRED_FOR=masterclass,messaging (default) or "none" to disable.
+const getRequiredFeatures = () => {
+  const setting = process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+  if (setting === undefined) return ['masterclass', 'messaging'];
+  if (setting.trim() === '' || setting.trim() === 'none') return [];
+  return setting.split(',').map(feature => feature.trim()).filter(Boolean);
+};
+
+const isVerificationRequired = (feature) => getRequiredFeatures().includes(feature);
+
+// Throws unless the user may use the feature: admins and verified users always can,
+// everyone else only when the policy leaves the feature open
+const assertEmailVerified = (user, feature) => {
+  if (user.role === 'admin' || user.emailVerified || !isVerificationRequired(feature)) return;
+  throw new EmailVerificationError('Please verify your email address to use this feature.', 'EMAIL_NOT_VERIFIED', 403);
+};
+
+// Separate secret so a verification link can never be replayed as an access token
+const getVerificationSecret = () => {
+  return process.env.EMAIL_VERIFICATION_SECRET || `${process.env.JWT_SECRET}:${TOKEN_PURPOSE}`;
+};
+
+// Signed token tied to both the user and the address being verified
+const createVerificationToken = (user) => {
+  return jwt.sign(
+    { id: user._id, email: user.email, purpose: TOKEN_PURPOSE },
+    getVerificationSecret(),
+    { expiresIn: `${EMAIL_VERIFICATION_EXPIRES_HOURS}h` }
+  );
+};
+
+// Returns the decoded payload, or null when the token is invalid, expired or for another purpose
+const decodeVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getVerificationSecret());
+    return decoded.purpose === TOKEN_PURPOSE ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Seconds the user must wait before another verification email can be sent
+const getResendWaitSeconds = (user) => {
+  if (!user.emailVerificationSentAt) return 0;
+  const elapsed = (Date.now() - user.emailVerificationSentAt.getTime()) / 1000;
+  return Math.max(0, Math.ceil(RESEND_COOLDOWN_SECONDS - elapsed));
+};
+
+// Create a token, email it, and record when it was sent
+const sendVerification = async (user) => {
+  const token = createVerificationToken(user);
+  await sendVerificationEmail(user, token, EMAIL_VERIFICATION_EXPIRES_HOURS);
+
+  user.emailVerificationSentAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  console.log(`📧 Verification email sent to: ${user.email}`);
+  return token;
+};
+
+module.exports = {
+  EmailVerificationError,
+  isVerificationRequired,
+  assertEmailVerified,
+  createVerificationToken,
+  decodeVerificationToken,
+  getResendWaitSeconds,
+  sendVerification
+};
@@ -0,0 +1,135 @@
+// travel-tour-backend/services/googleTokenVerifier.js
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { OAuth2Client } = require('google-auth-library');
+const { ApiError } = require('./apiError');
+
+require('dotenv').config();
+
+// Sign-in failures answer 401 by default
+class GoogleAuthError extends ApiError {
+  constructor(message, code, status = 401, details = null) {
+    super(message, code, status, details);
+  }
+}
+
+// GOOGLE_CLIENT_ID may hold several comma-separated client IDs (web, android, ios)
+const getConfiguredAudiences = () => {
+  return (process.env.GOOGLE_CLIENT_ID || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+};
+
+// Normalise a Google payload (ID token claims or userinfo) into the profile shape
+// expected by User.findOrCreateGoogleUser
+const toGoogleProfile = (payload) => ({
+  sub: payload.sub,
+  email: payload.email ? payload.email.toLowerCase() : payload.email,
+  name: payload.name,
+  picture: payload.picture,
+  given_name: payload.given_name,
+  family_name: payload.family_name,
+  locale: payload.locale,
+  email_verified: payload.email_verified === true || payload.email_verified === 'true'
+});
+
+// Default verifier: checks tokens against Google itself
+const createGoogleVerifier = ({ audiences = getConfiguredAudiences(), client } = {}) => {
+  const oauthClient = client || new OAuth2Client();
+
+  const assertConfigured = () => {
+    if (audiences.length === 0) {
+      throw new GoogleAuthError('Google sign-in is not configured on the server', 'GOOGLE_NOT_CONFIGURED', 500);
+    }
+  };
+
+  return {
+    // ID tokens are JWTs signed by Google - verify signature, expiry and audience
+    async verifyIdToken(idToken) {
+      assertConfigured();
+      try {
+        const ticket = await oauthClient.verifyIdToken({ idToken, audience: audiences });
+        return toGoogleProfile(ticket.getPayload());
+      } catch (error) {
+        throw new GoogleAuthError('Invalid Google ID token', 'INVALID_ID_TOKEN');
+      }
+    },
+
+    // Access tokens are opaque - confirm they were issued to our client, then load userinfo
+    async verifyAccessToken(accessToken) {
+      assertConfigured();
+      let tokenInfo;
+      try {
+        tokenInfo = await oauthClient.getTokenInfo(accessToken);
+      } catch (error) {
+        throw new GoogleAuthError('Failed to verify Google access token', 'INVALID_ACCESS_TOKEN');
+      }
+
+      if (!audiences.includes(tokenInfo.aud) && !audiences.includes(tokenInfo.azp)) {
+        throw new GoogleAuthError('Google access token was issued to a different client', 'INVALID_TOKEN_AUDIENCE');
+      }
+
+      try {
+        const response = await axios.get('https://www.googleapis.com/oauth2/v3/userinfo', {
+          headers: { Authorization: `Bearer ${accessToken}` },
+          timeout: 10000
+        });
+
+        if (response.data.sub !== tokenInfo.sub) {
+          throw new Error('userinfo subject does not match token subject');
+        }
+
+        return toGoogleProfile(response.data);
+      } catch (error) {
+        console.error('❌ Google userinfo lookup failed:', error.message);
+        throw new GoogleAuthError('Failed to verify Google access token', 'INVALID_ACCESS_TOKEN');
+      }
+    }
+  };
+};
+
+// Local verifier for tests and development: ID tokens are RS256 JWTs signed with
+// a local key pair instead of Google's keys. Access tokens are not supported.
+const createLocalKeyVerifier = ({ publicKey, audiences = getConfiguredAudiences(), issuer = 'https://accounts.google.com' }) => {
+  return {
+    async verifyIdToken(idToken) {
+      try {
+        const payload = jwt.verify(idToken, publicKey, {
+          algorithms: ['RS256'],
+          audience: audiences,
+          issuer
+        });
+        return toGoogleProfile(payload);
+      } catch (error) {
+        throw new GoogleAuthError('Invalid Google ID token', 'INVALID_ID_TOKEN');
+      }
+    },
+
+    async verifyAccessToken() {
+      throw new GoogleAuthError('Access tokens are not supported by the local verifier', 'INVALID_ACCESS_TOKEN');
+    }
+  };
+};
+
+let verifier = null;
+
+const getGoogleVerifier = () => {
+  if (!verifier) {
+    verifier = createGoogleVerifier();
+  }
+  return verifier;
+};
+
+// Swap the verifier (e.g. createLocalKeyVerifier in tests); pass null to restore the default
+const setGoogleVerifier = (customVerifier) => {
+  verifier = customVerifier;
+};
+
+module.exports = {
+  GoogleAuthError,
+  createGoogleVerifier,
+  createLocalKeyVerifier,
+  getGoogleVerifier,
+  setGoogleVerifier
+};
@@ -0,0 +1,339 @@
+// travel-tour-backend/services/itemAnalyticsService.js
+//
+// Item analysis for a question set, computed by MongoDB over the answers stored on
+// its assessment results:
+//
+//   difficulty      share of students who got the question fully right (the p-value)
+//   discrimination  average credit of the top 27% of results (by percentage) minus the bottom 27%
+//   distractors     how often each option was picked, overall and by the top and bottom groups
+//   averageTime     seconds the client reported for the question, or the result's time / questions
+//
+// Questions whose numbers suggest a problem (a wrong key, an option nobody picks, a question
+// that good students miss more than weak ones) are flagged for review.
+const AssessmentResult = require('../models/AssessmentResult');
+const Question = require('../models/Question');
+const { QuestionBankError, getQuestionSet, getPoolQuestions } = require('./questionBankService');
+
+// Question types whose responses pick from the options
+const CHOICE_TYPES = ['single_choice', 'multiple_choice', 'true_false'];
+// Share of results in each of the top and bottom groups
+const GROUP_SHARE = 0.27;
+// Below this many responses the numbers are shown but nothing is flagged
+const MIN_RESPONSES = 10;
+const THRESHOLDS = {
+  tooHard: 20,
+  tooEasy: 95,
+  lowDiscrimination: 0.2,
+  // A wrong option picked by fewer than this share of students is not doing its job
+  unusedDistractor: 5
+};
+
+const round = (value, places = 2) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+// ---- PIPELINE ----
+
+const optionAt = (index) => ({
+  $cond: [
+    { $and: [{ $isNumber: index }, { $gte: [index, 0] }] },
+    { $arrayElemAt: ['$answer.options', index] },
+    null
+  ]
+});
+
+// Option texts named by a position, a list of positions or (older rows) the text itself;
+// anything that is not one of the served options is dropped
+const optionTexts = (value) => ({
+  $filter: {
+    input: {
+      $switch: {
+        branches: [
+          { case: { $isNumber: value }, then: [optionAt(value)] },
+          { case: { $isArray: value }, then: { $map: { input: value, as: 'position', in: optionAt('$$position') } } },
+          { case: { $eq: [{ $type: value }, 'string'] }, then: [value] }
+        ],
+        default: []
+      }
+    },
+    as: 'text',
+    cond: { $in: ['$$text', '$answer.options'] }
+  }
+});
+
+const isGroup = (group) => ({ $eq: ['$group', group] });
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+const sumIf = (condition, value) => ({ $sum: { $cond: [condition, value, 0] } });
+
+const buildPipeline = (match) => [
+  { $match: match },
+  { $project: { percentage: 1, timeTaken: 1, totalQuestions: 1, answers: 1 } },
+
+  // Rank results by percentage to find the top and bottom groups
+  {
+    $setWindowFields: {
+      sortBy: { percentage: -1 },
+      output: {
+        rank: { $documentNumber: {} },
+        resultCount: { $count: {}, window: { documents: ['unbounded', 'unbounded'] } }
+      }
+    }
+  },
+  { $set: { groupSize: { $ceil: { $multiply: ['$resultCount', GROUP_SHARE] } } } },
+  {
+    $set: {
+      group: {
+        $switch: {
+          branches: [
+            { case: { $lte: ['$rank', '$groupSize'] }, then: 'upper' },
+            { case: { $gt: ['$rank', { $subtract: ['$resultCount', '$groupSize'] }] }, then: 'lower' }
+          ],
+          default: 'middle'
+        }
+      }
+    }
+  },
+
+  // One document per answer
+  { $unwind: '$answers' },
+  {
+    $project: {
+      group: 1,
+      resultCount: 1,
+      groupSize: 1,
+      timeTaken: 1,
+      totalQuestions: 1,
+      answer: {
+        questionId: '$answers.questionId',
+        questionText: '$answers.questionText',
+        type: { $ifNull: ['$answers.questionType', 'single_choice'] },
+        options: { $ifNull: ['$answers.options', []] },
+        response: { $ifNull: ['$answers.response', null] },
+        correctAnswer: '$answers.correctAnswer',
+        isCorrect: '$answers.isCorrect',
+        credit: { $ifNull: ['$answers.credit', { $cond: ['$answers.isCorrect', 1, 0] }] },
+        timeSpent: { $ifNull: ['$answers.timeSpent', null] }
+      }
+    }
+  },
+  {
+    $set: {
+      'answer.isChoice': { $in: ['$answer.type', CHOICE_TYPES] },
+      'answer.chosen': { $cond: [{ $in: ['$answer.type', CHOICE_TYPES] }, optionTexts('$answer.response'), []] },
+      'answer.keyOptions': { $cond: [{ $in: ['$answer.type', CHOICE_TYPES] }, optionTexts('$answer.correctAnswer'), []] },
+      'answer.time': {
+        $ifNull: ['$answer.timeSpent', { $divide: ['$timeTaken', { $max: ['$totalQuestions', 1] }] }]
+      }
+    }
+  },
+  {
+    $set: {
+      'answer.answered': {
+        $cond: ['$answer.isChoice', { $gt: [{ $size: '$answer.chosen' }, 0] }, { $ne: ['$answer.response', null] }]
+      }
+    }
+  },
+
+  {
+    $facet: {
+      summary: [
+        { $group: { _id: null, resultCount: { $max: '$resultCount' }, groupSize: { $max: '$groupSize' } } }
+      ],
+      questions: [
+        {
+          $group: {
+            _id: '$answer.questionId',
+            questionText: { $last: '$answer.questionText' },
+            type: { $last: '$answer.type' },
+            responses: { $sum: 1 },
+            answered: countIf('$answer.answered'),
+            correct: countIf('$answer.isCorrect'),
+            creditSum: { $sum: '$answer.credit' },
+            upperCount: countIf(isGroup('upper')),
+            upperCredit: sumIf(isGroup('upper'), '$answer.credit'),
+            lowerCount: countIf(isGroup('lower')),
+            lowerCredit: sumIf(isGroup('lower'), '$answer.credit'),
+            timeSum: { $sum: '$answer.time' },
+            timeCount: countIf({ $ne: [{ $ifNull: ['$answer.time', null] }, null] }),
+            timeReported: countIf({ $ne: ['$answer.timeSpent', null] })
+          }
+        }
+      ],
+      options: [
+        { $match: { 'answer.isChoice': true } },
+        { $unwind: '$answer.chosen' },
+        {
+          $group: {
+            _id: { questionId: '$answer.questionId', option: '$answer.chosen' },
+            picks: { $sum: 1 },
+            upperPicks: countIf(isGroup('upper')),
+            lowerPicks: countIf(isGroup('lower'))
+          }
+        }
+      ],
+      keys: [
+        { $match: { 'answer.isChoice': true } },
+        { $unwind: '$answer.keyOptions' },
+        { $group: { _id: { questionId: '$answer.questionId', option: '$answer.keyOptions' } } }
+      ]
+    }
+  }
+];
+
+// ---- REPORT ----
+
+// Results of the set, optionally submitted within a date range
+const buildMatch = (questionSet, { from, to } = {}) => {
+  const match = { questionSetId: questionSet._id.toString() };
+  const submittedAt = {};
+  [['$gte', from], ['$lte', to]].forEach(([operator, value]) => {
+    if (!value) return;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new QuestionBankError(`Invalid date: ${value}`, 'INVALID_DATE');
+    }
+    submittedAt[operator] = date;
+  });
+  if (Object.keys(submittedAt).length > 0) match.submittedAt = submittedAt;
+  return match;
+};
+
+const flagQuestion = (item) => {
+  const flags = [];
+  const add = (code, message) => flags.push({ code, message });
+  if (item.responses < MIN_RESPONSES) return flags;
+
+  const wrongOptions = item.distractors.filter(option => !option.isCorrect);
+  const keyUpperPicks = Math.max(0, ...item.distractors.filter(option => option.isCorrect).map(option => option.upperPicks));
+  const preferred = wrongOptions
+    .filter(option => option.upperPicks > keyUpperPicks)
+    .sort((a, b) => b.upperPicks - a.upperPicks)[0];
+
+  if (preferred) {
+    add('KEY_SUSPECT', `High scorers chose "${preferred.option}" more often than the correct answer - check the answer key`);
+  }
+  if (item.discrimination !== null && item.discrimination < 0) {
+    add('NEGATIVE_DISCRIMINATION', 'Low scorers do better on this question than high scorers');
+  } else if (item.discrimination !== null && item.discrimination < THRESHOLDS.lowDiscrimination) {
+    add('LOW_DISCRIMINATION', 'The question barely separates strong and weak students');
+  }
+  if (item.difficulty < THRESHOLDS.tooHard) {
+    add('TOO_HARD', `Only ${item.difficulty}% of students answer correctly`);
+  } else if (item.difficulty >= THRESHOLDS.tooEasy) {
+    add('TOO_EASY', `${item.difficulty}% of students answer correctly`);
+  }
+  wrongOptions
+    .filter(option => option.percentage < THRESHOLDS.unusedDistractor)
+    .forEach(option => add('UNUSED_DISTRACTOR', `"${option.option}" is picked by ${option.percentage}% of students`));
+
+  return flags;
+};
+
+// Distractor rows for a question: every current option (so unpicked ones show as 0)
+// plus any older option text that still appears in results
+const buildDistractors = (stats, optionRows, keyOptions, currentOptions) => {
+  const rows = new Map();
+  currentOptions.forEach(option => rows.set(option, { option, picks: 0, upperPicks: 0, lowerPicks: 0 }));
+  optionRows.forEach(row => rows.set(row._id.option, {
+    option: row._id.option,
+    picks: row.picks,
+    upperPicks: row.upperPicks,
+    lowerPicks: row.lowerPicks
+  }));
+
+  return Array.from(rows.values()).map(row => ({
+    ...row,
+    isCorrect: keyOptions.has(row.option),
+    percentage: stats.responses > 0 ? round((row.picks / stats.responses) * 100, 1) : 0
+  }));
+};
+
+const formatQuestion = (questionId, question, stats, optionRows, keyOptions) => {
+  const type = question?.type || stats?.type || 'single_choice';
+  const isChoice = CHOICE_TYPES.includes(type);
+  const base = {
+    questionId,
+    questionText: question?.questionText || stats?.questionText || '',
+    type,
+    currentVersion: question?.version ?? null,
+    isArchived: question ? question.isArchived : null
+  };
+  if (!stats) {
+    return { ...base, responses: 0, flags: [] };
+  }
+
+  const groupCredit = (credit, count) => (count > 0 ? credit / count : null);
+  const upper = groupCredit(stats.upperCredit, stats.upperCount);
+  const lower = groupCredit(stats.lowerCredit, stats.lowerCount);
+
+  const item = {
+    ...base,
+    responses: stats.responses,
+    answered: stats.answered,
+    difficulty: round((stats.correct / stats.responses) * 100, 1),
+    averageCredit: round(stats.creditSum / stats.responses),
+    discrimination: upper !== null && lower !== null ? round(upper - lower) : null,
+    upperGroup: { responses: stats.upperCount, averageCredit: upper === null ? null : round(upper) },
+    lowerGroup: { responses: stats.lowerCount, averageCredit: lower === null ? null : round(lower) },
+    averageTimeSeconds: stats.timeCount > 0 ? round(stats.timeSum / stats.timeCount, 1) : null,
+    // reported: every answer carried its own time; estimated: none did
+    timeSource: stats.timeReported === stats.responses ? 'reported' : stats.timeReported === 0 ? 'estimated' : 'mixed',
+    distractors: isChoice ? buildDistractors(stats, optionRows, keyOptions, question?.options || []) : []
+  };
+  return { ...item, flags: flagQuestion(item) };
+};
+
+const groupBy = (rows, key) => rows.reduce((map, row) => {
+  const id = key(row);
+  if (!map.has(id)) map.set(id, []);
+  map.get(id).push(row);
+  return map;
+}, new Map());
+
+// Per-question analysis of a set. Query: from, to (ISO dates, on the result's submittedAt)
+const analyzeQuestionSet = async (questionSetId, filters = {}) => {
+  const questionSet = await getQuestionSet(questionSetId);
+  const [facets] = await AssessmentResult.aggregate(buildPipeline(buildMatch(questionSet, filters)));
+  const { summary: [summary] = [], questions: questionStats = [], options = [], keys = [] } = facets || {};
+
+  // Live questions of the set first, in set order, then any others found in results
+  // (archived since, or dropped from the set)
+  const setQuestions = await getPoolQuestions(questionSet);
+  const ordered = setQuestions.map(question => question._id.toString());
+  const statsById = new Map(questionStats.map(stats => [stats._id, stats]));
+  const extraIds = questionStats.map(stats => stats._id).filter(id => !ordered.includes(id));
+  const extraQuestions = extraIds.length > 0
+    ? await Question.find({ _id: { $in: extraIds.filter(id => /^[a-f0-9]{24}$/i.test(id)) } })
+    : [];
+  const questionsById = new Map([...setQuestions, ...extraQuestions].map(question => [question._id.toString(), question]));
+
+  const optionsById = groupBy(options, row => row._id.questionId);
+  const keysById = groupBy(keys, row => row._id.questionId);
+
+  const questions = [...ordered, ...extraIds].map(questionId => formatQuestion(
+    questionId,
+    questionsById.get(questionId),
+    statsById.get(questionId),
+    optionsById.get(questionId) || [],
+    new Set((keysById.get(questionId) || []).map(row => row._id.option))
+  ));
+
+  return {
+    questionSetId: questionSet._id,
+    title: questionSet.title,
+    courseType: questionSet.courseType,
+    from: filters.from || null,
+    to: filters.to || null,
+    resultsAnalysed: summary?.resultCount || 0,
+    groupSize: summary?.groupSize || 0,
+    minResponsesForFlags: MIN_RESPONSES,
+    questionsFlagged: questions.filter(question => question.flags.length > 0).length,
+    questions,
+    generatedAt: new Date()
+  };
+};
+
+module.exports = {
+  analyzeQuestionSet
+};
@@ -0,0 +1,325 @@
+// travel-tour-backend/services/moderationService.js
+const mongoose = require('mongoose');
+const CommunityMessage = require('../models/CommunityMessage');
+const CommunityChannel = require('../models/CommunityChannel');
+const ChatRestriction = require('../models/ChatRestriction');
+const User = require('../models/User');
+const { DEFAULT_CALL_ID, buildChannelFilter, formatMessage } = require('./communityMessageService');
+const { canAccessChannel, ensureDefaultChannel } = require('./channelService');
+const { ApiError } = require('./apiError');
+
+require('dotenv').config();
+
+// How long authors can edit or delete their own messages
+const EDIT_WINDOW_MINUTES = parseInt(process.env.CHAT_EDIT_WINDOW_MINUTES) || 15;
+
+class ModerationError extends ApiError {}
+
+const getMessage = async (messageId) => {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    throw new ModerationError('Invalid message ID', 'INVALID_MESSAGE_ID');
+  }
+
+  const message = await CommunityMessage.findById(messageId);
+  if (!message || message.deletedAt) {
+    throw new ModerationError('Message not found', 'MESSAGE_NOT_FOUND', 404);
+  }
+  return message;
+};
+
+// Channel a message belongs to; messages from before channels existed live in General
+const getMessageChannel = async (message) => {
+  if (message.channelId) {
+    return CommunityChannel.findById(message.channelId);
+  }
+  if (!message.callId || message.callId === DEFAULT_CALL_ID) {
+    return ensureDefaultChannel();
+  }
+  return null;
+};
+
+const isAuthor = (message, user) => message.senderId === user._id.toString();
+
+const isWithinEditWindow = (message) => {
+  return Date.now() - message.timestamp.getTime() <= EDIT_WINDOW_MINUTES * 60 * 1000;
+};
+
+// Restrictions in force for a user, either chat-wide or for the given channel
+const getActiveRestrictions = (userId, channelId = null) => {
+  const channelScope = channelId && mongoose.Types.ObjectId.isValid(channelId) ? [null, channelId] : [null];
+  return ChatRestriction.find(ChatRestriction.activeQuery({
+    userId,
+    channelId: { $in: channelScope }
+  })).sort({ expiresAt: -1 });
+};
+
+// Throw when a mute or ban stops the user from posting
+const assertCanPost = async (userId, channelId = null) => {
+  const [restriction] = await getActiveRestrictions(userId, channelId);
+  if (!restriction) return;
+
+  const until = restriction.expiresAt ? ` until ${restriction.expiresAt.toISOString()}` : '';
+  const code = restriction.type === 'ban' ? 'CHAT_BANNED' : 'CHAT_MUTED';
+  throw new ModerationError(`You have been ${restriction.type === 'ban' ? 'banned' : 'muted'}${until}`, code, 403);
+};
+
+// Throw when a ban stops the user from reading
+const assertCanRead = async (userId, channelId = null) => {
+  const restrictions = await getActiveRestrictions(userId, channelId);
+  const ban = restrictions.find(restriction => restriction.type === 'ban');
+  if (ban) {
+    throw new ModerationError('You have been banned from this chat', 'CHAT_BANNED', 403);
+  }
+};
+
+// Author edit within the time window
+const editMessage = async (messageId, user, text) => {
+  if (!text || !text.trim()) {
+    throw new ModerationError('Message text is required', 'INVALID_MESSAGE_TEXT');
+  }
+
+  const message = await getMessage(messageId);
+  if (!isAuthor(message, user)) {
+    throw new ModerationError('You can only edit your own messages', 'NOT_MESSAGE_AUTHOR', 403);
+  }
+  if (!isWithinEditWindow(message)) {
+    throw new ModerationError(`Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes`, 'EDIT_WINDOW_EXPIRED', 403);
+  }
+  await assertCanPost(user._id, message.channelId);
+
+  message.text = text.trim();
+  message.editedAt = new Date();
+  await message.save();
+
+  return formatMessage(message);
+};
+
+// Authors delete within the time window; admins delete any message
+const deleteMessage = async (messageId, user) => {
+  const message = await getMessage(messageId);
+
+  if (user.role !== 'admin') {
+    if (!isAuthor(message, user)) {
+      throw new ModerationError('You can only delete your own messages', 'NOT_MESSAGE_AUTHOR', 403);
+    }
+    if (!isWithinEditWindow(message)) {
+      throw new ModerationError(`Messages can only be deleted within ${EDIT_WINDOW_MINUTES} minutes`, 'EDIT_WINDOW_EXPIRED', 403);
+    }
+  }
+
+  message.deletedAt = new Date();
+  message.deletedBy = user._id;
+  message.isPinned = false;
+  await message.save();
+
+  console.log(`🗑️ Message ${message._id} deleted by ${user.username} (${user.role})`);
+  return formatMessage(message);
+};
+
+// Admin pin / unpin
+const setPinned = async (messageId, admin, pinned) => {
+  const message = await getMessage(messageId);
+  if (!(await getMessageChannel(message))) {
+    throw new ModerationError('Only channel messages can be pinned', 'NOT_A_CHANNEL_MESSAGE');
+  }
+
+  message.isPinned = pinned;
+  message.pinnedAt = pinned ? new Date() : null;
+  message.pinnedBy = pinned ? admin._id : null;
+  await message.save();
+
+  return formatMessage(message);
+};
+
+const getPinnedMessages = async (channel) => {
+  const messages = await CommunityMessage.find({
+    ...buildChannelFilter(channel),
+    isPinned: true,
+    deletedAt: null
+  }).sort({ pinnedAt: -1 }).lean();
+
+  return messages.map(formatMessage);
+};
+
+// Admin moderation queue entry - admins see the original text even if the author deleted it
+const formatQueueItem = (message) => ({
+  ...formatMessage(message),
+  text: message.text,
+  openReportCount: message.openReportCount,
+  reports: message.reports.map(report => ({
+    id: report._id,
+    reportedBy: report.reportedBy,
+    reason: report.reason,
+    status: report.status,
+    createdAt: report.createdAt
+  }))
+});
+
+// Student report - one open report per user per message
+const reportMessage = async (messageId, user, reason = '') => {
+  const message = await getMessage(messageId);
+
+  const channel = await getMessageChannel(message);
+  if (channel && !canAccessChannel(channel, user)) {
+    throw new ModerationError('Message not found', 'MESSAGE_NOT_FOUND', 404);
+  }
+  if (isAuthor(message, user)) {
+    throw new ModerationError('You cannot report your own message', 'CANNOT_REPORT_OWN_MESSAGE');
+  }
+
+  const alreadyReported = message.reports.some(report =>
+    report.reportedBy.equals(user._id) && report.status === 'open'
+  );
+  if (alreadyReported) {
+    throw new ModerationError('You have already reported this message', 'ALREADY_REPORTED', 409);
+  }
+
+  message.reports.push({ reportedBy: user._id, reason: (reason || '').substring(0, 500) });
+  message.openReportCount = message.reports.filter(report => report.status === 'open').length;
+  await message.save();
+
+  console.log(`🚩 Message ${message._id} reported by ${user.username}`);
+  return formatQueueItem(message);
+};
+
+// Messages with open reports, most reported first
+const getModerationQueue = async () => {
+  const messages = await CommunityMessage.find({ openReportCount: { $gt: 0 } })
+    .populate('reports.reportedBy', 'username email')
+    .sort({ openReportCount: -1, updatedAt: -1 })
+    .lean();
+
+  return messages.map(formatQueueItem);
+};
+
+// Close every open report on a message; action 'delete' also removes the message
+const resolveReports = async (messageId, admin, action = 'dismiss') => {
+  if (!['dismiss', 'delete'].includes(action)) {
+    throw new ModerationError('Action must be dismiss or delete', 'INVALID_ACTION');
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    throw new ModerationError('Invalid message ID', 'INVALID_MESSAGE_ID');
+  }
+
+  const message = await CommunityMessage.findById(messageId);
+  if (!message) {
+    throw new ModerationError('Message not found', 'MESSAGE_NOT_FOUND', 404);
+  }
+
+  const status = action === 'delete' ? 'actioned' : 'dismissed';
+  message.reports.forEach(report => {
+    if (report.status === 'open') {
+      report.status = status;
+      report.resolvedBy = admin._id;
+      report.resolvedAt = new Date();
+    }
+  });
+  message.openReportCount = 0;
+
+  if (action === 'delete' && !message.deletedAt) {
+    message.deletedAt = new Date();
+    message.deletedBy = admin._id;
+    message.isPinned = false;
+  }
+
+  await message.save();
+  return formatMessage(message);
+};
+
+// Public shape of a restriction
+const formatRestriction = (restriction) => ({
+  id: restriction._id,
+  userId: restriction.userId,
+  type: restriction.type,
+  channelId: restriction.channelId,
+  reason: restriction.reason,
+  expiresAt: restriction.expiresAt,
+  createdBy: restriction.createdBy,
+  createdAt: restriction.createdAt,
+  active: restriction.isActive()
+});
+
+// Admin mute or ban. durationMinutes omitted or 0 means until lifted.
+const restrictUser = async (admin, { userId, type, durationMinutes, channelId, reason }) => {
+  if (!['mute', 'ban'].includes(type)) {
+    throw new ModerationError('Type must be mute or ban', 'INVALID_RESTRICTION_TYPE');
+  }
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw new ModerationError('Invalid user ID', 'INVALID_USER_ID');
+  }
+  if (channelId && !mongoose.Types.ObjectId.isValid(channelId)) {
+    throw new ModerationError('Invalid channel ID', 'INVALID_CHANNEL_ID');
+  }
+
+  const target = await User.findById(userId).select('username role');
+  if (!target) {
+    throw new ModerationError('User not found', 'USER_NOT_FOUND', 404);
+  }
+  if (target.role === 'admin') {
+    throw new ModerationError('Admins cannot be muted or banned', 'CANNOT_RESTRICT_ADMIN');
+  }
+
+  const minutes = parseInt(durationMinutes) || 0;
+  const restriction = await ChatRestriction.create({
+    userId,
+    type,
+    channelId: channelId || null,
+    reason: (reason || '').substring(0, 500),
+    expiresAt: minutes > 0 ? new Date(Date.now() + minutes * 60 * 1000) : null,
+    createdBy: admin._id
+  });
+
+  console.log(`🔇 ${target.username} ${type === 'ban' ? 'banned' : 'muted'} by ${admin.username}${minutes ? ` for ${minutes} minutes` : ''}`);
+  return formatRestriction(restriction);
+};
+
+const liftRestriction = async (restrictionId, admin) => {
+  if (!mongoose.Types.ObjectId.isValid(restrictionId)) {
+    throw new ModerationError('Invalid restriction ID', 'INVALID_RESTRICTION_ID');
+  }
+
+  const restriction = await ChatRestriction.findById(restrictionId);
+  if (!restriction) {
+    throw new ModerationError('Restriction not found', 'RESTRICTION_NOT_FOUND', 404);
+  }
+
+  restriction.liftedAt = new Date();
+  restriction.liftedBy = admin._id;
+  await restriction.save();
+
+  return formatRestriction(restriction);
+};
+
+// Channels a user is banned from; chatWide is true for a ban on all community chat
+const getBannedScope = async (userId) => {
+  const bans = await ChatRestriction.find(ChatRestriction.activeQuery({ userId, type: 'ban' })).lean();
+  return {
+    chatWide: bans.some(ban => !ban.channelId),
+    channelIds: bans.filter(ban => ban.channelId).map(ban => ban.channelId.toString())
+  };
+};
+
+const listActiveRestrictions = async () => {
+  const restrictions = await ChatRestriction.find(ChatRestriction.activeQuery())
+    .sort({ createdAt: -1 });
+  return restrictions.map(formatRestriction);
+};
+
+module.exports = {
+  EDIT_WINDOW_MINUTES,
+  ModerationError,
+  assertCanPost,
+  assertCanRead,
+  editMessage,
+  deleteMessage,
+  setPinned,
+  getPinnedMessages,
+  reportMessage,
+  getModerationQueue,
+  resolveReports,
+  restrictUser,
+  liftRestriction,
+  getBannedScope,
+  listActiveRestrictions
+};
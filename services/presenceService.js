@@ -0,0 +1,110 @@
+// travel-tour-backend/services/presenceService.js
+//
+// Tracks which users are connected to community chat. A user can have several
+// sockets (tabs/devices), possibly on different server instances; they are online
+// while any socket is active, away when every socket reports away, and offline
+// once the last socket disconnects.
+//
+// Each socket owns one entry in the shared state store. Entries expire unless
+// refreshed, so sockets of an instance that crashed drop out on their own.
+const { getStateStore } = require('./state');
+
+const PRESENCE = 'presence';
+const PRESENCE_STATUSES = ['online', 'away'];
+const PRESENCE_TTL_MS = 90 * 1000;
+// How often socket.js should refresh the entries of its sockets
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+const entryKey = (userId, socketId) => `${userId}:${socketId}`;
+
+const getStatus = (socketEntries) => {
+  if (socketEntries.length === 0) return 'offline';
+  return socketEntries.some(entry => entry.status === 'online') ? 'online' : 'away';
+};
+
+const formatPresence = (user, socketEntries) => ({
+  userId: user.userId,
+  userName: user.userName,
+  role: user.role,
+  status: getStatus(socketEntries),
+  lastSeenAt: new Date()
+});
+
+const getUserSockets = async (userId) => {
+  const entries = await getStateStore().entries(PRESENCE, { prefix: `${userId}:` });
+  return entries.map(entry => entry.value);
+};
+
+// Apply a change to one socket and report whether the user's overall status changed
+const updateSocket = async (user, socketId, change) => {
+  const before = await getUserSockets(user.userId);
+  await change(getStateStore(), entryKey(user.userId, socketId));
+  const after = await getUserSockets(user.userId);
+
+  return {
+    changed: getStatus(before) !== getStatus(after),
+    presence: formatPresence(user, after)
+  };
+};
+
+const writeEntry = (store, key, user, socketId, status) => {
+  return store.set(PRESENCE, key, {
+    userId: user.userId,
+    userName: user.userName,
+    role: user.role,
+    socketId,
+    status
+  }, { ttlMs: PRESENCE_TTL_MS });
+};
+
+const connect = (user, socketId) => {
+  return updateSocket(user, socketId, (store, key) => writeEntry(store, key, user, socketId, 'online'));
+};
+
+const disconnect = (user, socketId) => {
+  return updateSocket(user, socketId, (store, key) => store.delete(PRESENCE, key));
+};
+
+// A tab reports itself online or away (e.g. hidden or idle)
+const setSocketStatus = async (user, socketId, status) => {
+  if (!PRESENCE_STATUSES.includes(status)) {
+    throw new Error(`Status must be one of: ${PRESENCE_STATUSES.join(', ')}`);
+  }
+  return updateSocket(user, socketId, (store, key) => writeEntry(store, key, user, socketId, status));
+};
+
+// Keep a live socket's entry from expiring
+const heartbeat = async (user, socketId) => {
+  const store = getStateStore();
+  const key = entryKey(user.userId, socketId);
+  const entry = await store.get(PRESENCE, key);
+  await writeEntry(store, key, user, socketId, entry ? entry.status : 'online');
+};
+
+// Everyone currently online or away
+const listPresence = async () => {
+  const entries = await getStateStore().entries(PRESENCE);
+  const byUser = new Map();
+  entries.forEach(({ value }) => {
+    if (!byUser.has(value.userId)) byUser.set(value.userId, []);
+    byUser.get(value.userId).push(value);
+  });
+  return Array.from(byUser.values()).map(socketEntries => formatPresence(socketEntries[0], socketEntries));
+};
+
+const getUserPresence = async (userId) => {
+  const socketEntries = await getUserSockets(userId.toString());
+  if (socketEntries.length === 0) return { userId: userId.toString(), status: 'offline' };
+  return formatPresence(socketEntries[0], socketEntries);
+};
+
+module.exports = {
+  PRESENCE_STATUSES,
+  HEARTBEAT_INTERVAL_MS,
+  connect,
+  disconnect,
+  setSocketStatus,
+  heartbeat,
+  listPresence,
+  getUserPresence
+};
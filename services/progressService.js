@@ -0,0 +1,357 @@
+// travel-tour-backend/services/progressService.js
+//
+// Per-student progress through document courses: lessons completed, where the student
+// was last, time spent and completion. A course is complete once every published lesson
+// is done and every linked quiz is passed. Linked quizzes are the quiz blocks in its
+// published lessons and the question sets whose courseId is the course. Courses without
+// lessons count as one unit, done when the student reaches the end of the document.
+// Students only track masterclass courses they can open (see courseAccessService).
+// Destination courses (Course) are not tracked: they have no lessons to complete and
+// their quizzes are recorded as assessment results on their own.
+//
+// Completing a course issues its certificate (see certificateService).
+// User.stats (coursesCompleted, quizzesTaken, averageScore) is recomputed from progress
+// and assessment results whenever either changes.
+const mongoose = require('mongoose');
+const CourseProgress = require('../models/CourseProgress');
+const DocumentCourse = require('../models/DocumentCourse');
+const QuestionSet = require('../models/QuestionSet');
+const AssessmentResult = require('../models/AssessmentResult');
+const User = require('../models/User');
+const certificates = require('./certificateService');
+const { assertCanOpenDocumentCourse } = require('./courseAccessService');
+const { ApiError } = require('./apiError');
+
+class ProgressError extends ApiError {}
+
+// Longest stretch one report may add, so a tab left open does not count as study time
+const MAX_TIME_PER_REPORT = 60 * 60;
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const toSeconds = (value) => {
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds > 0 ? Math.min(Math.round(seconds), MAX_TIME_PER_REPORT) : 0;
+};
+
+const getCourse = async (courseId) => {
+  if (!isValidId(courseId)) {
+    throw new ProgressError('Invalid course id', 'INVALID_COURSE');
+  }
+  const course = await DocumentCourse.findById(courseId).select('title courseType isActive modules').lean();
+  if (!course || !course.isActive) {
+    throw new ProgressError('Course not found', 'COURSE_NOT_FOUND', 404);
+  }
+  return course;
+};
+
+// The course as a student may use it: masterclass courses need access
+const getCourseFor = async (user, courseId) => {
+  const course = await getCourse(courseId);
+  assertCanOpenDocumentCourse(user, course);
+  return course;
+};
+
+// Published lessons in course order, and the question sets a student has to pass
+const loadOutline = async (course) => {
+  const lessons = [];
+  const setIds = new Set();
+  (course.modules || []).forEach(module => {
+    module.lessons.filter(lesson => lesson.isPublished).forEach(lesson => {
+      lessons.push({ moduleId: module._id, lessonId: lesson._id, title: lesson.title });
+      lesson.blocks
+        .filter(block => block.type === 'quiz' && block.questionSetId)
+        .forEach(block => setIds.add(block.questionSetId.toString()));
+    });
+  });
+
+  const questionSets = await QuestionSet.find({
+    isArchived: { $ne: true },
+    $or: [
+      { _id: { $in: [...setIds] } },
+      { courseId: course._id.toString() }
+    ]
+  }).select('title').lean();
+
+  return { lessons, questionSets };
+};
+
+// Set ids the student has a passing result on (results without a pass mark count as passed)
+const loadPassedSets = async (userId, questionSets) => {
+  if (questionSets.length === 0) return new Set();
+  const passed = await AssessmentResult.distinct('questionSetId', {
+    userId,
+    questionSetId: { $in: questionSets.map(set => set._id.toString()) },
+    passed: { $ne: false }
+  });
+  return new Set(passed);
+};
+
+// Where the student stands, and whether that completes the course. Pass the outline in
+// when evaluating many students on one course.
+const evaluate = async (progress, course, outline = null) => {
+  const { lessons, questionSets } = outline || await loadOutline(course);
+  const passedSets = await loadPassedSets(progress.userId, questionSets);
+
+  const completedIds = new Set(progress.completedLessons.map(entry => entry.lessonId.toString()));
+  const lessonsCompleted = lessons.filter(lesson => completedIds.has(lesson.lessonId.toString())).length;
+  const quizzes = questionSets.map(set => ({
+    questionSetId: set._id,
+    title: set.title,
+    passed: passedSets.has(set._id.toString())
+  }));
+  const quizzesPassed = quizzes.filter(quiz => quiz.passed).length;
+
+  // A course without lessons is a single unit: the document itself
+  const units = (lessons.length || 1) + quizzes.length;
+  const unitsDone = (lessons.length ? lessonsCompleted : (progress.documentRead ? 1 : 0)) + quizzesPassed;
+
+  // Resume at the last position while that lesson is still published, otherwise at the
+  // first lesson not done yet
+  const lastLessonId = progress.lastPosition?.lessonId?.toString();
+  const lastLesson = lessons.find(lesson => lesson.lessonId.toString() === lastLessonId);
+  const nextLesson = lessons.find(lesson => !completedIds.has(lesson.lessonId.toString())) || null;
+  const resume = lastLesson
+    ? {
+      moduleId: lastLesson.moduleId,
+      lessonId: lastLesson.lessonId,
+      title: lastLesson.title,
+      blockIndex: progress.lastPosition.blockIndex,
+      scrollPercent: progress.lastPosition.scrollPercent
+    }
+    : nextLesson
+      ? { moduleId: nextLesson.moduleId, lessonId: nextLesson.lessonId, title: nextLesson.title, blockIndex: 0, scrollPercent: 0 }
+      : { moduleId: null, lessonId: null, title: null, blockIndex: 0, scrollPercent: progress.lastPosition?.scrollPercent || 0 };
+
+  return {
+    lessons: { total: lessons.length, completed: lessonsCompleted },
+    quizzes,
+    percentComplete: Math.round((unitsDone / units) * 100),
+    complete: unitsDone === units,
+    resume,
+    nextLessonId: nextLesson ? nextLesson.lessonId : null
+  };
+};
+
+const formatProgress = (course, progress, evaluation) => ({
+  courseId: course._id,
+  courseTitle: course.title,
+  courseType: course.courseType,
+  started: Boolean(progress),
+  status: progress ? progress.status : 'not_started',
+  percentComplete: evaluation.percentComplete,
+  lessons: evaluation.lessons,
+  completedLessonIds: progress ? progress.completedLessons.map(entry => entry.lessonId) : [],
+  quizzes: evaluation.quizzes,
+  timeSpent: progress ? progress.timeSpent : 0,
+  resume: evaluation.resume,
+  nextLessonId: evaluation.nextLessonId,
+  startedAt: progress ? progress.startedAt : null,
+  lastAccessedAt: progress ? progress.lastAccessedAt : null,
+  completedAt: progress ? progress.completedAt : null
+});
+
+// ---- USER STATS ----
+
+// Recompute User.stats from completed courses and assessment results
+const syncUserStats = async (userId) => {
+  if (!isValidId(userId)) return;
+  const [coursesCompleted, [scores]] = await Promise.all([
+    CourseProgress.countDocuments({ userId, completedAt: { $ne: null } }),
+    AssessmentResult.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+      { $group: { _id: null, quizzesTaken: { $sum: 1 }, averageScore: { $avg: '$percentage' } } }
+    ])
+  ]);
+
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      'stats.coursesCompleted': coursesCompleted,
+      'stats.quizzesTaken': scores ? scores.quizzesTaken : 0,
+      'stats.averageScore': scores ? Math.round(scores.averageScore) : 0
+    }
+  });
+};
+
+// Mark the course completed the first time everything is done, issue the certificate and
+// keep stats in step
+const saveEvaluated = async (progress, course) => {
+  const evaluation = await evaluate(progress, course);
+  const justCompleted = evaluation.complete && !progress.completedAt;
+  if (justCompleted) {
+    progress.completedAt = new Date();
+    progress.status = 'completed';
+  }
+  await progress.save();
+
+  if (justCompleted) {
+    console.log(`🎓 User ${progress.userId} completed course ${course._id}`);
+    await syncUserStats(progress.userId);
+    try {
+      await certificates.issueForCompletion({
+        userId: progress.userId,
+        course,
+        completedAt: progress.completedAt,
+        questionSetIds: evaluation.quizzes.map(quiz => quiz.questionSetId)
+      });
+    } catch (error) {
+      console.error('❌ Error issuing certificate:', error);
+    }
+  }
+  return formatProgress(course, progress, evaluation);
+};
+
+// The student's progress record, created on first use
+const findOrStart = (userId, courseId) => {
+  return CourseProgress.findOneAndUpdate(
+    { userId, courseId },
+    { $setOnInsert: { userId, courseId, startedAt: new Date() } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Published lesson of the course, with its module
+const findPublishedLesson = (course, lessonId) => {
+  if (isValidId(lessonId)) {
+    for (const module of course.modules || []) {
+      const lesson = module.lessons.find(item => item._id.toString() === String(lessonId));
+      if (lesson && lesson.isPublished) return { module, lesson };
+    }
+  }
+  throw new ProgressError('Lesson not found', 'LESSON_NOT_FOUND', 404);
+};
+
+// ---- STUDENT ----
+
+// Progress and where to resume; nothing is recorded until the student does something
+const getProgress = async (user, courseId) => {
+  const course = await getCourseFor(user, courseId);
+  const progress = await CourseProgress.findOne({ userId: user._id, courseId: course._id });
+  const evaluation = await evaluate(progress || { userId: user._id, completedLessons: [] }, course);
+  return formatProgress(course, progress, evaluation);
+};
+
+// Every course the student has started, most recently used first
+const listMyProgress = async (user, { status } = {}) => {
+  const query = { userId: user._id };
+  if (status) query.status = status;
+  const records = await CourseProgress.find(query).sort({ lastAccessedAt: -1 });
+
+  const courses = await DocumentCourse.find({ _id: { $in: records.map(record => record.courseId) }, isActive: true })
+    .select('title courseType isActive modules')
+    .lean();
+  const courseById = new Map(courses.map(course => [course._id.toString(), course]));
+
+  const progress = [];
+  for (const record of records) {
+    const course = courseById.get(record.courseId.toString());
+    if (!course) continue;
+    progress.push(formatProgress(course, record, await evaluate(record, course)));
+  }
+  return progress;
+};
+
+// { lessonId, blockIndex, scrollPercent, timeSpent } - timeSpent is seconds since the last report
+const updatePosition = async (user, courseId, { lessonId, blockIndex, scrollPercent, timeSpent } = {}) => {
+  const course = await getCourseFor(user, courseId);
+  const progress = await findOrStart(user._id, course._id);
+
+  const position = { moduleId: null, lessonId: null, blockIndex: 0, scrollPercent: 0, updatedAt: new Date() };
+  if (lessonId) {
+    const { module, lesson } = findPublishedLesson(course, lessonId);
+    position.moduleId = module._id;
+    position.lessonId = lesson._id;
+  }
+  position.blockIndex = Math.max(parseInt(blockIndex) || 0, 0);
+  position.scrollPercent = Math.min(Math.max(Number(scrollPercent) || 0, 0), 100);
+
+  progress.lastPosition = position;
+  progress.timeSpent += toSeconds(timeSpent);
+  progress.lastAccessedAt = new Date();
+  if (!lessonId && position.scrollPercent >= 100) {
+    progress.documentRead = true;
+  }
+
+  return saveEvaluated(progress, course);
+};
+
+const completeLesson = async (user, courseId, lessonId, { timeSpent } = {}) => {
+  const course = await getCourseFor(user, courseId);
+  const { module, lesson } = findPublishedLesson(course, lessonId);
+  const progress = await findOrStart(user._id, course._id);
+
+  if (!progress.completedLessons.some(entry => entry.lessonId.toString() === lesson._id.toString())) {
+    progress.completedLessons.push({ lessonId: lesson._id, completedAt: new Date() });
+  }
+  progress.lastPosition = {
+    moduleId: module._id,
+    lessonId: lesson._id,
+    blockIndex: Math.max(lesson.blocks.length - 1, 0),
+    scrollPercent: 100,
+    updatedAt: new Date()
+  };
+  progress.timeSpent += toSeconds(timeSpent);
+  progress.lastAccessedAt = new Date();
+
+  return saveEvaluated(progress, course);
+};
+
+// ---- RESULTS ----
+
+// A new result may pass a course's last quiz: re-check the courses that quiz belongs to,
+// and bring the student's quiz stats up to date
+const onResultRecorded = async (result) => {
+  if (!result.userId) return;
+  if (isValidId(result.questionSetId) && result.passed !== false) {
+    const questionSet = await QuestionSet.findById(result.questionSetId).select('courseId').lean();
+    const courseIds = await DocumentCourse.find({
+      isActive: true,
+      $or: [
+        { 'modules.lessons.blocks.questionSetId': result.questionSetId },
+        ...(questionSet?.courseId && isValidId(questionSet.courseId) ? [{ _id: questionSet.courseId }] : [])
+      ]
+    }).distinct('_id');
+
+    const records = await CourseProgress.find({
+      userId: result.userId,
+      courseId: { $in: courseIds },
+      completedAt: null
+    });
+    for (const progress of records) {
+      const course = await getCourse(progress.courseId);
+      await saveEvaluated(progress, course);
+    }
+  }
+  await syncUserStats(result.userId);
+};
+
+// ---- ADMIN ----
+
+// Every student who has started the course, with where they are
+const listCourseProgress = async (courseId, { status } = {}) => {
+  const course = await getCourse(courseId);
+  const query = { courseId: course._id };
+  if (status) query.status = status;
+  const [records, outline] = await Promise.all([
+    CourseProgress.find(query).populate('userId', 'username email').sort({ lastAccessedAt: -1 }),
+    loadOutline(course)
+  ]);
+
+  const progress = [];
+  for (const record of records.filter(item => item.userId)) {
+    const evaluation = await evaluate({ ...record.toObject(), userId: record.userId._id }, course, outline);
+    progress.push({ user: record.userId, ...formatProgress(course, record, evaluation) });
+  }
+  return { courseId: course._id, courseTitle: course.title, progress, total: progress.length };
+};
+
+module.exports = {
+  ProgressError,
+  getProgress,
+  listMyProgress,
+  updatePosition,
+  completeLesson,
+  onResultRecorded,
+  syncUserStats,
+  listCourseProgress
+};
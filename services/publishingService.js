@@ -0,0 +1,310 @@
+// travel-tour-backend/services/publishingService.js
+//
+// Draft/publish workflow for document courses, destination courses and videos. Items
+// start as drafts, can be sent for review, scheduled for a publishAt time or published
+// straight away, and archived when retired. Only published items are visible to
+// students (isActive follows status, see models/publishable.js).
+//
+// Publishing is what tells students about a new course: the first publish of a document
+// course bumps every user's generalCoursesCount / masterclassCoursesCount, not the upload.
+// Scheduled items are published by a 'content_publish' job on the shared state store;
+// resumeSchedules re-arms those jobs at startup and publishes anything that fell due
+// while the server was down.
+const mongoose = require('mongoose');
+const DocumentCourse = require('../models/DocumentCourse');
+const Course = require('../models/Course');
+const Video = require('../models/Video');
+const User = require('../models/User');
+const { PUBLISH_STATUSES } = require('../models/publishable');
+const { getStateStore } = require('./state');
+const { ApiError } = require('./apiError');
+
+class PublishingError extends ApiError {}
+
+// URL segment -> model and the field holding the item's name
+const CONTENT_TYPES = {
+  'document-courses': { model: DocumentCourse, titleField: 'title' },
+  'destination-courses': { model: Course, titleField: 'name' },
+  videos: { model: Video, titleField: 'title' }
+};
+
+// Statuses each status may move to
+const TRANSITIONS = {
+  draft: ['in_review', 'scheduled', 'published', 'archived'],
+  in_review: ['draft', 'scheduled', 'published', 'archived'],
+  scheduled: ['draft', 'scheduled', 'published', 'archived'],
+  published: ['draft', 'archived'],
+  archived: ['draft', 'published']
+};
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const getContentType = (contentType) => {
+  const config = CONTENT_TYPES[contentType];
+  if (!config) {
+    throw new PublishingError(`Content type must be one of: ${Object.keys(CONTENT_TYPES).join(', ')}`, 'INVALID_CONTENT_TYPE');
+  }
+  return config;
+};
+
+const getItem = async (contentType, id) => {
+  const { model } = getContentType(contentType);
+  if (!isValidId(id)) {
+    throw new PublishingError('Invalid id', 'INVALID_ID');
+  }
+  const item = await model.findById(id);
+  if (!item) {
+    throw new PublishingError('Item not found', 'ITEM_NOT_FOUND', 404);
+  }
+  return item;
+};
+
+// Only the workflow fields change here; older documents (raw-inserted videos) may not pass
+// full validation
+const saveItem = (item) => item.save({ validateModifiedOnly: true });
+
+const previewUrlFor = (contentType, id) => `/api/admin/publishing/${contentType}/${id}/preview`;
+
+const summarize = (contentType, item) => ({
+  contentType,
+  id: item._id,
+  title: item[CONTENT_TYPES[contentType].titleField],
+  status: item.status || 'draft',
+  isActive: item.isActive,
+  publishAt: item.publishAt || null,
+  publishedAt: item.publishedAt || null,
+  reviewRequestedAt: item.reviewRequestedAt || null,
+  archivedAt: item.archivedAt || null,
+  announcedAt: item.announcedAt || null,
+  previewUrl: previewUrlFor(contentType, item._id)
+});
+
+// ---- SCHEDULER ----
+
+const jobIdFor = (contentType, id) => `content_publish:${contentType}:${id}`;
+
+const schedulePublish = (contentType, item) => {
+  return getStateStore().scheduleJob({
+    jobId: jobIdFor(contentType, item._id),
+    name: 'content_publish',
+    runAt: item.publishAt,
+    payload: { contentType, id: item._id.toString() }
+  });
+};
+
+const cancelScheduledPublish = (contentType, id) => {
+  return getStateStore().cancelJob(jobIdFor(contentType, id));
+};
+
+// ---- PUBLISHING ----
+
+// Tell students about a newly published document course, once: only the caller that
+// claims announcedAt (a concurrent publish or scheduler run finds it taken) counts it
+const announce = async (contentType, item) => {
+  const announcedAt = new Date();
+  const claim = await item.constructor.updateOne({ _id: item._id, announcedAt: null }, { $set: { announcedAt } });
+  if (claim.modifiedCount !== 1) return;
+  item.announcedAt = announcedAt;
+
+  if (contentType === 'document-courses') {
+    const countField = item.courseType === 'masterclass' ? 'masterclassCoursesCount' : 'generalCoursesCount';
+    await User.updateMany({}, { $inc: { [countField]: 1 } });
+    console.log(`🔔 Notified users of new ${item.courseType} course: ${item.title}`);
+  }
+};
+
+const publishNow = async (contentType, item, publishedBy = null) => {
+  item.status = 'published';
+  item.publishedAt = new Date();
+  item.publishedBy = publishedBy;
+  item.publishAt = null;
+  item.archivedAt = null;
+  await saveItem(item);
+  if (!item.announcedAt) {
+    await announce(contentType, item);
+  }
+  await cancelScheduledPublish(contentType, item._id);
+  console.log(`🚀 Published ${contentType} ${item._id}`);
+  return item;
+};
+
+const parsePublishAt = (value, now = new Date()) => {
+  const publishAt = value ? new Date(value) : null;
+  if (!publishAt || Number.isNaN(publishAt.getTime())) {
+    throw new PublishingError('Scheduling needs a valid publishAt date', 'INVALID_PUBLISH_AT');
+  }
+  if (publishAt <= now) {
+    throw new PublishingError('publishAt must be in the future', 'INVALID_PUBLISH_AT');
+  }
+  return publishAt;
+};
+
+// Move an item to another status: { status, publishAt } (publishAt only when scheduling)
+const setStatus = async (admin, contentType, id, { status, publishAt } = {}) => {
+  if (!PUBLISH_STATUSES.includes(status)) {
+    throw new PublishingError(`status must be one of: ${PUBLISH_STATUSES.join(', ')}`, 'INVALID_STATUS');
+  }
+  const item = await getItem(contentType, id);
+  const from = item.status || 'draft';
+  if (!TRANSITIONS[from].includes(status)) {
+    throw new PublishingError(`Cannot move from ${from} to ${status}`, 'INVALID_TRANSITION', 409);
+  }
+
+  if (status === 'published') {
+    await publishNow(contentType, item, admin._id);
+    return summarize(contentType, item);
+  }
+
+  item.status = status;
+  if (status === 'scheduled') {
+    item.publishAt = parsePublishAt(publishAt);
+  } else {
+    item.publishAt = null;
+  }
+  if (status === 'in_review') {
+    item.reviewRequestedAt = new Date();
+    item.reviewRequestedBy = admin._id;
+  }
+  if (status === 'archived') {
+    item.archivedAt = new Date();
+  }
+  await saveItem(item);
+
+  if (status === 'scheduled') {
+    await schedulePublish(contentType, item);
+    console.log(`⏰ Scheduled ${contentType} ${item._id} for ${item.publishAt.toISOString()}`);
+  } else if (from === 'scheduled') {
+    await cancelScheduledPublish(contentType, item._id);
+  }
+  return summarize(contentType, item);
+};
+
+// Status wanted for a new upload: { status, publishAt }, or the older isActive flag.
+// Checked before the upload is saved; apply it afterwards with applyInitialStatus.
+const parseInitialStatus = ({ status, publishAt, isActive } = {}) => {
+  if (publishAt && (!status || status === 'scheduled')) {
+    return { status: 'scheduled', publishAt: parsePublishAt(publishAt) };
+  }
+  if (status) {
+    if (!PUBLISH_STATUSES.includes(status) || status === 'archived') {
+      throw new PublishingError('status must be one of: draft, in_review, scheduled, published', 'INVALID_STATUS');
+    }
+    if (status === 'scheduled') parsePublishAt(publishAt);
+    return { status, publishAt: null };
+  }
+  if (isActive === true || isActive === 'true') {
+    return { status: 'published', publishAt: null };
+  }
+  return { status: 'draft', publishAt: null };
+};
+
+// New uploads are saved as drafts; move them on to what was asked for
+const applyInitialStatus = async (admin, contentType, id, initial) => {
+  if (!initial || initial.status === 'draft') return null;
+  return setStatus(admin, contentType, id, initial);
+};
+
+// The older edit forms send isActive: true publishes, false takes the item back to draft
+const applyActiveFlag = async (admin, contentType, id, isActive) => {
+  if (isActive === undefined || isActive === null || isActive === '') return null;
+  const item = await getItem(contentType, id);
+  const wantsActive = isActive === true || isActive === 'true';
+  if (wantsActive === (item.status === 'published')) return summarize(contentType, item);
+  return setStatus(admin, contentType, id, { status: wantsActive ? 'published' : 'draft' });
+};
+
+// ---- ADMIN VIEWS ----
+
+// Filters: status (one or comma-separated), page, limit
+const listItems = async (contentType, { status, page, limit } = {}) => {
+  const { model, titleField } = getContentType(contentType);
+  const query = {};
+  if (status) {
+    const statuses = String(status).split(',').map(value => value.trim()).filter(Boolean);
+    const invalid = statuses.filter(value => !PUBLISH_STATUSES.includes(value));
+    if (invalid.length > 0) {
+      throw new PublishingError(`Unknown status: ${invalid.join(', ')}`, 'INVALID_STATUS');
+    }
+    query.status = { $in: statuses };
+  }
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+  const [items, total] = await Promise.all([
+    model.find(query)
+      .select(`${titleField} status isActive publishAt publishedAt reviewRequestedAt archivedAt announcedAt`)
+      .sort({ updatedAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    model.countDocuments(query)
+  ]);
+  return { items: items.map(item => summarize(contentType, item)), total, page: pageNum, limit: limitNum };
+};
+
+// The whole item whatever its status, for admins checking it before it goes live
+const getPreview = async (contentType, id) => {
+  const item = await getItem(contentType, id);
+  return { ...summarize(contentType, item), item };
+};
+
+// ---- STARTUP ----
+
+// Give documents from before the workflow a status: active -> published, otherwise draft.
+// They were announced when uploaded, so they are marked as announced.
+const backfillStatuses = async () => {
+  let updated = 0;
+  for (const { model } of Object.values(CONTENT_TYPES)) {
+    const result = await model.collection.updateMany({ status: { $exists: false } }, [{
+      $set: {
+        status: { $cond: [{ $eq: ['$isActive', true] }, 'published', 'draft'] },
+        publishedAt: { $cond: [{ $eq: ['$isActive', true] }, { $ifNull: ['$createdAt', '$$NOW'] }, null] },
+        announcedAt: { $ifNull: ['$createdAt', '$$NOW'] }
+      }
+    }]);
+    updated += result.modifiedCount;
+  }
+  return updated;
+};
+
+// Publish scheduled items that are due and re-arm the jobs for the rest
+const resumeSchedules = async (now = new Date()) => {
+  const backfilled = await backfillStatuses();
+  let published = 0;
+  let scheduled = 0;
+
+  for (const [contentType, { model }] of Object.entries(CONTENT_TYPES)) {
+    const items = await model.find({ status: 'scheduled' });
+    for (const item of items) {
+      if (!item.publishAt || item.publishAt <= now) {
+        await publishNow(contentType, item);
+        published++;
+      } else {
+        await schedulePublish(contentType, item);
+        scheduled++;
+      }
+    }
+  }
+  return { backfilled, published, scheduled };
+};
+
+getStateStore().registerJobHandler('content_publish', async ({ contentType, id }) => {
+  const { model } = getContentType(contentType);
+  const item = await model.findById(id);
+  // Rescheduled or taken off the schedule since this job was set
+  if (!item || item.status !== 'scheduled' || !item.publishAt || item.publishAt > new Date(Date.now() + 1000)) {
+    return;
+  }
+  await publishNow(contentType, item);
+});
+
+module.exports = {
+  PublishingError,
+  CONTENT_TYPES,
+  setStatus,
+  parseInitialStatus,
+  applyInitialStatus,
+  applyActiveFlag,
+  listItems,
+  getPreview,
+  resumeSchedules
+};
@@ -0,0 +1,509 @@
+// travel-tour-backend/services/questionBankService.js
+//
+// Question bank: validated questions with tags and per-question edit history,
+// grouped into question sets. Every change to a question's content creates a new
+// QuestionVersion, and attempts/results record the version they were graded on.
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const QuestionVersion = require('../models/QuestionVersion');
+const QuestionSet = require('../models/QuestionSet');
+const { ApiError } = require('./apiError');
+
+class QuestionBankError extends ApiError {}
+
+const LEGACY_QUESTION_SET_COLLECTIONS = {
+  general: 'general_course_questions',
+  masterclass: 'masterclass_course_questions'
+};
+// Fields that make up a question's content; changing any of them creates a version
+const VERSIONED_FIELDS = [
+  'type', 'questionText', 'options', 'correctAnswer', 'correctAnswers', 'partialCredit',
+  'acceptedAnswers', 'caseSensitive', 'numericAnswer', 'tolerance', 'matches', 'explanation', 'tags'
+];
+const SET_FIELDS = ['title', 'description', 'courseId', 'pool', 'scoring', 'retakePolicy', 'settings'];
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Turn mongoose validation failures into a 400 with every message
+const rethrowValidation = (error) => {
+  if (error instanceof mongoose.Error.ValidationError) {
+    const messages = Object.values(error.errors).map(err => err.message);
+    throw new QuestionBankError(messages.join('; '), 'VALIDATION_FAILED');
+  }
+  throw error;
+};
+
+// ---- LEGACY FORMAT ----
+
+// Legacy answer keys are option text ("Paris"), an option index, or a letter ("B")
+const resolveCorrectIndex = (options, key) => {
+  if (typeof key === 'number') {
+    return Number.isInteger(key) && key >= 0 && key < options.length ? key : -1;
+  }
+  if (typeof key !== 'string' || !key.trim()) return -1;
+
+  const text = key.trim().toLowerCase();
+  const byText = options.findIndex(option => String(option).trim().toLowerCase() === text);
+  if (byText !== -1) return byText;
+
+  if (/^[a-z]$/.test(text)) {
+    const byLetter = text.charCodeAt(0) - 97;
+    return byLetter < options.length ? byLetter : -1;
+  }
+  return -1;
+};
+
+const SINGLE_KEY_TYPES = ['single_choice', 'true_false'];
+
+// Accept both bank fields and the raw shapes admins have been uploading
+const fromLegacyQuestion = (raw = {}) => {
+  const type = raw.type || 'single_choice';
+  const options = type === 'true_false' ? ['True', 'False'] : (raw.options || []).map(option => String(option));
+  let key = raw.correctAnswer ?? raw.correctOption ?? raw.answer;
+  if (typeof key === 'boolean') key = key ? 0 : 1;
+  const tags = raw.tags || {};
+
+  return {
+    type,
+    questionText: raw.questionText || raw.question,
+    options,
+    correctAnswer: SINGLE_KEY_TYPES.includes(type) ? resolveCorrectIndex(options, key) : null,
+    correctAnswers: (raw.correctAnswers || []).map(answer => resolveCorrectIndex(options, answer)),
+    partialCredit: raw.partialCredit,
+    acceptedAnswers: raw.acceptedAnswers ?? (type === 'short_text' && key !== undefined ? [String(key)] : undefined),
+    caseSensitive: raw.caseSensitive,
+    numericAnswer: raw.numericAnswer ?? (type === 'numeric' && key !== undefined ? Number(key) : undefined),
+    tolerance: raw.tolerance,
+    matches: raw.matches,
+    explanation: raw.explanation || '',
+    tags: {
+      destinationId: tags.destinationId ?? raw.destinationId ?? null,
+      courseRef: tags.courseRef ?? raw.courseRef ?? null,
+      difficulty: tags.difficulty ?? raw.difficulty,
+      topics: tags.topics ?? raw.topics ?? (raw.topic ? [raw.topic] : [])
+    }
+  };
+};
+
+const sortedCopy = (items) => [...items].sort((a, b) => a.localeCompare(b));
+
+// Bank question in the shape the old question-set endpoints returned. Without answers,
+// ordering items and matching targets are sorted so their stored order gives nothing away.
+const toLegacyQuestion = (question, { includeAnswers }) => {
+  const hideOrder = !includeAnswers && question.type === 'ordering';
+  const legacy = {
+    _id: question._id,
+    type: question.type,
+    question: question.questionText,
+    options: hideOrder ? sortedCopy(question.options) : question.options,
+    difficulty: question.tags.difficulty,
+    topics: question.tags.topics
+  };
+  if (question.type === 'matching') {
+    legacy.matches = includeAnswers ? question.matches : sortedCopy(question.matches);
+  }
+  if (includeAnswers) {
+    legacy.correctAnswer = question.correctAnswer;
+    legacy.correctAnswerText = question.options[question.correctAnswer];
+    legacy.correctAnswers = question.correctAnswers;
+    legacy.acceptedAnswers = question.acceptedAnswers;
+    legacy.numericAnswer = question.numericAnswer;
+    legacy.tolerance = question.tolerance;
+    legacy.explanation = question.explanation;
+  }
+  return legacy;
+};
+
+// ---- QUESTIONS ----
+
+const snapshotQuestion = (question) => ({
+  type: question.type,
+  questionText: question.questionText,
+  options: question.options,
+  correctAnswer: question.correctAnswer,
+  correctAnswers: question.correctAnswers,
+  partialCredit: question.partialCredit,
+  acceptedAnswers: question.acceptedAnswers,
+  caseSensitive: question.caseSensitive,
+  numericAnswer: question.numericAnswer,
+  tolerance: question.tolerance,
+  matches: question.matches,
+  explanation: question.explanation,
+  tags: {
+    destinationId: question.tags.destinationId,
+    courseRef: question.tags.courseRef,
+    difficulty: question.tags.difficulty,
+    topics: question.tags.topics
+  }
+});
+
+const recordVersion = (question, editedBy, changeNote = '') => {
+  return QuestionVersion.create({
+    questionId: question._id,
+    version: question.version,
+    snapshot: snapshotQuestion(question),
+    editedBy: editedBy || null,
+    changeNote
+  });
+};
+
+// Pick the content fields present in a request body
+const pickQuestionFields = (body = {}) => {
+  const fields = {};
+  VERSIONED_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  if (body.question !== undefined && fields.questionText === undefined) {
+    fields.questionText = body.question;
+  }
+  return fields;
+};
+
+const createQuestion = async (admin, body, { legacySource, _id } = {}) => {
+  const question = new Question({
+    ...(_id ? { _id } : {}),
+    ...pickQuestionFields(body),
+    version: 1,
+    createdBy: admin?._id || null,
+    updatedBy: admin?._id || null,
+    legacySource
+  });
+
+  try {
+    await question.save();
+  } catch (error) {
+    rethrowValidation(error);
+  }
+  await recordVersion(question, admin?._id, legacySource ? `Imported from ${legacySource.collectionName}` : 'Created');
+  return question;
+};
+
+const getQuestion = async (questionId) => {
+  if (!isValidId(questionId)) {
+    throw new QuestionBankError('Invalid question id', 'INVALID_QUESTION');
+  }
+  const question = await Question.findById(questionId);
+  if (!question) {
+    throw new QuestionBankError('Question not found', 'QUESTION_NOT_FOUND', 404);
+  }
+  return question;
+};
+
+// Edit a question. Content changes bump the version; `expectedVersion` guards
+// against two admins overwriting each other.
+const updateQuestion = async (admin, questionId, body = {}) => {
+  const question = await getQuestion(questionId);
+  if (body.expectedVersion !== undefined && Number(body.expectedVersion) !== question.version) {
+    throw new QuestionBankError(
+      `Question was changed by someone else (now at version ${question.version})`,
+      'VERSION_CONFLICT',
+      409
+    );
+  }
+
+  const before = JSON.stringify(snapshotQuestion(question));
+  const fields = pickQuestionFields(body);
+  if (fields.tags) {
+    fields.tags = { ...snapshotQuestion(question).tags, ...fields.tags };
+  }
+  question.set(fields);
+  question.updatedBy = admin._id;
+
+  const contentChanged = JSON.stringify(snapshotQuestion(question)) !== before;
+  if (!contentChanged) {
+    return question;
+  }
+
+  const currentVersion = question.version;
+  question.version = currentVersion + 1;
+  try {
+    await question.validate();
+  } catch (error) {
+    rethrowValidation(error);
+  }
+
+  // Only save if nobody else bumped the version in the meantime
+  const saved = await Question.findOneAndUpdate(
+    { _id: question._id, version: currentVersion },
+    { $set: { ...snapshotQuestion(question), version: question.version, updatedBy: admin._id } },
+    { new: true }
+  );
+  if (!saved) {
+    throw new QuestionBankError('Question was changed by someone else, please reload', 'VERSION_CONFLICT', 409);
+  }
+
+  await recordVersion(saved, admin._id, body.changeNote);
+  return saved;
+};
+
+const setQuestionArchived = async (admin, questionId, isArchived) => {
+  const question = await getQuestion(questionId);
+  question.isArchived = isArchived;
+  question.updatedBy = admin._id;
+  await question.save();
+  return question;
+};
+
+const getQuestionHistory = async (questionId) => {
+  const question = await getQuestion(questionId);
+  const versions = await QuestionVersion.find({ questionId: question._id })
+    .sort({ version: -1 })
+    .populate('editedBy', 'username email')
+    .lean();
+  return { question, versions };
+};
+
+// Filters: destinationId, courseRef, difficulty, topic, search, includeArchived
+const listQuestions = async (filters = {}) => {
+  const query = {};
+  if (!filters.includeArchived) query.isArchived = false;
+  if (filters.destinationId) query['tags.destinationId'] = filters.destinationId;
+  if (filters.courseRef && isValidId(filters.courseRef)) query['tags.courseRef'] = filters.courseRef;
+  if (filters.difficulty) query['tags.difficulty'] = filters.difficulty;
+  if (filters.topic) query['tags.topics'] = String(filters.topic).toLowerCase();
+  if (filters.search) {
+    query.questionText = { $regex: String(filters.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+  }
+
+  const limit = Math.min(parseInt(filters.limit) || 50, 200);
+  const page = Math.max(parseInt(filters.page) || 1, 1);
+  const [questions, total] = await Promise.all([
+    Question.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+    Question.countDocuments(query)
+  ]);
+  return { questions, total, page, limit };
+};
+
+// Snapshots for [{ questionId, version }] pairs, keyed by "questionId:version"
+const getQuestionVersions = async (refs) => {
+  if (refs.length === 0) return new Map();
+
+  const versions = await QuestionVersion.find({
+    $or: refs.map(ref => ({ questionId: ref.questionId, version: ref.version }))
+  }).lean();
+  return new Map(versions.map(entry => [`${entry.questionId}:${entry.version}`, entry]));
+};
+
+// ---- QUESTION SETS ----
+
+const getQuestionSet = async (questionSetId) => {
+  if (!isValidId(questionSetId)) {
+    throw new QuestionBankError('Invalid question set id', 'INVALID_QUESTION_SET');
+  }
+  const questionSet = await QuestionSet.findById(questionSetId);
+  if (!questionSet) {
+    throw new QuestionBankError('Question set not found', 'QUESTION_SET_NOT_FOUND', 404);
+  }
+  return questionSet;
+};
+
+// Live (non-archived) questions of a set, in set order
+const getSetQuestions = async (questionSet) => {
+  const questions = await Question.find({ _id: { $in: questionSet.questionIds }, isArchived: false });
+  const byId = new Map(questions.map(question => [question._id.toString(), question]));
+  return questionSet.questionIds.map(id => byId.get(id.toString())).filter(Boolean);
+};
+
+// Candidates an attempt draws from, in a stable order so a seed always gives the same draw
+const getPoolQuestions = async (questionSet) => {
+  if (questionSet.pool?.source !== 'tags') {
+    return getSetQuestions(questionSet);
+  }
+
+  const { destinationId, courseRef, topics } = questionSet.pool.tags;
+  const query = { isArchived: false };
+  if (destinationId) query['tags.destinationId'] = destinationId;
+  if (courseRef) query['tags.courseRef'] = courseRef;
+  if (topics && topics.length > 0) query['tags.topics'] = { $in: topics };
+  return Question.find(query).sort({ _id: 1 });
+};
+
+// New questions are created from `questions` (bank or legacy shape); existing ones
+// are referenced through `questionIds`
+const resolveSetQuestionIds = async (admin, body) => {
+  const ids = [];
+  for (const raw of body.questions || []) {
+    const question = await createQuestion(admin, fromLegacyQuestion(raw));
+    ids.push(question._id);
+  }
+  for (const id of body.questionIds || []) {
+    if (!isValidId(id) || !(await Question.exists({ _id: id }))) {
+      throw new QuestionBankError(`Question ${id} not found`, 'QUESTION_NOT_FOUND', 404);
+    }
+    ids.push(new mongoose.Types.ObjectId(id));
+  }
+  return ids;
+};
+
+const pickSetFields = (body = {}) => {
+  const fields = {};
+  SET_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+const createQuestionSet = async (admin, body = {}) => {
+  const questionSet = new QuestionSet({
+    ...pickSetFields(body),
+    courseType: body.courseType,
+    createdBy: admin._id,
+    updatedBy: admin._id
+  });
+  try {
+    await questionSet.validate();
+  } catch (error) {
+    rethrowValidation(error);
+  }
+
+  questionSet.questionIds = await resolveSetQuestionIds(admin, body);
+  await questionSet.save();
+  return questionSet;
+};
+
+// Update set details; `questionIds` replaces the order/membership, `questions` appends new ones
+const updateQuestionSet = async (admin, questionSetId, body = {}) => {
+  const questionSet = await getQuestionSet(questionSetId);
+  questionSet.set(pickSetFields(body));
+  questionSet.updatedBy = admin._id;
+
+  if (body.questionIds !== undefined || body.questions !== undefined) {
+    const ids = await resolveSetQuestionIds(admin, {
+      questions: body.questions,
+      questionIds: body.questionIds !== undefined ? body.questionIds : questionSet.questionIds
+    });
+    questionSet.questionIds = ids;
+  }
+
+  try {
+    await questionSet.save();
+  } catch (error) {
+    rethrowValidation(error);
+  }
+  return questionSet;
+};
+
+const setQuestionSetArchived = async (admin, questionSetId, isArchived) => {
+  const questionSet = await getQuestionSet(questionSetId);
+  questionSet.isArchived = isArchived;
+  questionSet.updatedBy = admin._id;
+  await questionSet.save();
+  return questionSet;
+};
+
+const listQuestionSets = async ({ courseType, includeArchived } = {}) => {
+  const query = {};
+  if (courseType) query.courseType = courseType;
+  if (!includeArchived) query.isArchived = false;
+  return QuestionSet.find(query).sort({ createdAt: -1 });
+};
+
+// Set in the shape the old *_course_questions endpoints returned
+const toLegacyQuestionSet = async (questionSet, { includeAnswers = false } = {}) => {
+  const questions = await getSetQuestions(questionSet);
+  return {
+    _id: questionSet._id,
+    title: questionSet.title,
+    description: questionSet.description,
+    courseType: questionSet.courseType,
+    courseId: questionSet.courseId,
+    settings: questionSet.settings,
+    questions: questions.map(question => toLegacyQuestion(question, { includeAnswers })),
+    createdAt: questionSet.createdAt,
+    updatedAt: questionSet.updatedAt
+  };
+};
+
+// ---- LEGACY IMPORT ----
+
+const importQuestion = async (raw, legacySource) => {
+  const existing = await Question.findOne({
+    'legacySource.collectionName': legacySource.collectionName,
+    'legacySource.id': legacySource.id
+  }).select('_id');
+  if (existing) return { question: existing, created: false };
+
+  const fields = fromLegacyQuestion(raw);
+  if (fields.correctAnswer === -1) {
+    return { question: null, created: false, error: 'answer key does not match any option' };
+  }
+
+  try {
+    // Keep quiz_questions ids so old results and attempts still resolve
+    const question = await createQuestion(null, fields, {
+      legacySource,
+      _id: legacySource.collectionName === 'quiz_questions' ? raw._id : undefined
+    });
+    return { question, created: true };
+  } catch (error) {
+    return { question: null, created: false, error: error.message };
+  }
+};
+
+// Copy quiz_questions and the *_course_questions sets into the bank. Safe to run
+// repeatedly: anything already imported is skipped. Sets keep their legacy _id.
+const importLegacyQuestions = async () => {
+  const db = mongoose.connection.db;
+  const report = { questionsCreated: 0, setsCreated: 0, skipped: [] };
+
+  const quizQuestions = await db.collection('quiz_questions').find({}).toArray();
+  for (const raw of quizQuestions) {
+    const { created, error } = await importQuestion(raw, { collectionName: 'quiz_questions', id: raw._id.toString() });
+    if (created) report.questionsCreated++;
+    if (error) report.skipped.push({ collection: 'quiz_questions', id: raw._id.toString(), error });
+  }
+
+  for (const [courseType, collectionName] of Object.entries(LEGACY_QUESTION_SET_COLLECTIONS)) {
+    const legacySets = await db.collection(collectionName).find({}).toArray();
+    for (const legacySet of legacySets) {
+      if (await QuestionSet.exists({ _id: legacySet._id })) continue;
+
+      const questionIds = [];
+      for (const [index, raw] of (legacySet.questions || []).entries()) {
+        const legacyId = (raw._id || raw.id || `${legacySet._id}:${index}`).toString();
+        const { question, created, error } = await importQuestion(raw, { collectionName, id: legacyId });
+        if (created) report.questionsCreated++;
+        if (question) questionIds.push(question._id);
+        if (error) report.skipped.push({ collection: collectionName, id: legacyId, error });
+      }
+
+      await QuestionSet.create({
+        _id: legacySet._id,
+        title: legacySet.title || 'Untitled quiz',
+        description: legacySet.description || '',
+        courseType,
+        courseId: legacySet.courseId ? legacySet.courseId.toString() : null,
+        questionIds,
+        settings: legacySet.settings || {},
+        legacySource: { collectionName, id: legacySet._id.toString() },
+        createdAt: legacySet.createdAt,
+        updatedAt: legacySet.updatedAt
+      });
+      report.setsCreated++;
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  QuestionBankError,
+  fromLegacyQuestion,
+  snapshotQuestion,
+  createQuestion,
+  getQuestion,
+  updateQuestion,
+  setQuestionArchived,
+  getQuestionHistory,
+  listQuestions,
+  getQuestionVersions,
+  getQuestionSet,
+  getSetQuestions,
+  getPoolQuestions,
+  createQuestionSet,
+  updateQuestionSet,
+  setQuestionSetArchived,
+  listQuestionSets,
+  toLegacyQuestionSet,
+  importLegacyQuestions
+};
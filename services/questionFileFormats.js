@@ -0,0 +1,287 @@
+// travel-tour-backend/services/questionFileFormats.js
+//
+// Reads and writes question files as plain rows ({ column: text }), so the import
+// service can treat CSV, XLSX and DOCX the same way.
+//
+// CSV / XLSX: one question per row under the TEMPLATE_COLUMNS header (first sheet for XLSX).
+//
+// DOCX: numbered questions typed as plain text (Word's automatic list numbering is not
+// kept when the text is extracted, so type the numbers and letters):
+//
+//   1. Which airport code belongs to Paris?
+//   A. LHR
+//   B. CDG
+//   Answer: B
+//   Explanation: Charles de Gaulle is Paris's main airport.
+//   Difficulty: easy
+//   Topics: airports, europe
+//
+// Any other template column can be given the same way ("Type: multiple_choice",
+// "Matches: London | Paris", "Tolerance: 0.5", ...).
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+const mammoth = require('mammoth');
+
+const FILE_FORMATS = ['csv', 'xlsx', 'docx'];
+
+const TEMPLATE_COLUMNS = [
+  'type', 'question', 'options', 'answer', 'matches', 'tolerance', 'caseSensitive',
+  'partialCredit', 'explanation', 'difficulty', 'topics', 'destinationId'
+];
+
+// "Case sensitive" / "case_sensitive" / "caseSensitive" -> caseSensitive
+const toColumnName = (label) => {
+  const compact = String(label).trim().toLowerCase().replace(/[\s_-]+/g, '');
+  return TEMPLATE_COLUMNS.find(column => column.toLowerCase() === compact) || null;
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+// ---- CSV ----
+
+// RFC 4180: quoted fields may contain commas, quotes ("") and line breaks
+const parseCsvRecords = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+};
+
+const escapeCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Header row + records -> [{ rowNumber, values }]; blank lines are skipped
+const recordsToRows = (records) => {
+  const [header = [], ...body] = records;
+  const columns = header.map(toColumnName);
+
+  return body
+    .map((record, index) => {
+      const values = {};
+      columns.forEach((column, position) => {
+        if (column) values[column] = String(record[position] ?? '').trim();
+      });
+      return { rowNumber: index + 2, values };
+    })
+    .filter(row => Object.values(row.values).some(Boolean));
+};
+
+const readCsv = (buffer) => recordsToRows(parseCsvRecords(buffer.toString('utf8').replace(/^﻿/, '')));
+
+const writeCsv = (rows) => {
+  const lines = [TEMPLATE_COLUMNS, ...rows.map(row => TEMPLATE_COLUMNS.map(column => row[column]))]
+    .map(fields => fields.map(escapeCsvField).join(','));
+  return Buffer.from(`﻿${lines.join('\r\n')}\r\n`, 'utf8');
+};
+
+// ---- XLSX ----
+
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const records = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const record = [];
+    for (let column = 1; column <= sheet.columnCount; column++) {
+      record.push(row.getCell(column).text);
+    }
+    records[rowNumber - 1] = record;
+  });
+  // Keep sheet row numbers in the report even when rows are empty
+  return recordsToRows(Array.from(records, record => record || []));
+};
+
+const writeXlsx = async (rows) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Questions');
+  sheet.columns = TEMPLATE_COLUMNS.map(column => ({
+    header: column,
+    key: column,
+    width: ['question', 'options', 'explanation'].includes(column) ? 40 : 16
+  }));
+  sheet.getRow(1).font = { bold: true };
+  rows.forEach(row => sheet.addRow(row));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+// ---- DOCX ----
+
+const QUESTION_LINE = /^\s*(\d+)\s*[.)]\s+(.+)$/;
+const OPTION_LINE = /^\s*([A-Za-z])\s*[.)]\s+(.+)$/;
+const FIELD_LINE = /^\s*([A-Za-z][A-Za-z _-]*?)\s*:\s*(.*)$/;
+
+const readDocx = async (buffer) => {
+  const { value: text } = await mammoth.extractRawText({ buffer });
+  const rows = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const question = line.match(QUESTION_LINE);
+    if (question) {
+      current = { rowNumber: Number(question[1]), values: { question: question[2].trim() }, options: [] };
+      rows.push(current);
+      return;
+    }
+    if (!current) return;
+
+    const option = line.match(OPTION_LINE);
+    if (option) {
+      current.options.push(option[2].trim());
+      return;
+    }
+    const field = line.match(FIELD_LINE);
+    const column = field && toColumnName(field[1]);
+    if (column && column !== 'question' && column !== 'options') {
+      current.values[column] = field[2].trim();
+      return;
+    }
+    // Anything else continues the question text
+    if (current.options.length === 0) {
+      current.values.question += ` ${line}`;
+    }
+  });
+
+  return rows.map(({ rowNumber, values, options }) => ({
+    rowNumber,
+    values: { ...values, options: options.join(' | ') }
+  }));
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const docxParagraph = (text, { bold = false } = {}) => {
+  const runProperties = bold ? '<w:rPr><w:b/></w:rPr>' : '';
+  return `<w:p><w:r>${runProperties}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`;
+};
+
+// Minimal WordprocessingML package: one paragraph per line
+const buildDocx = async (paragraphs) => {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+    '</Types>');
+  zip.file('_rels/.rels',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+    '</Relationships>');
+  zip.file('word/document.xml',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>' +
+    paragraphs.join('') +
+    '</w:body></w:document>');
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+const DOCX_FIELD_LABELS = {
+  type: 'Type',
+  answer: 'Answer',
+  matches: 'Matches',
+  tolerance: 'Tolerance',
+  caseSensitive: 'Case sensitive',
+  partialCredit: 'Partial credit',
+  explanation: 'Explanation',
+  difficulty: 'Difficulty',
+  topics: 'Topics',
+  destinationId: 'Destination ID'
+};
+
+const writeDocx = (rows, { title } = {}) => {
+  const paragraphs = title ? [docxParagraph(title, { bold: true })] : [];
+  rows.forEach((row, index) => {
+    paragraphs.push(docxParagraph(`${index + 1}. ${row.question}`, { bold: true }));
+    String(row.options || '')
+      .split('|')
+      .map(option => option.trim())
+      .filter(Boolean)
+      .forEach((option, position) => paragraphs.push(docxParagraph(`${String.fromCharCode(65 + position)}. ${option}`)));
+    Object.entries(DOCX_FIELD_LABELS).forEach(([column, label]) => {
+      if (row[column] !== undefined && row[column] !== null && row[column] !== '') {
+        paragraphs.push(docxParagraph(`${label}: ${row[column]}`));
+      }
+    });
+    paragraphs.push(docxParagraph(''));
+  });
+  return buildDocx(paragraphs);
+};
+
+// ---- ENTRY POINTS ----
+
+// 'questions.XLSX' -> 'xlsx'; null when the extension is not supported
+const detectFormat = (fileName = '') => {
+  const extension = String(fileName).split('.').pop().toLowerCase();
+  return FILE_FORMATS.includes(extension) ? extension : null;
+};
+
+const readRows = (buffer, format) => {
+  if (format === 'csv') return readCsv(buffer);
+  if (format === 'xlsx') return readXlsx(buffer);
+  return readDocx(buffer);
+};
+
+const writeRows = async (rows, format, options) => {
+  if (format === 'csv') return writeCsv(rows);
+  if (format === 'xlsx') return writeXlsx(rows);
+  return writeDocx(rows, options);
+};
+
+module.exports = {
+  FILE_FORMATS,
+  TEMPLATE_COLUMNS,
+  CONTENT_TYPES,
+  detectFormat,
+  readRows,
+  writeRows
+};
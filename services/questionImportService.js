@@ -0,0 +1,319 @@
+// travel-tour-backend/services/questionImportService.js
+//
+// Bulk import of bank questions from CSV, XLSX or DOCX files (see questionFileFormats.js
+// for the layouts) and export of question sets to the same formats.
+//
+// Every import is checked first: each row is converted and validated against the
+// Question model, and the report lists the errors per row. Nothing is written unless
+// the admin asks to commit, and a commit with invalid rows is refused unless those
+// rows are explicitly skipped.
+//
+// Template columns:
+//   type           single_choice (default), multiple_choice, true_false, short_text,
+//                  numeric, ordering or matching
+//   question       question text
+//   options        options separated by "|" (ordering: in the correct order;
+//                  matching: the prompts)
+//   answer         single_choice: option letter or text; multiple_choice: letters or
+//                  texts separated by "|"; true_false: True/False; short_text: accepted
+//                  answers separated by "|"; numeric: the number; ordering/matching: empty
+//   matches        matching only: the match for each option, in the same order, "|"-separated
+//   tolerance      numeric only
+//   caseSensitive, partialCredit   yes/no
+//   explanation, difficulty (easy/medium/hard), topics (","-separated), destinationId
+const Question = require('../models/Question');
+const questionBank = require('./questionBankService');
+const formats = require('./questionFileFormats');
+
+const { QuestionBankError } = questionBank;
+
+const MAX_IMPORT_ROWS = 1000;
+const LIST_SEPARATOR = '|';
+
+const splitList = (value, separator = LIST_SEPARATOR) => {
+  return String(value || '').split(separator).map(item => item.trim()).filter(Boolean);
+};
+
+const parseFlag = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  if (!text) return undefined;
+  if (['yes', 'y', 'true', '1'].includes(text)) return true;
+  if (['no', 'n', 'false', '0'].includes(text)) return false;
+  return null;
+};
+
+// Option letter ("B"), or option text, -> index; -1 when neither matches
+const resolveOption = (options, answer) => {
+  const text = answer.trim().toLowerCase();
+  const byText = options.findIndex(option => option.toLowerCase() === text);
+  if (byText !== -1) return byText;
+  if (/^[a-z]$/.test(text) && text.charCodeAt(0) - 97 < options.length) {
+    return text.charCodeAt(0) - 97;
+  }
+  return -1;
+};
+
+// Template row -> { body, errors }; body is in the shape createQuestion takes and
+// errors are [{ field, message }] for values that could not be read
+const rowToQuestion = (values, defaults = {}) => {
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message });
+  const type = (values.type || 'single_choice').trim().toLowerCase();
+  const options = splitList(values.options);
+  const answer = values.answer || '';
+
+  if (!Question.QUESTION_TYPES.includes(type)) {
+    addError('type', `Unknown type "${values.type}"`);
+  }
+
+  const body = {
+    type,
+    questionText: values.question,
+    options,
+    explanation: values.explanation || '',
+    tags: {
+      destinationId: values.destinationId || defaults.destinationId || null,
+      courseRef: defaults.courseRef || null,
+      difficulty: (values.difficulty || defaults.difficulty || 'medium').trim().toLowerCase(),
+      topics: splitList(values.topics, ',')
+    }
+  };
+
+  switch (type) {
+    case 'single_choice':
+      body.correctAnswer = answer ? resolveOption(options, answer) : null;
+      if (body.correctAnswer === -1) addError('correctAnswer', `Answer "${answer}" is not one of the options`);
+      break;
+    case 'true_false': {
+      const flag = parseFlag(answer);
+      body.correctAnswer = flag === true ? 0 : flag === false ? 1 : null;
+      if (answer && flag === null) addError('correctAnswer', 'Answer must be True or False');
+      break;
+    }
+    case 'multiple_choice':
+      body.correctAnswers = splitList(answer).map(item => resolveOption(options, item));
+      if (body.correctAnswers.includes(-1)) {
+        addError('correctAnswers', `Answer "${answer}" includes something that is not an option`);
+      }
+      break;
+    case 'short_text':
+      body.acceptedAnswers = splitList(answer);
+      break;
+    case 'numeric': {
+      const number = Number(String(answer).replace(/,/g, ''));
+      body.numericAnswer = answer !== '' && Number.isFinite(number) ? number : null;
+      if (answer !== '' && body.numericAnswer === null) addError('numericAnswer', `Answer "${answer}" is not a number`);
+      break;
+    }
+    case 'matching':
+      body.matches = splitList(values.matches);
+      break;
+  }
+
+  if (values.tolerance) {
+    body.tolerance = Number(values.tolerance);
+    if (!Number.isFinite(body.tolerance)) addError('tolerance', 'Tolerance must be a number');
+  }
+  [['caseSensitive', values.caseSensitive], ['partialCredit', values.partialCredit]].forEach(([field, value]) => {
+    const flag = parseFlag(value);
+    if (flag === null) addError(field, `${field} must be yes or no`);
+    else if (flag !== undefined) body[field] = flag;
+  });
+
+  return { body, errors };
+};
+
+// Model validation errors for a converted row: [{ field, message }]
+const validateQuestionBody = async (body) => {
+  try {
+    await new Question(body).validate();
+    return [];
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return Object.values(error.errors).map(entry => ({ field: entry.path, message: entry.message }));
+  }
+};
+
+const previewQuestion = (body) => ({
+  type: body.type,
+  question: body.questionText,
+  options: body.options
+});
+
+// Read and check a file without writing anything
+const checkFile = async (file, { format, defaults } = {}) => {
+  if (!file || !file.buffer) {
+    throw new QuestionBankError('A file is required', 'FILE_REQUIRED');
+  }
+  const fileFormat = format || formats.detectFormat(file.originalname);
+  if (!formats.FILE_FORMATS.includes(fileFormat)) {
+    throw new QuestionBankError(`Supported formats: ${formats.FILE_FORMATS.join(', ')}`, 'UNSUPPORTED_FORMAT');
+  }
+
+  let rows;
+  try {
+    rows = await formats.readRows(file.buffer, fileFormat);
+  } catch (error) {
+    throw new QuestionBankError(`Could not read the ${fileFormat.toUpperCase()} file: ${error.message}`, 'UNREADABLE_FILE');
+  }
+  if (rows.length === 0) {
+    throw new QuestionBankError('The file contains no questions', 'EMPTY_IMPORT');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new QuestionBankError(`Import at most ${MAX_IMPORT_ROWS} questions at a time`, 'IMPORT_TOO_LARGE');
+  }
+
+  const checked = [];
+  for (const row of rows) {
+    const { body, errors } = rowToQuestion(row.values, defaults);
+    // Keep the clearer reading error when the model complains about the same field
+    const reported = new Set(errors.map(error => error.field));
+    (await validateQuestionBody(body)).forEach(error => {
+      if (!reported.has(error.field)) errors.push(error);
+    });
+    checked.push({ row: row.rowNumber, valid: errors.length === 0, errors, body });
+  }
+  return { format: fileFormat, rows: checked };
+};
+
+const formatReport = ({ format, rows }, extra = {}) => ({
+  format,
+  totalRows: rows.length,
+  validRows: rows.filter(row => row.valid).length,
+  invalidRows: rows.filter(row => !row.valid).length,
+  rows: rows.map(({ row, valid, errors, body }) => ({ row, valid, errors, preview: previewQuestion(body) })),
+  ...extra
+});
+
+// options: { commit, skipInvalid, format, defaults: { destinationId, courseRef, difficulty },
+//            questionSetId (append) or questionSet: { title, description, courseType, courseId } (create) }
+const importQuestions = async (admin, file, options = {}) => {
+  const checked = await checkFile(file, options);
+  const invalid = checked.rows.filter(row => !row.valid);
+
+  if (!options.commit) {
+    return formatReport(checked, { committed: false });
+  }
+  if (invalid.length > 0 && !options.skipInvalid) {
+    throw new QuestionBankError(
+      `${invalid.length} row(s) have errors; fix them or import with skipInvalid`,
+      'IMPORT_HAS_ERRORS',
+      400,
+      { report: formatReport(checked, { committed: false }) }
+    );
+  }
+
+  // Check the target set before creating anything
+  const targetSet = options.questionSetId ? await questionBank.getQuestionSet(options.questionSetId) : null;
+
+  const created = [];
+  for (const row of checked.rows.filter(entry => entry.valid)) {
+    const question = await questionBank.createQuestion(admin, row.body);
+    created.push(question._id);
+  }
+
+  let questionSet = null;
+  if (targetSet) {
+    questionSet = await questionBank.updateQuestionSet(admin, targetSet._id, {
+      questionIds: [...targetSet.questionIds, ...created]
+    });
+  } else if (options.questionSet && options.questionSet.title) {
+    questionSet = await questionBank.createQuestionSet(admin, { ...options.questionSet, questionIds: created });
+  }
+
+  console.log(`📥 Imported ${created.length} questions from ${checked.format.toUpperCase()} by ${admin.username || admin.email}`);
+  return formatReport(checked, {
+    committed: true,
+    questionsCreated: created.length,
+    questionIds: created,
+    questionSetId: questionSet ? questionSet._id : null
+  });
+};
+
+const letter = (index) => String.fromCharCode(65 + index);
+
+// Bank question -> template row (the inverse of rowToQuestion)
+const questionToRow = (question) => {
+  const options = question.options || [];
+  let answer = '';
+  switch (question.type) {
+    case 'single_choice':
+      answer = letter(question.correctAnswer);
+      break;
+    case 'true_false':
+      answer = question.correctAnswer === 0 ? 'True' : 'False';
+      break;
+    case 'multiple_choice':
+      answer = question.correctAnswers.map(letter).join(LIST_SEPARATOR);
+      break;
+    case 'short_text':
+      answer = question.acceptedAnswers.join(LIST_SEPARATOR);
+      break;
+    case 'numeric':
+      answer = question.numericAnswer;
+      break;
+  }
+
+  return {
+    type: question.type,
+    question: question.questionText,
+    options: question.type === 'true_false' ? '' : options.join(` ${LIST_SEPARATOR} `),
+    answer,
+    matches: question.type === 'matching' ? question.matches.join(` ${LIST_SEPARATOR} `) : '',
+    tolerance: question.type === 'numeric' && question.tolerance ? question.tolerance : '',
+    caseSensitive: question.type === 'short_text' && question.caseSensitive ? 'yes' : '',
+    partialCredit: ['multiple_choice', 'ordering', 'matching'].includes(question.type) && !question.partialCredit ? 'no' : '',
+    explanation: question.explanation || '',
+    difficulty: question.tags.difficulty,
+    topics: (question.tags.topics || []).join(', '),
+    destinationId: question.tags.destinationId || ''
+  };
+};
+
+const fileNameFor = (title, format) => {
+  const base = String(title || 'questions').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${base || 'questions'}.${format}`;
+};
+
+// { buffer, contentType, fileName } for a question set (its pool, for tag-based sets)
+const exportQuestionSet = async (questionSetId, format = 'csv') => {
+  if (!formats.FILE_FORMATS.includes(format)) {
+    throw new QuestionBankError(`Supported formats: ${formats.FILE_FORMATS.join(', ')}`, 'UNSUPPORTED_FORMAT');
+  }
+  const questionSet = await questionBank.getQuestionSet(questionSetId);
+  const questions = await questionBank.getPoolQuestions(questionSet);
+
+  return {
+    buffer: await formats.writeRows(questions.map(questionToRow), format, { title: questionSet.title }),
+    contentType: formats.CONTENT_TYPES[format],
+    fileName: fileNameFor(questionSet.title, format)
+  };
+};
+
+// Empty template with one example row per question type
+const TEMPLATE_EXAMPLES = [
+  { type: 'single_choice', question: 'Which airport code belongs to Paris?', options: 'LHR | CDG | JFK', answer: 'B', difficulty: 'easy', topics: 'airports' },
+  { type: 'multiple_choice', question: 'Which of these cities are in Italy?', options: 'Rome | Madrid | Milan', answer: 'A | C', topics: 'europe' },
+  { type: 'true_false', question: 'Lagos is the capital of Nigeria.', answer: 'False' },
+  { type: 'short_text', question: 'Name the tower in Paris built in 1889.', answer: 'Eiffel Tower | La tour Eiffel' },
+  { type: 'numeric', question: 'How many hours ahead of London is Dubai in winter?', answer: '4', tolerance: '0' },
+  { type: 'ordering', question: 'Order these stops from north to south.', options: 'Kano | Abuja | Lagos' },
+  { type: 'matching', question: 'Match the airport codes to their cities.', options: 'LHR | CDG', matches: 'London | Paris' }
+];
+
+const exportTemplate = async (format = 'csv') => {
+  if (!formats.FILE_FORMATS.includes(format)) {
+    throw new QuestionBankError(`Supported formats: ${formats.FILE_FORMATS.join(', ')}`, 'UNSUPPORTED_FORMAT');
+  }
+  return {
+    buffer: await formats.writeRows(TEMPLATE_EXAMPLES, format, { title: 'Question import template' }),
+    contentType: formats.CONTENT_TYPES[format],
+    fileName: `question-import-template.${format}`
+  };
+};
+
+module.exports = {
+  importQuestions,
+  exportQuestionSet,
+  exportTemplate
+};
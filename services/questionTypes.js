@@ -0,0 +1,248 @@
+// travel-tour-backend/services/questionTypes.js
+//
+// Per-type behaviour for bank questions: how a question is served (which parts are
+// shuffled), what a valid response looks like, how it is graded and how responses and
+// answer keys are shown in results. Positions are always in the order the student saw.
+//
+// Responses by type:
+//   single_choice, true_false  option position
+//   multiple_choice            option positions
+//   short_text                 text
+//   numeric                    number
+//   ordering                   option positions, first to last
+//   matching                   for each option position, the position of the chosen match
+const { shuffle } = require('./quizRandomizer');
+
+const NO_ANSWER = 'No answer';
+
+const isPosition = (value, length) => Number.isInteger(value) && value >= 0 && value < length;
+
+// Position from client input; anything else (null, '', 'abc', 1.5) counts as unanswered
+const toPosition = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const index = Number(value);
+  return Number.isInteger(index) && index >= 0 ? index : null;
+};
+
+const toPositionList = (value) => {
+  if (!Array.isArray(value)) return null;
+  const positions = value.map(toPosition);
+  return positions.some(position => position !== null) ? positions : null;
+};
+
+// A shuffled order that differs from the original whenever that is possible
+const shuffledOrder = (length, random) => {
+  const identity = Array.from({ length }, (item, index) => index);
+  const order = shuffle(identity, random);
+  if (length > 1 && order.every((value, index) => value === index)) {
+    order.push(order.shift());
+  }
+  return order;
+};
+
+// Served position of an original index
+const servedPosition = (order, index) => (order.length > 0 ? order.indexOf(index) : index);
+
+const inOrder = (items, order) => (order.length > 0 ? order.map(index => items[index]) : items);
+
+// Trim, collapse inner whitespace and (unless case sensitive) lowercase
+const normalizeText = (text, caseSensitive) => {
+  const normalized = String(text).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? normalized : normalized.toLowerCase();
+};
+
+const fraction = (correct, total) => (total > 0 ? correct / total : 0);
+
+const describePositions = (options, positions, separator) => {
+  return positions.map(position => options[position] ?? '?').join(separator);
+};
+
+const describePairs = (question, positions) => {
+  return positions
+    .map((match, index) => `${question.options[index]} → ${match === null ? '?' : question.matches[match] ?? '?'}`)
+    .join('; ');
+};
+
+const singleChoice = {
+  shuffleOptions: (settings) => settings.shuffleOptions,
+  normalizeResponse: toPosition,
+  accepts: (question, response) => isPosition(response, question.options.length),
+  answerKey: (content, orders) => servedPosition(orders.optionOrder, content.correctAnswer),
+  grade: (question, response) => (response === question.correctAnswer ? 1 : 0),
+  describe: (question, value) => question.options[value] ?? NO_ANSWER
+};
+
+const HANDLERS = {
+  single_choice: singleChoice,
+
+  // True/False keeps its natural order
+  true_false: { ...singleChoice, shuffleOptions: () => false },
+
+  multiple_choice: {
+    shuffleOptions: (settings) => settings.shuffleOptions,
+    normalizeResponse: (value) => {
+      const positions = toPositionList(value);
+      return positions ? Array.from(new Set(positions.filter(position => position !== null))).sort((a, b) => a - b) : null;
+    },
+    accepts: (question, response) => response.every(position => isPosition(position, question.options.length)),
+    answerKey: (content, orders) => {
+      return content.correctAnswers.map(index => servedPosition(orders.optionOrder, index)).sort((a, b) => a - b);
+    },
+    // Partial credit: right picks minus wrong picks, out of the number of right answers
+    grade: (question, response) => {
+      const key = new Set(question.correctAnswer);
+      const right = response.filter(position => key.has(position)).length;
+      const wrong = response.length - right;
+      if (!question.partialCredit) {
+        return right === key.size && wrong === 0 ? 1 : 0;
+      }
+      return Math.max(0, fraction(right - wrong, key.size));
+    },
+    describe: (question, value) => describePositions(question.options, value, ', ')
+  },
+
+  short_text: {
+    shuffleOptions: () => false,
+    normalizeResponse: (value) => {
+      if (value === null || value === undefined) return null;
+      const text = String(value).trim().slice(0, 500);
+      return text || null;
+    },
+    answerKey: (content) => content.acceptedAnswers.filter(Boolean),
+    grade: (question, response) => {
+      const answer = normalizeText(response, question.caseSensitive);
+      return question.correctAnswer.some(accepted => normalizeText(accepted, question.caseSensitive) === answer) ? 1 : 0;
+    },
+    describe: (question, value) => (Array.isArray(value) ? value.join(' / ') : value)
+  },
+
+  numeric: {
+    shuffleOptions: () => false,
+    normalizeResponse: (value) => {
+      if (value === null || value === undefined || value === '') return null;
+      const number = Number(String(value).replace(/,/g, '').trim());
+      return Number.isFinite(number) ? number : null;
+    },
+    answerKey: (content) => content.numericAnswer,
+    // Allow for floating point error at the edge of the tolerance
+    grade: (question, response) => {
+      return Math.abs(response - question.correctAnswer) <= question.tolerance + 1e-9 ? 1 : 0;
+    },
+    describe: (question, value) => String(value),
+    describeKey: (question) => {
+      return question.tolerance > 0 ? `${question.correctAnswer} (± ${question.tolerance})` : String(question.correctAnswer);
+    }
+  },
+
+  // Items are always served out of order; the key is the served positions in the right order
+  ordering: {
+    shuffleOptions: () => true,
+    normalizeResponse: toPositionList,
+    answerKey: (content, orders) => content.options.map((option, index) => servedPosition(orders.optionOrder, index)),
+    grade: (question, response) => {
+      const key = question.correctAnswer;
+      const valid = response.length === key.length && new Set(response).size === response.length &&
+        response.every(position => isPosition(position, key.length));
+      if (!valid) return 0;
+      const inPlace = key.filter((position, index) => response[index] === position).length;
+      if (!question.partialCredit) return inPlace === key.length ? 1 : 0;
+      return fraction(inPlace, key.length);
+    },
+    describe: (question, value) => describePositions(question.options, value, ' → ')
+  },
+
+  // Matches are always served out of order; options follow the quiz setting
+  matching: {
+    shuffleOptions: (settings) => settings.shuffleOptions,
+    shuffleMatches: true,
+    normalizeResponse: toPositionList,
+    answerKey: (content, orders) => {
+      return content.options.map((option, position) => {
+        const index = orders.optionOrder.length > 0 ? orders.optionOrder[position] : position;
+        return servedPosition(orders.matchOrder, index);
+      });
+    },
+    grade: (question, response) => {
+      const key = question.correctAnswer;
+      const matched = key.filter((match, index) => response[index] === match).length;
+      if (!question.partialCredit) return matched === key.length ? 1 : 0;
+      return fraction(matched, key.length);
+    },
+    describe: describePairs
+  }
+};
+
+const QUESTION_TYPES = Object.keys(HANDLERS);
+
+const getHandler = (type) => HANDLERS[type] || HANDLERS.single_choice;
+
+// Orders for a newly served question, drawn from the attempt's random source
+const drawOrders = (content, settings, random) => {
+  const handler = getHandler(content.type);
+  return {
+    optionOrder: handler.shuffleOptions(settings) ? shuffledOrder(content.options.length, random) : [],
+    matchOrder: handler.shuffleMatches ? shuffledOrder((content.matches || []).length, random) : []
+  };
+};
+
+// The question as served: options/matches in served order and the answer key in served positions
+const toServedQuestion = (content, { optionOrder = [], matchOrder = [] } = {}) => {
+  const type = content.type || 'single_choice';
+  const options = content.options || [];
+  const matches = content.matches || [];
+  const orders = {
+    optionOrder: optionOrder.length === options.length ? Array.from(optionOrder) : [],
+    matchOrder: matchOrder.length === matches.length ? Array.from(matchOrder) : []
+  };
+
+  return {
+    type,
+    optionOrder: orders.optionOrder,
+    matchOrder: orders.matchOrder,
+    options: inOrder(options, orders.optionOrder),
+    matches: inOrder(matches, orders.matchOrder),
+    correctAnswer: getHandler(type).answerKey({ ...content, options, matches }, orders),
+    partialCredit: content.partialCredit !== false,
+    caseSensitive: Boolean(content.caseSensitive),
+    tolerance: content.tolerance || 0
+  };
+};
+
+const normalizeResponse = (type, value) => getHandler(type).normalizeResponse(value);
+
+// Normalized response checked against the served question; out-of-range picks count as unanswered
+const readResponse = (question, value) => {
+  const handler = getHandler(question.type);
+  const response = handler.normalizeResponse(value);
+  if (response === null || (handler.accepts && !handler.accepts(question, response))) return null;
+  return response;
+};
+
+// Credit between 0 and 1 for a normalized response
+const gradeResponse = (question, response) => {
+  if (response === null || response === undefined) return 0;
+  return getHandler(question.type).grade(question, response);
+};
+
+// Readable text for a response (or the answer key) in results and reviews
+const describeValue = (question, value) => {
+  if (value === null || value === undefined) return NO_ANSWER;
+  return getHandler(question.type).describe(question, value);
+};
+
+const describeAnswerKey = (question) => {
+  const handler = getHandler(question.type);
+  return handler.describeKey ? handler.describeKey(question) : describeValue(question, question.correctAnswer);
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  NO_ANSWER,
+  drawOrders,
+  toServedQuestion,
+  normalizeResponse,
+  readResponse,
+  gradeResponse,
+  describeValue,
+  describeAnswerKey
+};
@@ -0,0 +1,50 @@
+// travel-tour-backend/services/quizRandomizer.js
+//
+// Seeded randomness for quiz attempts. The same seed always produces the same draw
+// and the same shuffles, so an attempt can be explained (and reproduced) from the
+// seed recorded on it.
+const crypto = require('crypto');
+
+const createSeed = () => crypto.randomBytes(8).toString('hex');
+
+// 32-bit hash of the seed string (FNV-1a) used to start the generator
+const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32: returns a function yielding floats in [0, 1)
+const createRandom = (seed) => {
+  let state = hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fisher-Yates on a copy
+const shuffle = (items, random) => {
+  const shuffled = items.slice();
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// `count` distinct items picked at random, in the order they were picked
+const sample = (items, count, random) => shuffle(items, random).slice(0, Math.max(0, count));
+
+module.exports = {
+  createSeed,
+  createRandom,
+  shuffle,
+  sample
+};
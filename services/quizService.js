@@ -0,0 +1,850 @@
+// travel-tour-backend/services/quizService.js
+//
+// Quiz attempts graded on the server. Questions are served without their answer
+// keys; the submission only carries the selected options and the score, remark and
+// time taken are worked out here before the result is written.
+//
+// Timed attempts carry a deadline. Selections are autosaved so a student can resume
+// after a disconnect; at the deadline the saved answers are submitted (or the attempt
+// is closed, if the quiz rejects late work). A periodic sweep abandons idle attempts.
+//
+// Each attempt draws its questions from the quiz's pool with its own seed, optionally
+// stratified by difficulty and with questions and options shuffled. The draw is recorded
+// on the attempt, so grading and review use exactly what that student was shown.
+//
+// Question-set quizzes follow the set's retake policy (see services/retakeService.js):
+// a new attempt is refused once the attempts are used up or while the cooldown runs.
+const mongoose = require('mongoose');
+const QuizAttempt = require('../models/QuizAttempt');
+const QuestionSet = require('../models/QuestionSet');
+const AssessmentResult = require('../models/AssessmentResult');
+const Course = require('../models/Course');
+const Question = require('../models/Question');
+const questionBank = require('./questionBankService');
+const { getStateStore } = require('./state');
+const { createSeed, createRandom, shuffle, sample } = require('./quizRandomizer');
+const questionTypes = require('./questionTypes');
+const scoring = require('./scoringService');
+const retake = require('./retakeService');
+const assessmentResults = require('./assessmentResultService');
+const { ApiError } = require('./apiError');
+
+class QuizError extends ApiError {}
+
+const QUIZ_TYPES = ['destination', 'general', 'masterclass'];
+const DESTINATION_QUIZ_SIZE = 20;
+const LATE_SUBMISSION_MODES = ['auto_submit', 'reject'];
+const DEFAULT_QUIZ_SETTINGS = {
+  shuffleQuestions: false,
+  shuffleOptions: false,
+  showCorrectAnswers: true,
+  showExplanations: true,
+  timeLimitMinutes: null,
+  lateSubmission: 'auto_submit'
+};
+// Destination quizzes without a set: a fresh random 20 from the destination's questions
+const DESTINATION_QUIZ_SETTINGS = { shuffleQuestions: true, shuffleOptions: true };
+// Allowance for network latency on submissions sent right at the deadline
+const SUBMISSION_GRACE_MS = 30 * 1000;
+// Untimed attempts with no autosave or submit for this long are abandoned
+const ABANDON_AFTER_MS = (parseInt(process.env.QUIZ_ABANDON_AFTER_HOURS) || 24) * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = (parseInt(process.env.QUIZ_SWEEP_INTERVAL_MINUTES) || 15) * 60 * 1000;
+
+const toClientQuestion = (question) => {
+  const client = {
+    id: question.questionId,
+    type: question.type,
+    question: question.questionText,
+    options: question.options
+  };
+  if (question.type === 'matching') client.matches = question.matches;
+  return client;
+};
+
+const getQuizSettings = (source = {}) => {
+  const settings = { ...DEFAULT_QUIZ_SETTINGS, ...(source.settings || {}) };
+  const timeLimit = Number(settings.timeLimitMinutes);
+
+  settings.timeLimitMinutes = timeLimit > 0 ? timeLimit : null;
+  if (!LATE_SUBMISSION_MODES.includes(settings.lateSubmission)) {
+    settings.lateSubmission = DEFAULT_QUIZ_SETTINGS.lateSubmission;
+  }
+  return settings;
+};
+
+// Bank questions served to a destination quiz: by course, else by destination tag
+const buildDestinationQuery = ({ courseId, destinationId }) => {
+  if (courseId && mongoose.Types.ObjectId.isValid(courseId)) {
+    return { 'tags.courseRef': new mongoose.Types.ObjectId(courseId), isArchived: false };
+  }
+  if (destinationId) {
+    return { 'tags.destinationId': destinationId, isArchived: false };
+  }
+  throw new QuizError('Either courseId or destinationId is required', 'QUIZ_TARGET_REQUIRED');
+};
+
+// What grading needs from a bank question or one of its version snapshots, with the
+// options, matches and answer key in the order the student was shown them
+const toGradableQuestion = (questionId, version, content, orders) => ({
+  questionId: questionId.toString(),
+  version,
+  questionText: content.questionText,
+  explanation: content.explanation || '',
+  ...questionTypes.toServedQuestion(content, orders)
+});
+
+// Candidate indexes for one attempt: difficulty quotas first, then topped up to the
+// pool size from whatever is left. Indexes come back in pool order.
+const drawFromPool = (candidates, { size, difficultyMix }, random) => {
+  const all = candidates.map((candidate, index) => index);
+  const quotas = Question.DIFFICULTIES
+    .map(level => [level, Number(difficultyMix?.[level]) || 0])
+    .filter(([, count]) => count > 0);
+  const target = Math.min(size || quotas.reduce((sum, [, count]) => sum + count, 0) || all.length, all.length);
+
+  const picked = new Set();
+  quotas.forEach(([level, count]) => {
+    const bucket = all.filter(index => candidates[index].tags?.difficulty === level);
+    sample(bucket, count, random).forEach(index => picked.add(index));
+  });
+  const rest = all.filter(index => !picked.has(index));
+  sample(rest, target - picked.size, random).forEach(index => picked.add(index));
+
+  return Array.from(picked).sort((a, b) => a - b);
+};
+
+// The questions one attempt gets, drawn and shuffled from its seed
+const drawQuestions = (quiz, seed) => {
+  const random = createRandom(seed);
+  let indexes = drawFromPool(quiz.candidates, quiz.draw, random);
+  if (quiz.settings.shuffleQuestions) {
+    indexes = shuffle(indexes, random);
+  }
+
+  return indexes.map(index => {
+    const question = quiz.candidates[index];
+    const orders = questionTypes.drawOrders(question, quiz.settings, random);
+    return toGradableQuestion(question._id, question.version, question, orders);
+  });
+};
+
+// Everything needed to serve a new attempt: the pool to draw from and the quiz metadata
+const loadQuizForAttempt = async ({ quizType, courseId, destinationId, destination, questionSetId }) => {
+  if (quizType === 'destination' && !questionSetId) {
+    const target = { courseId, destinationId: destinationId || destination };
+    const candidates = await Question.find(buildDestinationQuery(target)).sort({ _id: 1 });
+
+    const course = target.courseId && mongoose.Types.ObjectId.isValid(target.courseId)
+      ? await Course.findById(target.courseId).select('name').lean()
+      : null;
+
+    return {
+      courseId: target.courseId || null,
+      destinationId: target.destinationId || null,
+      questionSetId: null,
+      questionSet: null,
+      title: course?.name || target.destinationId || 'Destination quiz',
+      settings: getQuizSettings({ settings: DESTINATION_QUIZ_SETTINGS }),
+      scoring: scoring.resolveScoringScheme(null, 'destination'),
+      candidates,
+      draw: { size: DESTINATION_QUIZ_SIZE }
+    };
+  }
+
+  if (!questionSetId) {
+    throw new QuizError('questionSetId is required', 'INVALID_QUESTION_SET');
+  }
+  const questionSet = await questionBank.getQuestionSet(questionSetId);
+  if (questionSet.isArchived || questionSet.courseType !== quizType) {
+    throw new QuizError('Question set not found', 'QUESTION_SET_NOT_FOUND', 404);
+  }
+  const candidates = await questionBank.getPoolQuestions(questionSet);
+
+  return {
+    courseId: questionSet.courseId || questionSet._id.toString(),
+    destinationId: null,
+    questionSetId: questionSet._id.toString(),
+    questionSet,
+    title: questionSet.title,
+    settings: getQuizSettings(questionSet.toObject()),
+    scoring: scoring.resolveScoringScheme(questionSet.scoring, quizType),
+    candidates,
+    draw: {
+      size: questionSet.pool?.size || null,
+      difficultyMix: questionSet.pool?.difficultyMix
+    }
+  };
+};
+
+// The served questions, at the versions the student saw, in the order served
+const loadAttemptQuestions = async (attempt) => {
+  const versions = await questionBank.getQuestionVersions(attempt.questions);
+  return attempt.questions
+    .map(({ questionId, version, optionOrder, matchOrder }) => {
+      const entry = versions.get(`${questionId}:${version}`);
+      return entry ? toGradableQuestion(questionId, version, entry.snapshot, { optionOrder, matchOrder }) : null;
+    })
+    .filter(Boolean);
+};
+
+const getOwnAttempt = async (attemptId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(attemptId)) {
+    throw new QuizError('Invalid attempt id', 'INVALID_ATTEMPT');
+  }
+  const attempt = await QuizAttempt.findById(attemptId);
+  if (!attempt) {
+    throw new QuizError('Quiz attempt not found', 'ATTEMPT_NOT_FOUND', 404);
+  }
+  if (attempt.userId.toString() !== user._id.toString() && user.role !== 'admin') {
+    throw new QuizError('This attempt belongs to another user', 'ATTEMPT_FORBIDDEN', 403);
+  }
+  return attempt;
+};
+
+const isPastDeadline = (attempt, now = Date.now()) => {
+  return Boolean(attempt.deadlineAt) && now > attempt.deadlineAt.getTime() + SUBMISSION_GRACE_MS;
+};
+
+const deadlineJobId = (attemptId) => `quiz_deadline:${attemptId}`;
+
+// Retake status for the attempt's question set; null for quizzes without one
+const getAttemptRetakeStatus = async (attempt) => {
+  if (!attempt.questionSetId) return null;
+  const questionSet = await QuestionSet.findById(attempt.questionSetId).select('retakePolicy scoring').lean();
+  return questionSet ? retake.getRetakeStatus(attempt.userId, questionSet) : null;
+};
+
+// Where a student is in an attempt; sent on start, resume and autosave
+const formatAttemptState = (attempt) => ({
+  attemptId: attempt._id,
+  quizType: attempt.quizType,
+  title: attempt.title,
+  seed: attempt.seed,
+  status: attempt.status,
+  startedAt: attempt.startedAt,
+  deadlineAt: attempt.deadlineAt,
+  timeLimitMinutes: attempt.settings.timeLimitMinutes,
+  remainingSeconds: attempt.deadlineAt
+    ? Math.max(0, Math.round((attempt.deadlineAt.getTime() - Date.now()) / 1000))
+    : null,
+  savedAnswers: attempt.answers.map(({ questionId, selectedAnswer, timeSpent }) => ({ questionId, selectedAnswer, timeSpent }))
+});
+
+const resumeAttempt = async (attempt) => {
+  const questions = await loadAttemptQuestions(attempt);
+  return {
+    attempt,
+    questions: questions.map(toClientQuestion),
+    resumed: true,
+    retake: await getAttemptRetakeStatus(attempt)
+  };
+};
+
+// Start an attempt and return its questions without answers or explanations.
+// An unfinished attempt at the same quiz is resumed instead of starting over.
+const startAttempt = async (user, params = {}) => {
+  const quizType = params.quizType || 'destination';
+  if (!QUIZ_TYPES.includes(quizType)) {
+    throw new QuizError(`quizType must be one of: ${QUIZ_TYPES.join(', ')}`, 'INVALID_QUIZ_TYPE');
+  }
+
+  const quiz = await loadQuizForAttempt({ ...params, quizType });
+  if (quiz.candidates.length === 0) {
+    throw new QuizError('No questions found for this quiz', 'NO_QUESTIONS', 404);
+  }
+
+  const unfinishedQuery = {
+    userId: user._id,
+    quizType,
+    courseId: quiz.courseId,
+    destinationId: quiz.destinationId,
+    questionSetId: quiz.questionSetId,
+    status: 'in_progress'
+  };
+  const unfinished = await QuizAttempt.findOne(unfinishedQuery).sort({ startedAt: -1 });
+
+  if (unfinished && !isPastDeadline(unfinished)) {
+    return resumeAttempt(unfinished);
+  }
+  if (unfinished) {
+    await closeExpiredAttempt(unfinished);
+  }
+
+  if (quiz.questionSet) {
+    const status = await retake.getRetakeStatus(user._id, quiz.questionSet);
+    if (!status.canStart) {
+      const { message, status: httpStatus } = retake.describeBlock(status);
+      throw new QuizError(message, status.blockedBy, httpStatus, { retake: status });
+    }
+  }
+
+  const seed = createSeed();
+  const questions = drawQuestions(quiz, seed);
+  const startedAt = new Date();
+  const { timeLimitMinutes } = quiz.settings;
+  let attempt;
+  try {
+    attempt = await QuizAttempt.create({
+      userId: user._id,
+      userName: user.username || user.email,
+      quizType,
+      courseId: quiz.courseId,
+      destinationId: quiz.destinationId,
+      questionSetId: quiz.questionSetId,
+      title: quiz.title,
+      seed,
+      questions: questions.map(({ questionId, version, type, optionOrder, matchOrder }) => ({
+        questionId,
+        version,
+        type,
+        optionOrder,
+        matchOrder
+      })),
+      settings: quiz.settings,
+      scoring: quiz.scoring,
+      startedAt,
+      lastActivityAt: startedAt,
+      deadlineAt: timeLimitMinutes ? new Date(startedAt.getTime() + timeLimitMinutes * 60 * 1000) : null
+    });
+  } catch (error) {
+    // Another request started this quiz at the same time and the unique in-progress
+    // index let only that one through: carry on with its attempt
+    const winner = error.code === 11000 ? await QuizAttempt.findOne(unfinishedQuery) : null;
+    if (!winner) throw error;
+    return resumeAttempt(winner);
+  }
+
+  // Close the attempt at the deadline even if the student never comes back
+  if (attempt.deadlineAt) {
+    await getStateStore().scheduleJob({
+      jobId: deadlineJobId(attempt._id),
+      name: 'quiz_attempt_deadline',
+      runAt: new Date(attempt.deadlineAt.getTime() + SUBMISSION_GRACE_MS),
+      payload: { attemptId: attempt._id.toString() }
+    });
+  }
+
+  return {
+    attempt,
+    questions: questions.map(toClientQuestion),
+    resumed: false,
+    retake: await getAttemptRetakeStatus(attempt)
+  };
+};
+
+// The response a client sent for one answer (older clients send selectedOption)
+const rawResponse = (answer) => answer.selectedAnswer ?? answer.selectedOption;
+
+// Seconds on a question as reported by the client (running total), capped at a day
+const toTimeSpent = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds >= 0 ? Math.min(Math.round(seconds), 24 * 60 * 60) : null;
+};
+
+// Keep only responses for questions in the attempt: [{ questionId, selectedAnswer, timeSpent }],
+// normalized for each question's type
+const sanitizeAnswers = (attempt, answers) => {
+  const types = new Map(attempt.questions.map(question => [question.questionId, question.type || 'single_choice']));
+  const sanitized = new Map();
+
+  (Array.isArray(answers) ? answers : []).forEach(answer => {
+    if (!answer || !types.has(String(answer.questionId))) return;
+    sanitized.set(String(answer.questionId), {
+      questionId: String(answer.questionId),
+      selectedAnswer: questionTypes.normalizeResponse(types.get(String(answer.questionId)), rawResponse(answer)),
+      timeSpent: toTimeSpent(answer.timeSpent),
+      savedAt: new Date()
+    });
+  });
+  return sanitized;
+};
+
+// Saved answers overlaid with newer selections; the saved time stays when none is sent
+const mergeAnswers = (attempt, answers) => {
+  const merged = new Map(attempt.answers.map(answer => [answer.questionId, answer]));
+  sanitizeAnswers(attempt, answers).forEach((answer, questionId) => {
+    const saved = merged.get(questionId);
+    merged.set(questionId, answer.timeSpent === null && saved
+      ? { ...answer, timeSpent: saved.timeSpent ?? null }
+      : answer);
+  });
+  return Array.from(merged.values());
+};
+
+const getStudentAttempt = async (attemptId, user) => {
+  const attempt = await getOwnAttempt(attemptId, user);
+  if (attempt.userId.toString() !== user._id.toString()) {
+    throw new QuizError('Only the student who started the attempt can answer it', 'ATTEMPT_FORBIDDEN', 403);
+  }
+  return attempt;
+};
+
+const expiredError = (attempt) => {
+  return attempt.settings.lateSubmission === 'reject'
+    ? new QuizError('The time limit for this attempt has passed', 'ATTEMPT_EXPIRED', 410)
+    : new QuizError('The time limit has passed; your saved answers were submitted', 'ATTEMPT_AUTO_SUBMITTED', 410);
+};
+
+// Autosave selections while the attempt is in progress
+const saveAnswers = async (attemptId, user, answers) => {
+  const attempt = await getStudentAttempt(attemptId, user);
+  if (attempt.status !== 'in_progress') {
+    throw new QuizError('This attempt is no longer in progress', 'ATTEMPT_CLOSED', 409);
+  }
+  if (isPastDeadline(attempt)) {
+    await closeExpiredAttempt(attempt);
+    throw expiredError(attempt);
+  }
+
+  const updated = await QuizAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: 'in_progress' },
+    { $set: { answers: mergeAnswers(attempt, answers), lastActivityAt: new Date() } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new QuizError('This attempt is no longer in progress', 'ATTEMPT_CLOSED', 409);
+  }
+  return formatAttemptState(updated);
+};
+
+// answers: [{ questionId, selectedAnswer, timeSpent }] with the response shape of each question type.
+// Each question earns a credit between 0 and 1; the scoring scheme turns that into points.
+const gradeAnswers = (questions, answers = []) => {
+  const responses = new Map();
+  const timings = new Map();
+  (Array.isArray(answers) ? answers : []).forEach(answer => {
+    if (!answer || answer.questionId === undefined) return;
+    responses.set(String(answer.questionId), rawResponse(answer));
+    timings.set(String(answer.questionId), toTimeSpent(answer.timeSpent));
+  });
+
+  return questions.map(question => {
+    const response = questionTypes.readResponse(question, responses.get(question.questionId));
+    const credit = questionTypes.gradeResponse(question, response);
+
+    return {
+      questionId: question.questionId,
+      questionVersion: question.version,
+      type: question.type,
+      optionOrder: question.optionOrder,
+      matchOrder: question.matchOrder,
+      questionText: question.questionText,
+      options: question.options,
+      matches: question.matches,
+      response,
+      responseText: questionTypes.describeValue(question, response),
+      correctAnswer: question.correctAnswer,
+      correctAnswerText: questionTypes.describeAnswerKey(question),
+      credit: Math.round(credit * 100) / 100,
+      isCorrect: credit === 1,
+      explanation: question.explanation,
+      timeSpent: timings.get(question.questionId) ?? null
+    };
+  });
+};
+
+// Result for a graded attempt, in the shared assessment results
+const saveResult = (attempt, graded, summary) => {
+  return assessmentResults.recordResult({
+    userId: attempt.userId,
+    userName: attempt.userName,
+    assessmentType: attempt.quizType,
+    source: 'attempt',
+    attemptId: attempt._id,
+    courseId: attempt.courseId || attempt.questionSetId,
+    courseName: attempt.title,
+    destinationId: attempt.destinationId,
+    questionSetId: attempt.questionSetId,
+    questionSetTitle: attempt.questionSetId ? attempt.title : '',
+    score: summary.score,
+    maxScore: summary.maxScore,
+    totalQuestions: summary.totalQuestions,
+    percentage: summary.percentage,
+    timeTaken: summary.timeTaken,
+    remark: summary.remark,
+    passPercentage: summary.passPercentage,
+    passed: summary.passed,
+    scoringSystem: summary.scoringSystem,
+    answers: graded,
+    submittedAt: attempt.submittedAt
+  });
+};
+
+// Review rows respect the quiz settings: answers and explanations only when allowed
+const formatReview = (graded, settings) => {
+  return graded.map(item => {
+    const review = {
+      questionId: item.questionId,
+      questionVersion: item.questionVersion,
+      type: item.type,
+      question: item.questionText,
+      options: item.options,
+      selectedAnswer: item.response,
+      selectedAnswerText: item.responseText,
+      isCorrect: item.isCorrect,
+      credit: item.credit,
+      points: item.points,
+      maxPoints: item.maxPoints
+    };
+    if (item.type === 'matching') {
+      review.matches = item.matches;
+    }
+    if (settings.showCorrectAnswers) {
+      review.correctAnswer = item.correctAnswer;
+      review.correctAnswerText = item.correctAnswerText;
+    }
+    if (settings.showExplanations) {
+      review.explanation = item.explanation;
+    }
+    return review;
+  });
+};
+
+const formatSubmission = (attempt, result, graded) => ({
+  attemptId: attempt._id,
+  resultId: result._id,
+  collection: 'assessment_results',
+  score: result.score,
+  maxScore: result.maxScore || result.totalQuestions,
+  totalQuestions: result.totalQuestions,
+  percentage: result.percentage,
+  remark: result.remark,
+  passPercentage: result.passPercentage ?? null,
+  passed: result.passed ?? null,
+  timeTaken: result.timeTaken,
+  submittedAt: attempt.submittedAt,
+  review: formatReview(graded, attempt.settings)
+});
+
+// Grade the given selections and write the authoritative result.
+// submittedBy: 'student', or 'auto' when the deadline submits the saved answers.
+const finalizeAttempt = async (attemptId, answers, submittedBy) => {
+  const submittedAt = new Date();
+
+  // Claim the attempt so a double submit (or the deadline job) cannot write two results
+  const attempt = await QuizAttempt.findOneAndUpdate(
+    { _id: attemptId, status: 'in_progress' },
+    { $set: { status: 'submitted', submittedAt, submittedBy, answers, lastActivityAt: submittedAt } },
+    { new: true }
+  );
+  if (!attempt) {
+    throw new QuizError('This attempt has already been submitted', 'ALREADY_SUBMITTED', 409);
+  }
+
+  try {
+    const questions = await loadAttemptQuestions(attempt);
+    // Attempts started before scoring schemes carry no scheme and get the defaults
+    const scheme = scoring.resolveScoringScheme(attempt.scoring, attempt.quizType);
+    const { rows: graded, ...scored } = scoring.scoreGradedAnswers(scheme, gradeAnswers(questions, attempt.answers));
+
+    // Time is measured on the server and never counts past the deadline
+    const endedAt = attempt.deadlineAt ? Math.min(submittedAt, attempt.deadlineAt) : submittedAt;
+    const summary = {
+      ...scored,
+      totalQuestions: graded.length,
+      scoringSystem: scoring.describeScheme(scheme),
+      timeTaken: Math.max(0, Math.round((endedAt - attempt.startedAt) / 1000))
+    };
+    const { score, maxScore, percentage } = summary;
+
+    const result = await saveResult(attempt, graded, summary);
+
+    attempt.resultId = result._id;
+    attempt.resultModel = 'AssessmentResult';
+    await attempt.save();
+
+    if (attempt.deadlineAt && submittedBy === 'student') {
+      await getStateStore().cancelJob(deadlineJobId(attempt._id));
+    }
+
+    console.log(`✅ Graded quiz attempt ${attempt._id} (${submittedBy}): ${score}/${maxScore} (${percentage}%)`);
+    return formatSubmission(attempt, result, graded);
+  } catch (error) {
+    // Let the attempt be submitted again if grading or saving failed
+    await QuizAttempt.updateOne(
+      { _id: attempt._id, resultId: null },
+      { $set: { status: 'in_progress', submittedAt: null, submittedBy: null } }
+    );
+    throw error;
+  }
+};
+
+const abandonAttempt = (attemptId) => {
+  return QuizAttempt.updateOne(
+    { _id: attemptId, status: 'in_progress' },
+    { $set: { status: 'abandoned', abandonedAt: new Date() } }
+  );
+};
+
+// Past the deadline: submit what was saved, or close the attempt if late work is rejected
+const closeExpiredAttempt = async (attempt) => {
+  if (attempt.settings.lateSubmission === 'reject') {
+    await abandonAttempt(attempt._id);
+    console.log(`⌛ Quiz attempt ${attempt._id} expired without a submission`);
+    return null;
+  }
+
+  try {
+    return await finalizeAttempt(attempt._id, attempt.answers, 'auto');
+  } catch (error) {
+    if (error.code === 'ALREADY_SUBMITTED') return null;
+    throw error;
+  }
+};
+
+// Student submits: { answers } on top of what was autosaved
+const submitAttempt = async (attemptId, user, answers) => {
+  const attempt = await getStudentAttempt(attemptId, user);
+  if (attempt.status === 'abandoned') {
+    throw new QuizError('This attempt was closed and can no longer be submitted', 'ATTEMPT_CLOSED', 409);
+  }
+  if (attempt.status === 'submitted') {
+    throw new QuizError('This attempt has already been submitted', 'ALREADY_SUBMITTED', 409);
+  }
+
+  // Late: the answers sent now are ignored
+  if (isPastDeadline(attempt)) {
+    const autoSubmitted = await closeExpiredAttempt(attempt);
+    if (autoSubmitted) {
+      return { ...autoSubmitted, lateSubmission: true, retake: await getAttemptRetakeStatus(attempt) };
+    }
+    throw expiredError(attempt);
+  }
+
+  const submission = await finalizeAttempt(attempt._id, mergeAnswers(attempt, answers), 'student');
+  return { ...submission, retake: await getAttemptRetakeStatus(attempt) };
+};
+
+// Attempts used and left on a question-set quiz, when the next one unlocks and the result that counts
+const getRetakeStatus = async (user, { questionSetId } = {}) => {
+  if (!questionSetId) {
+    throw new QuizError('questionSetId is required', 'INVALID_QUESTION_SET');
+  }
+  const questionSet = await questionBank.getQuestionSet(questionSetId);
+  if (questionSet.isArchived) {
+    throw new QuizError('Question set not found', 'QUESTION_SET_NOT_FOUND', 404);
+  }
+  return retake.getRetakeStatus(user._id, questionSet);
+};
+
+// Graded rows read back from an assessment result (migrated older rows included)
+const gradedFromResult = (result) => {
+  return result.answers.map(row => ({
+    questionId: row.questionId,
+    questionVersion: row.questionVersion,
+    type: row.questionType || 'single_choice',
+    optionOrder: row.optionOrder || [],
+    matchOrder: row.matchOrder || [],
+    questionText: row.questionText,
+    options: row.options,
+    matches: row.matches || [],
+    response: row.response,
+    responseText: row.responseText,
+    correctAnswer: row.correctAnswer,
+    correctAnswerText: row.correctAnswerText,
+    credit: row.credit ?? (row.isCorrect ? 1 : 0),
+    points: row.points,
+    maxPoints: row.maxPoints,
+    isCorrect: row.isCorrect,
+    explanation: row.explanation || ''
+  }));
+};
+
+// In progress: the questions again (no answers) with saved selections and time left.
+// Submitted: the graded review.
+const getAttempt = async (attemptId, user) => {
+  let attempt = await getOwnAttempt(attemptId, user);
+  if (attempt.status === 'in_progress' && isPastDeadline(attempt)) {
+    await closeExpiredAttempt(attempt);
+    attempt = await QuizAttempt.findById(attempt._id);
+  }
+  const state = formatAttemptState(attempt);
+
+  if (attempt.status === 'in_progress') {
+    const questions = await loadAttemptQuestions(attempt);
+    return { ...state, questions: questions.map(toClientQuestion) };
+  }
+
+  // Results keep their _id when migrated, so the id is good whichever model wrote it
+  const result = attempt.resultId ? await AssessmentResult.findById(attempt.resultId) : null;
+  if (!result) {
+    return state;
+  }
+  return { ...state, ...formatSubmission(attempt, result, gradedFromResult(result)) };
+};
+
+// ---- LEGACY SUBMISSIONS ----
+
+// Types the older destination quiz route (/api/quiz/questions) serves
+const LEGACY_DESTINATION_TYPES = ['single_choice', 'true_false'];
+
+// Largest time taken accepted from an older client, in seconds
+const MAX_LEGACY_TIME_TAKEN = 24 * 60 * 60;
+
+// One-shot submissions from the older quiz clients (/api/quiz/submit, /api/quiz/results,
+// /api/course-results). Those clients were served questions with options in bank order,
+// so the selections are graded against the bank here. The result is written for the
+// signed-in student; any score, total or user the client sends is ignored.
+//
+// Question-set quizzes are graded out of the whole set (what /api/*-course-questions
+// serves) and follow the set's retake policy. Destination quizzes are graded out of the
+// questions answered, but never fewer than a full destination quiz would have.
+const submitLegacyQuiz = async (user, { quizType = 'destination', questionSetId, courseId, destinationId, destination, answers, timeTaken } = {}) => {
+  if (!QUIZ_TYPES.includes(quizType)) {
+    throw new QuizError(`quizType must be one of: ${QUIZ_TYPES.join(', ')}`, 'INVALID_QUIZ_TYPE');
+  }
+  if (!Array.isArray(answers) || answers.length === 0) {
+    throw new QuizError('answers must be a non-empty array', 'ANSWERS_REQUIRED');
+  }
+
+  let questionSet = null;
+  let candidates;
+  let minimumQuestions = 0;
+  let target = { courseId: courseId || null, destinationId: destinationId || destination || null };
+
+  if (quizType === 'destination' && !questionSetId) {
+    const query = { ...buildDestinationQuery(target), type: { $in: LEGACY_DESTINATION_TYPES } };
+    const answeredIds = answers
+      .map(answer => answer?.questionId)
+      .filter(id => mongoose.Types.ObjectId.isValid(id));
+    const [answered, available] = await Promise.all([
+      Question.find({ ...query, _id: { $in: answeredIds } }).sort({ _id: 1 }),
+      Question.countDocuments(query)
+    ]);
+    candidates = answered;
+    minimumQuestions = Math.min(DESTINATION_QUIZ_SIZE, available);
+  } else {
+    if (!questionSetId) {
+      throw new QuizError('questionSetId is required', 'INVALID_QUESTION_SET');
+    }
+    questionSet = await questionBank.getQuestionSet(questionSetId);
+    if (questionSet.isArchived || questionSet.courseType !== quizType) {
+      throw new QuizError('Question set not found', 'QUESTION_SET_NOT_FOUND', 404);
+    }
+    const status = await retake.getRetakeStatus(user._id, questionSet);
+    if (!status.canStart) {
+      const { message, status: httpStatus } = retake.describeBlock(status);
+      throw new QuizError(message, status.blockedBy, httpStatus, { retake: status });
+    }
+    candidates = await questionBank.getSetQuestions(questionSet);
+    target = { courseId: questionSet.courseId || questionSet._id.toString(), destinationId: null };
+  }
+
+  if (candidates.length === 0) {
+    throw new QuizError('None of the answers match a question in this quiz', 'NO_QUESTIONS', 404);
+  }
+
+  const settings = questionSet
+    ? getQuizSettings(questionSet.toObject())
+    : getQuizSettings({ settings: DESTINATION_QUIZ_SETTINGS });
+  const scheme = scoring.resolveScoringScheme(questionSet?.scoring, quizType);
+  const questions = candidates.map(question => toGradableQuestion(question._id, question.version, question, {}));
+  const { rows: graded, ...scored } = scoring.scoreGradedAnswers(scheme, gradeAnswers(questions, answers));
+
+  // Questions the student was served but did not send count as wrong
+  const unanswered = Math.max(0, minimumQuestions - graded.length);
+  const summary = unanswered > 0
+    ? scoring.summarizeScore(scheme, scored.score, scored.maxScore + unanswered * scheme.pointsPerQuestion)
+    : scored;
+  const totalQuestions = graded.length + unanswered;
+  const seconds = Number(timeTaken);
+
+  const result = await assessmentResults.recordResult({
+    userId: user._id,
+    userName: user.username || user.email,
+    assessmentType: quizType,
+    courseId: target.courseId,
+    courseName: questionSet ? questionSet.title : target.destinationId || 'Destination quiz',
+    destinationId: target.destinationId,
+    questionSetId: questionSet ? questionSet._id.toString() : null,
+    questionSetTitle: questionSet ? questionSet.title : '',
+    score: summary.score,
+    maxScore: summary.maxScore,
+    totalQuestions,
+    percentage: summary.percentage,
+    timeTaken: Number.isFinite(seconds) && seconds > 0 ? Math.min(Math.round(seconds), MAX_LEGACY_TIME_TAKEN) : 0,
+    remark: summary.remark,
+    passPercentage: summary.passPercentage,
+    passed: summary.passed,
+    scoringSystem: scoring.describeScheme(scheme),
+    answers: graded,
+    submittedAt: new Date()
+  });
+
+  console.log(`✅ Graded legacy ${quizType} quiz for ${result.userName}: ${summary.score}/${summary.maxScore} (${summary.percentage}%)`);
+  return {
+    result,
+    review: formatReview(graded, settings),
+    retake: questionSet ? await retake.getRetakeStatus(user._id, questionSet) : null
+  };
+};
+
+// ---- BACKGROUND JOBS ----
+
+// Close timed attempts whose deadline job was missed and abandon idle untimed ones
+const sweepAttempts = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+
+  const now = Date.now();
+  const expired = await QuizAttempt.find({
+    status: 'in_progress',
+    deadlineAt: { $ne: null, $lt: new Date(now - SUBMISSION_GRACE_MS) }
+  }).limit(100);
+
+  for (const attempt of expired) {
+    try {
+      await closeExpiredAttempt(attempt);
+    } catch (error) {
+      console.error(`❌ Could not close expired quiz attempt ${attempt._id}:`, error.message);
+    }
+  }
+
+  const idle = await QuizAttempt.updateMany(
+    { status: 'in_progress', deadlineAt: null, lastActivityAt: { $lt: new Date(now - ABANDON_AFTER_MS) } },
+    { $set: { status: 'abandoned', abandonedAt: new Date(now) } }
+  );
+
+  if (expired.length > 0 || idle.modifiedCount > 0) {
+    console.log(`🧹 Quiz sweep: closed ${expired.length} expired, abandoned ${idle.modifiedCount} idle attempts`);
+  }
+};
+
+const scheduleAttemptSweep = () => {
+  return getStateStore().scheduleJob({
+    jobId: 'quiz_attempt_sweep',
+    name: 'quiz_attempt_sweep',
+    runAt: new Date(Date.now() + SWEEP_INTERVAL_MS)
+  });
+};
+
+getStateStore().registerJobHandler('quiz_attempt_deadline', async ({ attemptId }) => {
+  const attempt = await QuizAttempt.findOne({ _id: attemptId, status: 'in_progress' });
+  if (attempt) {
+    await closeExpiredAttempt(attempt);
+  }
+});
+
+// Recurring: each run schedules the next one
+getStateStore().registerJobHandler('quiz_attempt_sweep', async () => {
+  try {
+    await sweepAttempts();
+  } finally {
+    await scheduleAttemptSweep();
+  }
+});
+
+module.exports = {
+  QuizError,
+  QUIZ_TYPES,
+  DEFAULT_QUIZ_SETTINGS,
+  formatAttemptState,
+  startAttempt,
+  saveAnswers,
+  submitAttempt,
+  getAttempt,
+  getRetakeStatus,
+  submitLegacyQuiz,
+  sweepAttempts,
+  scheduleAttemptSweep
+};
@@ -0,0 +1,206 @@
+// travel-tour-backend/services/retakeService.js
+//
+// Retake rules for question-set quizzes: how many attempts a student gets, how long
+// they wait between attempts and which result counts (best, latest or average).
+// Attempts started through /api/quiz/attempts and answers posted straight to
+// /api/course-results both use up attempts. Both are checked against the signed-in
+// student (req.user), never a user id sent by the client. Admins can grant a student
+// extra attempts.
+const mongoose = require('mongoose');
+const QuizAttempt = require('../models/QuizAttempt');
+const AssessmentResult = require('../models/AssessmentResult');
+const AttemptGrant = require('../models/AttemptGrant');
+const User = require('../models/User');
+const { QuestionBankError, getQuestionSet } = require('./questionBankService');
+const { userQuery } = require('./assessmentResultService');
+
+const SCORE_POLICIES = ['best', 'latest', 'average'];
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// The set's retake policy with defaults filled in (unlimited, no cooldown, best result)
+const getRetakePolicy = (questionSet) => {
+  const policy = questionSet?.retakePolicy || {};
+  return {
+    maxAttempts: policy.maxAttempts || null,
+    cooldownMinutes: policy.cooldownMinutes || 0,
+    scorePolicy: SCORE_POLICIES.includes(policy.scorePolicy) ? policy.scorePolicy : 'best'
+  };
+};
+
+const countGrantedAttempts = async (userId, questionSetId) => {
+  if (!isValidId(userId)) return 0;
+  const grants = await AttemptGrant.find({ userId, questionSetId }).select('attempts').lean();
+  return grants.reduce((sum, grant) => sum + grant.attempts, 0);
+};
+
+// Every attempt and result the student has on the set, oldest first. Results posted
+// without an attempt (older clients) count as attempts of their own.
+const loadHistory = async (userId, questionSetId) => {
+  const [attempts, results] = await Promise.all([
+    isValidId(userId)
+      ? QuizAttempt.find({ userId, questionSetId })
+        .select('status startedAt submittedAt abandonedAt')
+        .sort({ startedAt: 1 })
+        .lean()
+      : [],
+    AssessmentResult.find({ ...userQuery(userId), questionSetId })
+      .select('attemptId score maxScore totalQuestions percentage passed submittedAt')
+      .sort({ submittedAt: 1 })
+      .lean()
+  ]);
+  const unlinkedResults = results.filter(result => !result.attemptId);
+
+  // Cooldowns run from the end of the latest finished attempt
+  const endTimes = [
+    ...attempts.filter(attempt => attempt.status !== 'in_progress')
+      .map(attempt => attempt.submittedAt || attempt.abandonedAt || attempt.startedAt),
+    ...unlinkedResults.map(result => result.submittedAt)
+  ].filter(Boolean).map(date => new Date(date).getTime());
+
+  return {
+    attemptsUsed: attempts.length + unlinkedResults.length,
+    inProgress: attempts.find(attempt => attempt.status === 'in_progress') || null,
+    lastEndedAt: endTimes.length > 0 ? new Date(Math.max(...endTimes)) : null,
+    results
+  };
+};
+
+const formatCountedResult = (result) => ({
+  resultId: result._id,
+  score: result.score,
+  maxScore: result.maxScore || result.totalQuestions,
+  percentage: result.percentage,
+  passed: result.passed ?? null
+});
+
+// The result that counts under the score policy; averages have no single result behind them
+const pickCountedResult = (results, scorePolicy, passPercentage = null) => {
+  if (results.length === 0) return null;
+
+  if (scorePolicy === 'latest') {
+    return formatCountedResult(results[results.length - 1]);
+  }
+  if (scorePolicy === 'average') {
+    const average = (pick) => results.reduce((sum, result) => sum + pick(result), 0) / results.length;
+    const percentage = Math.round(average(result => result.percentage));
+    return {
+      resultId: null,
+      score: Math.round(average(result => result.score) * 100) / 100,
+      maxScore: Math.round(average(result => result.maxScore || result.totalQuestions) * 100) / 100,
+      percentage,
+      passed: passPercentage === null ? null : percentage >= passPercentage
+    };
+  }
+  // Best: highest percentage, the earlier result on a tie
+  const best = results.reduce((top, result) => (result.percentage > top.percentage ? result : top));
+  return formatCountedResult(best);
+};
+
+// Where a student stands on a set: attempts used and left, when the next one unlocks
+// (null when one can start now, or when none are left) and the result that counts
+const getRetakeStatus = async (userId, questionSet, now = new Date()) => {
+  const policy = getRetakePolicy(questionSet);
+  const questionSetId = questionSet._id.toString();
+  const [history, extraAttempts] = await Promise.all([
+    loadHistory(userId, questionSetId),
+    countGrantedAttempts(userId, questionSetId)
+  ]);
+
+  const attemptsAllowed = policy.maxAttempts === null ? null : policy.maxAttempts + extraAttempts;
+  const attemptsRemaining = attemptsAllowed === null ? null : Math.max(0, attemptsAllowed - history.attemptsUsed);
+  const cooldownEndsAt = policy.cooldownMinutes > 0 && history.lastEndedAt
+    ? new Date(history.lastEndedAt.getTime() + policy.cooldownMinutes * 60 * 1000)
+    : null;
+
+  let blockedBy = null;
+  if (attemptsRemaining === 0) {
+    blockedBy = 'ATTEMPT_LIMIT_REACHED';
+  } else if (cooldownEndsAt && cooldownEndsAt > now) {
+    blockedBy = 'RETAKE_COOLDOWN';
+  }
+
+  return {
+    questionSetId,
+    maxAttempts: policy.maxAttempts,
+    cooldownMinutes: policy.cooldownMinutes,
+    scorePolicy: policy.scorePolicy,
+    attemptsUsed: history.attemptsUsed,
+    extraAttempts,
+    attemptsAllowed,
+    attemptsRemaining,
+    inProgressAttemptId: history.inProgress ? history.inProgress._id : null,
+    canStart: blockedBy === null,
+    blockedBy,
+    nextAttemptAt: blockedBy === 'RETAKE_COOLDOWN' ? cooldownEndsAt : null,
+    countedResult: pickCountedResult(
+      history.results,
+      policy.scorePolicy,
+      questionSet.scoring?.passPercentage ?? null
+    )
+  };
+};
+
+// Message and HTTP status for a blocked start
+const describeBlock = (status) => {
+  if (status.blockedBy === 'ATTEMPT_LIMIT_REACHED') {
+    return { message: 'You have used all your attempts at this quiz', status: 403 };
+  }
+  return {
+    message: `You can retake this quiz from ${status.nextAttemptAt.toISOString()}`,
+    status: 429
+  };
+};
+
+// ---- ADMIN GRANTS ----
+
+const grantAttempts = async (admin, questionSetId, { userId, attempts = 1, reason = '' } = {}) => {
+  const questionSet = await getQuestionSet(questionSetId);
+  if (!isValidId(userId) || !(await User.exists({ _id: userId }))) {
+    throw new QuestionBankError('Student not found', 'USER_NOT_FOUND', 404);
+  }
+
+  const grant = new AttemptGrant({
+    userId,
+    questionSetId: questionSet._id,
+    attempts,
+    reason,
+    grantedBy: admin._id
+  });
+  try {
+    await grant.save();
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      const messages = Object.values(error.errors).map(err => err.message);
+      throw new QuestionBankError(messages.join('; '), 'VALIDATION_FAILED');
+    }
+    throw error;
+  }
+
+  return { grant, status: await getRetakeStatus(userId, questionSet) };
+};
+
+const listGrants = async (questionSetId, { userId } = {}) => {
+  const questionSet = await getQuestionSet(questionSetId);
+  const query = { questionSetId: questionSet._id };
+  if (userId) {
+    if (!isValidId(userId)) {
+      throw new QuestionBankError('Invalid user id', 'INVALID_USER');
+    }
+    query.userId = userId;
+  }
+  return AttemptGrant.find(query)
+    .populate('userId', 'username email')
+    .populate('grantedBy', 'username')
+    .sort({ createdAt: -1 });
+};
+
+module.exports = {
+  SCORE_POLICIES,
+  getRetakePolicy,
+  pickCountedResult,
+  getRetakeStatus,
+  describeBlock,
+  grantAttempts,
+  listGrants
+};
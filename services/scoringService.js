@@ -0,0 +1,112 @@
+// travel-tour-backend/services/scoringService.js
+//
+// Scoring schemes for quizzes. A question set can declare points per question,
+// per-question weights, negative marking, a pass mark and its own remark bands;
+// anything it leaves out falls back to the defaults for its kind of quiz. Every
+// assessment result is scored through here.
+
+// Same ladders the old submission routes used
+const QUIZ_REMARK_BANDS = [
+  { minPercentage: 80, remark: 'Excellent' },
+  { minPercentage: 60, remark: 'Good' },
+  { minPercentage: 40, remark: 'Fair' },
+  { minPercentage: 0, remark: 'Needs Improvement' }
+];
+
+const COURSE_REMARK_BANDS = [
+  { minPercentage: 90, remark: 'Excellent' },
+  { minPercentage: 80, remark: 'Very Good' },
+  { minPercentage: 70, remark: 'Good' },
+  { minPercentage: 60, remark: 'Satisfactory' },
+  { minPercentage: 0, remark: 'Needs Improvement' }
+];
+
+// Destination quizzes score 1 per question, general/masterclass courses 5
+const DEFAULT_SCHEMES = {
+  destination: { pointsPerQuestion: 1, remarkBands: QUIZ_REMARK_BANDS },
+  course: { pointsPerQuestion: 5, remarkBands: COURSE_REMARK_BANDS }
+};
+
+const roundPoints = (value) => Math.round(value * 100) / 100;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// The complete scheme for a quiz: its own scoring settings over the defaults for its type
+const resolveScoringScheme = (scoring, quizType) => {
+  const source = scoring || {};
+  const defaults = quizType === 'destination' ? DEFAULT_SCHEMES.destination : DEFAULT_SCHEMES.course;
+  const bands = Array.isArray(source.remarkBands) && source.remarkBands.length > 0
+    ? source.remarkBands
+    : defaults.remarkBands;
+
+  return {
+    pointsPerQuestion: isNumber(source.pointsPerQuestion) ? source.pointsPerQuestion : defaults.pointsPerQuestion,
+    questionWeights: (source.questionWeights || []).map(({ questionId, points }) => ({
+      questionId: questionId.toString(),
+      points
+    })),
+    negativeMarking: isNumber(source.negativeMarking) ? source.negativeMarking : 0,
+    passPercentage: isNumber(source.passPercentage) ? source.passPercentage : null,
+    remarkBands: bands
+      .map(({ minPercentage, remark }) => ({ minPercentage, remark }))
+      .sort((a, b) => b.minPercentage - a.minPercentage)
+  };
+};
+
+const getRemark = (percentage, remarkBands) => {
+  const band = remarkBands.find(entry => percentage >= entry.minPercentage);
+  return band ? band.remark : remarkBands[remarkBands.length - 1]?.remark || '';
+};
+
+// Points a question is worth under the scheme
+const getQuestionPoints = (scheme, questionId) => {
+  const weight = scheme.questionWeights.find(entry => entry.questionId === String(questionId));
+  return weight ? weight.points : scheme.pointsPerQuestion;
+};
+
+// Percentage, remark and pass/fail for a score; the total never drops below zero
+const summarizeScore = (scheme, score, maxScore) => {
+  const finalScore = roundPoints(Math.max(0, score));
+  const percentage = maxScore > 0 ? Math.round((finalScore / maxScore) * 100) : 0;
+  return {
+    score: finalScore,
+    maxScore: roundPoints(maxScore),
+    percentage,
+    remark: getRemark(percentage, scheme.remarkBands),
+    passPercentage: scheme.passPercentage,
+    passed: scheme.passPercentage === null ? null : percentage >= scheme.passPercentage
+  };
+};
+
+// Points for graded rows ({ questionId, credit, response }). A wrong answer (answered,
+// no credit) loses `negativeMarking` of the question's points; skipped questions lose nothing.
+const scoreGradedAnswers = (scheme, graded) => {
+  const rows = graded.map(item => {
+    const maxPoints = getQuestionPoints(scheme, item.questionId);
+    const answeredWrong = item.response !== null && item.response !== undefined && item.credit === 0;
+    const points = answeredWrong
+      ? -scheme.negativeMarking * maxPoints
+      : item.credit * maxPoints;
+    return { ...item, points: roundPoints(points), maxPoints };
+  });
+
+  const score = rows.reduce((sum, row) => sum + row.points, 0);
+  const maxScore = rows.reduce((sum, row) => sum + row.maxPoints, 0);
+  return { rows, ...summarizeScore(scheme, score, maxScore) };
+};
+
+// Short label stored with results, e.g. "5_points_per_question" or "weighted_negative_0.25"
+const describeScheme = (scheme) => {
+  const points = scheme.pointsPerQuestion;
+  const base = scheme.questionWeights.length > 0
+    ? 'weighted'
+    : `${points}_${points === 1 ? 'point' : 'points'}_per_question`;
+  return scheme.negativeMarking > 0 ? `${base}_negative_${scheme.negativeMarking}` : base;
+};
+
+module.exports = {
+  resolveScoringScheme,
+  summarizeScore,
+  scoreGradedAnswers,
+  describeScheme
+};
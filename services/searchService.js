@@ -0,0 +1,320 @@
+// travel-tour-backend/services/searchService.js
+//
+// One ranked search over document courses, destination courses, videos and meet resources,
+// using each collection's 'search_text' index. Results from the four collections are
+// merged by text score. Only published content is searched, and masterclass items only
+// show up for callers who can open them (admins see everything).
+const DocumentCourse = require('../models/DocumentCourse');
+const Course = require('../models/Course');
+const Video = require('../models/Video');
+const Resource = require('../meet-module/models/Resource');
+const { ApiError } = require('./apiError');
+const { accessFor } = require('./courseAccessService');
+
+class SearchError extends ApiError {}
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_LENGTH = 160;
+
+// Results are merged in memory, so no page may reach past this many per collection
+const MAX_RESULT_WINDOW = 500;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const toPlainText = (value) => String(value || '')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// ---- SEARCHABLE TYPES ----
+
+// Per type: the model, what the caller may see, how filters apply (null -> the type has no
+// such field and drops out when the filter is set), the fields to load and how a hit reads
+const SEARCH_TYPES = {
+  'document-courses': {
+    model: DocumentCourse,
+    visible: (access) => (access.everything ? {} : {
+      $or: [{ courseType: { $ne: 'masterclass' } }, { _id: { $in: access.documentCourseIds } }]
+    }),
+    courseTypeField: 'courseType',
+    continentField: null,
+    select: 'title description content courseType',
+    toResult: (course) => ({
+      title: course.title,
+      courseType: course.courseType,
+      continent: null,
+      texts: [course.description, course.content]
+    })
+  },
+  'destination-courses': {
+    model: Course,
+    visible: (access) => (access.everything ? {} : {
+      $or: [{ courseType: { $ne: 'masterclass' } }, { _id: { $in: access.destinationCourseIds } }]
+    }),
+    courseTypeField: 'courseType',
+    continentField: 'continent',
+    select: 'destinationId name continent about courseType faqs fullCourseDetails.sections',
+    toResult: (course) => ({
+      title: course.name,
+      courseType: course.courseType,
+      continent: course.continent,
+      destinationId: course.destinationId,
+      texts: [
+        course.about,
+        ...(course.faqs || []).flatMap(faq => [faq.question, faq.answer]),
+        ...(course.fullCourseDetails?.sections || []).flatMap(section => [section.heading, section.content])
+      ]
+    })
+  },
+  videos: {
+    model: Video,
+    visible: (access) => (access.everything || access.allVideos ? {} : {
+      $or: [{ videoType: { $ne: 'masterclass' } }, { allowedEmails: access.email }]
+    }),
+    courseTypeField: 'videoType',
+    continentField: null,
+    select: 'title description category videoType',
+    toResult: (video) => ({
+      title: video.title,
+      courseType: video.videoType,
+      continent: null,
+      category: video.category || null,
+      texts: [video.description, video.category]
+    })
+  },
+  resources: {
+    model: Resource,
+    visible: () => ({}),
+    courseTypeField: null,
+    continentField: null,
+    select: 'resourceId meetingId type title description',
+    toResult: (resource) => ({
+      title: resource.title,
+      courseType: null,
+      continent: null,
+      resourceId: resource.resourceId,
+      meetingId: resource.meetingId,
+      resourceType: resource.type,
+      texts: [resource.description]
+    })
+  }
+};
+
+// Published content matching the text query that the caller may see
+const baseQuery = (config, q, access) => ({
+  $text: { $search: q },
+  isActive: true,
+  ...config.visible(access)
+});
+
+// Type-specific filters; null when the type cannot match them
+const filterQuery = (config, { continent, courseType }) => {
+  const query = {};
+  if (continent) {
+    if (!config.continentField) return null;
+    query[config.continentField] = continent;
+  }
+  if (courseType) {
+    if (!config.courseTypeField) return null;
+    query[config.courseTypeField] = courseType;
+  }
+  return query;
+};
+
+// ---- SNIPPETS ----
+
+// Words to look for in the text: the query's words, without negated ones, loosely stemmed
+// to match what the text index matched ("visas" -> "visa")
+const highlightTerms = (q) => {
+  return (q.match(/-?"[^"]*"|\S+/g) || [])
+    .filter(token => !token.startsWith('-'))
+    .flatMap(token => token.replace(/"/g, ' ').split(/\s+/))
+    .map(word => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, ''))
+    .filter(word => word.length >= 2)
+    .map(word => (word.length > 4 ? word.replace(/(es|s)$/, '') : word));
+};
+
+// The first passage mentioning one of the terms, HTML-escaped with the matches in <mark>.
+// Falls back to the start of the first non-empty text.
+const makeSnippet = (texts, terms) => {
+  const plainTexts = texts.map(toPlainText).filter(Boolean);
+  if (plainTexts.length === 0) return '';
+  const pattern = terms.length > 0
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu')
+    : null;
+
+  let text = plainTexts[0];
+  let start = 0;
+  if (pattern) {
+    for (const candidate of plainTexts) {
+      pattern.lastIndex = 0;
+      const match = pattern.exec(candidate);
+      if (match) {
+        text = candidate;
+        start = Math.max(match.index - Math.floor(SNIPPET_LENGTH / 3), 0);
+        break;
+      }
+    }
+  }
+
+  // Don't start or end mid-word
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space === -1 ? start : space + 1;
+  }
+  let end = Math.min(start + SNIPPET_LENGTH, text.length);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+  const passage = text.slice(start, end);
+
+  let html = '';
+  let cursor = 0;
+  if (pattern) {
+    pattern.lastIndex = 0;
+    for (const match of passage.matchAll(pattern)) {
+      html += escapeHtml(passage.slice(cursor, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+      cursor = match.index + match[0].length;
+    }
+  }
+  html += escapeHtml(passage.slice(cursor));
+
+  return `${start > 0 ? '… ' : ''}${html}${end < text.length ? ' …' : ''}`;
+};
+
+// ---- SEARCH ----
+
+const parseList = (value, allowed, label) => {
+  if (!value) return [];
+  const values = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  const invalid = values.filter(item => !allowed.includes(item));
+  if (invalid.length > 0) {
+    throw new SearchError(`Unknown ${label}: ${invalid.join(', ')}. Use: ${allowed.join(', ')}`, `INVALID_${label.toUpperCase().replace(/\s+/g, '_')}`);
+  }
+  return values;
+};
+
+// Counts per type, continent and course type over everything the query matches for the
+// caller, before the type/continent/courseType filters, so every option shows its count
+const buildFacets = async (q, access) => {
+  const type = {};
+  const continent = {};
+  const courseType = {};
+
+  for (const [name, config] of Object.entries(SEARCH_TYPES)) {
+    const match = baseQuery(config, q, access);
+    type[name] = await config.model.countDocuments(match);
+
+    if (config.courseTypeField && type[name] > 0) {
+      const rows = await config.model.aggregate([
+        { $match: match },
+        { $group: { _id: `$${config.courseTypeField}`, count: { $sum: 1 } } }
+      ]);
+      rows.forEach(row => {
+        const key = row._id || 'general';
+        courseType[key] = (courseType[key] || 0) + row.count;
+      });
+    }
+
+    if (config.continentField && type[name] > 0) {
+      const rows = await config.model.aggregate([
+        { $match: match },
+        { $group: { _id: `$${config.continentField}`, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+      ]);
+      rows.filter(row => row._id).forEach(row => {
+        continent[row._id] = row.count;
+      });
+    }
+  }
+
+  return { type, continent, courseType };
+};
+
+// q (required), type (comma-separated), continent, courseType, page, limit
+const search = async (user, { q, type, continent, courseType, page, limit } = {}) => {
+  const query = String(q || '').trim();
+  if (query.length < MIN_QUERY_LENGTH) {
+    throw new SearchError(`Search text must be at least ${MIN_QUERY_LENGTH} characters`, 'QUERY_TOO_SHORT');
+  }
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new SearchError(`Search text must be at most ${MAX_QUERY_LENGTH} characters`, 'QUERY_TOO_LONG');
+  }
+  const types = parseList(type, Object.keys(SEARCH_TYPES), 'type');
+  if (courseType && !['general', 'masterclass'].includes(courseType)) {
+    throw new SearchError('courseType must be general or masterclass', 'INVALID_COURSE_TYPE');
+  }
+
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
+  const maxPage = Math.floor(MAX_RESULT_WINDOW / limitNum);
+  const pageNum = Math.min(Math.max(parseInt(page) || 1, 1), maxPage);
+  const windowSize = pageNum * limitNum;
+
+  const access = accessFor(user);
+  const terms = highlightTerms(query);
+  const searched = types.length > 0 ? types : Object.keys(SEARCH_TYPES);
+
+  let total = 0;
+  let hits = [];
+  for (const name of searched) {
+    const config = SEARCH_TYPES[name];
+    const filters = filterQuery(config, { continent, courseType });
+    if (!filters) continue;
+
+    const match = { ...baseQuery(config, query, access), ...filters };
+    const [docs, count] = await Promise.all([
+      config.model.find(match)
+        .select(config.select)
+        .select({ score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(windowSize)
+        .lean(),
+      config.model.countDocuments(match)
+    ]);
+    total += count;
+    hits = hits.concat(docs.map(doc => ({ type: name, doc, score: doc.score })));
+  }
+
+  hits.sort((a, b) => b.score - a.score);
+  const results = hits.slice((pageNum - 1) * limitNum, windowSize).map(({ type: name, doc, score }) => {
+    const { texts, ...fields } = SEARCH_TYPES[name].toResult(doc);
+    return {
+      type: name,
+      id: doc._id,
+      ...fields,
+      snippet: makeSnippet(texts, terms),
+      score: Math.round(score * 1000) / 1000
+    };
+  });
+
+  return {
+    query,
+    results,
+    total,
+    page: pageNum,
+    limit: limitNum,
+    facets: await buildFacets(query, access)
+  };
+};
+
+module.exports = {
+  SearchError,
+  SEARCH_TYPES,
+  search,
+  makeSnippet,
+  highlightTerms
+};
@@ -0,0 +1,200 @@
+// travel-tour-backend/services/sessionService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { ApiError } = require('./apiError');
+
+require('dotenv').config();
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Session failures answer 401 by default
+class SessionError extends ApiError {
+  constructor(message, code, status = 401, details = null) {
+    super(message, code, status, details);
+  }
+}
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const getRefreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+// Pull device/IP metadata from the request
+const getClientMetadata = (req) => {
+  const forwardedFor = req.headers?.['x-forwarded-for'];
+  return {
+    userAgent: (req.headers?.['user-agent'] || '').substring(0, 500),
+    deviceName: (req.body?.deviceName || '').substring(0, 100),
+    ipAddress: forwardedFor ? forwardedFor.split(',')[0].trim() : (req.ip || req.socket?.remoteAddress || '')
+  };
+};
+
+// Short-lived access token bound to a session
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      username: user.username,
+      authProvider: user.authProvider,
+      sid: sessionId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+const buildTokenResponse = (user, session, refreshToken) => ({
+  token: generateAccessToken(user, session._id.toString()),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  refreshTokenExpiresAt: session.expiresAt,
+  sessionId: session._id
+});
+
+// Start a new session for a user who just authenticated
+const createSession = async (user, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = new Session({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    authProvider: user.authProvider,
+    expiresAt: getRefreshExpiry(),
+    ...getClientMetadata(req)
+  });
+
+  await session.save();
+  console.log(`🔑 Session ${session._id} started for user ${user._id}`);
+
+  return buildTokenResponse(user, session, refreshToken);
+};
+
+// Exchange a refresh token for a new access/refresh pair. The old refresh token
+// stops working; presenting it again revokes the whole session.
+const rotateSession = async (refreshToken, req) => {
+  if (typeof refreshToken !== 'string') {
+    throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    const reused = await Session.findOne({ previousRefreshTokenHash: tokenHash, revokedAt: null });
+    if (reused) {
+      console.log(`🚨 Refresh token reuse detected for session ${reused._id} - revoking`);
+      await reused.revoke('token_reuse');
+      throw new SessionError('Refresh token has already been used. Please log in again.', 'REFRESH_TOKEN_REUSED');
+    }
+    throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  if (!session.isActive()) {
+    throw new SessionError('Session has expired or was revoked. Please log in again.', 'SESSION_REVOKED');
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || !user.active) {
+    await session.revoke('deactivated');
+    throw new SessionError('User not found or inactive', 'USER_INACTIVE');
+  }
+
+  const newRefreshToken = generateRefreshToken();
+  const metadata = getClientMetadata(req);
+
+  // Swap the hash only if the presented token is still the current one. When two
+  // requests race with the same token, the loser finds it already replaced and is
+  // treated as reuse.
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        previousRefreshTokenHash: tokenHash,
+        lastUsedAt: new Date(),
+        ipAddress: metadata.ipAddress || session.ipAddress,
+        userAgent: metadata.userAgent || session.userAgent
+      },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    console.log(`🚨 Refresh token reuse detected for session ${session._id} - revoking`);
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'token_reuse' } }
+    );
+    throw new SessionError('Refresh token has already been used. Please log in again.', 'REFRESH_TOKEN_REUSED');
+  }
+
+  return { user, ...buildTokenResponse(user, rotated, newRefreshToken) };
+};
+
+// Revoke the session a refresh token belongs to
+const revokeByRefreshToken = async (refreshToken, reason = 'logout') => {
+  const session = await Session.findOne({ refreshTokenHash: hashToken(refreshToken) });
+  if (session && !session.revokedAt) {
+    await session.revoke(reason);
+  }
+  return session;
+};
+
+const revokeSession = async (sessionId, reason = 'logout') => {
+  if (!isValidId(sessionId)) return null;
+  const session = await Session.findById(sessionId);
+  if (session && !session.revokedAt) {
+    await session.revoke(reason);
+  }
+  return session;
+};
+
+const revokeAllSessions = async (userId, reason, exceptSessionId = null) => {
+  const result = await Session.revokeAllForUser(userId, reason, exceptSessionId);
+  console.log(`🔒 Revoked ${result.modifiedCount} sessions for user ${userId} (${reason})`);
+  return result.modifiedCount;
+};
+
+// Used by authMiddleware: a token is only valid while its session is. Tokens without a
+// session id (issued before sessions, or signed elsewhere) could never be revoked, so
+// they are rejected, as is a malformed id.
+const isSessionActive = async (sessionId) => {
+  if (!sessionId || !isValidId(sessionId)) return false;
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt').lean();
+  return !!session && !session.revokedAt && session.expiresAt > new Date();
+};
+
+// Public shape of a session for API responses
+const formatSession = (session, currentSessionId = null) => ({
+  id: session._id,
+  userAgent: session.userAgent,
+  deviceName: session.deviceName,
+  ipAddress: session.ipAddress,
+  authProvider: session.authProvider,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: currentSessionId ? session._id.toString() === currentSessionId.toString() : false
+});
+
+module.exports = {
+  SessionError,
+  createSession,
+  rotateSession,
+  revokeByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+  formatSession,
+  generateAccessToken
+};
@@ -0,0 +1,50 @@
+// travel-tour-backend/services/state/index.js
+//
+// Pluggable store for state that must be shared between server instances:
+// presence, the community call registry, scheduled jobs and the socket.io adapter.
+//
+// STATE_STORE=memory (default) - single process, for development and tests
+// STATE_STORE=mongo            - shared through MongoDB; run as many instances as needed
+const os = require('os');
+const MemoryStateStore = require('./memoryStateStore');
+const MongoStateStore = require('./mongoStateStore');
+
+require('dotenv').config();
+
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}`;
+
+const createStateStore = (type = process.env.STATE_STORE || 'memory') => {
+  switch (type) {
+    case 'memory':
+      return new MemoryStateStore({ instanceId: INSTANCE_ID });
+    case 'mongo':
+      return new MongoStateStore({
+        instanceId: INSTANCE_ID,
+        pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000
+      });
+    default:
+      throw new Error(`Unknown STATE_STORE "${type}". Use "memory" or "mongo".`);
+  }
+};
+
+let store = null;
+
+const getStateStore = () => {
+  if (!store) {
+    store = createStateStore();
+    console.log(`🗄️ State store: ${store.type} (${store.instanceId})`);
+  }
+  return store;
+};
+
+// Allow tests and scripts to swap in their own store
+const setStateStore = (customStore) => {
+  store = customStore;
+};
+
+module.exports = {
+  INSTANCE_ID,
+  createStateStore,
+  getStateStore,
+  setStateStore
+};
@@ -0,0 +1,122 @@
+// travel-tour-backend/services/state/memoryStateStore.js
+//
+// Single-process state store for development and tests. Everything lives in this
+// process: a second server instance will not see these entries or timers.
+
+// setTimeout cannot wait longer than ~24.8 days in one go
+const MAX_TIMEOUT_MS = 2147483647;
+
+class MemoryStateStore {
+  constructor({ instanceId } = {}) {
+    this.type = 'memory';
+    this.instanceId = instanceId || `memory:${process.pid}`;
+    this.namespaces = new Map();
+    this.jobHandlers = new Map();
+    this.jobs = new Map();
+  }
+
+  getNamespace(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, new Map());
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= Date.now();
+  }
+
+  // ---- KEY / VALUE ----
+
+  async get(namespace, key) {
+    const entry = this.getNamespace(namespace).get(key);
+    if (!entry || this.isExpired(entry)) return null;
+    return structuredClone(entry.value);
+  }
+
+  async set(namespace, key, value, { ttlMs = null } = {}) {
+    this.getNamespace(namespace).set(key, {
+      value: structuredClone(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+  }
+
+  async delete(namespace, key) {
+    this.getNamespace(namespace).delete(key);
+  }
+
+  // All live entries in a namespace, optionally only keys starting with a prefix
+  async entries(namespace, { prefix = '' } = {}) {
+    const results = [];
+    this.getNamespace(namespace).forEach((entry, key) => {
+      if (key.startsWith(prefix) && !this.isExpired(entry)) {
+        results.push({ key, value: structuredClone(entry.value) });
+      }
+    });
+    return results;
+  }
+
+  async deleteMany(namespace, { prefix = '' } = {}) {
+    const entries = this.getNamespace(namespace);
+    Array.from(entries.keys())
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => entries.delete(key));
+  }
+
+  // ---- SCHEDULED JOBS ----
+
+  registerJobHandler(name, handler) {
+    this.jobHandlers.set(name, handler);
+  }
+
+  // Schedule (or replace) a job; runs at runAt even if that is already past
+  async scheduleJob({ jobId, name, runAt, payload = {} }) {
+    await this.cancelJob(jobId);
+
+    const arm = () => {
+      const delay = Math.max(0, new Date(runAt).getTime() - Date.now());
+      const timer = setTimeout(() => {
+        if (delay > MAX_TIMEOUT_MS) return arm();
+        this.jobs.delete(jobId);
+        this.runJob(name, payload, jobId);
+      }, Math.min(delay, MAX_TIMEOUT_MS));
+      this.jobs.set(jobId, timer);
+    };
+
+    arm();
+  }
+
+  async cancelJob(jobId) {
+    clearTimeout(this.jobs.get(jobId));
+    this.jobs.delete(jobId);
+  }
+
+  async runJob(name, payload, jobId) {
+    const handler = this.jobHandlers.get(name);
+    if (!handler) {
+      console.error(`❌ No handler registered for job ${name} (${jobId})`);
+      return;
+    }
+    try {
+      await handler(payload);
+    } catch (error) {
+      console.error(`❌ Job ${jobId} failed:`, error);
+    }
+  }
+
+  // ---- LIFECYCLE ----
+
+  async start() {}
+
+  async stop() {
+    this.jobs.forEach(timer => clearTimeout(timer));
+    this.jobs.clear();
+  }
+
+  // The default in-memory socket.io adapter is already in place
+  async attachSocketAdapter() {
+    return false;
+  }
+}
+
+module.exports = MemoryStateStore;
@@ -0,0 +1,189 @@
+// travel-tour-backend/services/state/mongoStateStore.js
+//
+// State store shared by every server instance connected to the same database.
+// - key/value entries live in the SharedState collection
+// - scheduled jobs live in ScheduledJob and are claimed by one instance at a time
+// - socket.io events are relayed through @socket.io/mongo-adapter, which uses
+//   change streams and therefore needs a replica set (MongoDB Atlas is one)
+
+const mongoose = require('mongoose');
+const { createAdapter } = require('@socket.io/mongo-adapter');
+const SharedState = require('../../models/SharedState');
+const ScheduledJob = require('../../models/ScheduledJob');
+
+const SOCKET_ADAPTER_COLLECTION = 'socket_io_adapter_events';
+const MAX_JOB_ATTEMPTS = 3;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const notExpired = () => ({
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+});
+
+class MongoStateStore {
+  constructor({ instanceId, pollIntervalMs = 5000, lockTimeoutMs = 5 * 60 * 1000 } = {}) {
+    this.type = 'mongo';
+    this.instanceId = instanceId;
+    this.pollIntervalMs = pollIntervalMs;
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.jobHandlers = new Map();
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  // ---- KEY / VALUE ----
+
+  async get(namespace, key) {
+    const entry = await SharedState.findOne({ namespace, key, ...notExpired() }).lean();
+    return entry ? entry.value : null;
+  }
+
+  async set(namespace, key, value, { ttlMs = null } = {}) {
+    await SharedState.updateOne(
+      { namespace, key },
+      {
+        $set: {
+          value,
+          instanceId: this.instanceId,
+          expiresAt: ttlMs ? new Date(Date.now() + ttlMs) : null
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  async delete(namespace, key) {
+    await SharedState.deleteOne({ namespace, key });
+  }
+
+  async entries(namespace, { prefix = '' } = {}) {
+    const query = { namespace, ...notExpired() };
+    if (prefix) query.key = { $regex: `^${escapeRegex(prefix)}` };
+
+    const entries = await SharedState.find(query).lean();
+    return entries.map(entry => ({ key: entry.key, value: entry.value }));
+  }
+
+  async deleteMany(namespace, { prefix = '' } = {}) {
+    const query = { namespace };
+    if (prefix) query.key = { $regex: `^${escapeRegex(prefix)}` };
+    await SharedState.deleteMany(query);
+  }
+
+  // ---- SCHEDULED JOBS ----
+
+  registerJobHandler(name, handler) {
+    this.jobHandlers.set(name, handler);
+  }
+
+  // Schedule (or replace) a job. Any instance with a handler for `name` may run it.
+  async scheduleJob({ jobId, name, runAt, payload = {} }) {
+    await ScheduledJob.updateOne(
+      { jobId },
+      {
+        $set: {
+          name,
+          payload,
+          runAt: new Date(runAt),
+          status: 'pending',
+          lockedBy: null,
+          lockedAt: null,
+          attempts: 0,
+          lastError: null,
+          completedAt: null
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  async cancelJob(jobId) {
+    await ScheduledJob.deleteOne({ jobId, status: { $ne: 'running' } });
+  }
+
+  // Atomically take one due job. Jobs stuck in "running" past the lock timeout
+  // (their instance died) are picked up again.
+  claimNextJob() {
+    const now = new Date();
+    return ScheduledJob.findOneAndUpdate(
+      {
+        name: { $in: Array.from(this.jobHandlers.keys()) },
+        $or: [
+          { status: 'pending', runAt: { $lte: now } },
+          { status: 'running', lockedAt: { $lt: new Date(now.getTime() - this.lockTimeoutMs) } }
+        ]
+      },
+      {
+        $set: { status: 'running', lockedBy: this.instanceId, lockedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  async runJob(job) {
+    try {
+      await this.jobHandlers.get(job.name)(job.payload);
+      await ScheduledJob.updateOne(
+        { _id: job._id, lockedBy: this.instanceId },
+        { $set: { status: 'completed', completedAt: new Date(), lockedBy: null, lockedAt: null } }
+      );
+    } catch (error) {
+      console.error(`❌ Job ${job.jobId} failed (attempt ${job.attempts}):`, error);
+      const retry = job.attempts < MAX_JOB_ATTEMPTS;
+      await ScheduledJob.updateOne(
+        { _id: job._id, lockedBy: this.instanceId },
+        {
+          $set: {
+            status: retry ? 'pending' : 'failed',
+            runAt: new Date(Date.now() + job.attempts * 30 * 1000),
+            lastError: error.message,
+            lockedBy: null,
+            lockedAt: null
+          }
+        }
+      );
+    }
+  }
+
+  async pollJobs() {
+    if (this.polling || mongoose.connection.readyState !== 1) return;
+    this.polling = true;
+    try {
+      let job = await this.claimNextJob();
+      while (job) {
+        await this.runJob(job);
+        job = await this.claimNextJob();
+      }
+    } catch (error) {
+      console.error('❌ Job polling error:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // ---- LIFECYCLE ----
+
+  async start() {
+    if (this.pollTimer) return;
+    this.pollTimer = setInterval(() => this.pollJobs(), this.pollIntervalMs);
+    this.pollTimer.unref();
+    console.log(`⏱️ Job runner started on ${this.instanceId} (every ${this.pollIntervalMs}ms)`);
+  }
+
+  async stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  // Relay socket.io broadcasts between instances through MongoDB
+  async attachSocketAdapter(io) {
+    const collection = mongoose.connection.db.collection(SOCKET_ADAPTER_COLLECTION);
+    await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: 3600 });
+    io.adapter(createAdapter(collection, { addCreatedAtField: true }));
+    console.log('🔗 Socket.io: MongoDB adapter attached');
+    return true;
+  }
+}
+
+module.exports = MongoStateStore;
@@ -1,326 +1,795 @@
 // travel-tour-backend/socket.js
 
 const { Server } = require('socket.io');
+const { authenticateToken, AuthError } = require('./routes/auth');
+const User = require('./models/User');
+const CommunityChannel = require('./models/CommunityChannel');
+const ChannelMembership = require('./models/ChannelMembership');
+const { DEFAULT_CALL_ID, saveMessage, getMessagePage } = require('./services/communityMessageService');
+const {
+  ensureDefaultChannel,
+  joinChannel,
+  leaveChannel,
+  markChannelRead,
+  resolveMessageTarget,
+  canAccessChannel,
+  getAccessibleChannel,
+  getUnreadCounts,
+  formatChannel,
+  listChannelsForUser
+} = require('./services/channelService');
+const moderation = require('./services/moderationService');
+const { assertEmailVerified } = require('./services/emailVerificationService');
+const presenceService = require('./services/presenceService');
+const callRegistry = require('./services/callRegistry');
 
 let io;
-const activeCalls = new Map();
-const userSockets = new Map();
-const communityMessages = [];
+const ADMIN_ROOM = 'community_admins';
 
-const initializeSocket = (server) => {
-  io = new Server(server, {
-    cors: {
-      origin: [
-        "http://localhost:5173", 
-        "http://localhost:5174",
-        "https://the-conclave-academy.netlify.app",
-        "https://travel-tour-academy-backend.onrender.com"
-      ],
-      methods: ["GET", "POST"],
-      credentials: true
-    }
-  });
+// Typing: relay at most one "started typing" per room every TYPING_THROTTLE_MS,
+// and treat the user as stopped after TYPING_TIMEOUT_MS without another event
+const TYPING_THROTTLE_MS = 2000;
+const TYPING_TIMEOUT_MS = 5000;
 
-  io.on('connection', (socket) => {
-    console.log('🔌 User connected:', socket.id);
+// Read the JWT from the handshake: auth payload, query string, or Authorization header
+const getHandshakeToken = (socket) => {
+  const { auth = {}, query = {}, headers = {} } = socket.handshake;
+  return auth.token || query.token || headers.authorization?.replace('Bearer ', '') || null;
+};
 
-    // User joins the community
-    socket.on('user_join', (userData) => {
-      userSockets.set(socket.id, {
-        socketId: socket.id,
-        userId: userData.userId,
-        userName: userData.userName,
-        role: userData.role
-      });
-      
-      console.log(`👤 ${userData.userName} (${userData.role}) joined community with socket ID: ${socket.id}`);
-      
-      // Send current active calls to the user
-      if (activeCalls.size > 0) {
-        activeCalls.forEach((call, callId) => {
-          if (call.isActive) {
-            socket.emit('call_started', {
-              callId,
-              adminName: call.adminName,
-              message: `${call.adminName} has an active community call`,
-              startTime: call.startTime,
-              withAudio: true
-            });
-          }
-        });
-      }
-      
-      // Send message history
-      if (communityMessages.length > 0) {
-        socket.emit('message_history', communityMessages.slice(-50));
-      }
-      
-      // Broadcast to all users that someone joined
-      socket.broadcast.emit('user_online', {
-        userName: userData.userName,
-        userId: userData.userId,
-        role: userData.role,
-        socketId: socket.id
-      });
-    });
+// Registry entry built from the database user - never from client input
+const buildSocketUser = (socket, user) => ({
+  socketId: socket.id,
+  userId: user._id.toString(),
+  userName: user.username || user.email.split('@')[0],
+  role: user.role
+});
+
+// Verify the token and attach the user to the socket, or throw an error carrying a code
+const authenticateSocket = async (socket, token) => {
+  if (!token) {
+    const error = new Error('Authentication required');
+    error.data = { code: 'NO_TOKEN' };
+    throw error;
+  }
+
+  try {
+    const { user, decoded } = await authenticateToken(token);
+    socket.data.user = buildSocketUser(socket, user);
+    socket.data.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+    return socket.data.user;
+  } catch (authError) {
+    const isAuthError = authError instanceof AuthError;
+    const error = new Error(isAuthError ? authError.message : 'Invalid or expired token');
+    error.data = { code: isAuthError ? authError.code : 'INVALID_TOKEN' };
+    throw error;
+  }
+};
 
-    // Admin starts a community call
-    socket.on('admin_start_call', (callData) => {
-      const callId = `community_call_${Date.now()}`;
-      const adminUser = userSockets.get(socket.id);
-      
-      if (!adminUser || adminUser.role !== 'admin') {
-        socket.emit('error', { message: 'Only admins can start calls' });
-        return;
-      }
+// Answer through the acknowledgement callback when the client sent one, otherwise emit an event
+const reply = (socket, ack, eventName, payload) => {
+  if (typeof ack === 'function') {
+    ack(payload);
+  } else {
+    socket.emit(payload.success === false ? 'error' : eventName, payload);
+  }
+};
 
-      const call = {
-        id: callId,
-        adminId: adminUser.userId,
-        adminName: adminUser.userName,
-        participants: new Map([[socket.id, adminUser]]),
-        startTime: new Date(),
-        isActive: true,
-        createdAt: new Date(),
-        withAudio: callData.withAudio || true
-      };
-      
-      activeCalls.set(callId, call);
-      
-      console.log(`📞 Admin ${adminUser.userName} started call: ${callId} with WebRTC audio`);
-      
-      // Add admin as first participant
-      socket.join(callId);
-      console.log(`✅ ADMIN JOINED ROOM: ${adminUser.userName} joined room ${callId}`);
-      
-      // Notify ALL users about the call
-      io.emit('call_started', {
-        callId,
-        adminName: adminUser.userName,
-        message: `${adminUser.userName} has started a community call with voice chat`,
-        startTime: call.startTime,
-        persistent: true,
-        withAudio: true
-      });
-      
-      // Send current participants to admin
-      socket.emit('call_participants_update', {
-        callId,
-        participants: Array.from(call.participants.values())
-      });
-    });
+// Listen for a client event. The handler always gets an object payload (a missing or
+// malformed one becomes {}) and the ack callback wherever the client put it; anything it
+// throws is answered through reply() instead of escaping as an unhandled rejection.
+const onEvent = (socket, eventName, handler) => {
+  socket.on(eventName, async (...args) => {
+    const ack = typeof args[args.length - 1] === 'function' ? args.pop() : undefined;
+    const [payload] = args;
+    const data = payload && typeof payload === 'object' && !Array.isArray(payload) ? payload : {};
+    try {
+      await handler(data, ack);
+    } catch (error) {
+      console.error(`❌ SERVER: ${eventName} failed for socket ${socket.id}:`, error.message);
+      reply(socket, ack, eventName, {
+        success: false,
+        message: error.code ? error.message : 'Request could not be completed. Please try again.',
+        code: error.code || 'SOCKET_EVENT_FAILED'
+      });
+    }
+  });
+};
 
-    // User joins a call - COMBINED FIX: Handles default room creation and consistent user data
-    socket.on('join_call', (data) => {
-      console.log(`🎯 SERVER: Received JOIN_CALL request:`, {
-        callId: data.callId,
-        userId: data.userId,
-        userName: data.userName,
-        socketId: socket.id
-      });
+// Call ids and WebRTC target socket ids must arrive as non-empty strings
+const isRoomId = (value) => typeof value === 'string' && value.length > 0;
 
-      let call = activeCalls.get(data.callId);
-      const user = userSockets.get(socket.id);
-      
-      if (!user) {
-        console.error(`❌ SERVER: User not registered for socket: ${socket.id}`);
-        socket.emit('error', { message: 'User not registered' });
-        return;
-      }
+// Call rooms are named after the call: the default room or community_call_<timestamp>
+const isCallRoom = (room) => room.startsWith('community_call_');
 
-      // FIX 1: If it's the default chat room, create a state for it if it doesn't exist.
-      if (!call && data.callId === 'community_call_default') {
-        console.log(`⚠️ SERVER: Creating default call room state for ${data.callId}`);
-        call = {
-          id: data.callId,
-          adminId: null,
-          adminName: 'System',
-          participants: new Map(), // Initialize map
-          startTime: new Date(),
-          isActive: true,
-        };
-        activeCalls.set(data.callId, call);
-      }
+// Full user document for permission checks (masterclass access, invitations)
+const loadUser = async (socket) => {
+  const user = await User.findById(socket.data.user.userId);
+  if (!user || !user.active) {
+    throw new Error('User not found or inactive');
+  }
+  return user;
+};
 
-      if (!call || !call.isActive) {
-        console.error(`❌ SERVER: Call not found or ended: ${data.callId}`);
-        socket.emit('error', { message: 'Call not found or ended' });
-        return;
-      }
+// Put the socket in the General channel and every channel the user has joined and may
+// still read: archived channels, channels the user is banned from and channels they have
+// lost access to (expired masterclass access, revoked invite) are skipped
+const joinMemberChannels = async (socket) => {
+  const user = await loadUser(socket);
+  const defaultChannel = await ensureDefaultChannel();
+  await joinChannel(defaultChannel._id, user);
+
+  const banned = await moderation.getBannedScope(user._id);
+  if (banned.chatWide) return;
+
+  const memberships = await ChannelMembership.find({ userId: user._id }).select('channelId').lean();
+  const channelIds = memberships
+    .map(membership => membership.channelId)
+    .filter(channelId => !banned.channelIds.includes(channelId.toString()));
+  const channels = await CommunityChannel.find({ _id: { $in: channelIds }, isArchived: false });
+  channels
+    .filter(channel => canAccessChannel(channel, user))
+    .forEach(channel => socket.join(CommunityChannel.getRoomName(channel._id)));
+};
 
-      // FIX 2: Update user data in userSockets with the most specific info from join data (if available)
-      const userWithCallData = {
-        ...user,
-        userId: data.userId || user.userId,
-        userName: data.userName || user.userName,
-        isAdmin: data.isAdmin || user.role === 'admin'
-      };
-      userSockets.set(socket.id, userWithCallData); // Store updated user data
-
-      // Add user to call participants
-      call.participants.set(socket.id, userWithCallData); // Use updated data for call
-
-      // CRITICAL: Join the Socket.IO room
-      socket.join(data.callId);
-      console.log(`✅ SERVER: USER JOINED ROOM: ${userWithCallData.userName} joined room ${data.callId}`);
-      console.log(`✅ SERVER: Room ${data.callId} now has ${call.participants.size} participants`);
-      
-      // Notify all participants in the call about new user
-      io.to(data.callId).emit('user_joined_call', {
-        userName: userWithCallData.userName,
-        userId: userWithCallData.userId,
-        role: userWithCallData.role,
-        socketId: socket.id,
-        participantCount: call.participants.size
-      });
-      
-      // Send updated participants list to everyone in call
-      io.to(data.callId).emit('call_participants_update', {
-        callId: data.callId,
-        participants: Array.from(call.participants.values())
-      });
+// Room for typing events: a channel, a call, or the General channel by default
+const resolveTypingRoom = async (data = {}) => {
+  if (data.channelId) return CommunityChannel.getRoomName(data.channelId);
+  if (data.callId && data.callId !== DEFAULT_CALL_ID) return data.callId;
+  const defaultChannel = await ensureDefaultChannel();
+  return CommunityChannel.getRoomName(defaultChannel._id);
+};
 
-      // Notify existing participants to establish WebRTC with new user
-      socket.to(data.callId).emit('webrtc_new_participant', {
-        socketId: socket.id,
-        userName: userWithCallData.userName
-      });
-    });
+const emitTyping = (socket, room, isTyping) => {
+  const { userId, userName } = socket.data.user;
+  socket.to(room).emit('user_typing', { userId, userName, room, isTyping });
+};
 
-    // User leaves a call
-    socket.on('leave_call', (data) => {
-      console.log(`🚪 SERVER: Received LEAVE_CALL:`, {
-        callId: data.callId,
-        socketId: socket.id
-      });
+const stopTyping = (socket, room) => {
+  const typing = socket.data.typing.get(room);
+  if (!typing) return;
 
-      const call = activeCalls.get(data.callId);
-      const user = userSockets.get(socket.id);
-      
-      if (call && user) {
-        call.participants.delete(socket.id);
-        socket.leave(data.callId);
-        
-        console.log(`👤 SERVER: ${user.userName} left call: ${data.callId}`);
-        
-        // Notify remaining participants
-        socket.to(data.callId).emit('user_left_call', {
-          userName: user.userName,
-          socketId: socket.id,
-          participantCount: call.participants.size
-        });
-        
-        // Send updated participants list
-        io.to(data.callId).emit('call_participants_update', {
-          callId: data.callId,
-          participants: Array.from(call.participants.values())
-        });
-        
-        // If no participants left, check if it was a default room to clean up
-        if (call.participants.size === 0) {
-          if (data.callId === 'community_call_default') {
-            console.log(`🧹 SERVER: Removing default call ${data.callId} as last user left.`);
-            activeCalls.delete(data.callId);
-          } else {
-            console.log(`📞 SERVER: Call ${data.callId} has no participants, but remains active`);
-          }
-        }
-      }
-    });
+  clearTimeout(typing.timer);
+  socket.data.typing.delete(room);
+  emitTyping(socket, room, false);
+};
 
-    // Admin ends the call
-    socket.on('admin_end_call', (data) => {
-      console.log(`🛑 SERVER: Received ADMIN_END_CALL: ${data.callId}`);
-      
-      const call = activeCalls.get(data.callId);
-      const adminUser = userSockets.get(socket.id);
-      
-      if (call && adminUser && adminUser.role === 'admin' && call.adminId === adminUser.userId) {
-        // Notify all participants
-        io.emit('call_ended', {
-          callId: data.callId,
-          message: 'Call has been ended by admin',
-          endedBy: adminUser.userName
-        });
-        
-        // Remove all participants from the room
-        io.socketsLeave(data.callId);
-        activeCalls.delete(data.callId);
-        
-        console.log(`📞 SERVER: Call ended by admin: ${data.callId}`);
-      }
-    });
+const startTyping = (socket, room) => {
+  const now = Date.now();
+  const typing = socket.data.typing.get(room) || { lastSentAt: 0, timer: null };
 
-    // Send message in community chat - CRITICAL FIX 3 APPLIED HERE
-    socket.on('send_message', (messageData) => {
-      const user = userSockets.get(socket.id);
+  if (now - typing.lastSentAt >= TYPING_THROTTLE_MS) {
+    typing.lastSentAt = now;
+    emitTyping(socket, room, true);
+  }
 
-      if (!user) {
-        console.error('❌ SERVER: User not found for socket:', socket.id);
-        socket.emit('error', { message: 'User not registered. Please rejoin.' });
-        return;
-      }
+  clearTimeout(typing.timer);
+  typing.timer = setTimeout(() => stopTyping(socket, room), TYPING_TIMEOUT_MS);
+  socket.data.typing.set(room, typing);
+};
+
+// Unread badge per channel, sent on connect so it survives reconnects
+const sendUnreadCounts = async (socket) => {
+  const channels = await getUnreadCounts(socket.data.user.userId);
+  socket.emit('unread_counts', {
+    channels,
+    total: channels.reduce((sum, channel) => sum + channel.unreadCount, 0)
+  });
+};
+
+// Per-user room: reaches every socket of a user, whichever instance holds it
+const getUserRoom = (userId) => `user_${userId}`;
+
+// Register the socket as a call participant and put it in the call room
+const addSocketToCall = async (socket, callId, participant) => {
+  await callRegistry.addParticipant(callId, socket.id, participant);
+  socket.data.calls.set(callId, participant);
+  socket.join(callId);
+};
+
+// Take the socket out of a call and tell the remaining participants.
+// The default room is removed with its last participant; admin calls stay active.
+const removeSocketFromCall = async (socket, callId) => {
+  socket.data.calls.delete(callId);
+  socket.leave(callId);
+  await callRegistry.removeParticipant(callId, socket.id);
+
+  const [call, participants] = await Promise.all([
+    callRegistry.getCall(callId),
+    callRegistry.getParticipants(callId)
+  ]);
+  console.log(`👤 SERVER: ${socket.data.user.userName} left call: ${callId}`);
+
+  // Notify remaining participants
+  socket.to(callId).emit('user_left_call', {
+    userName: socket.data.user.userName,
+    socketId: socket.id,
+    participantCount: participants.length
+  });
+
+  // Send updated participants list
+  io.to(callId).emit('call_participants_update', { callId, participants });
+
+  if (participants.length === 0) {
+    if (callId === DEFAULT_CALL_ID) {
+      console.log(`🧹 SERVER: Removing default call ${callId} as last user left.`);
+      await callRegistry.deleteCall(callId);
+    } else {
+      console.log(`📞 SERVER: Call ${callId} has no participants, but remains active`);
+    }
+  }
+  return call;
+};
 
-      if (!messageData.text || !messageData.text.trim()) {
+// Keep this socket's shared presence and call entries from expiring. Calls the socket
+// was taken out of from elsewhere (a ban) are forgotten.
+const refreshSharedState = async (socket) => {
+  await presenceService.heartbeat(socket.data.user, socket.id);
+  for (const [callId, participant] of socket.data.calls) {
+    if (!socket.rooms.has(callId)) {
+      socket.data.calls.delete(callId);
+      continue;
+    }
+    await callRegistry.addParticipant(callId, socket.id, participant);
+  }
+};
+
+// Disconnect the socket when its access token expires, unless it re-authenticates first
+const scheduleTokenExpiry = (socket) => {
+  clearTimeout(socket.data.expiryTimer);
+  if (!socket.data.tokenExpiresAt) return;
+
+  const delay = Math.max(0, socket.data.tokenExpiresAt - Date.now());
+  socket.data.expiryTimer = setTimeout(() => {
+    console.log(`⏰ SERVER: Token expired for socket ${socket.id}, disconnecting`);
+    socket.emit('auth_error', { code: 'TOKEN_EXPIRED', message: 'Session expired. Please reconnect with a fresh token.' });
+    socket.disconnect(true);
+  }, delay);
+};
+
+const initializeSocket = (server) => {
+  io = new Server(server, {
+    cors: {
+      origin: [
+        "http://localhost:5173", 
+        "http://localhost:5174",
+        "https://the-conclave-academy.netlify.app",
+        "https://travel-tour-academy-backend.onrender.com"
+      ],
+      methods: ["GET", "POST"],
+      credentials: true
+    }
+  });
+
+  // Handshake authentication - same JWT and checks as authMiddleware in routes/auth.js
+  io.use(async (socket, next) => {
+    try {
+      await authenticateSocket(socket, getHandshakeToken(socket));
+      next();
+    } catch (error) {
+      console.log(`🚫 SERVER: Rejected socket ${socket.id}: ${error.message}`);
+      next(error);
+    }
+  });
+
+  io.on('connection', (socket) => {
+    console.log('🔌 User connected:', socket.id);
+
+    // Identity comes from the verified token, set during the handshake
+    socket.join(getUserRoom(socket.data.user.userId));
+    scheduleTokenExpiry(socket);
+
+    // Admins receive moderation reports in real time
+    if (socket.data.user.role === 'admin') {
+      socket.join(ADMIN_ROOM);
+    }
+
+    // Channel rooms must be joined before history is requested
+    const channelsReady = joinMemberChannels(socket)
+      .then(() => sendUnreadCounts(socket))
+      .catch(error => console.error('❌ SERVER: Failed to join channel rooms:', error.message));
+
+    // Presence across tabs and instances: only the first socket of a user turns them online
+    socket.data.typing = new Map();
+    socket.data.calls = new Map();
+    presenceService.connect(socket.data.user, socket.id)
+      .then(async (connected) => {
+        if (connected.changed) {
+          socket.broadcast.emit('presence_update', connected.presence);
+        }
+        socket.emit('presence_list', await presenceService.listPresence());
+      })
+      .catch(error => console.error('❌ SERVER: Failed to register presence:', error.message));
+    socket.data.heartbeatTimer = setInterval(() => {
+      refreshSharedState(socket).catch(error => console.error('❌ SERVER: Presence heartbeat failed:', error.message));
+    }, presenceService.HEARTBEAT_INTERVAL_MS);
+
+    // Client swaps in a refreshed access token before the current one expires
+    onEvent(socket, 'reauthenticate', async (data) => {
+      const previousUserId = socket.data.user.userId;
+      try {
+        const user = await authenticateSocket(socket, data.token);
+        if (user.userId !== previousUserId) {
+          const error = new Error('Token belongs to a different user');
+          error.data = { code: 'USER_MISMATCH' };
+          throw error;
+        }
+        scheduleTokenExpiry(socket);
+        socket.emit('reauthenticated', { success: true });
+      } catch (error) {
+        console.log(`🚫 SERVER: Re-authentication failed for socket ${socket.id}: ${error.message}`);
+        socket.emit('auth_error', { code: error.data?.code || 'INVALID_TOKEN', message: error.message });
+        socket.disconnect(true);
+      }
+    });
+
+    // User joins the community - client-supplied userId/userName/role are ignored
+    onEvent(socket, 'user_join', async () => {
+      const userData = socket.data.user;
+      
+      console.log(`👤 ${userData.userName} (${userData.role}) joined community with socket ID: ${socket.id}`);
+      
+      // Send current active calls (from every instance) to the user
+      try {
+        const calls = await callRegistry.listActiveCalls();
+        calls.forEach(call => {
+          socket.emit('call_started', {
+            callId: call.id,
+            adminName: call.adminName,
+            message: `${call.adminName} has an active community call`,
+            startTime: call.startTime,
+            withAudio: true
+          });
+        });
+      } catch (error) {
+        console.error('❌ SERVER: Failed to load active calls:', error.message);
+      }
+      
+      // Send the latest page of General channel history from the database
+      channelsReady
+        .then(() => ensureDefaultChannel())
+        .then(channel => getMessagePage({ channel }))
+        .then(page => {
+          if (page.messages.length > 0) {
+            socket.emit('message_history', page.messages);
+          }
+        })
+        .catch(error => console.error('❌ SERVER: Failed to load message history:', error.message));
+      
+      // Broadcast to all users that someone joined
+      socket.broadcast.emit('user_online', {
+        userName: userData.userName,
+        userId: userData.userId,
+        role: userData.role,
+        socketId: socket.id
+      });
+    });
+
+    // Admin starts a community call
+    onEvent(socket, 'admin_start_call', async (callData) => {
+      const callId = `community_call_${Date.now()}`;
+      const adminUser = socket.data.user;
+      
+      if (adminUser.role !== 'admin') {
+        socket.emit('error', { message: 'Only admins can start calls' });
+        return;
+      }
+
+      const call = {
+        id: callId,
+        adminId: adminUser.userId,
+        adminName: adminUser.userName,
+        startTime: new Date(),
+        isActive: true,
+        createdAt: new Date(),
+        withAudio: callData.withAudio || true
+      };
+      
+      try {
+        await callRegistry.saveCall(call);
+        await addSocketToCall(socket, callId, adminUser);
+      } catch (error) {
+        console.error('❌ SERVER: Failed to start call:', error.message);
+        socket.emit('error', { message: 'Call could not be started. Please try again.' });
+        return;
+      }
+      
+      console.log(`📞 Admin ${adminUser.userName} started call: ${callId} with WebRTC audio`);
+      console.log(`✅ ADMIN JOINED ROOM: ${adminUser.userName} joined room ${callId}`);
+      
+      // Notify ALL users about the call
+      io.emit('call_started', {
+        callId,
+        adminName: adminUser.userName,
+        message: `${adminUser.userName} has started a community call with voice chat`,
+        startTime: call.startTime,
+        persistent: true,
+        withAudio: true
+      });
+      
+      // Send current participants to admin
+      socket.emit('call_participants_update', {
+        callId,
+        participants: await callRegistry.getParticipants(callId)
+      });
+    });
+
+    // User joins a call - the default room is created on demand
+    onEvent(socket, 'join_call', async (data) => {
+      console.log(`🎯 SERVER: Received JOIN_CALL request:`, {
+        callId: data.callId,
+        socketId: socket.id
+      });
+
+      if (!isRoomId(data.callId)) {
+        socket.emit('error', { message: 'A callId is required', code: 'INVALID_CALL' });
+        return;
+      }
+
+      const user = socket.data.user;
+      let participants;
+      try {
+        // A chat-wide ban also keeps the user out of calls and their chat
+        await moderation.assertCanRead(user.userId);
+
+        let call = await callRegistry.getCall(data.callId);
+
+        // If it's the default chat room, create a state for it if it doesn't exist.
+        if (!call && data.callId === DEFAULT_CALL_ID) {
+          console.log(`⚠️ SERVER: Creating default call room state for ${data.callId}`);
+          call = {
+            id: data.callId,
+            adminId: null,
+            adminName: 'System',
+            startTime: new Date(),
+            isActive: true,
+          };
+          await callRegistry.saveCall(call);
+        }
+
+        if (!call || !call.isActive) {
+          console.error(`❌ SERVER: Call not found or ended: ${data.callId}`);
+          socket.emit('error', { message: 'Call not found or ended' });
+          return;
+        }
+
+        // Participant data comes from the authenticated socket only
+        await addSocketToCall(socket, data.callId, { ...user, isAdmin: user.role === 'admin' });
+        participants = await callRegistry.getParticipants(data.callId);
+      } catch (error) {
+        console.error('❌ SERVER: Failed to join call:', error.message);
+        socket.emit('error', error.code
+          ? { message: error.message, code: error.code }
+          : { message: 'Could not join the call. Please try again.' });
+        return;
+      }
+
+      console.log(`✅ SERVER: USER JOINED ROOM: ${user.userName} joined room ${data.callId}`);
+      console.log(`✅ SERVER: Room ${data.callId} now has ${participants.length} participants`);
+      
+      // Notify all participants in the call about new user
+      io.to(data.callId).emit('user_joined_call', {
+        userName: user.userName,
+        userId: user.userId,
+        role: user.role,
+        socketId: socket.id,
+        participantCount: participants.length
+      });
+      
+      // Send updated participants list to everyone in call
+      io.to(data.callId).emit('call_participants_update', {
+        callId: data.callId,
+        participants
+      });
+
+      // Notify existing participants to establish WebRTC with new user
+      socket.to(data.callId).emit('webrtc_new_participant', {
+        socketId: socket.id,
+        userName: user.userName
+      });
+    });
+
+    // User leaves a call
+    onEvent(socket, 'leave_call', async (data) => {
+      console.log(`🚪 SERVER: Received LEAVE_CALL:`, {
+        callId: data.callId,
+        socketId: socket.id
+      });
+
+      if (!socket.data.calls.has(data.callId)) return;
+
+      try {
+        await removeSocketFromCall(socket, data.callId);
+      } catch (error) {
+        console.error('❌ SERVER: Failed to leave call:', error.message);
+      }
+    });
+
+    // Admin ends the call
+    onEvent(socket, 'admin_end_call', async (data) => {
+      console.log(`🛑 SERVER: Received ADMIN_END_CALL: ${data.callId}`);
+      
+      const adminUser = socket.data.user;
+      if (!isRoomId(data.callId)) return;
+      try {
+        const call = await callRegistry.getCall(data.callId);
+        if (!call || adminUser.role !== 'admin' || call.adminId !== adminUser.userId) return;
+
+        await callRegistry.deleteCall(data.callId);
+      } catch (error) {
+        console.error('❌ SERVER: Failed to end call:', error.message);
+        return;
+      }
+
+      // Notify all participants
+      io.emit('call_ended', {
+        callId: data.callId,
+        message: 'Call has been ended by admin',
+        endedBy: adminUser.userName
+      });
+      
+      // Remove all participants from the room, on every instance
+      io.socketsLeave(data.callId);
+      
+      console.log(`📞 SERVER: Call ended by admin: ${data.callId}`);
+    });
+
+    // List channels the user can see, with membership and unread counts
+    onEvent(socket, 'list_channels', async (params, ack) => {
+      try {
+        const user = await loadUser(socket);
+        const channels = await listChannelsForUser(user);
+        reply(socket, ack, 'channel_list', { success: true, channels });
+      } catch (error) {
+        console.error('❌ SERVER: Failed to list channels:', error.message);
+        reply(socket, ack, 'channel_list', { success: false, message: error.message, code: error.code });
+      }
+    });
+
+    // Join a channel: { channelId } - membership rules are checked in channelService
+    onEvent(socket, 'join_channel', async (data, ack) => {
+      try {
+        const user = await loadUser(socket);
+        await moderation.assertCanRead(user._id, data.channelId);
+        const { channel, membership } = await joinChannel(data.channelId, user);
+        socket.join(CommunityChannel.getRoomName(channel._id));
+
+        const page = await getMessagePage({ channel });
+        console.log(`💬 SERVER: ${user.username} joined channel ${channel.name}`);
+        reply(socket, ack, 'channel_joined', {
+          success: true,
+          channel: formatChannel(channel, {
+            isMember: true,
+            lastReadMessageId: membership.lastReadMessageId ? membership.lastReadMessageId.toString() : null
+          }),
+          ...page
+        });
+      } catch (error) {
+        console.log(`🚫 SERVER: join_channel failed for socket ${socket.id}: ${error.message}`);
+        reply(socket, ack, 'channel_joined', { success: false, message: error.message, code: error.code });
+      }
+    });
+
+    // Leave a channel: { channelId }
+    onEvent(socket, 'leave_channel', async (data, ack) => {
+      try {
+        const { userId } = socket.data.user;
+        await leaveChannel(data.channelId, userId);
+        removeUserFromChannel(userId, { _id: data.channelId }, 'left');
+        reply(socket, ack, 'channel_left', { success: true, channelId: data.channelId });
+      } catch (error) {
+        reply(socket, ack, 'channel_left', { success: false, message: error.message, code: error.code });
+      }
+    });
+
+    // Page through message history: { channelId or callId, before, after, limit }
+    onEvent(socket, 'load_message_history', async (params, ack) => {
+      try {
+        const user = await loadUser(socket);
+        const target = await resolveMessageTarget(params, user);
+        await moderation.assertCanRead(user._id, target.channel?._id);
+        const page = await getMessagePage({ ...target, before: params.before, after: params.after, limit: params.limit });
+
+        reply(socket, ack, 'message_history_page', {
+          success: true,
+          channelId: target.channel ? target.channel._id.toString() : null,
+          callId: target.callId,
+          ...page
+        });
+      } catch (error) {
+        console.error('❌ SERVER: Failed to load message history page:', error.message);
+        reply(socket, ack, 'message_history_page', { success: false, message: error.message, code: error.code });
+      }
+    });
+
+    // Send message in community chat - CRITICAL FIX 3 APPLIED HERE
+    onEvent(socket, 'send_message', async (messageData) => {
+      const user = socket.data.user;
+
+      if (typeof messageData.text !== 'string' || !messageData.text.trim()) {
         console.error('❌ SERVER: Empty message text');
         return;
       }
       
-      // Determine the call ID, defaulting to the community chat room
-      const targetCallId = messageData.callId || 'community_call_default';
-
-      // Create the message object with ALL required fields
-      const message = {
-        id: `msg_${Date.now()}_${socket.id}_${Math.random().toString(36).substr(2, 9)}`,
-        sender: user.userName, // CRITICAL: Use data from registry, not client input
-        senderId: user.userId, // CRITICAL: Use data from registry
-        text: messageData.text.trim(),
-        timestamp: new Date(messageData.timestamp || new Date()),
-        isAdmin: user.role === 'admin', // CRITICAL: Use data from registry
-        callId: targetCallId,
-        userId: user.userId,
-        userName: user.userName,
-        userRole: user.role
-      };
-
-      // Store message persistently
-      communityMessages.push(message);
-      
-      // Keep only last 1000 messages
-      if (communityMessages.length > 1000) {
-        communityMessages.splice(0, communityMessages.length - 1000);
-      }
-
-      // CRITICAL: Broadcast to the specific call room (including the sender)
-      const room = io.sockets.adapter.rooms.get(targetCallId);
-      const participantCount = room ? room.size : 0;
-      
-      console.log(`📢 SERVER: Broadcasting message to room: ${targetCallId} with ${participantCount} participants`);
-
-      if (room && participantCount > 0) {
-        // Broadcast to everyone in the call room INCLUDING the sender
-        io.to(targetCallId).emit('new_message', message);
-        console.log(`✅ SERVER: Message broadcast completed for room: ${targetCallId}`);
-      } else {
-        console.error(`❌ SERVER: Room ${targetCallId} does not exist or has no participants.`);
-        // If the room doesn't exist, we must still send the message globally or to the sender as a confirmation.
-        // Sending globally is safer for a community chat if room membership is flaky.
-        io.emit('new_message', message);
-        console.log(`🔄 SERVER: Falling back to global broadcast for safety.`);
-      }
-    });
-
-    // WebRTC signaling handlers (kept as is)
-    socket.on('webrtc_offer', (data) => {
+      // Store message persistently - sender fields come from the registry, not client input.
+      // The target is a channel (General by default) or a call room.
+      let message;
+      try {
+        const fullUser = await loadUser(socket);
+        assertEmailVerified(fullUser, 'messaging');
+        const target = await resolveMessageTarget(messageData, fullUser, { forWrite: true });
+        await moderation.assertCanPost(fullUser._id, target.channel?._id);
+        message = await saveMessage(user, {
+          text: messageData.text,
+          callId: target.callId,
+          channelId: target.channel?._id
+        });
+      } catch (error) {
+        console.error('❌ SERVER: Failed to save message:', error.message);
+        socket.emit('error', { message: error.code ? error.message : 'Message could not be saved. Please try again.', code: error.code });
+        return;
+      }
+
+      // CRITICAL: Broadcast to the channel and/or call room (including the sender)
+      broadcastMessage(message);
+    });
+
+    // Move the read marker: { channelId, messageId } (messageId omitted = newest message)
+    onEvent(socket, 'mark_read', async (data, ack) => {
+      try {
+        const user = await loadUser(socket);
+        const channel = await getAccessibleChannel(data.channelId, user);
+        const marker = await markChannelRead(channel, user._id, data.messageId);
+        if (!marker) {
+          throw new moderation.ModerationError('Join the channel first, or the message was not found', 'READ_MARKER_NOT_UPDATED', 404);
+        }
+
+        // Keep the user's other tabs in sync and let the channel show read receipts
+        emitToUser(user._id, 'read_marker_updated', marker);
+        socket.to(CommunityChannel.getRoomName(channel._id)).emit('read_receipt', {
+          userId: socket.data.user.userId,
+          userName: socket.data.user.userName,
+          ...marker
+        });
+        reply(socket, ack, 'read_marker_updated', { success: true, ...marker });
+      } catch (error) {
+        reply(socket, ack, 'read_marker_updated', { success: false, message: error.message, code: error.code });
+      }
+    });
+
+    // Typing indicators: { channelId } or { callId }
+    onEvent(socket, 'typing_start', async (data) => {
+      try {
+        const room = await resolveTypingRoom(data);
+        if (socket.rooms.has(room)) startTyping(socket, room);
+      } catch (error) {
+        console.error('❌ SERVER: typing_start failed:', error.message);
+      }
+    });
+
+    onEvent(socket, 'typing_stop', async (data) => {
+      try {
+        stopTyping(socket, await resolveTypingRoom(data));
+      } catch (error) {
+        console.error('❌ SERVER: typing_stop failed:', error.message);
+      }
+    });
+
+    // Tab reports itself online or away: { status }
+    onEvent(socket, 'set_presence', async (data, ack) => {
+      try {
+        const result = await presenceService.setSocketStatus(socket.data.user, socket.id, data.status);
+        if (result.changed) {
+          io.emit('presence_update', result.presence);
+        }
+        reply(socket, ack, 'presence_update', { success: true, ...result.presence });
+      } catch (error) {
+        reply(socket, ack, 'presence_update', { success: false, message: error.message });
+      }
+    });
+
+    onEvent(socket, 'get_presence', async (data, ack) => {
+      try {
+        reply(socket, ack, 'presence_list', { success: true, users: await presenceService.listPresence() });
+      } catch (error) {
+        reply(socket, ack, 'presence_list', { success: false, message: error.message });
+      }
+    });
+
+    // Author edits their own message: { messageId, text }
+    onEvent(socket, 'edit_message', async (data, ack) => {
+      try {
+        const user = await loadUser(socket);
+        const message = await moderation.editMessage(data.messageId, user, data.text);
+        emitToMessageRooms(message, 'message_updated', message);
+        reply(socket, ack, 'message_updated', { success: true, message });
+      } catch (error) {
+        reply(socket, ack, 'message_updated', { success: false, message: error.message, code: error.code });
+      }
+    });
+
+    // Author deletes their own message, or an admin deletes any message: { messageId }
+    onEvent(socket, 'delete_message', async (data, ack) => {
+      try {
+        const user = await loadUser(socket);
+        const message = await moderation.deleteMessage(data.messageId, user);
+        emitToMessageRooms(message, 'message_deleted', { messageId: message.id, channelId: message.channelId, callId: message.callId });
+        reply(socket, ack, 'message_deleted', { success: true, messageId: message.id });
+      } catch (error) {
+        reply(socket, ack, 'message_deleted', { success: false, message: error.message, code: error.code });
+      }
+    });
+
+    // Admin pins or unpins a message: { messageId, pinned }
+    onEvent(socket, 'pin_message', async (data, ack) => {
+      try {
+        if (socket.data.user.role !== 'admin') {
+          throw new moderation.ModerationError('Only admins can pin messages', 'ADMIN_ONLY', 403);
+        }
+        const admin = await loadUser(socket);
+        const message = await moderation.setPinned(data.messageId, admin, data.pinned !== false);
+        emitToMessageRooms(message, message.isPinned ? 'message_pinned' : 'message_unpinned', message);
+        reply(socket, ack, 'message_pinned', { success: true, message });
+      } catch (error) {
+        reply(socket, ack, 'message_pinned', { success: false, message: error.message, code: error.code });
+      }
+    });
+
+    // Student reports a message to the moderation queue: { messageId, reason }
+    onEvent(socket, 'report_message', async (data, ack) => {
+      try {
+        const user = await loadUser(socket);
+        const report = await moderation.reportMessage(data.messageId, user, data.reason);
+        notifyAdmins('message_reported', report);
+        reply(socket, ack, 'message_reported', { success: true, message: 'Thanks - an admin will review this message.' });
+      } catch (error) {
+        reply(socket, ack, 'message_reported', { success: false, message: error.message, code: error.code });
+      }
+    });
+
+    // Admin mutes or bans a user: { userId, type: 'mute' | 'ban', durationMinutes, channelId, reason }
+    onEvent(socket, 'admin_restrict_user', async (data, ack) => {
+      try {
+        if (socket.data.user.role !== 'admin') {
+          throw new moderation.ModerationError('Only admins can mute or ban users', 'ADMIN_ONLY', 403);
+        }
+        const admin = await loadUser(socket);
+        const restriction = await moderation.restrictUser(admin, data);
+        await applyRestriction(restriction);
+        reply(socket, ack, 'user_restricted', { success: true, restriction });
+      } catch (error) {
+        reply(socket, ack, 'user_restricted', { success: false, message: error.message, code: error.code });
+      }
+    });
+
+    // Admin lifts a mute or ban early: { restrictionId }
+    onEvent(socket, 'admin_lift_restriction', async (data, ack) => {
+      try {
+        if (socket.data.user.role !== 'admin') {
+          throw new moderation.ModerationError('Only admins can lift restrictions', 'ADMIN_ONLY', 403);
+        }
+        const admin = await loadUser(socket);
+        const restriction = await moderation.liftRestriction(data.restrictionId, admin);
+        emitToUser(restriction.userId, 'chat_restriction_lifted', restriction);
+        reply(socket, ack, 'restriction_lifted', { success: true, restriction });
+      } catch (error) {
+        reply(socket, ack, 'restriction_lifted', { success: false, message: error.message, code: error.code });
+      }
+    });
+
+    // WebRTC signaling handlers - relayed to one socket id, anything else is dropped
+    onEvent(socket, 'webrtc_offer', (data) => {
+      if (!isRoomId(data.targetSocketId)) return;
       console.log(`📤 WebRTC offer from ${socket.id} to ${data.targetSocketId}`);
       socket.to(data.targetSocketId).emit('webrtc_offer', {
         offer: data.offer,
-        senderSocketId: socket.id,
-        senderName: data.senderName
+        senderSocketId: socket.id,
+        senderName: socket.data.user.userName
       });
     });
 
-    socket.on('webrtc_answer', (data) => {
+    onEvent(socket, 'webrtc_answer', (data) => {
+      if (!isRoomId(data.targetSocketId)) return;
       console.log(`📤 WebRTC answer from ${socket.id} to ${data.targetSocketId}`);
       socket.to(data.targetSocketId).emit('webrtc_answer', {
         answer: data.answer,
@@ -328,7 +797,8 @@ const initializeSocket = (server) => {
       });
     });
 
-    socket.on('webrtc_ice_candidate', (data) => {
+    onEvent(socket, 'webrtc_ice_candidate', (data) => {
+      if (!isRoomId(data.targetSocketId)) return;
       console.log(`🧊 WebRTC ICE candidate from ${socket.id} to ${data.targetSocketId}`);
       socket.to(data.targetSocketId).emit('webrtc_ice_candidate', {
         candidate: data.candidate,
@@ -336,58 +806,129 @@ const initializeSocket = (server) => {
       });
     });
 
-    // Handle disconnection - CLEANUP DEFAULT ROOM
-    socket.on('disconnect', () => {
-      const user = userSockets.get(socket.id);
-      if (user) {
-        console.log(`👤 SERVER: ${user.userName} disconnected`);
-        
-        // Remove user from all active calls
-        activeCalls.forEach((call, callId) => {
-          if (call.participants.has(socket.id)) {
-            call.participants.delete(socket.id);
-            socket.leave(callId);
-            
-            // Notify other participants
-            socket.to(callId).emit('user_left_call', {
-              userName: user.userName,
-              socketId: socket.id,
-              participantCount: call.participants.size
-            });
-            
-            // Send updated participants list
-            io.to(callId).emit('call_participants_update', {
-              callId: callId,
-              participants: Array.from(call.participants.values())
-            });
-            
-            // Clean up the default call object if the last user leaves
-            if (call.id === 'community_call_default' && call.participants.size === 0) {
-              console.log(`🧹 SERVER: Removing default call ${callId} as last user left.`);
-              activeCalls.delete(callId);
-            }
-
-            // If admin disconnects, keep call active but notify
-            if (call.adminId === user.userId) {
-              io.emit('call_admin_away', {
-                callId: callId,
-                message: 'Admin has left the call, but call remains active',
-                adminName: user.userName
-              });
-            }
-          }
-        });
-        
-        userSockets.delete(socket.id);
-      }
-      
-      console.log('🔌 SERVER: User disconnected:', socket.id);
-    });
+    // Handle disconnection - CLEANUP DEFAULT ROOM
+    socket.on('disconnect', async () => {
+      clearTimeout(socket.data.expiryTimer);
+      clearInterval(socket.data.heartbeatTimer);
+      Array.from(socket.data.typing.keys()).forEach(room => stopTyping(socket, room));
+
+      const user = socket.data.user;
+      console.log(`👤 SERVER: ${user.userName} disconnected`);
+
+      try {
+        // Only the last socket of a user takes them offline
+        const disconnected = await presenceService.disconnect(user, socket.id);
+        if (disconnected.changed) {
+          io.emit('presence_update', disconnected.presence);
+          io.emit('user_offline', {
+            userId: disconnected.presence.userId,
+            userName: disconnected.presence.userName,
+            role: disconnected.presence.role
+          });
+        }
+
+        // Remove user from all calls they were in
+        for (const callId of Array.from(socket.data.calls.keys())) {
+          const call = await removeSocketFromCall(socket, callId);
+
+          // If admin disconnects, keep call active but notify
+          if (call && call.adminId === user.userId) {
+            io.emit('call_admin_away', {
+              callId: callId,
+              message: 'Admin has left the call, but call remains active',
+              adminName: user.userName
+            });
+          }
+        }
+      } catch (error) {
+        console.error('❌ SERVER: Disconnect cleanup failed:', error.message);
+      }
+      
+      console.log('🔌 SERVER: User disconnected:', socket.id);
+    });
   });
 
   return io;
 };
 
+// Send an event to the room a message belongs to: its channel room, or the call room for
+// messages posted in a call. General channel messages also carry the default call id but
+// go to the channel room only, so a channel ban (which empties that room) also stops them
+// reaching the user through the call.
+const emitToMessageRooms = (message, eventName, payload) => {
+  if (!io) return;
+
+  const room = message.channelId ? CommunityChannel.getRoomName(message.channelId) : message.callId;
+  if (room) io.to(room).emit(eventName, payload);
+};
+
+// Deliver a saved message to its channel room and call room
+const broadcastMessage = (message) => {
+  console.log(`📢 SERVER: Broadcasting message ${message.id} to channel ${message.channelId || '-'} / call ${message.callId || '-'}`);
+  emitToMessageRooms(message, 'new_message', message);
+};
+
+// Send an event to every socket of one user
+const emitToUser = (userId, eventName, payload) => {
+  if (!io) return;
+  io.to(getUserRoom(userId)).emit(eventName, payload);
+};
+
+const notifyAdmins = (eventName, payload) => {
+  if (!io) return;
+  io.to(ADMIN_ROOM).emit(eventName, payload);
+};
+
+// Tell the user about a new mute/ban; a ban also takes them out of the affected channel
+// rooms, and a chat-wide ban out of every call they are in
+const applyRestriction = async (restriction) => {
+  if (!io) return;
+
+  emitToUser(restriction.userId, 'chat_restricted', restriction);
+  if (restriction.type !== 'ban') return;
+
+  const userRoom = io.in(getUserRoom(restriction.userId));
+  if (restriction.channelId) {
+    userRoom.socketsLeave(CommunityChannel.getRoomName(restriction.channelId));
+    return;
+  }
+
+  // Chat-wide ban: fetchSockets also returns the user's sockets on other instances
+  const userSockets = await userRoom.fetchSockets();
+  for (const userSocket of userSockets) {
+    const rooms = Array.from(userSocket.rooms);
+    rooms
+      .filter(room => room.startsWith('channel_'))
+      .forEach(room => userSocket.leave(room));
+
+    // The instance holding the socket stops refreshing a call once it left the room
+    for (const callId of rooms.filter(isCallRoom)) {
+      userSocket.leave(callId);
+      await callRegistry.removeParticipant(callId, userSocket.id);
+      io.to(callId).emit('user_left_call', { userName: userSocket.data.user?.userName, socketId: userSocket.id });
+      io.to(callId).emit('call_participants_update', { callId, participants: await callRegistry.getParticipants(callId) });
+    }
+  }
+};
+
+// Take every socket of a user out of a channel room (left, removed by admin)
+const removeUserFromChannel = (userId, channel, reason) => {
+  if (!io) return;
+
+  const userRoom = getUserRoom(userId);
+  io.in(userRoom).socketsLeave(CommunityChannel.getRoomName(channel._id));
+  io.to(userRoom).emit('channel_removed', { channelId: channel._id.toString(), reason });
+};
+
+// Notify and empty a channel room once the channel is archived
+const closeChannel = (channel) => {
+  if (!io) return;
+
+  const room = CommunityChannel.getRoomName(channel._id);
+  io.to(room).emit('channel_archived', { channelId: channel._id.toString(), name: channel.name });
+  io.socketsLeave(room);
+};
+
 const getIo = () => {
   if (!io) {
     throw new Error('Socket.io not initialized');
@@ -396,6 +937,14 @@ const getIo = () => {
 };
 
 module.exports = {
-  initializeSocket,
-  getIo
+  initializeSocket,
+  getIo,
+  onEvent,
+  broadcastMessage,
+  emitToMessageRooms,
+  notifyAdmins,
+  applyRestriction,
+  emitToUser,
+  removeUserFromChannel,
+  closeChannel
 };
\ No newline at end of file
@@ -0,0 +1,56 @@
+// travel-tour-backend/test/apiError.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ApiError, sendError } = require('../services/apiError');
+const { GoogleAuthError } = require('../services/googleTokenVerifier');
+const { SessionError } = require('../services/sessionService');
+const { QuizError } = require('../services/quizService');
+
+// Just enough of an Express response to see what was sent
+const createFakeResponse = () => {
+  const res = {
+    statusCode: null,
+    body: null,
+    status: (code) => {
+      res.statusCode = code;
+      return res;
+    },
+    json: (body) => {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+};
+
+test('service errors are ApiErrors with their own name and default status', () => {
+  const googleError = new GoogleAuthError('Invalid Google credential', 'INVALID_GOOGLE_TOKEN');
+  assert.ok(googleError instanceof ApiError);
+  assert.equal(googleError.name, 'GoogleAuthError');
+  assert.equal(googleError.status, 401);
+  assert.equal(new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN').status, 401);
+  assert.equal(new QuizError('Quiz not found', 'QUIZ_NOT_FOUND', 404).status, 404);
+  assert.equal(new QuizError('Bad input', 'INVALID').status, 400);
+});
+
+test('sendError answers an ApiError with its status, code and details', () => {
+  const res = createFakeResponse();
+  sendError(res, new QuizError('No attempts left', 'ATTEMPT_LIMIT_REACHED', 403, { retake: { canStart: false } }), 'Error starting quiz');
+
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(res.body, {
+    success: false,
+    message: 'No attempts left',
+    code: 'ATTEMPT_LIMIT_REACHED',
+    retake: { canStart: false }
+  });
+});
+
+test('sendError hides the message of unexpected errors', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const res = createFakeResponse();
+  sendError(res, new Error('E11000 duplicate key error collection: users'), 'Error starting quiz');
+
+  assert.equal(res.statusCode, 500);
+  assert.deepEqual(res.body, { success: false, message: 'Error starting quiz' });
+});
@@ -0,0 +1,132 @@
+// travel-tour-backend/test/assessmentResultMigration.test.js
+process.env.STATE_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AssessmentResult = require('../models/AssessmentResult');
+const QuizAttempt = require('../models/QuizAttempt');
+const { migrateLegacyResults } = require('../services/assessmentResultService');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const quizResultId = new mongoose.Types.ObjectId();
+const courseResultId = new mongoose.Types.ObjectId();
+const brokenResultId = new mongoose.Types.ObjectId();
+const attemptId = new mongoose.Types.ObjectId();
+
+const LEGACY_DOCUMENTS = {
+  quiz_results: [{
+    _id: quizResultId,
+    userId: new mongoose.Types.ObjectId(),
+    userName: 'student',
+    destination: 'paris',
+    score: 1,
+    totalQuestions: 2,
+    percentage: 50,
+    answers: [
+      { questionId: 'q1', options: ['Seine', 'Thames'], selectedAnswer: 0, selectedOption: 'Seine', correctAnswer: 0, isCorrect: true },
+      { questionId: 'q2', options: ['1889', '1920'], selectedAnswer: null, correctAnswer: 0, isCorrect: false }
+    ],
+    createdAt: new Date('2024-03-01T10:00:00Z')
+  }],
+  course_results: [{
+    _id: courseResultId,
+    userId: 'legacy-client-user',
+    userName: 'student',
+    courseType: 'masterclass',
+    questionSetId: 'set-1',
+    score: 5,
+    totalQuestions: 1,
+    percentage: 100,
+    answers: [{ questionId: 'q3', options: ['A', 'B'], selectedOption: 1, selectedAnswer: 'B', isCorrect: true }],
+    createdAt: new Date('2024-03-02T10:00:00Z')
+  }, {
+    // No score: can't be migrated and is reported every run
+    _id: brokenResultId,
+    userName: 'student',
+    totalQuestions: 1,
+    percentage: 0
+  }]
+};
+
+// Stand-ins for the legacy collections, assessment_results and quiz attempts
+const createFakeDatabase = (t) => {
+  const stored = new Map();
+  const attempts = [{ _id: attemptId, resultId: quizResultId, resultModel: 'QuizResult' }];
+
+  const originalDb = mongoose.connection.db;
+  mongoose.connection.db = {
+    listCollections: ({ name }) => ({ hasNext: async () => Boolean(LEGACY_DOCUMENTS[name]) }),
+    collection: (name) => ({ find: () => LEGACY_DOCUMENTS[name] })
+  };
+  t.after(() => { mongoose.connection.db = originalDb; });
+
+  t.mock.method(QuizAttempt, 'find', (query) => {
+    const ids = query.resultId.$in.map(String);
+    const found = attempts.filter(attempt => ids.includes(String(attempt.resultId)));
+    return { select: () => ({ lean: async () => found }) };
+  });
+  t.mock.method(QuizAttempt, 'updateMany', async (query, update) => {
+    const relinked = attempts.filter(attempt => query.resultModel.$in.includes(attempt.resultModel));
+    relinked.forEach(attempt => { attempt.resultModel = update.$set.resultModel; });
+    return { modifiedCount: relinked.length };
+  });
+  t.mock.method(AssessmentResult.collection, 'bulkWrite', async (operations) => {
+    let upsertedCount = 0;
+    let matchedCount = 0;
+    operations.forEach(({ updateOne: { filter, update } }) => {
+      const key = String(filter._id);
+      if (stored.has(key)) {
+        matchedCount++;
+        return;
+      }
+      stored.set(key, { _id: filter._id, ...update.$setOnInsert });
+      upsertedCount++;
+    });
+    return { upsertedCount, matchedCount };
+  });
+
+  return { stored, attempts };
+};
+
+test('migrateLegacyResults copies legacy results keeping their ids', async (t) => {
+  const { stored, attempts } = createFakeDatabase(t);
+  const report = await migrateLegacyResults();
+
+  assert.equal(report.quiz_results.migrated, 1);
+  assert.equal(report.course_results.migrated, 1);
+  assert.deepEqual(report.course_results.failed.map(failure => failure.id), [brokenResultId]);
+  assert.equal(report.attemptsRelinked, 1);
+
+  const quizResult = stored.get(String(quizResultId));
+  assert.equal(quizResult.assessmentType, 'destination');
+  assert.equal(quizResult.maxScore, 2);
+  assert.equal(quizResult.source, 'attempt');
+  assert.equal(String(quizResult.attemptId), String(attemptId));
+  assert.deepEqual(quizResult.answers.map(answer => answer.responseText), ['Seine', 'No answer']);
+
+  const courseResult = stored.get(String(courseResultId));
+  assert.equal(courseResult.assessmentType, 'masterclass');
+  assert.equal(courseResult.userId, null);
+  assert.equal(courseResult.externalUserId, 'legacy-client-user');
+  assert.equal(courseResult.maxScore, 5);
+  assert.equal(courseResult.source, 'submission');
+  assert.equal(attempts[0].resultModel, 'AssessmentResult');
+});
+
+test('migrateLegacyResults is safe to run twice', async (t) => {
+  const { stored } = createFakeDatabase(t);
+  await migrateLegacyResults();
+  const afterFirstRun = JSON.stringify([...stored.entries()]);
+
+  const report = await migrateLegacyResults();
+
+  assert.deepEqual(report.quiz_results, { migrated: 0, alreadyMigrated: 1, failed: [] });
+  assert.equal(report.course_results.migrated, 0);
+  assert.equal(report.course_results.alreadyMigrated, 1);
+  assert.equal(report.course_results.failed.length, 1);
+  assert.equal(report.attemptsRelinked, 0);
+  assert.equal(JSON.stringify([...stored.entries()]), afterFirstRun);
+});
@@ -0,0 +1,166 @@
+// travel-tour-backend/test/certificates.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Certificate = require('../models/Certificate');
+const AssessmentResult = require('../models/AssessmentResult');
+const User = require('../models/User');
+const {
+  generateCertificateId,
+  issueForCompletion,
+  getCertificateForUser,
+  verifyCertificate,
+  revokeCertificate,
+  reissueCertificate,
+  renderPdf
+} = require('../services/certificateService');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const admin = { _id: new mongoose.Types.ObjectId(), username: 'admin', role: 'admin' };
+const student = { _id: new mongoose.Types.ObjectId(), username: 'ada', role: 'student', profile: { firstName: 'Ada', lastName: 'Obi' } };
+const course = { _id: new mongoose.Types.ObjectId(), title: 'Schengen visas', courseType: 'general' };
+
+const duplicateKey = (keyPattern) => Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyPattern });
+
+const createCertificate = (fields = {}) => new Certificate({
+  certificateId: 'CA-ABCD-EFGH-JKLM',
+  userId: student._id,
+  recipientName: 'Ada Obi',
+  courseId: course._id,
+  courseTitle: course.title,
+  courseType: 'general',
+  score: 88,
+  completedAt: new Date('2026-03-01'),
+  ...fields
+});
+
+// Certificate.findOne finds the given certificate by its ID; saves are kept in memory
+const mockCertificate = (t, certificate) => {
+  t.mock.method(certificate, 'save', async () => certificate);
+  return t.mock.method(Certificate, 'findOne', async (query) => (
+    query.certificateId === certificate.certificateId ? certificate : null
+  ));
+};
+
+const mockStudent = (t) => t.mock.method(User, 'findById', () => ({ select: () => ({ lean: async () => student }) }));
+
+test('certificate IDs avoid characters that are easy to misread', () => {
+  for (let i = 0; i < 50; i++) {
+    assert.match(generateCertificateId(), /^CA-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+  }
+});
+
+test('completing a course issues one certificate with the best score on each quiz', async (t) => {
+  mockStudent(t);
+  const findActive = t.mock.method(Certificate, 'findOne', async () => null);
+  const aggregate = t.mock.method(AssessmentResult, 'aggregate', async () => [{ best: 80 }, { best: 95 }]);
+  const create = t.mock.method(Certificate, 'create', async (fields) => new Certificate(fields));
+
+  const certificate = await issueForCompletion({ userId: student._id, course, questionSetIds: ['set-1', 'set-2'] });
+
+  assert.equal(certificate.recipientName, 'Ada Obi');
+  assert.equal(certificate.score, 88);
+  assert.deepEqual(aggregate.mock.calls[0].arguments[0][0].$match.questionSetId, { $in: ['set-1', 'set-2'] });
+  assert.equal(create.mock.callCount(), 1);
+
+  // Already holding an active one: nothing new is issued
+  findActive.mock.mockImplementation(async () => certificate);
+  assert.equal(await issueForCompletion({ userId: student._id, course }), certificate);
+  assert.equal(create.mock.callCount(), 1);
+});
+
+test('an ID clash is retried and a lost race returns the winner\'s certificate', async (t) => {
+  mockStudent(t);
+  const winner = createCertificate();
+  let lookups = 0;
+  t.mock.method(Certificate, 'findOne', async () => (lookups++ === 0 ? null : winner));
+  const ids = [];
+  t.mock.method(Certificate, 'create', async (fields) => {
+    ids.push(fields.certificateId);
+    throw ids.length === 1 ? duplicateKey({ certificateId: 1 }) : duplicateKey({ userId: 1, courseId: 1 });
+  });
+
+  assert.equal(await issueForCompletion({ userId: student._id, course }), winner);
+  assert.equal(ids.length, 2);
+  assert.notEqual(ids[0], ids[1]);
+});
+
+test('verification is public but shows only what is printed on the certificate', async (t) => {
+  const certificate = createCertificate();
+  mockCertificate(t, certificate);
+
+  const verified = await verifyCertificate(' ca-abcd-efgh-jklm ');
+  assert.equal(verified.valid, true);
+  assert.equal(verified.recipientName, 'Ada Obi');
+  assert.equal('userId' in verified, false);
+
+  await assert.rejects(verifyCertificate('CA-0000-0000-0000'), { code: 'CERTIFICATE_NOT_FOUND', status: 404 });
+});
+
+test('students can only download their own certificates', async (t) => {
+  const certificate = createCertificate();
+  mockCertificate(t, certificate);
+  const other = { _id: new mongoose.Types.ObjectId(), role: 'student' };
+
+  assert.equal(await getCertificateForUser(certificate.certificateId, student), certificate);
+  assert.equal(await getCertificateForUser(certificate.certificateId, admin), certificate);
+  await assert.rejects(getCertificateForUser(certificate.certificateId, other), { code: 'CERTIFICATE_FORBIDDEN', status: 403 });
+});
+
+test('revoking needs a reason and makes verification fail', async (t) => {
+  const certificate = createCertificate();
+  mockCertificate(t, certificate);
+
+  await assert.rejects(revokeCertificate(admin, certificate.certificateId, {}), { code: 'REASON_REQUIRED' });
+  await revokeCertificate(admin, certificate.certificateId, { reason: 'Result annulled' });
+
+  const verified = await verifyCertificate(certificate.certificateId);
+  assert.deepEqual([verified.valid, verified.status], [false, 'revoked']);
+  await assert.rejects(revokeCertificate(admin, certificate.certificateId, { reason: 'Again' }), { code: 'CERTIFICATE_NOT_ACTIVE', status: 409 });
+});
+
+test('reissuing supersedes the original and links it to the new ID', async (t) => {
+  mockStudent(t);
+  const original = createCertificate();
+  mockCertificate(t, original);
+  t.mock.method(Certificate, 'exists', async () => null);
+  const update = t.mock.method(Certificate, 'updateOne', async () => ({ modifiedCount: 1 }));
+  t.mock.method(Certificate, 'create', async (fields) => new Certificate(fields));
+
+  const { certificate } = await reissueCertificate(admin, original.certificateId, { recipientName: 'Ada N. Obi' });
+
+  assert.equal(certificate.recipientName, 'Ada N. Obi');
+  assert.equal(certificate.reissuedFrom, original.certificateId);
+  assert.equal(certificate.score, 88);
+  assert.deepEqual(update.mock.calls[0].arguments[0], { _id: original._id, status: 'active' });
+  assert.equal(original.status, 'superseded');
+  assert.equal(original.replacedBy, certificate.certificateId);
+
+  await assert.rejects(reissueCertificate(admin, original.certificateId), { code: 'CERTIFICATE_SUPERSEDED', status: 409 });
+});
+
+test('a reissue that cannot be saved gives the original back its active status', async (t) => {
+  mockStudent(t);
+  const original = createCertificate();
+  mockCertificate(t, original);
+  t.mock.method(Certificate, 'exists', async () => null);
+  const update = t.mock.method(Certificate, 'updateOne', async () => ({ modifiedCount: 1 }));
+  t.mock.method(Certificate, 'create', async () => { throw duplicateKey({ userId: 1, courseId: 1 }); });
+
+  await assert.rejects(reissueCertificate(admin, original.certificateId), { code: 'CERTIFICATE_ACTIVE_EXISTS', status: 409 });
+  assert.deepEqual(update.mock.calls[1].arguments, [{ _id: original._id, status: 'superseded' }, { $set: { status: 'active' } }]);
+  assert.equal(original.status, 'active');
+});
+
+test('the PDF is rendered on the server', async () => {
+  const pdf = await renderPdf(createCertificate(), { verifyUrl: 'https://example.com/api/certificates/CA-ABCD-EFGH-JKLM/verify' });
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.ok(pdf.length > 1000);
+});
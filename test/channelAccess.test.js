@@ -0,0 +1,122 @@
+// travel-tour-backend/test/channelAccess.test.js
+process.env.STATE_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const CommunityChannel = require('../models/CommunityChannel');
+const ChannelMembership = require('../models/ChannelMembership');
+const ChatRestriction = require('../models/ChatRestriction');
+const { canAccessChannel } = require('../services/channelService');
+const { initializeSocket } = require('../socket');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const inAYear = () => new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+
+const createStudent = (masterclassAccess = []) => new User({
+  username: 'student',
+  email: 'student@example.com',
+  password: 'secret123',
+  role: 'student',
+  active: true,
+  masterclassAccess
+});
+
+const createChannel = (fields) => new CommunityChannel({ name: fields.slug, ...fields });
+
+test('open channels are for everyone, invite-only channels for invited users', () => {
+  const student = createStudent();
+  const open = createChannel({ slug: 'open', access: 'open' });
+  const inviteOnly = createChannel({ slug: 'team', access: 'invite_only' });
+
+  assert.equal(canAccessChannel(open, student), true);
+  assert.equal(canAccessChannel(inviteOnly, student), false);
+
+  inviteOnly.invitedUsers.push(student._id);
+  assert.equal(canAccessChannel(inviteOnly, student), true);
+});
+
+test('masterclass channels need active access to a listed course', () => {
+  const courseId = new mongoose.Types.ObjectId();
+  const channel = createChannel({ slug: 'masterclass', access: 'masterclass', masterclassCourseIds: [courseId] });
+  const access = { courseId, courseType: 'document', accessCode: 'CODE', isActive: true, expiresAt: inAYear() };
+
+  assert.equal(canAccessChannel(channel, createStudent([access])), true);
+  assert.equal(canAccessChannel(channel, createStudent([{ ...access, expiresAt: new Date(Date.now() - 1000) }])), false);
+  assert.equal(canAccessChannel(channel, createStudent([{ ...access, courseId: new mongoose.Types.ObjectId() }])), false);
+  assert.equal(canAccessChannel(channel, createStudent()), false);
+});
+
+test('archived channels are closed to students but not to admins', () => {
+  const channel = createChannel({ slug: 'old', access: 'open', isArchived: true });
+  assert.equal(canAccessChannel(channel, createStudent()), false);
+  assert.equal(canAccessChannel(channel, { role: 'admin' }), true);
+});
+
+test('a connecting socket only joins member channels the user may still read', async (t) => {
+  const student = createStudent();
+  const general = createChannel({ slug: 'general', access: 'open', isDefault: true });
+  const channels = {
+    open: createChannel({ slug: 'open', access: 'open' }),
+    invited: createChannel({ slug: 'invited', access: 'invite_only', invitedUsers: [student._id] }),
+    inviteRevoked: createChannel({ slug: 'revoked', access: 'invite_only' }),
+    accessExpired: createChannel({ slug: 'masterclass', access: 'masterclass' }),
+    archived: createChannel({ slug: 'archived', access: 'open', isArchived: true }),
+    banned: createChannel({ slug: 'banned', access: 'open' })
+  };
+  const allChannels = [general, ...Object.values(channels)];
+
+  t.mock.method(User, 'findById', async () => student);
+  t.mock.method(CommunityChannel, 'findOne', async () => general);
+  t.mock.method(CommunityChannel, 'findById', async (id) => allChannels.find(channel => channel._id.equals(id)));
+  t.mock.method(CommunityChannel, 'find', async (query) => allChannels.filter(channel =>
+    query._id.$in.some(id => channel._id.equals(id)) && channel.isArchived === query.isArchived
+  ));
+  t.mock.method(ChannelMembership, 'findOneAndUpdate', async () => ({}));
+  t.mock.method(ChannelMembership, 'find', () => ({
+    select: () => ({ lean: async () => allChannels.map(channel => ({ channelId: channel._id })) })
+  }));
+  t.mock.method(ChatRestriction, 'find', () => ({
+    lean: async () => [{ userId: student._id, type: 'ban', channelId: channels.banned._id }]
+  }));
+
+  const io = initializeSocket(http.createServer());
+  const socket = {
+    id: 'socket_channels',
+    data: { user: { userId: student._id.toString(), userName: 'student', role: 'student' } },
+    rooms: new Set(),
+    handshake: { auth: {}, query: {}, headers: {} },
+    handlers: new Map(),
+    on: (eventName, handler) => socket.handlers.set(eventName, handler),
+    emit: () => {},
+    join: (room) => socket.rooms.add(room),
+    leave: (room) => socket.rooms.delete(room),
+    to: () => ({ emit: () => {} }),
+    broadcast: { emit: () => {} },
+    disconnect: () => {}
+  };
+  io.sockets.listeners('connection')[0](socket);
+  t.after(async () => {
+    await socket.handlers.get('disconnect')();
+    io.close();
+  });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  const joined = (channel) => socket.rooms.has(CommunityChannel.getRoomName(channel._id));
+  assert.equal(joined(general), true);
+  assert.equal(joined(channels.open), true);
+  assert.equal(joined(channels.invited), true);
+  assert.equal(joined(channels.inviteRevoked), false);
+  assert.equal(joined(channels.accessExpired), false);
+  assert.equal(joined(channels.archived), false);
+  assert.equal(joined(channels.banned), false);
+});
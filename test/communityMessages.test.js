@@ -0,0 +1,119 @@
+// travel-tour-backend/test/communityMessages.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const CommunityMessage = require('../models/CommunityMessage');
+const {
+  DEFAULT_CALL_ID,
+  buildChannelFilter,
+  formatMessage,
+  saveMessage,
+  getMessagePage
+} = require('../services/communityMessageService');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+// Ten messages, oldest first, each with an increasing id
+const history = Array.from({ length: 10 }, (value, index) => ({
+  _id: new mongoose.Types.ObjectId(Math.floor(Date.now() / 1000) + index, 0),
+  sender: 'student',
+  senderId: 'user-1',
+  text: `message ${index}`,
+  timestamp: new Date(),
+  callId: DEFAULT_CALL_ID,
+  channelId: null
+}));
+
+// CommunityMessage.find(filter).sort().limit().lean() over the history above
+const mockFind = (t) => t.mock.method(CommunityMessage, 'find', (filter) => {
+  let direction = 1;
+  let limit = Infinity;
+  const query = {
+    sort: (sort) => { direction = sort._id; return query; },
+    limit: (value) => { limit = value; return query; },
+    lean: async () => history
+      .filter(message => !filter._id?.$lt || message._id.toString() < filter._id.$lt.toString())
+      .filter(message => !filter._id?.$gt || message._id.toString() > filter._id.$gt.toString())
+      .sort((a, b) => direction * a._id.toString().localeCompare(b._id.toString()))
+      .slice(0, limit)
+  };
+  return query;
+});
+
+test('the latest page comes back oldest first with cursors at both ends', async (t) => {
+  mockFind(t);
+  const page = await getMessagePage({ limit: 3 });
+
+  assert.deepEqual(page.messages.map(message => message.text), ['message 7', 'message 8', 'message 9']);
+  assert.equal(page.hasMore, true);
+  assert.equal(page.cursors.before, history[7]._id.toString());
+  assert.equal(page.cursors.after, history[9]._id.toString());
+});
+
+test('before walks back through older messages until there are none left', async (t) => {
+  mockFind(t);
+  const older = await getMessagePage({ before: history[3]._id.toString(), limit: 5 });
+  assert.deepEqual(older.messages.map(message => message.text), ['message 0', 'message 1', 'message 2']);
+  assert.equal(older.hasMore, false);
+});
+
+test('after returns what a reconnecting client missed, oldest first', async (t) => {
+  const find = mockFind(t);
+  const missed = await getMessagePage({ after: history[6]._id.toString(), limit: 2 });
+  assert.deepEqual(missed.messages.map(message => message.text), ['message 7', 'message 8']);
+  assert.equal(missed.hasMore, true);
+  assert.deepEqual(find.mock.calls[0].arguments[0], {
+    channelId: null,
+    callId: { $in: [DEFAULT_CALL_ID, null] },
+    _id: { $gt: history[6]._id.toString() }
+  });
+});
+
+test('a malformed cursor is a client error and never reaches the database', async (t) => {
+  const find = mockFind(t);
+  await assert.rejects(getMessagePage({ before: 'not-an-id' }), { code: 'INVALID_CURSOR', status: 400 });
+  await assert.rejects(getMessagePage({ after: { $gt: '' } }), { code: 'INVALID_CURSOR' });
+  assert.equal(find.mock.callCount(), 0);
+});
+
+test('page sizes fall back to 50 and are capped at 100', async (t) => {
+  const find = mockFind(t);
+  let limit = null;
+  find.mock.mockImplementation(() => {
+    const query = {
+      sort: () => query,
+      limit: (value) => { limit = value; return query; },
+      lean: async () => []
+    };
+    return query;
+  });
+
+  await getMessagePage({ limit: 'lots' });
+  assert.equal(limit, 51);
+  await getMessagePage({ limit: 5000 });
+  assert.equal(limit, 101);
+});
+
+test('the default channel also reads the chat from before channels existed', () => {
+  const general = { _id: new mongoose.Types.ObjectId(), isDefault: true };
+  const other = { _id: new mongoose.Types.ObjectId(), isDefault: false };
+
+  assert.deepEqual(buildChannelFilter(general).$or[1], { channelId: null, callId: { $in: [DEFAULT_CALL_ID, null] } });
+  assert.deepEqual(buildChannelFilter(other), { channelId: other._id });
+});
+
+test('saved messages take the sender from the authenticated user and deleted ones lose their text', async (t) => {
+  t.mock.method(CommunityMessage.prototype, 'save', async function () { return this; });
+
+  const message = await saveMessage(
+    { userId: 'user-1', userName: 'student', role: 'student' },
+    { text: '  hello  ' }
+  );
+  assert.equal(message.text, 'hello');
+  assert.equal(message.userId, 'user-1');
+  assert.equal(message.callId, DEFAULT_CALL_ID);
+  assert.equal(message.isAdmin, false);
+
+  assert.equal(formatMessage({ ...history[0], deletedAt: new Date() }).text, '');
+});
@@ -0,0 +1,34 @@
+// travel-tour-backend/test/courseRevisionService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffLines } = require('../services/courseRevisionService');
+
+test('diffLines marks unchanged text as equal', () => {
+  assert.deepEqual(diffLines(['a', 'b'], ['a', 'b']), [
+    { op: 'equal', text: 'a' },
+    { op: 'equal', text: 'b' }
+  ]);
+  assert.deepEqual(diffLines([], []), []);
+});
+
+test('diffLines finds inserted and deleted lines between a common start and end', () => {
+  assert.deepEqual(diffLines(['intro', 'old', 'outro'], ['intro', 'new', 'extra', 'outro']), [
+    { op: 'equal', text: 'intro' },
+    { op: 'delete', text: 'old' },
+    { op: 'insert', text: 'new' },
+    { op: 'insert', text: 'extra' },
+    { op: 'equal', text: 'outro' }
+  ]);
+});
+
+test('diffLines keeps lines shared in the middle of a change', () => {
+  const ops = diffLines(['a', 'b', 'c', 'd'], ['x', 'b', 'c', 'y']);
+  assert.deepEqual(ops.filter(entry => entry.op === 'equal').map(entry => entry.text), ['b', 'c']);
+  assert.deepEqual(ops.filter(entry => entry.op !== 'insert').map(entry => entry.text), ['a', 'b', 'c', 'd']);
+  assert.deepEqual(ops.filter(entry => entry.op !== 'delete').map(entry => entry.text), ['x', 'b', 'c', 'y']);
+});
+
+test('diffLines handles text added to or removed from an empty revision', () => {
+  assert.deepEqual(diffLines([], ['new']), [{ op: 'insert', text: 'new' }]);
+  assert.deepEqual(diffLines(['gone'], []), [{ op: 'delete', text: 'gone' }]);
+});
@@ -0,0 +1,122 @@
+// travel-tour-backend/test/emailVerification.test.js
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { requireVerifiedEmail } = require('../routes/auth');
+const {
+  isVerificationRequired,
+  assertEmailVerified,
+  createVerificationToken,
+  decodeVerificationToken
+} = require('../services/emailVerificationService');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const createFakeResponse = () => {
+  const res = {
+    statusCode: null,
+    body: null,
+    status: (code) => {
+      res.statusCode = code;
+      return res;
+    },
+    json: (body) => {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+};
+
+const student = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  email: 'student@example.com',
+  role: 'student',
+  emailVerified: false,
+  ...fields
+});
+
+// Run the middleware and report whether it let the request through
+const run = async (feature, req) => {
+  const res = createFakeResponse();
+  let passed = false;
+  await requireVerifiedEmail(feature)({ header: () => undefined, body: {}, ...req }, res, () => { passed = true; });
+  return { passed, res };
+};
+
+// Each test sets the policy it needs
+const withPolicy = (t, value) => {
+  const previous = process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+  process.env.EMAIL_VERIFICATION_REQUIRED_FOR = value;
+  t.after(() => {
+    if (previous === undefined) delete process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+    else process.env.EMAIL_VERIFICATION_REQUIRED_FOR = previous;
+  });
+};
+
+test('the policy lists the features that need a verified email', (t) => {
+  withPolicy(t, 'masterclass');
+  assert.equal(isVerificationRequired('masterclass'), true);
+  assert.equal(isVerificationRequired('messaging'), false);
+
+  process.env.EMAIL_VERIFICATION_REQUIRED_FOR = 'none';
+  assert.equal(isVerificationRequired('masterclass'), false);
+});
+
+test('assertEmailVerified only lets unverified students use features the policy leaves open', (t) => {
+  withPolicy(t, 'messaging');
+  assert.throws(() => assertEmailVerified(student(), 'messaging'), { code: 'EMAIL_NOT_VERIFIED', status: 403 });
+  assert.doesNotThrow(() => assertEmailVerified(student(), 'masterclass'));
+  assert.doesNotThrow(() => assertEmailVerified(student({ emailVerified: true }), 'messaging'));
+  assert.doesNotThrow(() => assertEmailVerified(student({ role: 'admin' }), 'messaging'));
+});
+
+test('requireVerifiedEmail still authenticates when the feature needs no verification', async (t) => {
+  withPolicy(t, 'none');
+  const { passed, res } = await run('masterclass', {});
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+});
+
+test('requireVerifiedEmail blocks unverified users from a gated feature', async (t) => {
+  withPolicy(t, 'masterclass,messaging');
+  const { passed, res } = await run('masterclass', { user: student() });
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.code, 'EMAIL_NOT_VERIFIED');
+
+  assert.equal((await run('masterclass', { user: student({ emailVerified: true }) })).passed, true);
+  assert.equal((await run('masterclass', { user: student({ role: 'admin' }) })).passed, true);
+});
+
+test('requireVerifiedEmail lets unverified users through when the feature is not gated', async (t) => {
+  withPolicy(t, 'none');
+  assert.equal((await run('masterclass', { user: student() })).passed, true);
+});
+
+test('requireVerifiedEmail refuses a userEmail other than the signed-in user\'s', async (t) => {
+  withPolicy(t, 'none');
+  const { passed, res } = await run('masterclass', {
+    user: student({ emailVerified: true }),
+    body: { userEmail: 'someone.else@example.com' }
+  });
+  assert.equal(passed, false);
+  assert.equal(res.body.code, 'EMAIL_MISMATCH');
+
+  const own = await run('masterclass', { user: student(), body: { userEmail: ' Student@Example.com ' } });
+  assert.equal(own.passed, true);
+});
+
+test('verification tokens are not access tokens and access tokens are not verification tokens', () => {
+  const user = student();
+  const verificationToken = createVerificationToken(user);
+  assert.equal(decodeVerificationToken(verificationToken).email, user.email);
+  assert.throws(() => jwt.verify(verificationToken, process.env.JWT_SECRET));
+
+  const accessToken = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+  assert.equal(decodeVerificationToken(accessToken), null);
+});
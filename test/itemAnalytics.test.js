@@ -0,0 +1,125 @@
+// travel-tour-backend/test/itemAnalytics.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const AssessmentResult = require('../models/AssessmentResult');
+const Question = require('../models/Question');
+const QuestionSet = require('../models/QuestionSet');
+const { analyzeQuestionSet } = require('../services/itemAnalyticsService');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const capital = new Question({ questionText: 'Capital of Portugal?', options: ['Lisbon', 'Porto', 'Faro'], correctAnswer: 1 });
+const visa = new Question({ questionText: 'Schengen stay limit?', options: ['90 days', '30 days', '1 year'], correctAnswer: 0 });
+const questionSet = new QuestionSet({ title: 'Europe basics', courseType: 'general', questionIds: [capital._id, visa._id] });
+const archivedId = new mongoose.Types.ObjectId().toString();
+
+// What the aggregation returns for 40 results (groups of 11): the key of the capital
+// question says Porto, but the top group picks Lisbon
+const questionStats = (id, fields) => ({
+  _id: id,
+  type: 'single_choice',
+  upperCount: 11,
+  lowerCount: 11,
+  timeCount: 40,
+  timeReported: 40,
+  ...fields
+});
+
+const facets = {
+  summary: [{ resultCount: 40, groupSize: 11 }],
+  questions: [
+    questionStats(capital._id.toString(), {
+      responses: 40, answered: 40, correct: 12, creditSum: 12,
+      upperCredit: 1, lowerCredit: 6, timeSum: 800
+    }),
+    questionStats(visa._id.toString(), {
+      responses: 40, answered: 40, correct: 30, creditSum: 30,
+      upperCredit: 11, lowerCredit: 4, timeSum: 400
+    }),
+    questionStats(archivedId, { questionText: 'Old question', responses: 3, correct: 3, creditSum: 3, timeSum: 30, timeReported: 0 })
+  ],
+  options: [
+    { _id: { questionId: capital._id.toString(), option: 'Lisbon' }, picks: 27, upperPicks: 10, lowerPicks: 4 },
+    { _id: { questionId: capital._id.toString(), option: 'Porto' }, picks: 12, upperPicks: 1, lowerPicks: 6 },
+    { _id: { questionId: capital._id.toString(), option: 'Faro' }, picks: 1, upperPicks: 0, lowerPicks: 1 },
+    { _id: { questionId: visa._id.toString(), option: '90 days' }, picks: 30, upperPicks: 11, lowerPicks: 4 },
+    { _id: { questionId: visa._id.toString(), option: '30 days' }, picks: 10, upperPicks: 0, lowerPicks: 7 }
+  ],
+  keys: [
+    { _id: { questionId: capital._id.toString(), option: 'Porto' } },
+    { _id: { questionId: visa._id.toString(), option: '90 days' } }
+  ]
+};
+
+// The set's questions are live; the question only found in results no longer exists
+const mockSet = (t) => {
+  t.mock.method(QuestionSet, 'findById', async () => questionSet);
+  t.mock.method(Question, 'find', async (query) => [capital, visa].filter(question => (
+    query._id.$in.some(id => id.toString() === question._id.toString())
+  )));
+  return t.mock.method(AssessmentResult, 'aggregate', async () => [facets]);
+};
+
+test('the aggregation runs over the set\'s results in the requested date range', async (t) => {
+  const aggregate = mockSet(t);
+  await analyzeQuestionSet(questionSet._id.toString(), { from: '2026-01-01', to: '2026-06-30' });
+
+  const [match, project, ranking] = aggregate.mock.calls[0].arguments[0];
+  assert.deepEqual(match.$match, {
+    questionSetId: questionSet._id.toString(),
+    submittedAt: { $gte: new Date('2026-01-01'), $lte: new Date('2026-06-30') }
+  });
+  assert.ok(project.$project.answers);
+  assert.deepEqual(ranking.$setWindowFields.sortBy, { percentage: -1 });
+
+  await assert.rejects(analyzeQuestionSet(questionSet._id.toString(), { from: 'yesterday' }), { code: 'INVALID_DATE', status: 400 });
+});
+
+test('each question gets its difficulty, discrimination, distractors and time', async (t) => {
+  mockSet(t);
+  const report = await analyzeQuestionSet(questionSet._id.toString());
+  const [, visaItem] = report.questions;
+
+  assert.equal(report.resultsAnalysed, 40);
+  assert.equal(visaItem.difficulty, 75);
+  assert.equal(visaItem.discrimination, 0.64);
+  assert.equal(visaItem.averageTimeSeconds, 10);
+  assert.equal(visaItem.timeSource, 'reported');
+  assert.deepEqual(visaItem.distractors.map(row => [row.option, row.picks, row.isCorrect]), [
+    ['90 days', 30, true],
+    ['30 days', 10, false],
+    ['1 year', 0, false]
+  ]);
+  assert.deepEqual(visaItem.flags.map(flag => flag.code), ['UNUSED_DISTRACTOR']);
+});
+
+test('a key the high scorers disagree with is flagged', async (t) => {
+  mockSet(t);
+  const report = await analyzeQuestionSet(questionSet._id.toString());
+  const [capitalItem] = report.questions;
+
+  assert.deepEqual(capitalItem.flags.map(flag => flag.code), ['KEY_SUSPECT', 'NEGATIVE_DISCRIMINATION', 'UNUSED_DISTRACTOR']);
+  assert.match(capitalItem.flags[0].message, /Lisbon/);
+  assert.equal(report.questionsFlagged, 2);
+});
+
+test('questions only found in results come last and are not flagged on a few responses', async (t) => {
+  mockSet(t);
+  const report = await analyzeQuestionSet(questionSet._id.toString());
+
+  assert.deepEqual(report.questions.map(question => question.questionId), [
+    capital._id.toString(), visa._id.toString(), archivedId
+  ]);
+  const old = report.questions[2];
+  assert.equal(old.questionText, 'Old question');
+  assert.equal(old.difficulty, 100);
+  assert.equal(old.timeSource, 'estimated');
+  assert.deepEqual(old.flags, []);
+});
@@ -0,0 +1,151 @@
+// travel-tour-backend/test/moderation.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const CommunityMessage = require('../models/CommunityMessage');
+const CommunityChannel = require('../models/CommunityChannel');
+const ChatRestriction = require('../models/ChatRestriction');
+const User = require('../models/User');
+const {
+  EDIT_WINDOW_MINUTES,
+  assertCanPost,
+  assertCanRead,
+  editMessage,
+  deleteMessage,
+  reportMessage,
+  resolveReports,
+  restrictUser
+} = require('../services/moderationService');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const author = { _id: new mongoose.Types.ObjectId(), username: 'author', role: 'student' };
+const reader = { _id: new mongoose.Types.ObjectId(), username: 'reader', role: 'student' };
+const admin = { _id: new mongoose.Types.ObjectId(), username: 'admin', role: 'admin' };
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+// A saved message in an open channel, found by findById
+const mockMessage = (t, fields = {}) => {
+  const channel = new CommunityChannel({ name: 'Open', slug: 'open', access: 'open' });
+  const message = new CommunityMessage({
+    sender: author.username,
+    senderId: author._id.toString(),
+    text: 'original',
+    timestamp: new Date(),
+    channelId: channel._id,
+    ...fields
+  });
+  t.mock.method(message, 'save', async () => message);
+  t.mock.method(CommunityMessage, 'findById', async () => message);
+  t.mock.method(CommunityChannel, 'findById', async () => channel);
+  return message;
+};
+
+// ChatRestriction.find(query).sort() answers with the given restrictions
+const mockRestrictions = (t, restrictions = []) => t.mock.method(ChatRestriction, 'find', () => ({
+  sort: async () => restrictions
+}));
+
+test('authors edit their own messages inside the edit window only', async (t) => {
+  mockRestrictions(t);
+  const message = mockMessage(t);
+
+  const edited = await editMessage(message._id, author, '  fixed  ');
+  assert.equal(edited.text, 'fixed');
+  assert.equal(edited.isEdited, true);
+
+  await assert.rejects(editMessage(message._id, reader, 'hijack'), { code: 'NOT_MESSAGE_AUTHOR', status: 403 });
+
+  message.timestamp = minutesAgo(EDIT_WINDOW_MINUTES + 1);
+  await assert.rejects(editMessage(message._id, author, 'late'), { code: 'EDIT_WINDOW_EXPIRED' });
+});
+
+test('a muted author cannot edit a message into something new', async (t) => {
+  mockRestrictions(t, [{ type: 'mute', expiresAt: null }]);
+  const message = mockMessage(t);
+  await assert.rejects(editMessage(message._id, author, 'sneaky'), { code: 'CHAT_MUTED' });
+  assert.equal(message.text, 'original');
+});
+
+test('admins delete any message; authors only their own and only in time', async (t) => {
+  const message = mockMessage(t, { timestamp: minutesAgo(EDIT_WINDOW_MINUTES + 1), isPinned: true });
+
+  await assert.rejects(deleteMessage(message._id, author), { code: 'EDIT_WINDOW_EXPIRED' });
+  await assert.rejects(deleteMessage(message._id, reader), { code: 'NOT_MESSAGE_AUTHOR' });
+
+  const deleted = await deleteMessage(message._id, admin);
+  assert.equal(deleted.isDeleted, true);
+  assert.equal(deleted.text, '');
+  assert.equal(message.isPinned, false);
+  assert.ok(message.deletedBy.equals(admin._id));
+});
+
+test('mutes stop posting, bans stop posting and reading', async (t) => {
+  const find = mockRestrictions(t, [{ type: 'mute', expiresAt: minutesAgo(-30) }]);
+  await assert.rejects(assertCanPost(reader._id), { code: 'CHAT_MUTED', status: 403 });
+  await assert.doesNotReject(assertCanRead(reader._id));
+
+  find.mock.mockImplementation(() => ({ sort: async () => [{ type: 'ban', expiresAt: null }] }));
+  await assert.rejects(assertCanPost(reader._id), { code: 'CHAT_BANNED' });
+  await assert.rejects(assertCanRead(reader._id), { code: 'CHAT_BANNED' });
+
+  find.mock.mockImplementation(() => ({ sort: async () => [] }));
+  await assert.doesNotReject(assertCanPost(reader._id));
+});
+
+test('restrictions are checked chat-wide and for the channel, ignoring lifted and expired ones', async (t) => {
+  const find = mockRestrictions(t);
+  const channelId = new mongoose.Types.ObjectId();
+  await assertCanPost(reader._id, channelId);
+
+  const query = find.mock.calls[0].arguments[0];
+  assert.deepEqual(query.channelId, { $in: [null, channelId] });
+  assert.equal(query.liftedAt, null);
+  assert.equal(query.$or[0].expiresAt, null);
+  assert.ok(query.$or[1].expiresAt.$gt instanceof Date);
+});
+
+test('a message is reported once per user, never by its author, and resolving closes every report', async (t) => {
+  const message = mockMessage(t);
+
+  const reported = await reportMessage(message._id, reader, 'spam');
+  assert.equal(reported.openReportCount, 1);
+  await assert.rejects(reportMessage(message._id, reader, 'spam again'), { code: 'ALREADY_REPORTED', status: 409 });
+  await assert.rejects(reportMessage(message._id, author), { code: 'CANNOT_REPORT_OWN_MESSAGE' });
+
+  const resolved = await resolveReports(message._id, admin, 'delete');
+  assert.equal(message.openReportCount, 0);
+  assert.equal(message.reports[0].status, 'actioned');
+  assert.equal(resolved.isDeleted, true);
+});
+
+test('students cannot report messages in channels they cannot see', async (t) => {
+  const message = mockMessage(t);
+  CommunityChannel.findById.mock.mockImplementation(async () => new CommunityChannel({
+    name: 'Team', slug: 'team', access: 'invite_only'
+  }));
+  await assert.rejects(reportMessage(message._id, reader, 'spam'), { code: 'MESSAGE_NOT_FOUND', status: 404 });
+});
+
+test('admins cannot be muted or banned, and timed restrictions get an expiry', async (t) => {
+  const target = { _id: new mongoose.Types.ObjectId(), username: 'loud', role: 'student' };
+  const findUser = t.mock.method(User, 'findById', () => ({ select: async () => target }));
+  const create = t.mock.method(ChatRestriction, 'create', async (fields) => new ChatRestriction(fields));
+
+  const restriction = await restrictUser(admin, { userId: target._id.toString(), type: 'mute', durationMinutes: 30 });
+  assert.equal(restriction.type, 'mute');
+  assert.equal(restriction.active, true);
+  assert.ok(restriction.expiresAt > new Date(Date.now() + 29 * 60 * 1000));
+
+  findUser.mock.mockImplementation(() => ({ select: async () => ({ ...target, role: 'admin' }) }));
+  await assert.rejects(restrictUser(admin, { userId: target._id.toString(), type: 'ban' }), { code: 'CANNOT_RESTRICT_ADMIN' });
+  await assert.rejects(restrictUser(admin, { userId: target._id.toString(), type: 'kick' }), { code: 'INVALID_RESTRICTION_TYPE' });
+  assert.equal(create.mock.callCount(), 1);
+});
@@ -0,0 +1,112 @@
+// travel-tour-backend/test/passwordReset.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { router } = require('../routes/auth');
+const { setTransporter } = require('../services/emailService');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const createFakeResponse = () => {
+  const res = {
+    statusCode: null,
+    body: null,
+    status: (code) => {
+      res.statusCode = code;
+      return res;
+    },
+    json: (body) => {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+};
+
+// Call the last handler of a POST route on the auth router
+const post = async (path, body) => {
+  const layer = router.stack.find(l => l.route?.methods.post && [].concat(l.route.path).includes(path));
+  const handlers = layer.route.stack;
+  const res = createFakeResponse();
+  await handlers[handlers.length - 1].handle({ body, headers: {} }, res, () => {});
+  return res;
+};
+
+const createStudent = () => new User({
+  username: 'student',
+  email: 'student@example.com',
+  password: 'secret123',
+  role: 'student',
+  active: true,
+  authProvider: 'email'
+});
+
+const loggedText = () => console.log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+
+test('consuming a reset token claims it and clears it in one update', async (t) => {
+  const update = t.mock.method(User, 'findOneAndUpdate', async () => null);
+  await User.consumePasswordResetToken('raw-token');
+
+  const [filter, changes] = update.mock.calls[0].arguments;
+  assert.equal(filter.passwordResetToken, crypto.createHash('sha256').update('raw-token').digest('hex'));
+  assert.ok(filter.passwordResetExpires.$gt instanceof Date);
+  assert.deepEqual(changes, { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } });
+});
+
+test('a reset link works once', async (t) => {
+  const student = createStudent();
+  const save = t.mock.method(student, 'save', async () => student);
+  let claimed = false;
+  t.mock.method(User, 'consumePasswordResetToken', async () => {
+    if (claimed) return null;
+    claimed = true;
+    return student;
+  });
+
+  const first = await post('/reset-password', { token: 'raw-token', newPassword: 'NewSecret123' });
+  assert.equal(first.statusCode, 200);
+  assert.equal(save.mock.callCount(), 1);
+  assert.equal(student.$locals.sessionRevokeReason, 'password_reset');
+
+  const second = await post('/reset-password/confirm', { token: 'raw-token', newPassword: 'OtherSecret123' });
+  assert.equal(second.statusCode, 400);
+  assert.equal(save.mock.callCount(), 1);
+});
+
+test('forgot password answers the same for unknown accounts and does not log the address', async (t) => {
+  t.mock.method(User, 'findOne', async () => null);
+  const res = await post('/forgot-password', { email: 'nobody@example.com' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.message, 'If this email exists, a reset link has been sent.');
+  assert.doesNotMatch(loggedText(), /nobody@example\.com/);
+});
+
+test('the emailed reset link is not written to the logs', async (t) => {
+  const student = createStudent();
+  t.mock.method(student, 'save', async () => student);
+  t.mock.method(User, 'findOne', async () => student);
+
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+  const sendMail = t.mock.method(transport, 'sendMail');
+  setTransporter(transport);
+  t.after(() => setTransporter(null));
+
+  const res = await post('/forgot-password', { email: 'Student@Example.com' });
+  assert.equal(res.statusCode, 200);
+  assert.ok(student.passwordResetToken);
+
+  const sent = await sendMail.mock.calls[0].result;
+  const token = JSON.parse(sent.message).text.match(/token=(\w+)/)[1];
+  assert.equal(crypto.createHash('sha256').update(token).digest('hex'), student.passwordResetToken);
+  assert.doesNotMatch(loggedText(), new RegExp(token));
+});
@@ -0,0 +1,113 @@
+// travel-tour-backend/test/presence.test.js
+process.env.STATE_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const mongoose = require('mongoose');
+const CommunityMessage = require('../models/CommunityMessage');
+const CommunityChannel = require('../models/CommunityChannel');
+const ChannelMembership = require('../models/ChannelMembership');
+const { setStateStore } = require('../services/state');
+const MemoryStateStore = require('../services/state/memoryStateStore');
+const presence = require('../services/presenceService');
+const { markChannelRead } = require('../services/channelService');
+const { initializeSocket } = require('../socket');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  setStateStore(new MemoryStateStore());
+});
+
+const user = { userId: new mongoose.Types.ObjectId().toString(), userName: 'student', role: 'student' };
+
+test('a user is online while any tab is, away when every tab is, offline after the last one', async () => {
+  assert.equal((await presence.connect(user, 'tab-1')).changed, true);
+  assert.equal((await presence.connect(user, 'tab-2')).changed, false);
+
+  const oneAway = await presence.setSocketStatus(user, 'tab-1', 'away');
+  assert.deepEqual([oneAway.changed, oneAway.presence.status], [false, 'online']);
+
+  const allAway = await presence.setSocketStatus(user, 'tab-2', 'away');
+  assert.deepEqual([allAway.changed, allAway.presence.status], [true, 'away']);
+
+  assert.equal((await presence.disconnect(user, 'tab-1')).changed, false);
+  const gone = await presence.disconnect(user, 'tab-2');
+  assert.deepEqual([gone.changed, gone.presence.status], [true, 'offline']);
+  assert.deepEqual(await presence.listPresence(), []);
+});
+
+test('only online and away can be reported', async () => {
+  await assert.rejects(presence.setSocketStatus(user, 'tab-1', 'invisible'));
+});
+
+test('typing is relayed at most once per throttle window and stops on its own', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: Date.now() });
+  const channelId = new mongoose.Types.ObjectId().toString();
+  const room = CommunityChannel.getRoomName(channelId);
+  const relayed = [];
+  const handlers = new Map();
+  const socket = {
+    id: 'socket_typing',
+    data: { user },
+    rooms: new Set([room]),
+    handshake: { auth: {}, query: {}, headers: {} },
+    on: (eventName, handler) => handlers.set(eventName, handler),
+    emit: () => {},
+    join: (name) => socket.rooms.add(name),
+    leave: (name) => socket.rooms.delete(name),
+    to: () => ({ emit: (eventName, payload) => relayed.push({ eventName, ...payload }) }),
+    broadcast: { emit: () => {} },
+    disconnect: () => {}
+  };
+
+  const io = initializeSocket(http.createServer());
+  io.sockets.listeners('connection')[0](socket);
+  t.after(async () => {
+    await handlers.get('disconnect')();
+    io.close();
+  });
+
+  await handlers.get('typing_start')({ channelId });
+  t.mock.timers.tick(1000);
+  await handlers.get('typing_start')({ channelId });
+  assert.deepEqual(relayed.filter(event => event.eventName === 'user_typing').map(event => event.isTyping), [true]);
+
+  t.mock.timers.tick(5000);
+  const typing = relayed.filter(event => event.eventName === 'user_typing');
+  assert.deepEqual(typing.map(event => event.isTyping), [true, false]);
+  assert.equal(typing[0].room, room);
+  assert.equal(typing[0].userId, user.userId);
+
+  // Rooms the socket is not in are ignored
+  await handlers.get('typing_start')({ channelId: new mongoose.Types.ObjectId().toString() });
+  assert.equal(relayed.filter(event => event.eventName === 'user_typing').length, 2);
+});
+
+test('read markers only move forward', async (t) => {
+  const channel = { _id: new mongoose.Types.ObjectId(), isDefault: false };
+  const userId = new mongoose.Types.ObjectId();
+  const newest = { _id: new mongoose.Types.ObjectId(), timestamp: new Date() };
+  const older = { _id: new mongoose.Types.ObjectId(Math.floor(Date.now() / 1000) - 60), timestamp: new Date(Date.now() - 60000) };
+
+  t.mock.method(CommunityMessage, 'findOne', (filter) => ({
+    sort: () => ({ select: () => ({ lean: async () => (filter._id ? older : newest) }) })
+  }));
+  const update = t.mock.method(ChannelMembership, 'findOneAndUpdate', async () => null);
+  t.mock.method(ChannelMembership, 'findOne', () => ({
+    lean: async () => ({ lastReadMessageId: newest._id, lastReadAt: newest.timestamp })
+  }));
+
+  const marker = await markChannelRead(channel, userId, older._id.toString());
+  assert.deepEqual(update.mock.calls[0].arguments[0].$or, [
+    { lastReadMessageId: null },
+    { lastReadMessageId: { $lt: older._id } }
+  ]);
+  assert.equal(marker.lastReadMessageId, newest._id.toString());
+
+  await assert.rejects(markChannelRead(channel, userId, 'not-an-id'), { code: 'INVALID_MESSAGE_ID' });
+});
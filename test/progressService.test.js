@@ -0,0 +1,120 @@
+// travel-tour-backend/test/progressService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const CourseProgress = require('../models/CourseProgress');
+const DocumentCourse = require('../models/DocumentCourse');
+const QuestionSet = require('../models/QuestionSet');
+const AssessmentResult = require('../models/AssessmentResult');
+const User = require('../models/User');
+const certificates = require('../services/certificateService');
+const { updatePosition, completeLesson, getProgress } = require('../services/progressService');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const inAYear = () => new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+
+// A course with one module of two published lessons, as getCourse loads it
+const createCourse = (courseType) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Lisbon in depth',
+  courseType,
+  isActive: true,
+  modules: [{
+    _id: new mongoose.Types.ObjectId(),
+    lessons: [
+      { _id: new mongoose.Types.ObjectId(), title: 'Alfama', isPublished: true, blocks: [{ type: 'text' }] },
+      { _id: new mongoose.Types.ObjectId(), title: 'Belém', isPublished: true, blocks: [{ type: 'text' }] }
+    ]
+  }]
+});
+
+const createStudent = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  role: 'student',
+  masterclassAccess: [],
+  accessibleMasterclassCourses: [],
+  ...fields
+});
+
+// Progress is kept in memory: the upsert hands back one record per test
+const mockStore = (t, course) => {
+  t.mock.method(DocumentCourse, 'findById', () => ({ select: () => ({ lean: async () => course }) }));
+  t.mock.method(QuestionSet, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+  t.mock.method(AssessmentResult, 'aggregate', async () => []);
+  t.mock.method(CourseProgress, 'countDocuments', async () => 1);
+  t.mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+  t.mock.method(certificates, 'issueForCompletion', async () => null);
+
+  let record = null;
+  const upsert = t.mock.method(CourseProgress, 'findOneAndUpdate', async (filter) => {
+    if (!record) {
+      record = new CourseProgress({ ...filter, startedAt: new Date() });
+      t.mock.method(record, 'save', async () => record);
+    }
+    return record;
+  });
+  t.mock.method(CourseProgress, 'findOne', async () => record);
+  return upsert;
+};
+
+test('students without access to a masterclass course cannot record progress on it', async (t) => {
+  const course = createCourse('masterclass');
+  const upsert = mockStore(t, course);
+  const lessonId = course.modules[0].lessons[0]._id;
+  const expired = createStudent({
+    masterclassAccess: [{ courseId: course._id, courseType: 'document', isActive: true, expiresAt: new Date(Date.now() - 1000) }]
+  });
+
+  for (const student of [createStudent(), expired]) {
+    await assert.rejects(updatePosition(student, course._id, { lessonId }), { code: 'MASTERCLASS_ACCESS_REQUIRED', status: 403 });
+    await assert.rejects(completeLesson(student, course._id, lessonId), { code: 'MASTERCLASS_ACCESS_REQUIRED' });
+    await assert.rejects(getProgress(student, course._id), { code: 'MASTERCLASS_ACCESS_REQUIRED' });
+  }
+  assert.equal(upsert.mock.callCount(), 0);
+});
+
+test('a redeemed code, an active grant or the admin role opens a masterclass course', async (t) => {
+  const course = createCourse('masterclass');
+  mockStore(t, course);
+  const lessonId = course.modules[0].lessons[0]._id;
+  const students = [
+    createStudent({ accessibleMasterclassCourses: [course._id] }),
+    createStudent({ masterclassAccess: [{ courseId: course._id, courseType: 'document', isActive: true, expiresAt: inAYear() }] }),
+    createStudent({ role: 'admin' })
+  ];
+
+  for (const student of students) {
+    const progress = await updatePosition(student, course._id, { lessonId, scrollPercent: 40 });
+    assert.equal(progress.resume.lessonId, lessonId);
+  }
+});
+
+test('completing the last lesson completes the course and issues one certificate', async (t) => {
+  const course = createCourse('general');
+  mockStore(t, course);
+  const student = createStudent();
+  const [first, second] = course.modules[0].lessons;
+
+  const halfway = await completeLesson(student, course._id, first._id, { timeSpent: 120 });
+  assert.equal(halfway.status, 'in_progress');
+  assert.equal(halfway.percentComplete, 50);
+  assert.equal(halfway.nextLessonId, second._id);
+
+  const done = await completeLesson(student, course._id, second._id, { timeSpent: 7200 });
+  assert.equal(done.status, 'completed');
+  assert.equal(done.percentComplete, 100);
+  // One report adds at most an hour
+  assert.equal(done.timeSpent, 120 + 3600);
+  assert.equal(certificates.issueForCompletion.mock.callCount(), 1);
+  assert.equal(User.updateOne.mock.calls[0].arguments[1].$set['stats.coursesCompleted'], 1);
+
+  await completeLesson(student, course._id, second._id);
+  assert.equal(certificates.issueForCompletion.mock.callCount(), 1);
+});
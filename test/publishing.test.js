@@ -0,0 +1,131 @@
+// travel-tour-backend/test/publishing.test.js
+process.env.STATE_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const DocumentCourse = require('../models/DocumentCourse');
+const Course = require('../models/Course');
+const Video = require('../models/Video');
+const User = require('../models/User');
+const { getStateStore } = require('../services/state');
+const { setStatus, parseInitialStatus, resumeSchedules } = require('../services/publishingService');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const admin = { _id: new mongoose.Types.ObjectId(), username: 'admin', role: 'admin' };
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+// A general document course found by findById. Saving runs the status hook only, and
+// the announcedAt claim succeeds while nobody has announced the course yet.
+const mockCourse = (t, fields = {}) => {
+  const course = new DocumentCourse({ title: 'Schengen visas', courseType: 'general', ...fields });
+  t.mock.method(course, 'save', async function () {
+    await this.validate(['status']);
+    return this;
+  });
+  t.mock.method(DocumentCourse, 'findById', async () => course);
+  t.mock.method(DocumentCourse, 'updateOne', async (filter, update) => {
+    if (course.announcedAt) return { modifiedCount: 0 };
+    course.announcedAt = update.$set.announcedAt;
+    return { modifiedCount: 1 };
+  });
+  const notify = t.mock.method(User, 'updateMany', async () => ({ modifiedCount: 3 }));
+  return { course, notify };
+};
+
+test('new uploads start as drafts unless asked otherwise', () => {
+  assert.deepEqual(parseInitialStatus({}), { status: 'draft', publishAt: null });
+  assert.deepEqual(parseInitialStatus({ isActive: 'true' }), { status: 'published', publishAt: null });
+  assert.equal(parseInitialStatus({ publishAt: hoursFromNow(2).toISOString() }).status, 'scheduled');
+  assert.throws(() => parseInitialStatus({ status: 'archived' }), { code: 'INVALID_STATUS' });
+  assert.throws(() => parseInitialStatus({ status: 'scheduled' }), { code: 'INVALID_PUBLISH_AT' });
+});
+
+test('a scheduled course goes live at publishAt and only then notifies students', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  const { course, notify } = mockCourse(t);
+  const publishAt = hoursFromNow(2);
+
+  const scheduled = await setStatus(admin, 'document-courses', course._id.toString(), { status: 'scheduled', publishAt });
+  assert.deepEqual([scheduled.status, scheduled.isActive], ['scheduled', false]);
+  assert.equal(notify.mock.callCount(), 0);
+
+  t.mock.timers.tick(2 * 60 * 60 * 1000 - 1000);
+  await new Promise(setImmediate);
+  assert.equal(course.status, 'scheduled');
+
+  t.mock.timers.tick(1000);
+  for (let i = 0; i < 5; i++) await new Promise(setImmediate);
+  assert.deepEqual([course.status, course.isActive], ['published', true]);
+  assert.deepEqual(notify.mock.calls[0].arguments, [{}, { $inc: { generalCoursesCount: 1 } }]);
+});
+
+test('taking an item off the schedule cancels its job', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  const { course, notify } = mockCourse(t);
+  const cancel = t.mock.method(getStateStore(), 'cancelJob');
+
+  await setStatus(admin, 'document-courses', course._id.toString(), { status: 'scheduled', publishAt: hoursFromNow(1) });
+  await setStatus(admin, 'document-courses', course._id.toString(), { status: 'draft' });
+
+  t.mock.timers.tick(2 * 60 * 60 * 1000);
+  for (let i = 0; i < 5; i++) await new Promise(setImmediate);
+  assert.equal(course.status, 'draft');
+  assert.equal(notify.mock.callCount(), 0);
+  assert.deepEqual(cancel.mock.calls[0].arguments, [`content_publish:document-courses:${course._id}`]);
+});
+
+test('a stale job for a rescheduled item does nothing', async (t) => {
+  const { course, notify } = mockCourse(t, { status: 'scheduled', publishAt: hoursFromNow(3) });
+
+  await getStateStore().runJob('content_publish', { contentType: 'document-courses', id: course._id.toString() }, 'stale');
+  assert.equal(course.status, 'scheduled');
+  assert.equal(notify.mock.callCount(), 0);
+});
+
+test('students are told about a course once, however often it is republished', async (t) => {
+  const { course, notify } = mockCourse(t);
+  const id = course._id.toString();
+
+  await setStatus(admin, 'document-courses', id, { status: 'published' });
+  await setStatus(admin, 'document-courses', id, { status: 'archived' });
+  await setStatus(admin, 'document-courses', id, { status: 'published' });
+
+  assert.equal(notify.mock.callCount(), 1);
+  assert.ok(course.publishedBy.equals(admin._id));
+});
+
+test('scheduling needs a future date and a status that allows it', async (t) => {
+  const { course } = mockCourse(t, { status: 'published' });
+  const id = course._id.toString();
+
+  await assert.rejects(setStatus(admin, 'document-courses', id, { status: 'scheduled', publishAt: hoursFromNow(1) }), {
+    code: 'INVALID_TRANSITION', status: 409
+  });
+  course.status = 'draft';
+  await assert.rejects(setStatus(admin, 'document-courses', id, { status: 'scheduled', publishAt: hoursFromNow(-1) }), {
+    code: 'INVALID_PUBLISH_AT'
+  });
+  await assert.rejects(setStatus(admin, 'podcasts', id, { status: 'published' }), { code: 'INVALID_CONTENT_TYPE' });
+});
+
+test('on startup, items that fell due are published and the rest re-armed', async (t) => {
+  const due = mockCourse(t, { status: 'scheduled', publishAt: hoursFromNow(-1) }).course;
+  const later = new DocumentCourse({ title: 'Later', courseType: 'general', status: 'scheduled', publishAt: hoursFromNow(5) });
+  [DocumentCourse, Course, Video].forEach(model => {
+    t.mock.method(model.collection, 'updateMany', async () => ({ modifiedCount: model === Video ? 2 : 0 }));
+    t.mock.method(model, 'find', async () => (model === DocumentCourse ? [due, later] : []));
+  });
+  const schedule = t.mock.method(getStateStore(), 'scheduleJob', async () => {});
+
+  assert.deepEqual(await resumeSchedules(), { backfilled: 2, published: 1, scheduled: 1 });
+  assert.equal(due.status, 'published');
+  assert.equal(schedule.mock.calls[0].arguments[0].jobId, `content_publish:document-courses:${later._id}`);
+});
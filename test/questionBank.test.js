@@ -0,0 +1,129 @@
+// travel-tour-backend/test/questionBank.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const QuestionVersion = require('../models/QuestionVersion');
+const {
+  fromLegacyQuestion,
+  createQuestion,
+  updateQuestion,
+  getQuestionVersions
+} = require('../services/questionBankService');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const admin = { _id: new mongoose.Types.ObjectId(), username: 'admin', role: 'admin' };
+
+// A saved version 1 question found by findById; findOneAndUpdate applies the $set
+// when the filter names the stored version
+const mockQuestion = (t) => {
+  let storedVersion = 1;
+  const question = new Question({
+    questionText: 'Capital of Portugal?',
+    options: ['Lisbon', 'Porto'],
+    correctAnswer: 0,
+    tags: { destinationId: 'portugal', difficulty: 'easy', topics: ['capitals'] }
+  });
+  t.mock.method(Question, 'findById', async () => question);
+  const update = t.mock.method(Question, 'findOneAndUpdate', async (filter, change) => {
+    if (filter.version !== storedVersion) return null;
+    question.set(change.$set);
+    storedVersion = question.version;
+    return question;
+  });
+  return { question, update };
+};
+
+test('questions are validated and start a version history', async (t) => {
+  t.mock.method(Question.prototype, 'save', async function () {
+    await this.validate();
+    return this;
+  });
+  const record = t.mock.method(QuestionVersion, 'create', async (fields) => fields);
+
+  const question = await createQuestion(admin, { question: 'Capital of Spain?', options: ['Madrid', 'Rome'], correctAnswer: 0 });
+  assert.equal(question.version, 1);
+  const [entry] = record.mock.calls[0].arguments;
+  assert.equal(entry.version, 1);
+  assert.equal(entry.snapshot.questionText, 'Capital of Spain?');
+  assert.ok(entry.editedBy.equals(admin._id));
+
+  await assert.rejects(createQuestion(admin, { options: ['A'] }), { code: 'VALIDATION_FAILED', status: 400 });
+  assert.equal(record.mock.callCount(), 1);
+});
+
+test('content edits bump the version and record the new wording', async (t) => {
+  const { question, update } = mockQuestion(t);
+  const record = t.mock.method(QuestionVersion, 'create', async (fields) => fields);
+
+  const saved = await updateQuestion(admin, question._id.toString(), {
+    options: ['Lisbon', 'Porto', 'Faro'],
+    tags: { difficulty: 'medium' },
+    changeNote: 'Added Faro'
+  });
+
+  assert.equal(saved.version, 2);
+  assert.equal(update.mock.calls[0].arguments[0].version, 1);
+  assert.equal(saved.tags.destinationId, 'portugal');
+  const [entry] = record.mock.calls[0].arguments;
+  assert.equal(entry.version, 2);
+  assert.deepEqual(entry.snapshot.options, ['Lisbon', 'Porto', 'Faro']);
+  assert.equal(entry.changeNote, 'Added Faro');
+});
+
+test('edits that change nothing keep the version', async (t) => {
+  const { question, update } = mockQuestion(t);
+  const record = t.mock.method(QuestionVersion, 'create', async (fields) => fields);
+
+  const saved = await updateQuestion(admin, question._id.toString(), { questionText: 'Capital of Portugal?' });
+  assert.equal(saved.version, 1);
+  assert.equal(update.mock.callCount(), 0);
+  assert.equal(record.mock.callCount(), 0);
+});
+
+test('an edit based on an old version is refused', async (t) => {
+  const { question, update } = mockQuestion(t);
+  t.mock.method(QuestionVersion, 'create', async (fields) => fields);
+
+  await assert.rejects(
+    updateQuestion(admin, question._id.toString(), { questionText: 'Stale', expectedVersion: 0 }),
+    { code: 'VERSION_CONFLICT', status: 409 }
+  );
+
+  // Someone else saved version 2 between reading and writing
+  update.mock.mockImplementation(async () => null);
+  await assert.rejects(
+    updateQuestion(admin, question._id.toString(), { questionText: 'Racing' }),
+    { code: 'VERSION_CONFLICT', status: 409 }
+  );
+  await assert.rejects(updateQuestion(admin, 'not-an-id', {}), { code: 'INVALID_QUESTION' });
+});
+
+test('results look up the exact versions students saw', async (t) => {
+  const questionId = new mongoose.Types.ObjectId();
+  const find = t.mock.method(QuestionVersion, 'find', () => ({
+    lean: async () => [{ questionId, version: 1, snapshot: { questionText: 'Old wording' } }]
+  }));
+
+  const versions = await getQuestionVersions([{ questionId, version: 1 }]);
+  assert.deepEqual(find.mock.calls[0].arguments[0], { $or: [{ questionId, version: 1 }] });
+  assert.equal(versions.get(`${questionId}:1`).snapshot.questionText, 'Old wording');
+  assert.equal((await getQuestionVersions([])).size, 0);
+});
+
+test('legacy answer keys are read as option text, letter, index or boolean', () => {
+  const options = ['Paris', 'Lisbon', 'Rome'];
+  assert.equal(fromLegacyQuestion({ question: 'Q', options, correctAnswer: 'lisbon' }).correctAnswer, 1);
+  assert.equal(fromLegacyQuestion({ question: 'Q', options, correctOption: 'C' }).correctAnswer, 2);
+  assert.equal(fromLegacyQuestion({ question: 'Q', options, answer: 0 }).correctAnswer, 0);
+  assert.equal(fromLegacyQuestion({ question: 'Q', options, correctAnswer: 'Madrid' }).correctAnswer, -1);
+  assert.equal(fromLegacyQuestion({ question: 'Q', type: 'true_false', correctAnswer: false }).correctAnswer, 1);
+  assert.deepEqual(fromLegacyQuestion({ question: 'Q', options, topic: 'capitals' }).tags.topics, ['capitals']);
+});
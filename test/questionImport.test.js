@@ -0,0 +1,102 @@
+// travel-tour-backend/test/questionImport.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const QuestionSet = require('../models/QuestionSet');
+const questionBank = require('../services/questionBankService');
+const { importQuestions, exportQuestionSet } = require('../services/questionImportService');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const admin = { _id: new mongoose.Types.ObjectId(), username: 'admin', role: 'admin' };
+
+const csvFile = (lines) => ({
+  originalname: 'questions.csv',
+  buffer: Buffer.from(['type,question,options,answer,difficulty,topics', ...lines].join('\n'))
+});
+
+// Row 2 is fine; 3 names an answer that is not an option; 4 has an unknown type; 5 has no question
+const mixedFile = csvFile([
+  'single_choice,Which airport code belongs to Paris?,LHR | CDG | JFK,B,easy,airports',
+  'single_choice,Capital of Spain?,Madrid | Rome,Lisbon,,',
+  'essay,Describe Rome,,,,',
+  'true_false,,,True,,'
+]);
+
+// createQuestion answers with a question built from the body, without saving it
+const mockCreate = (t) => t.mock.method(questionBank, 'createQuestion', async (user, body) => new Question(body));
+
+test('a dry run reports every row and writes nothing', async (t) => {
+  const create = mockCreate(t);
+  const report = await importQuestions(admin, mixedFile);
+
+  assert.equal(report.committed, false);
+  assert.deepEqual([report.totalRows, report.validRows, report.invalidRows], [4, 1, 3]);
+  assert.deepEqual(report.rows.map(row => row.row), [2, 3, 4, 5]);
+  assert.equal(report.rows[1].errors[0].field, 'correctAnswer');
+  assert.equal(report.rows[2].errors[0].field, 'type');
+  assert.ok(report.rows[3].errors.some(error => error.field === 'questionText'));
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('a commit with invalid rows is refused unless they are skipped', async (t) => {
+  const create = mockCreate(t);
+  const questionSet = new QuestionSet({ title: 'Airports', courseType: 'general', questionIds: [new mongoose.Types.ObjectId()] });
+  t.mock.method(questionBank, 'getQuestionSet', async () => questionSet);
+  const update = t.mock.method(questionBank, 'updateQuestionSet', async () => questionSet);
+
+  await assert.rejects(importQuestions(admin, mixedFile, { commit: true }), (error) => {
+    assert.equal(error.code, 'IMPORT_HAS_ERRORS');
+    assert.equal(error.details.report.invalidRows, 3);
+    return true;
+  });
+  assert.equal(create.mock.callCount(), 0);
+
+  const report = await importQuestions(admin, mixedFile, { commit: true, skipInvalid: true, questionSetId: questionSet._id.toString() });
+  assert.equal(report.questionsCreated, 1);
+  assert.equal(create.mock.calls[0].arguments[1].correctAnswer, 1);
+  assert.deepEqual(create.mock.calls[0].arguments[1].tags.topics, ['airports']);
+  assert.equal(update.mock.calls[0].arguments[2].questionIds.length, 2);
+});
+
+test('files that cannot be imported are refused before any row is read', async (t) => {
+  await assert.rejects(importQuestions(admin, null), { code: 'FILE_REQUIRED' });
+  await assert.rejects(importQuestions(admin, { originalname: 'questions.pdf', buffer: Buffer.from('') }), { code: 'UNSUPPORTED_FORMAT' });
+  await assert.rejects(importQuestions(admin, csvFile([])), { code: 'EMPTY_IMPORT' });
+});
+
+for (const format of ['csv', 'xlsx', 'docx']) {
+  test(`an exported ${format.toUpperCase()} set imports back unchanged`, async (t) => {
+    const questions = [
+      new Question({ questionText: 'Capital of Portugal?', options: ['Lisbon', 'Porto'], correctAnswer: 0, tags: { difficulty: 'easy', topics: ['capitals'] } }),
+      new Question({ type: 'multiple_choice', questionText: 'Italian cities?', options: ['Rome', 'Madrid', 'Milan'], correctAnswers: [0, 2] }),
+      new Question({ type: 'numeric', questionText: 'Hours from London to Dubai?', numericAnswer: 4, tolerance: 1, explanation: 'Gulf time' }),
+      new Question({ type: 'matching', questionText: 'Match the codes', options: ['LHR', 'CDG'], matches: ['London', 'Paris'] })
+    ];
+    const questionSet = new QuestionSet({ title: 'Europe basics', courseType: 'general' });
+    t.mock.method(questionBank, 'getQuestionSet', async () => questionSet);
+    t.mock.method(questionBank, 'getPoolQuestions', async () => questions);
+
+    const exported = await exportQuestionSet(questionSet._id.toString(), format);
+    assert.equal(exported.fileName, `europe-basics.${format}`);
+
+    const report = await importQuestions(admin, { originalname: exported.fileName, buffer: exported.buffer });
+    assert.equal(report.invalidRows, 0, JSON.stringify(report.rows.flatMap(row => row.errors)));
+
+    const create = mockCreate(t);
+    await importQuestions(admin, { originalname: exported.fileName, buffer: exported.buffer }, { commit: true });
+    const imported = create.mock.calls.map(call => call.arguments[1]);
+    assert.deepEqual(imported.map(body => body.questionText), questions.map(question => question.questionText));
+    assert.equal(imported[0].correctAnswer, 0);
+    assert.deepEqual(imported[1].correctAnswers, [0, 2]);
+    assert.deepEqual([imported[2].numericAnswer, imported[2].tolerance, imported[2].explanation], [4, 1, 'Gulf time']);
+    assert.deepEqual(imported[3].matches, ['London', 'Paris']);
+  });
+}
@@ -0,0 +1,91 @@
+// travel-tour-backend/test/questionTypes.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  NO_ANSWER,
+  toServedQuestion,
+  readResponse,
+  gradeResponse,
+  describeValue
+} = require('../services/questionTypes');
+
+// Grade a raw client response the way a submission is graded
+const grade = (question, value) => gradeResponse(question, readResponse(question, value));
+
+test('single choice grades the served position of the right option', () => {
+  const question = toServedQuestion(
+    { type: 'single_choice', options: ['Paris', 'Rome', 'Oslo'], correctAnswer: 1 },
+    { optionOrder: [2, 1, 0] }
+  );
+  assert.deepEqual(question.options, ['Oslo', 'Rome', 'Paris']);
+  assert.equal(grade(question, 1), 1);
+  assert.equal(grade(question, '1'), 1);
+  assert.equal(grade(question, 0), 0);
+});
+
+test('out-of-range or malformed picks count as unanswered', () => {
+  const question = toServedQuestion({ type: 'single_choice', options: ['A', 'B'], correctAnswer: 0 });
+  assert.equal(readResponse(question, 5), null);
+  assert.equal(readResponse(question, 'abc'), null);
+  assert.equal(readResponse(question, 1.5), null);
+  assert.equal(gradeResponse(question, null), 0);
+  assert.equal(describeValue(question, null), NO_ANSWER);
+});
+
+test('multiple choice gives partial credit for right picks minus wrong ones', () => {
+  const question = toServedQuestion({ type: 'multiple_choice', options: ['A', 'B', 'C', 'D'], correctAnswers: [0, 2] });
+  assert.equal(grade(question, [2, 0]), 1);
+  assert.equal(grade(question, [0]), 0.5);
+  assert.equal(grade(question, [0, 1]), 0);
+  assert.equal(grade(question, [1, 3]), 0);
+
+  const strict = toServedQuestion({
+    type: 'multiple_choice', options: ['A', 'B', 'C'], correctAnswers: [0, 2], partialCredit: false
+  });
+  assert.equal(grade(strict, [0]), 0);
+  assert.equal(grade(strict, [0, 2]), 1);
+});
+
+test('short text ignores case and extra whitespace unless case sensitive', () => {
+  const question = toServedQuestion({ type: 'short_text', acceptedAnswers: ['Eiffel Tower', 'La Tour Eiffel'] });
+  assert.equal(grade(question, '  eiffel   tower '), 1);
+  assert.equal(grade(question, 'Louvre'), 0);
+  assert.equal(readResponse(question, '   '), null);
+
+  const caseSensitive = toServedQuestion({ type: 'short_text', acceptedAnswers: ['NYC'], caseSensitive: true });
+  assert.equal(grade(caseSensitive, 'nyc'), 0);
+});
+
+test('numeric answers pass within the tolerance', () => {
+  const question = toServedQuestion({ type: 'numeric', numericAnswer: 0.3, tolerance: 0.1 });
+  assert.equal(grade(question, '0.4'), 1);
+  assert.equal(grade(question, 0.2), 1);
+  assert.equal(grade(question, 0.41), 0);
+  assert.equal(grade(question, '1,000'), 0);
+  assert.equal(readResponse(question, 'many'), null);
+});
+
+test('ordering grades items in place and rejects invalid orders', () => {
+  const question = toServedQuestion(
+    { type: 'ordering', options: ['first', 'second', 'third'] },
+    { optionOrder: [2, 0, 1] }
+  );
+  // Served as third, first, second: the right order is positions 1, 2, 0
+  assert.deepEqual(question.correctAnswer, [1, 2, 0]);
+  assert.equal(grade(question, [1, 2, 0]), 1);
+  assert.equal(grade(question, [1, 0, 2]), 1 / 3);
+  assert.equal(grade(question, [1, 1, 0]), 0);
+  assert.equal(grade(question, [1, 2]), 0);
+});
+
+test('matching grades the share of options matched', () => {
+  const question = toServedQuestion(
+    { type: 'matching', options: ['France', 'Japan'], matches: ['Paris', 'Tokyo'] },
+    { matchOrder: [1, 0] }
+  );
+  // Served matches are Tokyo, Paris
+  assert.deepEqual(question.correctAnswer, [1, 0]);
+  assert.equal(grade(question, [1, 0]), 1);
+  assert.equal(grade(question, [1, 1]), 0.5);
+  assert.equal(describeValue(question, [1, 0]), 'France → Paris; Japan → Tokyo');
+});
@@ -0,0 +1,96 @@
+// travel-tour-backend/test/quizAttemptStart.test.js
+process.env.STATE_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const QuizAttempt = require('../models/QuizAttempt');
+const QuestionSet = require('../models/QuestionSet');
+const questionBank = require('../services/questionBankService');
+const retake = require('../services/retakeService');
+const { startAttempt } = require('../services/quizService');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const student = { _id: new mongoose.Types.ObjectId(), username: 'student', role: 'student' };
+
+const questionSet = new QuestionSet({
+  title: 'Lisbon basics',
+  courseType: 'general',
+  retakePolicy: { maxAttempts: 1 }
+});
+
+const bankQuestions = [1, 2, 3].map(number => ({
+  _id: new mongoose.Types.ObjectId(),
+  version: 1,
+  type: 'single_choice',
+  questionText: `Question ${number}`,
+  options: ['A', 'B', 'C'],
+  correctAnswer: 0,
+  explanation: 'Because'
+}));
+
+// QuizAttempt.findOne is both awaited directly and chained with .sort()
+const asQuery = (value) => ({
+  sort: async () => value,
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+const mockQuiz = (t, retakeStatus = { canStart: true }) => {
+  t.mock.method(questionBank, 'getQuestionSet', async () => questionSet);
+  t.mock.method(questionBank, 'getPoolQuestions', async () => bankQuestions);
+  t.mock.method(questionBank, 'getQuestionVersions', async (refs) => new Map(refs.map(ref => {
+    const content = bankQuestions.find(question => question._id.toString() === ref.questionId.toString());
+    return [`${ref.questionId}:${ref.version}`, { snapshot: content }];
+  })));
+  t.mock.method(retake, 'getRetakeStatus', async () => retakeStatus);
+  t.mock.method(QuestionSet, 'findById', () => ({ select: () => ({ lean: async () => null }) }));
+};
+
+test('only one unfinished attempt per student and quiz can exist', () => {
+  const unique = QuizAttempt.schema.indexes().find(([, options]) => options.unique);
+  assert.deepEqual(Object.keys(unique[0]), ['userId', 'quizType', 'courseId', 'destinationId', 'questionSetId']);
+  assert.deepEqual(unique[1].partialFilterExpression, { status: 'in_progress' });
+});
+
+test('a start that loses the race to create the attempt resumes the winner\'s attempt', async (t) => {
+  mockQuiz(t);
+  const winner = new QuizAttempt({
+    userId: student._id,
+    quizType: 'general',
+    questionSetId: questionSet._id.toString(),
+    questions: bankQuestions.map(question => ({ questionId: question._id, version: 1, type: 'single_choice' })),
+    settings: {}
+  });
+  // Nothing unfinished when this request checked; the other request created its attempt since
+  let lookups = 0;
+  t.mock.method(QuizAttempt, 'findOne', () => asQuery(lookups++ === 0 ? null : winner));
+  const create = t.mock.method(QuizAttempt, 'create', async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+
+  const { attempt, questions, resumed } = await startAttempt(student, { quizType: 'general', questionSetId: questionSet._id.toString() });
+
+  assert.equal(create.mock.callCount(), 1);
+  assert.equal(resumed, true);
+  assert.equal(attempt, winner);
+  assert.equal(questions.length, 3);
+});
+
+test('a start is refused once the attempts are used up', async (t) => {
+  mockQuiz(t, { canStart: false, blockedBy: 'ATTEMPT_LIMIT_REACHED', attemptsRemaining: 0 });
+  t.mock.method(QuizAttempt, 'findOne', () => asQuery(null));
+  const create = t.mock.method(QuizAttempt, 'create', async () => null);
+
+  await assert.rejects(
+    startAttempt(student, { quizType: 'general', questionSetId: questionSet._id.toString() }),
+    { code: 'ATTEMPT_LIMIT_REACHED', status: 403 }
+  );
+  assert.equal(create.mock.callCount(), 0);
+});
@@ -0,0 +1,177 @@
+// travel-tour-backend/test/quizDeadline.test.js
+process.env.STATE_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const QuizAttempt = require('../models/QuizAttempt');
+const QuestionSet = require('../models/QuestionSet');
+const questionBank = require('../services/questionBankService');
+const retake = require('../services/retakeService');
+const assessmentResults = require('../services/assessmentResultService');
+const { getStateStore } = require('../services/state');
+const { startAttempt, saveAnswers, submitAttempt, sweepAttempts } = require('../services/quizService');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const student = { _id: new mongoose.Types.ObjectId(), username: 'student', role: 'student' };
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+const bankQuestions = [0, 1].map(correctAnswer => ({
+  _id: new mongoose.Types.ObjectId(),
+  version: 1,
+  type: 'single_choice',
+  questionText: `Question ${correctAnswer + 1}`,
+  options: ['A', 'B'],
+  correctAnswer
+}));
+
+// QuizAttempt.findOne is both awaited directly and chained with .sort()
+const asQuery = (value) => ({
+  sort: async () => value,
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+const mockBank = (t) => {
+  t.mock.method(questionBank, 'getQuestionVersions', async (refs) => new Map(refs.map(ref => {
+    const content = bankQuestions.find(question => question._id.toString() === ref.questionId.toString());
+    return [`${ref.questionId}:${ref.version}`, { snapshot: content }];
+  })));
+  t.mock.method(QuestionSet, 'findById', () => ({ select: () => ({ lean: async () => null }) }));
+};
+
+// A ten-minute attempt started the given number of minutes ago, with the first question answered
+const mockTimedAttempt = (t, startedMinutesAgo, lateSubmission = 'auto_submit') => {
+  const attempt = new QuizAttempt({
+    userId: student._id,
+    userName: student.username,
+    quizType: 'general',
+    title: 'Lisbon basics',
+    questions: bankQuestions.map(question => ({ questionId: question._id, version: 1, type: 'single_choice' })),
+    answers: [{ questionId: bankQuestions[0]._id.toString(), selectedAnswer: 0 }],
+    settings: { timeLimitMinutes: 10, lateSubmission, showCorrectAnswers: true, showExplanations: true },
+    startedAt: minutesAgo(startedMinutesAgo),
+    deadlineAt: minutesAgo(startedMinutesAgo - 10)
+  });
+  t.mock.method(attempt, 'save', async () => attempt);
+  t.mock.method(QuizAttempt, 'findById', async () => attempt);
+  t.mock.method(QuizAttempt, 'findOne', () => asQuery(attempt.status === 'in_progress' ? attempt : null));
+  t.mock.method(QuizAttempt, 'findOneAndUpdate', async (filter, update) => {
+    if (attempt.status !== 'in_progress') return null;
+    Object.assign(attempt, update.$set);
+    return attempt;
+  });
+  t.mock.method(QuizAttempt, 'updateOne', async (filter, update) => {
+    if (attempt.status === 'in_progress') Object.assign(attempt, update.$set);
+    return { modifiedCount: 1 };
+  });
+  return attempt;
+};
+
+const mockRecordResult = (t) => t.mock.method(assessmentResults, 'recordResult', async (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  ...fields
+}));
+
+test('a timed attempt gets a deadline and a job that closes it after the grace period', async (t) => {
+  const questionSet = new QuestionSet({ title: 'Lisbon basics', courseType: 'general', settings: { timeLimitMinutes: 10 } });
+  mockBank(t);
+  t.mock.method(questionBank, 'getQuestionSet', async () => questionSet);
+  t.mock.method(questionBank, 'getPoolQuestions', async () => bankQuestions);
+  t.mock.method(retake, 'getRetakeStatus', async () => ({ canStart: true }));
+  t.mock.method(QuizAttempt, 'findOne', () => asQuery(null));
+  t.mock.method(QuizAttempt, 'create', async (fields) => new QuizAttempt(fields));
+  const schedule = t.mock.method(getStateStore(), 'scheduleJob', async () => {});
+
+  const { attempt } = await startAttempt(student, { quizType: 'general', questionSetId: questionSet._id.toString() });
+
+  assert.equal(attempt.deadlineAt - attempt.startedAt, 10 * 60 * 1000);
+  const job = schedule.mock.calls[0].arguments[0];
+  assert.equal(job.name, 'quiz_attempt_deadline');
+  assert.equal(job.jobId, `quiz_deadline:${attempt._id}`);
+  assert.equal(job.runAt - attempt.deadlineAt, 30 * 1000);
+  assert.deepEqual(job.payload, { attemptId: attempt._id.toString() });
+});
+
+test('the deadline job submits the saved answers, timed up to the deadline', async (t) => {
+  mockBank(t);
+  const record = mockRecordResult(t);
+  const attempt = mockTimedAttempt(t, 15);
+
+  await getStateStore().runJob('quiz_attempt_deadline', { attemptId: attempt._id.toString() }, `quiz_deadline:${attempt._id}`);
+
+  assert.equal(attempt.status, 'submitted');
+  assert.equal(attempt.submittedBy, 'auto');
+  const written = record.mock.calls[0].arguments[0];
+  assert.equal(written.score, 5);
+  assert.equal(written.timeTaken, 10 * 60);
+
+  // A later run for the same attempt finds nothing left to close
+  await getStateStore().runJob('quiz_attempt_deadline', { attemptId: attempt._id.toString() }, `quiz_deadline:${attempt._id}`);
+  assert.equal(record.mock.callCount(), 1);
+});
+
+test('late submissions are auto-submitted from what was saved, ignoring the answers sent late', async (t) => {
+  mockBank(t);
+  mockRecordResult(t);
+  const attempt = mockTimedAttempt(t, 15);
+
+  const submission = await submitAttempt(attempt._id.toString(), student, [
+    { questionId: bankQuestions[1]._id.toString(), selectedAnswer: 1 }
+  ]);
+
+  assert.equal(submission.lateSubmission, true);
+  assert.deepEqual(submission.review.map(row => row.isCorrect), [true, false]);
+});
+
+test('when late work is rejected the attempt is closed without a result', async (t) => {
+  mockBank(t);
+  const record = mockRecordResult(t);
+  const attempt = mockTimedAttempt(t, 15, 'reject');
+
+  await assert.rejects(submitAttempt(attempt._id.toString(), student, []), { code: 'ATTEMPT_EXPIRED', status: 410 });
+  assert.equal(attempt.status, 'abandoned');
+  assert.equal(record.mock.callCount(), 0);
+});
+
+test('answers autosave until the deadline and not after', async (t) => {
+  mockBank(t);
+  mockRecordResult(t);
+  const attempt = mockTimedAttempt(t, 5);
+
+  const state = await saveAnswers(attempt._id.toString(), student, [
+    { questionId: bankQuestions[1]._id.toString(), selectedAnswer: 1, timeSpent: 12 }
+  ]);
+  assert.equal(state.savedAnswers.length, 2);
+  assert.ok(state.remainingSeconds > 4 * 60 && state.remainingSeconds <= 5 * 60);
+
+  attempt.startedAt = minutesAgo(15);
+  attempt.deadlineAt = minutesAgo(5);
+  await assert.rejects(saveAnswers(attempt._id.toString(), student, []), { code: 'ATTEMPT_AUTO_SUBMITTED', status: 410 });
+  assert.equal(attempt.status, 'submitted');
+});
+
+test('the sweep closes overdue timed attempts and abandons idle untimed ones', async (t) => {
+  mockBank(t);
+  mockRecordResult(t);
+  const attempt = mockTimedAttempt(t, 15);
+  // readyState is not configurable: mark the connection open without emitting 'connected'
+  mongoose.connection._readyState = 1;
+  t.after(() => { mongoose.connection._readyState = 0; });
+  t.mock.method(QuizAttempt, 'find', () => ({ limit: async () => [attempt] }));
+  const idle = t.mock.method(QuizAttempt, 'updateMany', async () => ({ modifiedCount: 2 }));
+
+  await sweepAttempts();
+
+  assert.equal(attempt.status, 'submitted');
+  const [filter, update] = idle.mock.calls[0].arguments;
+  assert.equal(filter.deadlineAt, null);
+  assert.ok(filter.lastActivityAt.$lt < minutesAgo(23 * 60));
+  assert.equal(update.$set.status, 'abandoned');
+});
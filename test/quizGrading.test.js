@@ -0,0 +1,165 @@
+// travel-tour-backend/test/quizGrading.test.js
+process.env.STATE_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const QuizAttempt = require('../models/QuizAttempt');
+const QuestionSet = require('../models/QuestionSet');
+const questionBank = require('../services/questionBankService');
+const retake = require('../services/retakeService');
+const assessmentResults = require('../services/assessmentResultService');
+const { startAttempt, submitAttempt, submitLegacyQuiz } = require('../services/quizService');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const student = { _id: new mongoose.Types.ObjectId(), username: 'student', role: 'student' };
+
+const bankQuestions = [0, 1, 2].map(correctAnswer => ({
+  _id: new mongoose.Types.ObjectId(),
+  version: 1,
+  type: 'single_choice',
+  questionText: `Question ${correctAnswer + 1}`,
+  options: ['A', 'B', 'C'],
+  correctAnswer,
+  explanation: `Because ${'ABC'[correctAnswer]}`
+}));
+
+// QuizAttempt.findOne is both awaited directly and chained with .sort()
+const asQuery = (value) => ({
+  sort: async () => value,
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+const mockBank = (t) => {
+  t.mock.method(questionBank, 'getQuestionVersions', async (refs) => new Map(refs.map(ref => {
+    const content = bankQuestions.find(question => question._id.toString() === ref.questionId.toString());
+    return [`${ref.questionId}:${ref.version}`, { snapshot: content }];
+  })));
+  t.mock.method(QuestionSet, 'findById', () => ({ select: () => ({ lean: async () => null }) }));
+};
+
+// recordResult answers with the result it was asked to write
+const mockRecordResult = (t) => t.mock.method(assessmentResults, 'recordResult', async (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  ...fields
+}));
+
+// An in-progress attempt whose submit claim (findOneAndUpdate) succeeds once
+const mockAttempt = (t, settings = {}) => {
+  const attempt = new QuizAttempt({
+    userId: student._id,
+    userName: student.username,
+    quizType: 'general',
+    title: 'Lisbon basics',
+    questions: bankQuestions.map(question => ({ questionId: question._id, version: 1, type: 'single_choice' })),
+    settings: { showCorrectAnswers: true, showExplanations: true, ...settings },
+    startedAt: new Date(Date.now() - 60 * 1000)
+  });
+  t.mock.method(attempt, 'save', async () => attempt);
+  t.mock.method(QuizAttempt, 'findById', async () => attempt);
+  t.mock.method(QuizAttempt, 'findOneAndUpdate', async (filter, update) => {
+    if (attempt.status !== 'in_progress') return null;
+    Object.assign(attempt, update.$set);
+    return attempt;
+  });
+  return attempt;
+};
+
+// Student picks the right option for the first two questions and the wrong one for the last
+const answers = bankQuestions.map((question, index) => ({
+  questionId: question._id.toString(),
+  selectedAnswer: index < 2 ? question.correctAnswer : 0
+}));
+
+test('started attempts serve questions without answer keys or explanations', async (t) => {
+  const questionSet = new QuestionSet({ title: 'Lisbon basics', courseType: 'general' });
+  mockBank(t);
+  t.mock.method(questionBank, 'getQuestionSet', async () => questionSet);
+  t.mock.method(questionBank, 'getPoolQuestions', async () => bankQuestions);
+  t.mock.method(retake, 'getRetakeStatus', async () => ({ canStart: true }));
+  t.mock.method(QuizAttempt, 'findOne', () => asQuery(null));
+  t.mock.method(QuizAttempt, 'create', async (fields) => new QuizAttempt(fields));
+
+  const { questions } = await startAttempt(student, { quizType: 'general', questionSetId: questionSet._id.toString() });
+
+  assert.equal(questions.length, 3);
+  questions.forEach(question => assert.deepEqual(Object.keys(question), ['id', 'type', 'question', 'options']));
+});
+
+test('submissions are graded on the server from the selections alone', async (t) => {
+  mockBank(t);
+  const record = mockRecordResult(t);
+  const attempt = mockAttempt(t);
+
+  const submission = await submitAttempt(attempt._id.toString(), student, [
+    ...answers,
+    { questionId: 'not-in-this-attempt', selectedAnswer: 0 }
+  ]);
+
+  // Course quizzes score 5 points a question
+  assert.deepEqual([submission.score, submission.maxScore, submission.totalQuestions], [10, 15, 3]);
+  assert.equal(submission.review[2].isCorrect, false);
+  assert.equal(submission.review[2].correctAnswer, 2);
+  assert.equal(submission.review[2].explanation, 'Because C');
+
+  const written = record.mock.calls[0].arguments[0];
+  assert.equal(written.userId, student._id);
+  assert.equal(written.source, 'attempt');
+  assert.equal(written.answers.length, 3);
+
+  await assert.rejects(submitAttempt(attempt._id.toString(), student, answers), { code: 'ALREADY_SUBMITTED', status: 409 });
+  assert.equal(record.mock.callCount(), 1);
+});
+
+test('answers and explanations stay hidden after submission when the quiz settings say so', async (t) => {
+  mockBank(t);
+  mockRecordResult(t);
+  const attempt = mockAttempt(t, { showCorrectAnswers: false, showExplanations: false });
+
+  const { review } = await submitAttempt(attempt._id.toString(), student, answers);
+  review.forEach(row => {
+    assert.equal('correctAnswer' in row, false);
+    assert.equal('correctAnswerText' in row, false);
+    assert.equal('explanation' in row, false);
+  });
+  assert.deepEqual(review.map(row => row.isCorrect), [true, true, false]);
+});
+
+test('only the student who started an attempt can submit it', async (t) => {
+  mockBank(t);
+  const record = mockRecordResult(t);
+  const attempt = mockAttempt(t);
+  const other = { _id: new mongoose.Types.ObjectId(), username: 'other', role: 'student' };
+
+  await assert.rejects(submitAttempt(attempt._id.toString(), other, answers), { code: 'ATTEMPT_FORBIDDEN', status: 403 });
+  await assert.rejects(submitAttempt('not-an-id', student, answers), { code: 'INVALID_ATTEMPT' });
+  assert.equal(record.mock.callCount(), 0);
+});
+
+test('older clients get their score from the server, whatever score they send', async (t) => {
+  const questionSet = new QuestionSet({ title: 'Lisbon basics', courseType: 'general' });
+  t.mock.method(questionBank, 'getQuestionSet', async () => questionSet);
+  t.mock.method(questionBank, 'getSetQuestions', async () => bankQuestions);
+  t.mock.method(retake, 'getRetakeStatus', async () => ({ canStart: true }));
+  const record = mockRecordResult(t);
+
+  const { result } = await submitLegacyQuiz(student, {
+    quizType: 'general',
+    questionSetId: questionSet._id.toString(),
+    answers,
+    score: 3,
+    percentage: 100,
+    userName: 'admin'
+  });
+
+  assert.deepEqual([result.score, result.maxScore, result.totalQuestions], [10, 15, 3]);
+  assert.equal(result.userName, 'student');
+  assert.equal(record.mock.callCount(), 1);
+});
@@ -0,0 +1,124 @@
+// travel-tour-backend/test/quizPools.test.js
+process.env.STATE_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const QuizAttempt = require('../models/QuizAttempt');
+const QuestionSet = require('../models/QuestionSet');
+const questionBank = require('../services/questionBankService');
+const retake = require('../services/retakeService');
+const { createRandom, shuffle } = require('../services/quizRandomizer');
+const { startAttempt } = require('../services/quizService');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const student = { _id: new mongoose.Types.ObjectId(), username: 'student', role: 'student' };
+
+// Three easy, three medium and three hard questions, in _id order
+const pool = ['easy', 'medium', 'hard'].flatMap(difficulty => [1, 2, 3].map(number => new Question({
+  questionText: `${difficulty} question ${number}`,
+  options: ['A', 'B', 'C', 'D'],
+  correctAnswer: 0,
+  tags: { difficulty, topics: ['visas'] }
+})));
+
+// QuizAttempt.findOne is both awaited directly and chained with .sort()
+const asQuery = (value) => ({
+  sort: async () => value,
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+const mockQuiz = (t, questionSet) => {
+  t.mock.method(questionBank, 'getQuestionSet', async () => questionSet);
+  t.mock.method(questionBank, 'getPoolQuestions', async () => pool);
+  t.mock.method(retake, 'getRetakeStatus', async () => ({ canStart: true }));
+  t.mock.method(QuestionSet, 'findById', () => ({ select: () => ({ lean: async () => null }) }));
+  t.mock.method(QuizAttempt, 'findOne', () => asQuery(null));
+  t.mock.method(QuizAttempt, 'create', async (fields) => new QuizAttempt(fields));
+};
+
+const start = (questionSet) => startAttempt(student, { quizType: 'general', questionSetId: questionSet._id.toString() });
+
+const difficultyOf = (id) => pool.find(question => question._id.toString() === id.toString()).tags.difficulty;
+
+test('the same seed always gives the same shuffle', () => {
+  const items = Array.from({ length: 20 }, (value, index) => index);
+  assert.deepEqual(shuffle(items, createRandom('seed-a')), shuffle(items, createRandom('seed-a')));
+  assert.notDeepEqual(shuffle(items, createRandom('seed-a')), shuffle(items, createRandom('seed-b')));
+  assert.deepEqual([...shuffle(items, createRandom('seed-a'))].sort((a, b) => a - b), items);
+});
+
+test('pools are drawn to size with the difficulty quotas filled first', async (t) => {
+  const questionSet = new QuestionSet({
+    title: 'Visas',
+    courseType: 'general',
+    pool: { size: 5, difficultyMix: { hard: 3, easy: 1 } }
+  });
+
+  mockQuiz(t, questionSet);
+  const { attempt, questions } = await start(questionSet);
+  const difficulties = attempt.questions.map(question => difficultyOf(question.questionId));
+
+  assert.equal(questions.length, 5);
+  assert.equal(difficulties.filter(level => level === 'hard').length, 3);
+  assert.ok(difficulties.includes('easy'));
+  assert.equal(new Set(attempt.questions.map(question => question.questionId.toString())).size, 5);
+});
+
+test('the seed and the drawn questions are recorded, so a seed reproduces the attempt', async (t) => {
+  const questionSet = new QuestionSet({
+    title: 'Visas',
+    courseType: 'general',
+    pool: { size: 4 },
+    settings: { shuffleQuestions: true, shuffleOptions: true }
+  });
+
+  mockQuiz(t, questionSet);
+  let seed = '0123456789abcdef';
+  t.mock.method(crypto, 'randomBytes', () => Buffer.from(seed, 'hex'));
+
+  const first = await start(questionSet);
+  const again = await start(questionSet);
+  seed = 'fedcba9876543210';
+  const other = await start(questionSet);
+
+  assert.equal(first.attempt.seed, '0123456789abcdef');
+  const drawn = (started) => started.attempt.questions.map(({ questionId, version, optionOrder }) => ({
+    questionId: questionId.toString(),
+    version,
+    optionOrder: Array.from(optionOrder)
+  }));
+  assert.deepEqual(drawn(again), drawn(first));
+  assert.notDeepEqual(drawn(other), drawn(first));
+
+  // Options are served in the recorded order
+  first.attempt.questions.forEach((recorded, index) => {
+    assert.equal(recorded.optionOrder.length, 4);
+    assert.deepEqual(first.questions[index].options, recorded.optionOrder.map(position => ['A', 'B', 'C', 'D'][position]));
+  });
+});
+
+test('tag pools read live bank questions in a stable order', async (t) => {
+  const find = t.mock.method(Question, 'find', () => ({ sort: async () => pool }));
+  const questionSet = new QuestionSet({
+    title: 'Visas',
+    courseType: 'general',
+    pool: { source: 'tags', tags: { destinationId: 'schengen', topics: ['visas'] } }
+  });
+
+  await questionBank.getPoolQuestions(questionSet);
+  assert.deepEqual(find.mock.calls[0].arguments[0], {
+    isArchived: false,
+    'tags.destinationId': 'schengen',
+    'tags.topics': { $in: ['visas'] }
+  });
+});
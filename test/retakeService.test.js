@@ -0,0 +1,48 @@
+// travel-tour-backend/test/retakeService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pickCountedResult } = require('../services/retakeService');
+
+// Results oldest first, as getRetakeStatus loads them
+const results = [
+  { _id: 'first', score: 3, maxScore: 5, percentage: 60, passed: false },
+  { _id: 'second', score: 4, maxScore: 5, percentage: 80, passed: true },
+  { _id: 'third', score: 4, maxScore: 5, percentage: 80, passed: true },
+  { _id: 'fourth', score: 2, totalQuestions: 5, percentage: 40 }
+];
+
+test('no results means nothing counts yet', () => {
+  assert.equal(pickCountedResult([], 'best'), null);
+  assert.equal(pickCountedResult([], 'average', 50), null);
+});
+
+test('best counts the highest percentage, the earlier result on a tie', () => {
+  assert.deepEqual(pickCountedResult(results, 'best'), {
+    resultId: 'second',
+    score: 4,
+    maxScore: 5,
+    percentage: 80,
+    passed: true
+  });
+});
+
+test('latest counts the last result and falls back to totalQuestions for older results', () => {
+  assert.deepEqual(pickCountedResult(results, 'latest'), {
+    resultId: 'fourth',
+    score: 2,
+    maxScore: 5,
+    percentage: 40,
+    passed: null
+  });
+});
+
+test('average has no single result and is checked against the pass mark', () => {
+  assert.deepEqual(pickCountedResult(results, 'average', 65), {
+    resultId: null,
+    score: 3.25,
+    maxScore: 5,
+    percentage: 65,
+    passed: true
+  });
+  assert.equal(pickCountedResult(results, 'average').passed, null);
+});
@@ -0,0 +1,75 @@
+// travel-tour-backend/test/scoringService.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  resolveScoringScheme,
+  summarizeScore,
+  scoreGradedAnswers,
+  describeScheme
+} = require('../services/scoringService');
+
+test('destination quizzes default to 1 point per question and the quiz remarks', () => {
+  const scheme = resolveScoringScheme(null, 'destination');
+  assert.equal(scheme.pointsPerQuestion, 1);
+  assert.equal(scheme.negativeMarking, 0);
+  assert.equal(scheme.passPercentage, null);
+  assert.deepEqual(scheme.remarkBands.map(band => band.remark), ['Excellent', 'Good', 'Fair', 'Needs Improvement']);
+  assert.equal(describeScheme(scheme), '1_point_per_question');
+});
+
+test('course quizzes default to 5 points per question and the course remarks', () => {
+  const scheme = resolveScoringScheme({}, 'general');
+  assert.equal(scheme.pointsPerQuestion, 5);
+  assert.equal(summarizeScore(scheme, 40, 50).remark, 'Very Good');
+  assert.equal(describeScheme(scheme), '5_points_per_question');
+});
+
+test('a set\'s own settings win over the defaults and bands are sorted highest first', () => {
+  const scheme = resolveScoringScheme({
+    pointsPerQuestion: 2,
+    negativeMarking: 0.25,
+    passPercentage: 70,
+    remarkBands: [{ minPercentage: 0, remark: 'Fail' }, { minPercentage: 70, remark: 'Pass' }],
+    questionWeights: [{ questionId: 'q1', points: 4 }]
+  }, 'masterclass');
+
+  assert.equal(scheme.pointsPerQuestion, 2);
+  assert.deepEqual(scheme.questionWeights, [{ questionId: 'q1', points: 4 }]);
+  assert.deepEqual(scheme.remarkBands.map(band => band.minPercentage), [70, 0]);
+  assert.equal(describeScheme(scheme), 'weighted_negative_0.25');
+});
+
+test('summarizeScore never goes below zero and handles an empty quiz', () => {
+  const scheme = resolveScoringScheme({ passPercentage: 50 }, 'destination');
+  assert.deepEqual(summarizeScore(scheme, -1.5, 4), {
+    score: 0,
+    maxScore: 4,
+    percentage: 0,
+    remark: 'Needs Improvement',
+    passPercentage: 50,
+    passed: false
+  });
+  assert.equal(summarizeScore(scheme, 0, 0).percentage, 0);
+  assert.equal(summarizeScore(scheme, 2, 4).passed, true);
+});
+
+test('scoreGradedAnswers applies weights, partial credit and negative marking', () => {
+  const scheme = resolveScoringScheme({
+    pointsPerQuestion: 2,
+    negativeMarking: 0.5,
+    questionWeights: [{ questionId: 'heavy', points: 4 }]
+  }, 'general');
+
+  const result = scoreGradedAnswers(scheme, [
+    { questionId: 'heavy', credit: 1, response: 0 },
+    { questionId: 'partial', credit: 0.5, response: [0, 1] },
+    { questionId: 'wrong', credit: 0, response: 2 },
+    { questionId: 'skipped', credit: 0, response: null }
+  ]);
+
+  assert.deepEqual(result.rows.map(row => [row.points, row.maxPoints]), [[4, 4], [1, 2], [-1, 2], [0, 2]]);
+  assert.equal(result.score, 4);
+  assert.equal(result.maxScore, 10);
+  assert.equal(result.percentage, 40);
+  assert.equal(result.passed, null);
+});
@@ -0,0 +1,103 @@
+// travel-tour-backend/test/search.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { SEARCH_TYPES, search, makeSnippet, highlightTerms } = require('../services/searchService');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const student = { _id: new mongoose.Types.ObjectId(), role: 'student', email: 'Ada@Example.com', masterclassAccess: [] };
+const admin = { _id: new mongoose.Types.ObjectId(), role: 'admin' };
+
+// Hits per type, each with its text score
+const hits = {
+  'document-courses': [{ _id: new mongoose.Types.ObjectId(), title: 'Visa basics', courseType: 'general', content: '<p>Schengen visas let you stay 90 days.</p>', score: 1.5 }],
+  'destination-courses': [{ _id: new mongoose.Types.ObjectId(), name: 'France', continent: 'Europe', courseType: 'general', about: 'Paris & the Schengen area', score: 2.5 }],
+  videos: [{ _id: new mongoose.Types.ObjectId(), title: 'Visa interview tips', videoType: 'general', description: 'Schengen visa interviews', score: 0.75 }],
+  resources: []
+};
+
+// Every searchable model answers find / countDocuments / aggregate from the hits above
+const mockModels = (t) => {
+  const finds = {};
+  Object.entries(SEARCH_TYPES).forEach(([name, { model }]) => {
+    finds[name] = t.mock.method(model, 'find', () => {
+      const query = {
+        select: () => query,
+        sort: () => query,
+        limit: () => query,
+        lean: async () => hits[name]
+      };
+      return query;
+    });
+    t.mock.method(model, 'countDocuments', async () => hits[name].length);
+    t.mock.method(model, 'aggregate', async ([, group]) => (
+      group.$group._id === '$continent' ? [{ _id: 'Europe', count: 1 }] : [{ _id: 'general', count: hits[name].length }]
+    ));
+  });
+  return finds;
+};
+
+test('query words are loosely stemmed and negated ones dropped', () => {
+  assert.deepEqual(highlightTerms('Schengen visas -"tourist visa"'), ['schengen', 'visa']);
+});
+
+test('snippets show the matching passage, escaped, with the matches marked', () => {
+  const long = `${'Travel documents explained in detail. '.repeat(10)}<b>Schengen</b> visas & stays of &lt;90 days`;
+  const snippet = makeSnippet(['', long], highlightTerms('schengen visas'));
+
+  assert.match(snippet, /^… /);
+  assert.match(snippet, /<mark>Schengen<\/mark> <mark>visas<\/mark> &amp; stays of &lt;90 days$/);
+  assert.equal(snippet.includes('<b>'), false);
+  assert.equal(makeSnippet(['Nothing relevant'], ['visa']), 'Nothing relevant');
+});
+
+test('results from every type are ranked together by text score', async (t) => {
+  mockModels(t);
+  const result = await search(admin, { q: 'schengen visas' });
+
+  assert.deepEqual(result.results.map(hit => hit.type), ['destination-courses', 'document-courses', 'videos']);
+  assert.equal(result.results[0].title, 'France');
+  assert.equal(result.results[0].continent, 'Europe');
+  assert.match(result.results[1].snippet, /<mark>Schengen<\/mark> <mark>visas<\/mark>/);
+  assert.equal(result.total, 3);
+  assert.deepEqual(result.facets.type, { 'document-courses': 1, 'destination-courses': 1, videos: 1, resources: 0 });
+  assert.deepEqual(result.facets.continent, { Europe: 1 });
+});
+
+test('students only find masterclass content they have access to', async (t) => {
+  const finds = mockModels(t);
+  const grantedId = new mongoose.Types.ObjectId();
+  await search({ ...student, accessibleMasterclassCourses: [grantedId] }, { q: 'visa' });
+
+  const documentQuery = finds['document-courses'].mock.calls[0].arguments[0];
+  assert.deepEqual(documentQuery.$text, { $search: 'visa' });
+  assert.equal(documentQuery.isActive, true);
+  assert.deepEqual(documentQuery.$or, [{ courseType: { $ne: 'masterclass' } }, { _id: { $in: [grantedId] } }]);
+  assert.deepEqual(finds.videos.mock.calls[0].arguments[0].$or[1], { allowedEmails: 'ada@example.com' });
+
+  await search(admin, { q: 'visa' });
+  assert.equal('$or' in finds['document-courses'].mock.calls[1].arguments[0], false);
+});
+
+test('a continent filter leaves out types that have no continent', async (t) => {
+  const finds = mockModels(t);
+  const result = await search(admin, { q: 'visa', continent: 'Europe' });
+
+  assert.deepEqual(result.results.map(hit => hit.type), ['destination-courses']);
+  assert.equal(finds.videos.mock.calls.filter(call => call.arguments[0].continent).length, 0);
+  assert.equal(finds['destination-courses'].mock.calls[0].arguments[0].continent, 'Europe');
+});
+
+test('bad search parameters are client errors', async (t) => {
+  mockModels(t);
+  await assert.rejects(search(student, { q: 'v' }), { code: 'QUERY_TOO_SHORT', status: 400 });
+  await assert.rejects(search(student, { q: 'visa', type: 'videos,podcasts' }), { code: 'INVALID_TYPE' });
+  await assert.rejects(search(student, { q: 'visa', courseType: 'premium' }), { code: 'INVALID_COURSE_TYPE' });
+});
@@ -0,0 +1,168 @@
+// travel-tour-backend/test/sessions.test.js
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { rotateSession, isSessionActive } = require('../services/sessionService');
+const adminRouter = require('../routes/admin');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const createFakeResponse = () => {
+  const res = {
+    statusCode: null,
+    body: null,
+    status: (code) => {
+      res.statusCode = code;
+      return res;
+    },
+    json: (body) => {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const inADay = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+const fakeRequest = { headers: { 'user-agent': 'test' }, body: {}, ip: '127.0.0.1' };
+
+const createUser = () => new User({
+  username: 'student',
+  email: 'student@example.com',
+  password: 'secret123',
+  role: 'student',
+  active: true
+});
+
+const createSessionDoc = (user, refreshToken, fields = {}) => new Session({
+  userId: user._id,
+  refreshTokenHash: hashToken(refreshToken),
+  expiresAt: inADay(),
+  ...fields
+});
+
+// Session.findById(...).select(...).lean()
+const mockFindById = (t, session) => t.mock.method(Session, 'findById', () => ({
+  select: () => ({ lean: async () => session })
+}));
+
+test('access tokens without a session id are never active', async (t) => {
+  const findById = mockFindById(t, { expiresAt: inADay(), revokedAt: null });
+  assert.equal(await isSessionActive(undefined), false);
+  assert.equal(await isSessionActive('not-an-id'), false);
+  assert.equal(findById.mock.callCount(), 0);
+});
+
+test('a session id is active until its session is revoked or expires', async (t) => {
+  const sessionId = new mongoose.Types.ObjectId().toString();
+
+  mockFindById(t, { expiresAt: inADay(), revokedAt: null });
+  assert.equal(await isSessionActive(sessionId), true);
+
+  Session.findById.mock.restore();
+  mockFindById(t, { expiresAt: inADay(), revokedAt: new Date() });
+  assert.equal(await isSessionActive(sessionId), false);
+
+  Session.findById.mock.restore();
+  mockFindById(t, { expiresAt: new Date(Date.now() - 1000), revokedAt: null });
+  assert.equal(await isSessionActive(sessionId), false);
+
+  Session.findById.mock.restore();
+  mockFindById(t, null);
+  assert.equal(await isSessionActive(sessionId), false);
+});
+
+test('refreshing swaps the refresh token and binds the new access token to the session', async (t) => {
+  const user = createUser();
+  const session = createSessionDoc(user, 'old-token');
+
+  t.mock.method(Session, 'findOne', async () => session);
+  t.mock.method(User, 'findById', async () => user);
+  const update = t.mock.method(Session, 'findOneAndUpdate', async (filter, changes) => {
+    Object.assign(session, changes.$set);
+    return session;
+  });
+
+  const tokens = await rotateSession('old-token', fakeRequest);
+
+  assert.notEqual(tokens.refreshToken, 'old-token');
+  assert.equal(session.refreshTokenHash, hashToken(tokens.refreshToken));
+  assert.equal(session.previousRefreshTokenHash, hashToken('old-token'));
+  // Only swapped while the presented token is still the current one
+  assert.deepEqual(update.mock.calls[0].arguments[0], {
+    _id: session._id,
+    refreshTokenHash: hashToken('old-token'),
+    revokedAt: null
+  });
+  assert.equal(jwt.verify(tokens.token, process.env.JWT_SECRET).sid, session._id.toString());
+});
+
+test('presenting a replaced refresh token revokes the session', async (t) => {
+  const user = createUser();
+  const session = createSessionDoc(user, 'new-token', { previousRefreshTokenHash: hashToken('old-token') });
+  const revoke = t.mock.method(session, 'revoke', async () => session);
+
+  t.mock.method(Session, 'findOne', async (query) =>
+    query.previousRefreshTokenHash === session.previousRefreshTokenHash ? session : null
+  );
+
+  await assert.rejects(rotateSession('old-token', fakeRequest), { code: 'REFRESH_TOKEN_REUSED', status: 401 });
+  assert.deepEqual(revoke.mock.calls[0].arguments, ['token_reuse']);
+});
+
+test('the loser of two concurrent refreshes is treated as reuse', async (t) => {
+  const user = createUser();
+  const session = createSessionDoc(user, 'old-token');
+
+  t.mock.method(Session, 'findOne', async () => session);
+  t.mock.method(User, 'findById', async () => user);
+  // The other request already swapped the token
+  t.mock.method(Session, 'findOneAndUpdate', async () => null);
+  const revokeAll = t.mock.method(Session, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  await assert.rejects(rotateSession('old-token', fakeRequest), { code: 'REFRESH_TOKEN_REUSED' });
+  assert.equal(revokeAll.mock.calls[0].arguments[1].$set.revokedReason, 'token_reuse');
+});
+
+test('revoked or expired sessions cannot be refreshed', async (t) => {
+  const user = createUser();
+  const session = createSessionDoc(user, 'old-token', { revokedAt: new Date() });
+  t.mock.method(Session, 'findOne', async () => session);
+
+  await assert.rejects(rotateSession('old-token', fakeRequest), { code: 'SESSION_REVOKED' });
+  await assert.rejects(rotateSession(undefined, fakeRequest), { code: 'INVALID_REFRESH_TOKEN' });
+});
+
+test('admin session routes answer 400 for a malformed student id', async (t) => {
+  const findUser = t.mock.method(User, 'findById', () => {
+    throw new Error('should not query');
+  });
+
+  for (const method of ['get', 'delete']) {
+    const layer = adminRouter.stack.find(l => l.route?.path === '/admin/students/:id/sessions' && l.route.methods[method]);
+    const validateStudentId = layer.route.stack.find(s => s.name === 'validateStudentId').handle;
+    const res = createFakeResponse();
+    let passed = false;
+
+    validateStudentId({ params: { id: 'not-an-id' } }, res, () => { passed = true; });
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 400);
+
+    validateStudentId({ params: { id: new mongoose.Types.ObjectId().toString() } }, createFakeResponse(), () => { passed = true; });
+    assert.equal(passed, true);
+  }
+  assert.equal(findUser.mock.callCount(), 0);
+});
@@ -0,0 +1,136 @@
+// travel-tour-backend/test/socketAuth.test.js
+process.env.STATE_STORE = 'memory';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { initializeSocket } = require('../socket');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const createUser = (fields = {}) => new User({
+  username: 'student',
+  email: 'student@example.com',
+  password: 'secret123',
+  role: 'student',
+  active: true,
+  ...fields
+});
+
+const signToken = (user, sid = new mongoose.Types.ObjectId().toString()) => jwt.sign(
+  { id: user._id, email: user.email, role: user.role, sid },
+  process.env.JWT_SECRET,
+  { expiresIn: '15m' }
+);
+
+const mockSession = (t, session = { revokedAt: null, expiresAt: new Date(Date.now() + 60 * 1000) }) => {
+  t.mock.method(Session, 'findById', () => ({ select: () => ({ lean: async () => session }) }));
+};
+
+const createFakeSocket = (handshake = {}) => ({
+  id: `socket_${Math.random().toString(36).slice(2)}`,
+  data: {},
+  handshake: { auth: {}, query: {}, headers: {}, ...handshake }
+});
+
+// Run the io.use() handshake check and report the error it passed to next(), if any
+const handshake = async (t, socket) => {
+  const io = initializeSocket(http.createServer());
+  t.after(() => io.close());
+  const [authenticate] = io.of('/')._fns;
+  return new Promise(resolve => authenticate(socket, (error) => resolve(error || null)));
+};
+
+test('a handshake without a token is refused', async (t) => {
+  const error = await handshake(t, createFakeSocket());
+  assert.equal(error.data.code, 'NO_TOKEN');
+});
+
+test('a malformed or wrongly signed token is refused', async (t) => {
+  const user = createUser();
+  const forged = jwt.sign({ id: user._id, role: 'admin' }, 'not-the-secret');
+
+  assert.equal((await handshake(t, createFakeSocket({ auth: { token: 'garbage' } }))).data.code, 'INVALID_TOKEN');
+  assert.equal((await handshake(t, createFakeSocket({ auth: { token: forged } }))).data.code, 'INVALID_TOKEN');
+});
+
+test('the socket identity comes from the database user, not the handshake', async (t) => {
+  const user = createUser();
+  t.mock.method(User, 'findById', async () => user);
+  mockSession(t);
+
+  const socket = createFakeSocket({
+    auth: { token: signToken(user), userId: 'someone-else', userName: 'admin', role: 'admin' }
+  });
+  assert.equal(await handshake(t, socket), null);
+  assert.deepEqual(socket.data.user, {
+    socketId: socket.id,
+    userId: user._id.toString(),
+    userName: 'student',
+    role: 'student'
+  });
+  assert.ok(socket.data.tokenExpiresAt > Date.now());
+});
+
+test('the token is also read from the query string and the Authorization header', async (t) => {
+  const user = createUser();
+  t.mock.method(User, 'findById', async () => user);
+  mockSession(t);
+
+  assert.equal(await handshake(t, createFakeSocket({ query: { token: signToken(user) } })), null);
+  assert.equal(await handshake(t, createFakeSocket({ headers: { authorization: `Bearer ${signToken(user)}` } })), null);
+});
+
+test('tokens of revoked sessions and inactive users are refused', async (t) => {
+  const user = createUser();
+  t.mock.method(User, 'findById', async () => user);
+  mockSession(t, { revokedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 1000) });
+  assert.equal((await handshake(t, createFakeSocket({ auth: { token: signToken(user) } }))).data.code, 'SESSION_REVOKED');
+
+  user.active = false;
+  assert.equal((await handshake(t, createFakeSocket({ auth: { token: signToken(user) } }))).data.code, 'USER_INACTIVE');
+});
+
+test('re-authenticating with another user\'s token disconnects the socket', async (t) => {
+  const user = createUser();
+  const other = createUser({ username: 'other', email: 'other@example.com' });
+  t.mock.method(User, 'findById', async (id) => (other._id.equals(id) ? other : user));
+  mockSession(t);
+
+  const io = initializeSocket(http.createServer());
+  const handlers = new Map();
+  const sent = [];
+  let disconnected = false;
+  const socket = {
+    ...createFakeSocket({ auth: { token: signToken(user) } }),
+    rooms: new Set(),
+    on: (eventName, handler) => handlers.set(eventName, handler),
+    emit: (eventName, payload) => sent.push({ eventName, payload }),
+    join: () => {},
+    leave: () => {},
+    to: () => ({ emit: () => {} }),
+    broadcast: { emit: () => {} },
+    disconnect: () => { disconnected = true; }
+  };
+  await new Promise(resolve => io.of('/')._fns[0](socket, resolve));
+  io.sockets.listeners('connection')[0](socket);
+  t.after(async () => {
+    await handlers.get('disconnect')();
+    io.close();
+  });
+
+  await handlers.get('reauthenticate')({ token: signToken(other) });
+  assert.equal(disconnected, true);
+  assert.equal(sent.find(entry => entry.eventName === 'auth_error').payload.code, 'USER_MISMATCH');
+});
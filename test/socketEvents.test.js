@@ -0,0 +1,164 @@
+// travel-tour-backend/test/socketEvents.test.js
+process.env.STATE_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const CommunityMessage = require('../models/CommunityMessage');
+const { initializeSocket, onEvent } = require('../socket');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+// The handlers' console logging would be interleaved with the test report
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+// Stand-in for a server-side socket: records what the server sends, and lets a test
+// fire client events at the registered handlers
+const createFakeSocket = (user = { userId: new mongoose.Types.ObjectId().toString(), userName: 'student', role: 'user' }) => {
+  const handlers = new Map();
+  const sent = [];
+  const fakeSocket = {
+    id: `socket_${Math.random().toString(36).slice(2)}`,
+    data: { user: { ...user } },
+    rooms: new Set(),
+    handshake: { auth: {}, query: {}, headers: {} },
+    handlers,
+    sent,
+    on: (eventName, handler) => handlers.set(eventName, handler),
+    emit: (eventName, payload) => sent.push({ eventName, payload }),
+    join: (room) => fakeSocket.rooms.add(room),
+    leave: (room) => fakeSocket.rooms.delete(room),
+    to: () => ({ emit: () => {} }),
+    broadcast: { emit: () => {} },
+    disconnect: () => {},
+    fire: (eventName, ...args) => handlers.get(eventName)(...args)
+  };
+  return fakeSocket;
+};
+
+test('onEvent passes an empty object for a missing or malformed payload', async () => {
+  const socket = createFakeSocket();
+  const received = [];
+  onEvent(socket, 'ping', async (data) => received.push(data));
+
+  await socket.fire('ping');
+  await socket.fire('ping', null);
+  await socket.fire('ping', 'text');
+  await socket.fire('ping', ['a']);
+  await socket.fire('ping', { ok: true });
+
+  assert.deepEqual(received, [{}, {}, {}, {}, { ok: true }]);
+});
+
+test('onEvent finds the ack even when the client sent no payload', async () => {
+  const socket = createFakeSocket();
+  onEvent(socket, 'ping', async (data, ack) => ack({ success: true, data }));
+
+  let answer;
+  await socket.fire('ping', (payload) => { answer = payload; });
+  assert.deepEqual(answer, { success: true, data: {} });
+});
+
+test('onEvent answers a failing handler through the ack without leaking internal messages', async () => {
+  const socket = createFakeSocket();
+  onEvent(socket, 'boom', async () => { throw new Error('connection string leaked'); });
+
+  let answer;
+  await assert.doesNotReject(socket.fire('boom', {}, (payload) => { answer = payload; }));
+  assert.equal(answer.success, false);
+  assert.equal(answer.code, 'SOCKET_EVENT_FAILED');
+  assert.doesNotMatch(answer.message, /connection string/);
+});
+
+test('onEvent emits an error event when a failing handler has no ack', async () => {
+  const socket = createFakeSocket();
+  onEvent(socket, 'boom', async () => {
+    throw Object.assign(new Error('Slow down'), { code: 'RATE_LIMITED' });
+  });
+
+  await assert.doesNotReject(socket.fire('boom', null));
+  assert.deepEqual(socket.sent, [{
+    eventName: 'error',
+    payload: { success: false, message: 'Slow down', code: 'RATE_LIMITED' }
+  }]);
+});
+
+test('send_message ignores a missing or malformed payload', async (t) => {
+  const server = http.createServer();
+  const io = initializeSocket(server);
+  const socket = createFakeSocket();
+  io.sockets.listeners('connection')[0](socket);
+  t.after(async () => {
+    await socket.fire('disconnect');
+    io.close();
+  });
+
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+  t.after(() => process.off('unhandledRejection', onUnhandled));
+
+  // 42["send_message"] used to crash the process
+  await assert.doesNotReject(socket.fire('send_message'));
+  await assert.doesNotReject(socket.fire('send_message', null));
+  await assert.doesNotReject(socket.fire('send_message', { text: 42 }));
+
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(unhandled, []);
+});
+
+test('every client event survives a null payload', async (t) => {
+  const server = http.createServer();
+  const io = initializeSocket(server);
+  const socket = createFakeSocket();
+  io.sockets.listeners('connection')[0](socket);
+  t.after(async () => {
+    await socket.fire('disconnect');
+    io.close();
+  });
+
+  for (const eventName of socket.handlers.keys()) {
+    if (eventName === 'disconnect') continue;
+    await assert.doesNotReject(Promise.resolve(socket.fire(eventName, null)), eventName);
+  }
+  await assert.doesNotReject(Promise.resolve(socket.fire('webrtc_offer', { offer: {} })));
+});
+
+test('send_message refuses unverified users while messaging needs a verified email', async (t) => {
+  const previousPolicy = process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+  process.env.EMAIL_VERIFICATION_REQUIRED_FOR = 'messaging';
+  t.after(() => {
+    if (previousPolicy === undefined) delete process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+    else process.env.EMAIL_VERIFICATION_REQUIRED_FOR = previousPolicy;
+  });
+
+  const server = http.createServer();
+  const io = initializeSocket(server);
+  const socket = createFakeSocket();
+  const user = {
+    _id: new mongoose.Types.ObjectId(socket.data.user.userId),
+    username: 'student',
+    role: 'user',
+    active: true,
+    emailVerified: false
+  };
+  t.mock.method(User, 'findById', async () => user);
+  const save = t.mock.method(CommunityMessage.prototype, 'save', async () => {});
+  io.sockets.listeners('connection')[0](socket);
+  t.after(async () => {
+    await socket.fire('disconnect');
+    io.close();
+  });
+
+  await socket.fire('send_message', { text: 'hello' });
+
+  assert.equal(save.mock.callCount(), 0);
+  const error = socket.sent.find(entry => entry.eventName === 'error');
+  assert.equal(error?.payload.code, 'EMAIL_NOT_VERIFIED');
+});
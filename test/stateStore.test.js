@@ -0,0 +1,134 @@
+// travel-tour-backend/test/stateStore.test.js
+process.env.STATE_STORE = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const ScheduledJob = require('../models/ScheduledJob');
+const MemoryStateStore = require('../services/state/memoryStateStore');
+const MongoStateStore = require('../services/state/mongoStateStore');
+const { createStateStore, setStateStore } = require('../services/state');
+const presence = require('../services/presenceService');
+const callRegistry = require('../services/callRegistry');
+
+// No database in tests: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('the store type comes from STATE_STORE', () => {
+  assert.equal(createStateStore('memory').type, 'memory');
+  assert.equal(createStateStore('mongo').type, 'mongo');
+  assert.throws(() => createStateStore('redis'), /Unknown STATE_STORE/);
+});
+
+test('entries are copies, expire after their ttl and can be listed by prefix', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const store = new MemoryStateStore();
+  const value = { status: 'online' };
+
+  await store.set('presence', 'user-1:tab-1', value, { ttlMs: 1000 });
+  await store.set('presence', 'user-1:tab-2', { status: 'away' });
+  await store.set('presence', 'user-2:tab-1', { status: 'online' });
+  value.status = 'changed';
+
+  assert.deepEqual(await store.get('presence', 'user-1:tab-1'), { status: 'online' });
+  assert.deepEqual((await store.entries('presence', { prefix: 'user-1:' })).map(entry => entry.key), ['user-1:tab-1', 'user-1:tab-2']);
+
+  t.mock.timers.tick(1001);
+  assert.equal(await store.get('presence', 'user-1:tab-1'), null);
+  assert.equal((await store.entries('presence')).length, 2);
+
+  await store.deleteMany('presence', { prefix: 'user-1:' });
+  assert.deepEqual((await store.entries('presence')).map(entry => entry.key), ['user-2:tab-1']);
+});
+
+test('scheduling a job again replaces it, and cancelled jobs never run', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+  const store = new MemoryStateStore();
+  const runs = [];
+  store.registerJobHandler('reminder', async (payload) => runs.push(payload.note));
+
+  await store.scheduleJob({ jobId: 'job-1', name: 'reminder', runAt: Date.now() + 1000, payload: { note: 'first' } });
+  await store.scheduleJob({ jobId: 'job-1', name: 'reminder', runAt: Date.now() + 2000, payload: { note: 'second' } });
+  await store.scheduleJob({ jobId: 'job-2', name: 'reminder', runAt: Date.now() + 500, payload: { note: 'cancelled' } });
+  await store.cancelJob('job-2');
+
+  t.mock.timers.tick(1500);
+  await Promise.resolve();
+  assert.deepEqual(runs, []);
+
+  t.mock.timers.tick(500);
+  await Promise.resolve();
+  assert.deepEqual(runs, ['second']);
+});
+
+test('a job whose time has passed runs straight away', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const store = new MemoryStateStore();
+  let ran = false;
+  store.registerJobHandler('late', async () => { ran = true; });
+
+  await store.scheduleJob({ jobId: 'late-1', name: 'late', runAt: new Date(Date.now() - 60 * 1000) });
+  t.mock.timers.tick(0);
+  await Promise.resolve();
+  assert.equal(ran, true);
+});
+
+test('the mongo store only claims due jobs it has a handler for, or ones whose instance died', async (t) => {
+  const store = new MongoStateStore({ instanceId: 'instance-a', lockTimeoutMs: 60 * 1000 });
+  store.registerJobHandler('quiz_attempt_deadline', async () => {});
+  const claim = t.mock.method(ScheduledJob, 'findOneAndUpdate', async () => null);
+
+  await store.claimNextJob();
+  const [filter, update, options] = claim.mock.calls[0].arguments;
+  assert.deepEqual(filter.name, { $in: ['quiz_attempt_deadline'] });
+  assert.equal(filter.$or[0].status, 'pending');
+  assert.ok(filter.$or[0].runAt.$lte instanceof Date);
+  assert.equal(filter.$or[1].status, 'running');
+  assert.ok(filter.$or[1].lockedAt.$lt < new Date(Date.now() - 59 * 1000));
+  assert.deepEqual(update.$set.lockedBy, 'instance-a');
+  assert.deepEqual(update.$inc, { attempts: 1 });
+  assert.deepEqual(options.sort, { runAt: 1 });
+});
+
+test('a failing mongo job is retried, then marked failed', async (t) => {
+  const store = new MongoStateStore({ instanceId: 'instance-a' });
+  store.registerJobHandler('flaky', async () => { throw new Error('boom'); });
+  const update = t.mock.method(ScheduledJob, 'updateOne', async () => ({}));
+
+  await store.runJob({ _id: 'job-id', jobId: 'flaky-1', name: 'flaky', attempts: 1 });
+  await store.runJob({ _id: 'job-id', jobId: 'flaky-1', name: 'flaky', attempts: 3 });
+
+  assert.deepEqual(update.mock.calls.map(call => call.arguments[1].$set.status), ['pending', 'failed']);
+  assert.deepEqual(update.mock.calls[0].arguments[0], { _id: 'job-id', lockedBy: 'instance-a' });
+});
+
+test('presence and call participants of a crashed instance expire', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  setStateStore(new MemoryStateStore());
+  const user = { userId: 'user-1', userName: 'student', role: 'student' };
+
+  await presence.connect(user, 'tab-1');
+  await callRegistry.saveCall({ id: 'community_call_1', adminName: 'admin', isActive: true });
+  await callRegistry.addParticipant('community_call_1', 'tab-1', { userId: 'user-1' });
+  await callRegistry.addParticipant('community_call_1', 'tab-2', { userId: 'user-2' });
+
+  // Only tab-1's instance is still alive and refreshing
+  t.mock.timers.tick(60 * 1000);
+  await presence.heartbeat(user, 'tab-1');
+  await callRegistry.addParticipant('community_call_1', 'tab-1', { userId: 'user-1' });
+  t.mock.timers.tick(60 * 1000);
+
+  assert.equal((await presence.getUserPresence('user-1')).status, 'online');
+  assert.deepEqual((await callRegistry.getParticipants('community_call_1')).map(entry => entry.socketId), ['tab-1']);
+
+  t.mock.timers.tick(60 * 1000);
+  assert.equal((await presence.getUserPresence('user-1')).status, 'offline');
+
+  await callRegistry.deleteCall('community_call_1');
+  assert.deepEqual(await callRegistry.listActiveCalls(), []);
+});